@@ -0,0 +1,18 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Allow stock-take adjustments (signed qty) in inventory_txns
+    await queryInterface.changeColumn("inventory_txns", "txn_type", {
+      type: Sequelize.ENUM("IN", "RESERVE", "UNRESERVE", "OUT", "ADJUST"),
+      allowNull: false,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn("inventory_txns", "txn_type", {
+      type: Sequelize.ENUM("IN", "RESERVE", "UNRESERVE", "OUT"),
+      allowNull: false,
+    });
+  },
+};
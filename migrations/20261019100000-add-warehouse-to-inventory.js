@@ -0,0 +1,69 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // warehouses is normally created by sync(); create it here too so the
+    // backfill below works when migrations run first
+    const tables = (await queryInterface.showAllTables()).map((t) => (typeof t === "string" ? t : t.tableName));
+    if (!tables.includes("warehouses")) {
+      await queryInterface.createTable("warehouses", {
+        id: { type: Sequelize.INTEGER.UNSIGNED, autoIncrement: true, primaryKey: true },
+        name: { type: Sequelize.STRING(150), allowNull: false },
+        code: { type: Sequelize.STRING(20), allowNull: false, unique: true },
+        kind: { type: Sequelize.ENUM("GODOWN", "COUNTER"), allowNull: false, defaultValue: "GODOWN" },
+        school_id: { type: Sequelize.INTEGER.UNSIGNED, allowNull: true },
+        address: { type: Sequelize.STRING(255), allowNull: true },
+        is_default: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+        is_active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false },
+      });
+    }
+
+    await queryInterface.addColumn("inventory_batches", "warehouse_id", {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+      references: { model: "warehouses", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addIndex("inventory_batches", ["warehouse_id"]);
+
+    await queryInterface.addColumn("inventory_txns", "warehouse_id", {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+      references: { model: "warehouses", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addIndex("inventory_txns", ["warehouse_id"]);
+
+    // Existing stock all sits in the main godown
+    const [rows] = await queryInterface.sequelize.query("SELECT id FROM warehouses WHERE is_default = 1 LIMIT 1");
+    let mainId = rows[0]?.id;
+    if (!mainId) {
+      const now = new Date();
+      await queryInterface.bulkInsert("warehouses", [
+        { name: "Main Godown", code: "MAIN", kind: "GODOWN", is_default: true, is_active: true, createdAt: now, updatedAt: now },
+      ]);
+      const [again] = await queryInterface.sequelize.query("SELECT id FROM warehouses WHERE code = 'MAIN' LIMIT 1");
+      mainId = again[0].id;
+    }
+
+    await queryInterface.sequelize.query("UPDATE inventory_batches SET warehouse_id = ? WHERE warehouse_id IS NULL", {
+      replacements: [mainId],
+    });
+    await queryInterface.sequelize.query(
+      "UPDATE inventory_txns t LEFT JOIN inventory_batches b ON b.id = t.batch_id SET t.warehouse_id = COALESCE(b.warehouse_id, ?) WHERE t.warehouse_id IS NULL",
+      { replacements: [mainId] }
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("inventory_txns", ["warehouse_id"]);
+    await queryInterface.removeColumn("inventory_txns", "warehouse_id");
+
+    await queryInterface.removeIndex("inventory_batches", ["warehouse_id"]);
+    await queryInterface.removeColumn("inventory_batches", "warehouse_id");
+  },
+};
@@ -0,0 +1,18 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Stock orders (suggested from shortfall) are not tied to one school
+    await queryInterface.changeColumn("school_orders", "school_id", {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn("school_orders", "school_id", {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+    });
+  },
+};
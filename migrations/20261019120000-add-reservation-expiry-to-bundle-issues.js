@@ -0,0 +1,23 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Pending-stock reservations expire and are auto-released by the sweep job
+    await queryInterface.addColumn("bundle_issues", "reserved_until", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("bundle_issues", "reservation_released_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex("bundle_issues", ["reserved_until"], { name: "idx_issue_reserved_until" });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("bundle_issues", "idx_issue_reserved_until");
+    await queryInterface.removeColumn("bundle_issues", "reservation_released_at");
+    await queryInterface.removeColumn("bundle_issues", "reserved_until");
+  },
+};
@@ -0,0 +1,90 @@
+"use strict";
+
+const ITEM_TABLES = ["sale_items", "school_sale_items", "supplier_receipt_items"];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Masters: HSN + rate on Book/Product, state/GSTIN on parties
+    for (const table of ["books", "products"]) {
+      await queryInterface.addColumn(table, "hsn_code", { type: Sequelize.STRING(20), allowNull: true });
+      await queryInterface.addColumn(table, "gst_rate", { type: Sequelize.DECIMAL(5, 2), allowNull: true });
+    }
+
+    await queryInterface.addColumn("suppliers", "state", { type: Sequelize.STRING(100), allowNull: true });
+    await queryInterface.addColumn("suppliers", "gstin", { type: Sequelize.STRING(20), allowNull: true });
+    await queryInterface.addColumn("schools", "gstin", { type: Sequelize.STRING(20), allowNull: true });
+
+    // Headers
+    for (const table of ["sales", "school_sales"]) {
+      await queryInterface.addColumn(table, "place_of_supply", { type: Sequelize.STRING(100), allowNull: true });
+      await queryInterface.addColumn(table, "is_inter_state", {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      });
+    }
+
+    await queryInterface.addColumn("supplier_receipts", "tax_amount", {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn("supplier_receipts", "is_inter_state", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    // Item-level split
+    for (const table of ITEM_TABLES) {
+      await queryInterface.addColumn(table, "hsn_code", { type: Sequelize.STRING(20), allowNull: true });
+      await queryInterface.addColumn(table, "gst_rate", {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+      });
+      await queryInterface.addColumn(table, "taxable_value", {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      });
+      for (const col of ["cgst_amount", "sgst_amount", "igst_amount"]) {
+        await queryInterface.addColumn(table, col, {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0,
+        });
+      }
+    }
+
+    // Old rows were billed without GST: taxable value = billed amount
+    await queryInterface.sequelize.query("UPDATE sale_items SET taxable_value = amount");
+    await queryInterface.sequelize.query("UPDATE school_sale_items SET taxable_value = amount");
+    await queryInterface.sequelize.query("UPDATE supplier_receipt_items SET taxable_value = net_amount");
+  },
+
+  async down(queryInterface) {
+    for (const table of ITEM_TABLES) {
+      for (const col of ["igst_amount", "sgst_amount", "cgst_amount", "taxable_value", "gst_rate", "hsn_code"]) {
+        await queryInterface.removeColumn(table, col);
+      }
+    }
+
+    await queryInterface.removeColumn("supplier_receipts", "is_inter_state");
+    await queryInterface.removeColumn("supplier_receipts", "tax_amount");
+
+    for (const table of ["sales", "school_sales"]) {
+      await queryInterface.removeColumn(table, "is_inter_state");
+      await queryInterface.removeColumn(table, "place_of_supply");
+    }
+
+    await queryInterface.removeColumn("schools", "gstin");
+    await queryInterface.removeColumn("suppliers", "gstin");
+    await queryInterface.removeColumn("suppliers", "state");
+
+    for (const table of ["books", "products"]) {
+      await queryInterface.removeColumn(table, "gst_rate");
+      await queryInterface.removeColumn(table, "hsn_code");
+    }
+  },
+};
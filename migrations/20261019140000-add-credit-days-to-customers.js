@@ -0,0 +1,18 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of ["schools", "distributors"]) {
+      await queryInterface.addColumn(table, "credit_days", {
+        type: Sequelize.INTEGER.UNSIGNED,
+        allowNull: true,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of ["schools", "distributors"]) {
+      await queryInterface.removeColumn(table, "credit_days");
+    }
+  },
+};
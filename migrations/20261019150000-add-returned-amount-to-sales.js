@@ -0,0 +1,19 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of ["sales", "school_sales"]) {
+      await queryInterface.addColumn(table, "returned_amount", {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of ["sales", "school_sales"]) {
+      await queryInterface.removeColumn(table, "returned_amount");
+    }
+  },
+};
@@ -0,0 +1,21 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // supplier_debit_notes is created by sync(); on a fresh database it already has the column
+    const cols = await queryInterface.describeTable("supplier_debit_notes");
+    if (cols.status) return;
+
+    await queryInterface.addColumn("supplier_debit_notes", "status", {
+      type: Sequelize.ENUM("draft", "issued"),
+      allowNull: false,
+      defaultValue: "issued",
+    });
+    await queryInterface.addIndex("supplier_debit_notes", ["status"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("supplier_debit_notes", ["status"]);
+    await queryInterface.removeColumn("supplier_debit_notes", "status");
+  },
+};
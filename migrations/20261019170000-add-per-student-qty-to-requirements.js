@@ -0,0 +1,19 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("school_book_requirements", "per_student_qty", {
+      type: Sequelize.DECIMAL(6, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("school_book_requirements", "buffer_percent", {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("school_book_requirements", "buffer_percent");
+    await queryInterface.removeColumn("school_book_requirements", "per_student_qty");
+  },
+};
@@ -0,0 +1,16 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("users", "school_id", {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+    });
+    await queryInterface.addIndex("users", ["school_id"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("users", ["school_id"]);
+    await queryInterface.removeColumn("users", "school_id");
+  },
+};
@@ -0,0 +1,20 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // stock_takes is created by sync(); on a fresh database it already has the column
+    const cols = await queryInterface.describeTable("stock_takes");
+    if (cols.warehouse_id) return;
+
+    await queryInterface.addColumn("stock_takes", "warehouse_id", {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+    });
+    await queryInterface.addIndex("stock_takes", ["warehouse_id"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("stock_takes", ["warehouse_id"]);
+    await queryInterface.removeColumn("stock_takes", "warehouse_id");
+  },
+};
@@ -0,0 +1,36 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // bank_statement_lines is created by sync(); on a fresh database it already has the column
+    const cols = await queryInterface.describeTable("bank_statement_lines");
+    if (cols.account_name) return;
+
+    await queryInterface.addColumn("bank_statement_lines", "account_name", {
+      type: Sequelize.STRING(120),
+      allowNull: false,
+      defaultValue: "",
+    });
+    await queryInterface.sequelize.query(
+      `UPDATE bank_statement_lines l
+         JOIN bank_statements s ON s.id = l.bank_statement_id
+          SET l.account_name = COALESCE(s.account_name, '')`
+    );
+
+    // dedupe is per account now
+    await queryInterface.removeIndex("bank_statement_lines", "uniq_bank_line_dedupe");
+    await queryInterface.addIndex("bank_statement_lines", ["account_name", "dedupe_key"], {
+      unique: true,
+      name: "uniq_bank_line_dedupe",
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("bank_statement_lines", "uniq_bank_line_dedupe");
+    await queryInterface.addIndex("bank_statement_lines", ["dedupe_key"], {
+      unique: true,
+      name: "uniq_bank_line_dedupe",
+    });
+    await queryInterface.removeColumn("bank_statement_lines", "account_name");
+  },
+};
@@ -13,4 +13,13 @@ module.exports = {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES_IN || "1d",
   },
+  // bundle-issue reservations (pending stock) auto-release after this
+  reservations: {
+    defaultDays: Number(process.env.BUNDLE_RESERVATION_DAYS) || 15,
+    sweepMinutes: Number(process.env.RESERVATION_SWEEP_MINUTES) || 60,
+  },
+  // bank statement lines auto-match payments dated within +/- this many days
+  bankReconciliation: {
+    matchWindowDays: Number(process.env.BANK_MATCH_WINDOW_DAYS) || 3,
+  },
 };
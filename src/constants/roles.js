@@ -2,8 +2,10 @@
 
 const SUPERADMIN_ONLY = ["superadmin"];
 const DISTRIBUTOR_OR_SUPERADMIN = ["distributor", "superadmin"];
+const SCHOOL_ONLY = ["school"];
 
 module.exports = {
   SUPERADMIN_ONLY,
   DISTRIBUTOR_OR_SUPERADMIN,
+  SCHOOL_ONLY,
 };
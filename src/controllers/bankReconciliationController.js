@@ -0,0 +1,558 @@
+// src/controllers/bankReconciliationController.js
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+  sequelize,
+  BankStatement,
+  BankStatementLine,
+  SupplierPayment,
+  CustomerPayment,
+  Supplier,
+  School,
+  Distributor,
+} = require("../models");
+const {
+  MATCH_TYPES,
+  parseStatement,
+  takenPayments,
+  findCandidates,
+  autoMatch,
+} = require("../services/bankReconciliationService");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+const cleanStr = (v, max = 255) => {
+  const s = String(v || "").trim();
+  if (!s) return null;
+  return s.length > max ? s.slice(0, max) : s;
+};
+
+const windowDaysOf = (q) => (num(q?.window_days) > 0 ? Math.min(60, Math.floor(num(q.window_days))) : undefined);
+
+async function statusCounts(statementIds, t) {
+  const out = new Map();
+  if (!statementIds.length) return out;
+
+  const rows = await BankStatementLine.findAll({
+    where: { bank_statement_id: statementIds },
+    attributes: [
+      "bank_statement_id",
+      "match_status",
+      [sequelize.fn("COUNT", sequelize.col("id")), "cnt"],
+      [sequelize.fn("SUM", sequelize.col("debit")), "debit"],
+      [sequelize.fn("SUM", sequelize.col("credit")), "credit"],
+    ],
+    group: ["bank_statement_id", "match_status"],
+    raw: true,
+    transaction: t,
+  });
+
+  for (const r of rows) {
+    const key = num(r.bank_statement_id);
+    const acc = out.get(key) || {
+      unmatched: 0,
+      suggested: 0,
+      confirmed: 0,
+      ignored: 0,
+      total_debit: 0,
+      total_credit: 0,
+    };
+    acc[r.match_status] = num(r.cnt);
+    acc.total_debit = round2(acc.total_debit + num(r.debit));
+    acc.total_credit = round2(acc.total_credit + num(r.credit));
+    out.set(key, acc);
+  }
+  return out;
+}
+
+/**
+ * Attach the matched payment (with party name) to each line
+ */
+async function withMatches(lines) {
+  const ids = { [MATCH_TYPES.SUPPLIER_PAYMENT]: [], [MATCH_TYPES.CUSTOMER_PAYMENT]: [] };
+  for (const l of lines) if (l.match_type && l.match_id) ids[l.match_type].push(num(l.match_id));
+
+  const supplierPayments = ids.SUPPLIER_PAYMENT.length
+    ? await SupplierPayment.findAll({
+        where: { id: ids.SUPPLIER_PAYMENT },
+        include: [{ model: Supplier, as: "supplier", attributes: ["id", "name"], required: false }],
+      })
+    : [];
+  const customerPayments = ids.CUSTOMER_PAYMENT.length
+    ? await CustomerPayment.findAll({
+        where: { id: ids.CUSTOMER_PAYMENT },
+        include: [
+          { model: School, as: "school", attributes: ["id", "name"], required: false },
+          { model: Distributor, as: "distributor", attributes: ["id", "name"], required: false },
+        ],
+      })
+    : [];
+
+  const byKey = new Map();
+  for (const p of supplierPayments) {
+    byKey.set(`SUPPLIER_PAYMENT:${num(p.id)}`, {
+      id: num(p.id),
+      payment_date: p.payment_date,
+      amount: round2(p.amount),
+      mode: p.mode,
+      ref_no: p.ref_no || null,
+      party_type: "SUPPLIER",
+      party: p.supplier?.name || null,
+    });
+  }
+  for (const p of customerPayments) {
+    byKey.set(`CUSTOMER_PAYMENT:${num(p.id)}`, {
+      id: num(p.id),
+      payment_no: p.payment_no,
+      payment_date: p.payment_date,
+      amount: round2(p.amount),
+      mode: p.mode,
+      ref_no: p.ref_no || null,
+      party_type: p.customer_type,
+      party: (p.customer_type === "DISTRIBUTOR" ? p.distributor?.name : p.school?.name) || null,
+    });
+  }
+
+  return lines.map((l) => ({
+    ...(l.toJSON ? l.toJSON() : l),
+    matched_payment: l.match_type ? byKey.get(`${l.match_type}:${num(l.match_id)}`) || null : null,
+  }));
+}
+
+async function loadLine(request, reply, t) {
+  const lineId = num(request.params?.lineId);
+  if (!lineId) {
+    reply.code(400).send({ error: "Invalid line id" });
+    return null;
+  }
+  const line = await BankStatementLine.findByPk(lineId, { transaction: t, ...(t ? { lock: t.LOCK.UPDATE } : {}) });
+  if (!line) {
+    reply.code(404).send({ error: "Statement line not found" });
+    return null;
+  }
+  return line;
+}
+
+/* ============================
+   POST /api/bank-reconciliation/statements/import   (multipart CSV/XLSX)
+   Query: account_name?, window_days?
+   Columns (any bank layout): Date | Narration/Description | Chq/Ref No | Withdrawal/Debit | Deposit/Credit | Balance
+     or Date | Description | Amount | Dr/Cr
+   → lines saved (rows from overlapping statements skipped) and auto-matched
+   ============================ */
+exports.importStatement = async (request, reply) => {
+  const file = await request.file();
+  if (!file) return reply.code(400).send({ error: "No file uploaded. Please upload a CSV or Excel statement." });
+
+  const chunks = [];
+  for await (const chunk of file.file) chunks.push(chunk);
+  const buffer = Buffer.concat(chunks);
+
+  let parsed;
+  try {
+    parsed = parseStatement(buffer);
+  } catch (err) {
+    if (err.statusCode) return reply.code(err.statusCode).send({ error: err.message });
+    request.log?.error?.({ err }, "Failed to parse bank statement");
+    return reply.code(400).send({ error: "Invalid CSV/Excel file" });
+  }
+
+  if (!parsed.lines.length) {
+    return reply.code(400).send({ error: "No transactions found in the file", errors: parsed.errors });
+  }
+
+  const q = request.query || {};
+  const accountName = cleanStr(q.account_name || file.fields?.account_name?.value, 120);
+
+  const t = await sequelize.transaction();
+  try {
+    const existing = await BankStatementLine.findAll({
+      where: { account_name: accountName || "", dedupe_key: parsed.lines.map((l) => l.dedupe_key) },
+      attributes: ["dedupe_key"],
+      raw: true,
+      transaction: t,
+    });
+    // only rows already stored for this account count as duplicates; keys within one file are unique by position
+    const seen = new Set(existing.map((r) => r.dedupe_key));
+    const fresh = parsed.lines.filter((l) => !seen.has(l.dedupe_key));
+
+    const dates = parsed.lines.map((l) => l.txn_date).sort();
+    const statement = await BankStatement.create(
+      {
+        account_name: accountName,
+        file_name: cleanStr(file.filename, 255),
+        from_date: dates[0],
+        to_date: dates[dates.length - 1],
+        line_count: fresh.length,
+        duplicate_count: parsed.lines.length - fresh.length,
+        created_by: request.user?.id || null,
+      },
+      { transaction: t }
+    );
+
+    const lines = fresh.length
+      ? await BankStatementLine.bulkCreate(
+          fresh.map((l) => ({ ...l, bank_statement_id: statement.id, account_name: accountName || "" })),
+          { transaction: t }
+        )
+      : [];
+
+    // bulkCreate on MySQL returns ids, reload to be safe for update()
+    const saved = lines.length
+      ? await BankStatementLine.findAll({ where: { bank_statement_id: statement.id }, transaction: t })
+      : [];
+    const result = await autoMatch(saved, { windowDays: windowDaysOf(q), t });
+
+    await t.commit();
+
+    return reply.send({
+      message: "Statement imported",
+      statement,
+      total_rows: parsed.lines.length,
+      imported: fresh.length,
+      duplicates: parsed.lines.length - fresh.length,
+      suggested: result.suggested,
+      unmatched: result.unmatched,
+      errors: parsed.errors,
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log?.error?.(err);
+    console.error("❌ bank statement import error:", err);
+    return reply.code(500).send({ error: "Failed to import bank statement" });
+  }
+};
+
+/* ============================
+   GET /api/bank-reconciliation/statements
+   Query: account_name?, from?, to?
+   ============================ */
+exports.listStatements = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const where = {};
+    if (safeText(q.account_name)) where.account_name = safeText(q.account_name);
+
+    const from = safeText(q.from).slice(0, 10);
+    const to = safeText(q.to).slice(0, 10);
+    if (from) where.to_date = { [Op.gte]: from };
+    if (to) where.from_date = { [Op.lte]: to };
+
+    const rows = await BankStatement.findAll({
+      where,
+      order: [
+        ["to_date", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit: 200,
+    });
+
+    const counts = await statusCounts(rows.map((r) => num(r.id)));
+
+    return reply.send({
+      statements: rows.map((r) => ({ ...r.toJSON(), summary: counts.get(num(r.id)) || null })),
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ bank statement list error:", err);
+    return reply.code(500).send({ error: "Failed to fetch bank statements" });
+  }
+};
+
+/* ============================
+   GET /api/bank-reconciliation/statements/:id
+   Query: status? (unmatched|suggested|confirmed|ignored), side? (debit|credit)
+   ============================ */
+exports.getStatement = async (request, reply) => {
+  try {
+    const id = num(request.params?.id);
+    if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+    const statement = await BankStatement.findByPk(id);
+    if (!statement) return reply.code(404).send({ error: "Statement not found" });
+
+    const q = request.query || {};
+    const where = { bank_statement_id: id };
+    const status = safeText(q.status).toLowerCase();
+    if (["unmatched", "suggested", "confirmed", "ignored"].includes(status)) where.match_status = status;
+    if (safeText(q.side).toLowerCase() === "debit") where.debit = { [Op.gt]: 0 };
+    if (safeText(q.side).toLowerCase() === "credit") where.credit = { [Op.gt]: 0 };
+
+    const lines = await BankStatementLine.findAll({
+      where,
+      order: [
+        ["txn_date", "ASC"],
+        ["row_no", "ASC"],
+      ],
+    });
+
+    const counts = await statusCounts([id]);
+
+    return reply.send({
+      statement,
+      summary: counts.get(id) || null,
+      lines: await withMatches(lines),
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ bank statement get error:", err);
+    return reply.code(500).send({ error: "Failed to fetch bank statement" });
+  }
+};
+
+/* ============================
+   POST /api/bank-reconciliation/statements/:id/auto-match
+   Query: window_days?
+   → re-run matching for lines not yet confirmed / ignored
+   ============================ */
+exports.rerunAutoMatch = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+  const t = await sequelize.transaction();
+  try {
+    const lines = await BankStatementLine.findAll({
+      where: { bank_statement_id: id, match_status: { [Op.in]: ["unmatched", "suggested"] } },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const result = await autoMatch(lines, { windowDays: windowDaysOf(request.query), t });
+    await t.commit();
+
+    return reply.send({ message: "Auto-match completed", ...result });
+  } catch (err) {
+    await t.rollback();
+    request.log?.error?.(err);
+    console.error("❌ bank auto-match error:", err);
+    return reply.code(500).send({ error: "Failed to auto-match" });
+  }
+};
+
+/* ============================
+   POST /api/bank-reconciliation/statements/:id/confirm-all
+   → every suggested line on the statement becomes confirmed
+   ============================ */
+exports.confirmAll = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+  try {
+    const [count] = await BankStatementLine.update(
+      { match_status: "confirmed", matched_by: request.user?.id || null, matched_at: new Date() },
+      { where: { bank_statement_id: id, match_status: "suggested" } }
+    );
+    return reply.send({ message: `${count} match(es) confirmed`, confirmed: count });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ bank confirm-all error:", err);
+    return reply.code(500).send({ error: "Failed to confirm matches" });
+  }
+};
+
+/* ============================
+   DELETE /api/bank-reconciliation/statements/:id
+   ============================ */
+exports.deleteStatement = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+  const t = await sequelize.transaction();
+  try {
+    const statement = await BankStatement.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!statement) {
+      await t.rollback();
+      return reply.code(404).send({ error: "Statement not found" });
+    }
+
+    await BankStatementLine.destroy({ where: { bank_statement_id: id }, transaction: t });
+    await statement.destroy({ transaction: t });
+
+    await t.commit();
+    return reply.send({ message: "Statement deleted" });
+  } catch (err) {
+    await t.rollback();
+    request.log?.error?.(err);
+    console.error("❌ bank statement delete error:", err);
+    return reply.code(500).send({ error: "Failed to delete statement" });
+  }
+};
+
+/* ============================
+   GET /api/bank-reconciliation/lines/:lineId/candidates
+   Query: window_days?
+   → payments this line could be (for fixing a match by hand)
+   ============================ */
+exports.candidates = async (request, reply) => {
+  try {
+    const line = await loadLine(request, reply);
+    if (!line) return reply;
+
+    const taken = await takenPayments({ exceptLineIds: [num(line.id)] });
+    const rows = await findCandidates(line, { windowDays: windowDaysOf(request.query), taken });
+
+    return reply.send({ line, candidates: rows });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ bank candidates error:", err);
+    return reply.code(500).send({ error: "Failed to load candidates" });
+  }
+};
+
+/* ============================
+   POST /api/bank-reconciliation/lines/:lineId/match
+   Body: { match_type: "SUPPLIER_PAYMENT" | "CUSTOMER_PAYMENT", match_id, remarks? }
+   → manual match, confirmed straight away
+   ============================ */
+exports.matchLine = async (request, reply) => {
+  const body = request.body || {};
+  const matchType = safeText(body.match_type).toUpperCase();
+  const matchId = num(body.match_id);
+
+  if (!MATCH_TYPES[matchType]) {
+    return reply.code(400).send({ error: "match_type must be SUPPLIER_PAYMENT or CUSTOMER_PAYMENT" });
+  }
+  if (!matchId) return reply.code(400).send({ error: "match_id is required" });
+
+  const t = await sequelize.transaction();
+  try {
+    const line = await loadLine(request, reply, t);
+    if (!line) {
+      await t.rollback();
+      return reply;
+    }
+
+    const isDebit = num(line.debit) > 0;
+    if (isDebit !== (matchType === MATCH_TYPES.SUPPLIER_PAYMENT)) {
+      await t.rollback();
+      return reply.code(400).send({
+        error: isDebit
+          ? "Withdrawal lines can only be matched to supplier payments"
+          : "Deposit lines can only be matched to customer receipts",
+      });
+    }
+
+    const Model = matchType === MATCH_TYPES.SUPPLIER_PAYMENT ? SupplierPayment : CustomerPayment;
+    const payment = await Model.findByPk(matchId, { transaction: t });
+    if (!payment) {
+      await t.rollback();
+      return reply.code(404).send({ error: "Payment not found" });
+    }
+
+    const taken = await takenPayments({ exceptLineIds: [num(line.id)], t });
+    if (taken.has(`${matchType}:${matchId}`)) {
+      await t.rollback();
+      return reply.code(400).send({ error: "This payment is already matched to another bank line" });
+    }
+
+    const lineAmount = round2(isDebit ? line.debit : line.credit);
+    const diff = round2(lineAmount - round2(payment.amount));
+
+    await line.update(
+      {
+        match_status: "confirmed",
+        match_type: matchType,
+        match_id: matchId,
+        match_score: null,
+        matched_by: request.user?.id || null,
+        matched_at: new Date(),
+        remarks: cleanStr(body.remarks, 255) || line.remarks,
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+    return reply.send({
+      message: diff ? `Matched (amount differs by ${diff.toFixed(2)})` : "Matched",
+      amount_difference: diff,
+      line: (await withMatches([line]))[0],
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log?.error?.(err);
+    console.error("❌ bank match error:", err);
+    return reply.code(500).send({ error: "Failed to match line" });
+  }
+};
+
+/* ============================
+   POST /api/bank-reconciliation/lines/:lineId/confirm
+   → accept the auto-match suggestion
+   ============================ */
+exports.confirmLine = async (request, reply) => {
+  try {
+    const line = await loadLine(request, reply);
+    if (!line) return reply;
+
+    if (line.match_status !== "suggested") {
+      return reply.code(400).send({ error: "Only suggested matches can be confirmed" });
+    }
+
+    await line.update({ match_status: "confirmed", matched_by: request.user?.id || null, matched_at: new Date() });
+    return reply.send({ message: "Match confirmed", line: (await withMatches([line]))[0] });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ bank confirm error:", err);
+    return reply.code(500).send({ error: "Failed to confirm match" });
+  }
+};
+
+/* ============================
+   POST /api/bank-reconciliation/lines/:lineId/unmatch
+   ============================ */
+exports.unmatchLine = async (request, reply) => {
+  try {
+    const line = await loadLine(request, reply);
+    if (!line) return reply;
+
+    await line.update({
+      match_status: "unmatched",
+      match_type: null,
+      match_id: null,
+      match_score: null,
+      matched_by: null,
+      matched_at: null,
+    });
+    return reply.send({ message: "Match removed", line });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ bank unmatch error:", err);
+    return reply.code(500).send({ error: "Failed to remove match" });
+  }
+};
+
+/* ============================
+   POST /api/bank-reconciliation/lines/:lineId/ignore
+   Body: { remarks? }   // bank charges, interest, own transfers
+   ============================ */
+exports.ignoreLine = async (request, reply) => {
+  try {
+    const line = await loadLine(request, reply);
+    if (!line) return reply;
+
+    await line.update({
+      match_status: "ignored",
+      match_type: null,
+      match_id: null,
+      match_score: null,
+      matched_by: request.user?.id || null,
+      matched_at: new Date(),
+      remarks: cleanStr(request.body?.remarks, 255) || line.remarks,
+    });
+    return reply.send({ message: "Line marked as not a payment", line });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ bank ignore error:", err);
+    return reply.code(500).send({ error: "Failed to update line" });
+  }
+};
@@ -4,6 +4,9 @@ const { Book, Publisher, Supplier, Class, sequelize } = require("../models");
 const { Op } = require("sequelize");
 const XLSX = require("xlsx"); // ⭐ for Excel import/export (import)
 const ExcelJS = require("exceljs"); // ⭐ for Excel export with dropdown
+const PDFDocument = require("pdfkit");
+const { barcodeForBook, drawBarcode, resolveScannedCodes } = require("../services/barcodeService");
+const { isValidGstRate } = require("../services/gstService");
 
 /* ---------------- Helpers ---------------- */
 
@@ -30,6 +33,14 @@ function calcRateFromMrp(mrp, discount_percent) {
   return Math.round(rate * 100) / 100;
 }
 
+// GST rate: "" / null => null (exempt), else must be a notified slab
+function parseGstRate(v) {
+  const n = toNumberOrNull(v);
+  if (n === null) return { value: null };
+  if (!isValidGstRate(n)) return { error: `gst_rate ${v} is not a valid GST rate` };
+  return { value: n };
+}
+
 /**
  * GET /api/books
  * Query params:
@@ -163,6 +174,8 @@ exports.createBook = async (request, reply) => {
       discount_percent, // ✅ NEW
       rate, // ✅ NEW
       selling_price,
+      hsn_code,
+      gst_rate,
       is_active = true,
     } = request.body || {};
 
@@ -197,6 +210,12 @@ exports.createBook = async (request, reply) => {
       supplierIdToSave = Number(supplier_id);
     }
 
+    const gst = parseGstRate(gst_rate);
+    if (gst.error) {
+      await t.rollback();
+      return reply.code(400).send({ message: gst.error });
+    }
+
     const mrpVal = mrp ?? null;
     const discountVal = discount_percent ?? null;
 
@@ -220,6 +239,8 @@ exports.createBook = async (request, reply) => {
         discount_percent: discountVal,
         rate: rateVal,
         selling_price: selling_price ?? null,
+        hsn_code: hsn_code ? String(hsn_code).trim() : null,
+        gst_rate: gst.value,
         is_active: Boolean(is_active),
       },
       { transaction: t }
@@ -272,6 +293,8 @@ exports.updateBook = async (request, reply) => {
       discount_percent, // ✅ NEW
       rate, // ✅ NEW
       selling_price,
+      hsn_code,
+      gst_rate,
       is_active,
     } = request.body || {};
 
@@ -327,6 +350,17 @@ exports.updateBook = async (request, reply) => {
     }
 
     if (typeof selling_price !== "undefined") book.selling_price = selling_price;
+
+    if (typeof hsn_code !== "undefined") book.hsn_code = hsn_code ? String(hsn_code).trim() : null;
+    if (typeof gst_rate !== "undefined") {
+      const gst = parseGstRate(gst_rate);
+      if (gst.error) {
+        await t.rollback();
+        return reply.code(400).send({ message: gst.error });
+      }
+      book.gst_rate = gst.value;
+    }
+
     if (typeof is_active !== "undefined") book.is_active = Boolean(is_active);
 
     await book.save({ transaction: t });
@@ -439,6 +473,9 @@ exports.importBooks = async (request, reply) => {
       const sellingPriceRaw =
         row["Selling Price"] || row.selling_price || row.SellingPrice || "";
 
+      const hsnRaw = row.HSN || row.hsn_code || row["HSN Code"] || "";
+      const gstRaw = row["GST %"] ?? row.gst_rate ?? row["GST Rate"] ?? "";
+
       const isActiveRaw =
         row["Is Active"] || row.is_active || row.IsActive || true;
 
@@ -500,6 +537,12 @@ exports.importBooks = async (request, reply) => {
       const discount_percent = toNumberOrNull(discountRaw);
       const selling_price = toNumberOrNull(sellingPriceRaw);
 
+      const gst = parseGstRate(gstRaw);
+      if (gst.error) {
+        errors.push({ row: rowNumber, error: gst.error });
+        continue;
+      }
+
       // ✅ rate: take from file if present else auto-calc if possible
       let rate = toNumberOrNull(rateRaw);
       if (rate === null) {
@@ -520,6 +563,8 @@ exports.importBooks = async (request, reply) => {
         discount_percent,
         rate,
         selling_price,
+        hsn_code: String(hsnRaw || "").trim() || null,
+        gst_rate: gst.value,
         is_active,
       };
 
@@ -590,7 +635,9 @@ exports.exportBooks = async (request, reply) => {
     // 13 Discount %
     // 14 Rate
     // 15 Selling Price
-    // 16 Is Active
+    // 16 HSN
+    // 17 GST %
+    // 18 Is Active
     booksSheet.columns = [
       { header: "ID", key: "id", width: 8 },
       { header: "Title", key: "title", width: 40 },
@@ -607,6 +654,8 @@ exports.exportBooks = async (request, reply) => {
       { header: "Discount %", key: "discount_percent", width: 12 },
       { header: "Rate", key: "rate", width: 12 },
       { header: "Selling Price", key: "selling_price", width: 12 },
+      { header: "HSN", key: "hsn_code", width: 10 },
+      { header: "GST %", key: "gst_rate", width: 8 },
       { header: "Is Active", key: "is_active", width: 10 },
     ];
 
@@ -631,6 +680,8 @@ exports.exportBooks = async (request, reply) => {
         discount_percent: b.discount_percent,
         rate: b.rate,
         selling_price: b.selling_price,
+        hsn_code: b.hsn_code,
+        gst_rate: b.gst_rate,
         is_active: b.is_active ? "TRUE" : "FALSE",
       });
     });
@@ -722,3 +773,136 @@ exports.exportBooks = async (request, reply) => {
     });
   }
 };
+
+/* ------------ LABELS: POST /api/books/labels ------------ */
+/**
+ * Printable barcode label sheet (A4 grid)
+ * body: { items: [{ book_id, copies }], cols?, rows?, skip?, show_price? }
+ *  - EAN-13 when ISBN is valid, else Code128 of book code (or BK<id>)
+ *  - skip: blank positions at the start (partly used sticker sheet)
+ */
+exports.labelsPdf = async (request, reply) => {
+  const body = request.body || {};
+  const items = Array.isArray(body.items) ? body.items : [];
+
+  const cols = Math.min(6, Math.max(1, toNumberOrNull(body.cols) || 3));
+  const rows = Math.min(16, Math.max(1, toNumberOrNull(body.rows) || 8));
+  const skip = Math.max(0, Math.floor(toNumberOrNull(body.skip) || 0));
+  const showPrice = normalizeBool(body.show_price, true);
+
+  const wanted = items
+    .map((x) => ({ book_id: toNumberOrNull(x.book_id), copies: Math.floor(toNumberOrNull(x.copies) || 1) }))
+    .filter((x) => x.book_id && x.copies > 0);
+
+  if (!wanted.length) {
+    return reply.code(400).send({ message: "items is required (book_id, copies > 0)" });
+  }
+
+  const totalLabels = wanted.reduce((s, x) => s + x.copies, 0);
+  if (totalLabels > 5000) {
+    return reply.code(400).send({ message: "Too many labels in one sheet request (max 5000)" });
+  }
+
+  try {
+    const books = await Book.findAll({
+      where: { id: wanted.map((x) => x.book_id) },
+      attributes: ["id", "title", "class_name", "code", "isbn", "mrp"],
+    });
+    const bookMap = new Map(books.map((b) => [Number(b.id), b]));
+
+    const missing = wanted.filter((x) => !bookMap.has(x.book_id)).map((x) => x.book_id);
+    if (missing.length) {
+      return reply.code(404).send({ message: "Some books not found", missing });
+    }
+
+    const doc = new PDFDocument({ size: "A4", margin: 18 });
+    const chunks = [];
+    doc.on("data", (d) => chunks.push(d));
+    const done = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+
+    const pageW = doc.page.width - 36;
+    const pageH = doc.page.height - 36;
+    const cellW = pageW / cols;
+    const cellH = pageH / rows;
+    const perPage = cols * rows;
+
+    let pos = skip % perPage;
+
+    for (const w of wanted) {
+      const book = bookMap.get(w.book_id);
+      const barcode = barcodeForBook(book);
+
+      for (let c = 0; c < w.copies; c++) {
+        if (pos === perPage) {
+          doc.addPage();
+          pos = 0;
+        }
+
+        const x = 18 + (pos % cols) * cellW;
+        const y = 18 + Math.floor(pos / cols) * cellH;
+        const pad = 6;
+        const innerW = cellW - pad * 2;
+
+        doc.fillColor("#000").font("Helvetica-Bold").fontSize(7.5);
+        doc.text(String(book.title || ""), x + pad, y + pad, { width: innerW, height: 10, ellipsis: true, lineBreak: false });
+
+        doc.font("Helvetica").fontSize(6.5);
+        const sub = [book.class_name, book.code].filter(Boolean).join(" | ");
+        if (sub) doc.text(sub, x + pad, y + pad + 10, { width: innerW, height: 8, ellipsis: true, lineBreak: false });
+
+        const barH = Math.max(12, cellH - pad * 2 - 38);
+        drawBarcode(doc, barcode, { x: x + pad, y: y + pad + 20, width: innerW, height: barH });
+
+        doc.fillColor("#000").font("Helvetica").fontSize(7);
+        doc.text(barcode.value, x + pad, y + pad + 22 + barH, { width: innerW, align: "center", lineBreak: false });
+
+        if (showPrice && Number(book.mrp) > 0) {
+          doc.font("Helvetica-Bold").fontSize(7);
+          doc.text(`MRP Rs. ${Number(book.mrp).toFixed(2)}`, x + pad, y + pad + 31 + barH, {
+            width: innerW,
+            align: "center",
+            lineBreak: false,
+          });
+        }
+
+        pos++;
+      }
+    }
+
+    doc.end();
+    const pdf = await done;
+
+    reply.header("Content-Type", "application/pdf").header("Content-Disposition", 'inline; filename="book_labels.pdf"');
+    return reply.send(pdf);
+  } catch (err) {
+    request.log.error({ err }, "book labelsPdf failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* ------------ SCAN LOOKUP: POST /api/books/resolve-codes ------------ */
+/**
+ * body: { codes: ["9788120000000", "ENG-5", ...] }
+ * Returns book-wise scan counts + codes that matched nothing
+ */
+exports.resolveCodes = async (request, reply) => {
+  const codes = Array.isArray(request.body?.codes) ? request.body.codes : [];
+  if (!codes.length) return reply.code(400).send({ message: "codes is required (array)" });
+
+  try {
+    const { counts, books, unknown } = await resolveScannedCodes(codes);
+
+    const rows = Array.from(counts.entries()).map(([book_id, qty]) => {
+      const b = books.get(book_id);
+      return { book_id, title: b.title, class_name: b.class_name, code: b.code, isbn: b.isbn, qty };
+    });
+
+    return reply.send({ rows, unknown });
+  } catch (err) {
+    request.log.error({ err }, "book resolveCodes failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
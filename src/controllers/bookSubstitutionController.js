@@ -0,0 +1,184 @@
+// controllers/bookSubstitutionController.js
+
+"use strict";
+
+const { BookSubstitution, Book, School, User, sequelize } = require("../models");
+const { Op } = require("sequelize");
+const { substituteBook } = require("../services/bookSubstitutionService");
+
+/* ===========================
+ * Small helpers
+ * =========================== */
+
+const toInt = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+};
+
+const toStr = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  return String(v).trim() || null;
+};
+
+const truthy = (v) => {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v === 1;
+  if (typeof v === "string") {
+    const s = v.toLowerCase().trim();
+    return ["1", "true", "yes", "y", "on"].includes(s);
+  }
+  return Boolean(v);
+};
+
+const bookAttrs = ["id", "title", "edition", "isbn", "code", "class_name", "supplier_id", "mrp", "rate", "selling_price", "is_active"];
+
+function readOptions(body) {
+  return {
+    old_book_id: toInt(body.old_book_id ?? body.oldBookId),
+    new_book_id: toInt(body.new_book_id ?? body.newBookId),
+    school_id: toInt(body.school_id ?? body.schoolId),
+    academic_session: toStr(body.academic_session ?? body.session),
+    reprice: truthy(body.reprice ?? true),
+    deactivate_old_product: truthy(body.deactivate_old_product ?? true),
+    deactivate_old_book: truthy(body.deactivate_old_book ?? false),
+    note: toStr(body.note),
+  };
+}
+
+async function loadBooks(opts, t) {
+  if (!opts.old_book_id || !opts.new_book_id) return { error: "old_book_id and new_book_id are required." };
+  if (opts.old_book_id === opts.new_book_id) return { error: "old_book_id and new_book_id must be different." };
+
+  const books = await Book.findAll({ where: { id: [opts.old_book_id, opts.new_book_id] }, transaction: t });
+  const oldBook = books.find((b) => Number(b.id) === opts.old_book_id);
+  const newBook = books.find((b) => Number(b.id) === opts.new_book_id);
+
+  if (!oldBook) return { error: "Invalid old_book_id." };
+  if (!newBook) return { error: "Invalid new_book_id." };
+  return { oldBook, newBook };
+}
+
+/**
+ * POST /api/book-substitutions/preview
+ * Body: { old_book_id, new_book_id, school_id?, academic_session?, reprice?, deactivate_old_product?, deactivate_old_book? }
+ */
+exports.previewSubstitution = async (request, reply) => {
+  try {
+    const opts = readOptions(request.body || {});
+    const { error, oldBook, newBook } = await loadBooks(opts);
+    if (error) return reply.code(400).send({ error: "BadRequest", message: error });
+
+    const result = await substituteBook({ ...opts, oldBook, newBook, apply: false });
+    return reply.send(result);
+  } catch (err) {
+    request.log.error({ err }, "Error in previewSubstitution");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to preview substitution",
+    });
+  }
+};
+
+/**
+ * POST /api/book-substitutions/apply
+ * Same body as preview, plus note?. Writes an audit record.
+ */
+exports.applySubstitution = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const opts = readOptions(request.body || {});
+    const { error, oldBook, newBook } = await loadBooks(opts, t);
+    if (error) {
+      await t.rollback();
+      return reply.code(400).send({ error: "BadRequest", message: error });
+    }
+
+    const result = await substituteBook({
+      ...opts,
+      oldBook,
+      newBook,
+      apply: true,
+      userId: request.user?.id,
+      t,
+    });
+
+    await t.commit();
+
+    const s = result.summary;
+    return reply.send({
+      message: `Substituted "${oldBook.title}" with "${newBook.title}": ${s.requirements} requirement(s), ${s.order_items} order line(s), ${s.bundle_items} bundle line(s).`,
+      ...result,
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log.error({ err }, "Error in applySubstitution");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to apply substitution",
+    });
+  }
+};
+
+/**
+ * GET /api/book-substitutions?book_id=
+ * Audit trail, newest first (book_id matches old or new)
+ */
+exports.listSubstitutions = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const book_id = toInt(q.book_id ?? q.bookId);
+
+    const where = {};
+    if (book_id) where[Op.or] = [{ old_book_id: book_id }, { new_book_id: book_id }];
+
+    const rows = await BookSubstitution.findAll({
+      where,
+      attributes: { exclude: ["details"] },
+      include: [
+        { model: Book, as: "oldBook", attributes: bookAttrs },
+        { model: Book, as: "newBook", attributes: bookAttrs },
+        { model: School, as: "school", attributes: ["id", "name"], required: false },
+        { model: User, as: "creator", attributes: ["id", "name"], required: false },
+      ],
+      order: [["id", "DESC"]],
+      limit: 200,
+    });
+
+    return reply.send(rows);
+  } catch (err) {
+    request.log.error({ err }, "Error in listSubstitutions");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to fetch substitutions",
+    });
+  }
+};
+
+/**
+ * GET /api/book-substitutions/:id
+ */
+exports.getSubstitution = async (request, reply) => {
+  try {
+    const id = toInt(request.params?.id);
+    const row = id
+      ? await BookSubstitution.findByPk(id, {
+          include: [
+            { model: Book, as: "oldBook", attributes: bookAttrs },
+            { model: Book, as: "newBook", attributes: bookAttrs },
+            { model: School, as: "school", attributes: ["id", "name"], required: false },
+            { model: User, as: "creator", attributes: ["id", "name"], required: false },
+          ],
+        })
+      : null;
+    if (!row) return reply.code(404).send({ message: "Substitution not found" });
+
+    return reply.send(row);
+  } catch (err) {
+    request.log.error({ err }, "Error in getSubstitution");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to fetch substitution",
+    });
+  }
+};
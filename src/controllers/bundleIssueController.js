@@ -14,6 +14,7 @@ const {
   BundleIssue,
   InventoryBatch,
   InventoryTxn,
+  Warehouse,
   School,
   Distributor,
   DistributorSchool, // ✅ NEW
@@ -25,6 +26,14 @@ const {
   sequelize,
 } = require("../models");
 
+const {
+  reservationExpiry,
+  loadOpenReservations,
+  releaseIssueReservation,
+  sweepExpiredReservations,
+} = require("../services/reservationService");
+const { resolveScannedCodes } = require("../services/barcodeService");
+
 /* ---------------- Helpers ---------------- */
 
 const TXN_TYPE = {
@@ -164,9 +173,13 @@ function enforceIssuerAuthorization({ user, issued_to_type, issued_to_id }) {
  * ✅ FIFO allocation from available batches
  * returns allocations + remaining (shortage)
  */
-async function allocateFromBatches({ book_id, qtyNeeded, t, lock }) {
+async function allocateFromBatches({ book_id, qtyNeeded, t, lock, warehouse_id = null }) {
+  const where = { book_id, available_qty: { [Op.gt]: 0 } };
+  // ✅ counter sale / issue: draw only from that warehouse
+  if (warehouse_id) where.warehouse_id = warehouse_id;
+
   const batches = await InventoryBatch.findAll({
-    where: { book_id, available_qty: { [Op.gt]: 0 } },
+    where,
     order: [["id", "ASC"]],
     transaction: t,
     lock: lock ? t.LOCK.UPDATE : undefined,
@@ -1004,6 +1017,8 @@ exports.issueBundle = async (request, reply) => {
   const issued_to_type_raw = String(body.issued_to_type || "SCHOOL").toUpperCase();
   const issued_to_id_raw = num(body.issued_to_id);
   const qtyMultiplier = Math.max(1, num(body.qty) || 1);
+  const warehouse_id = body.warehouse_id != null ? num(body.warehouse_id) : null;
+  const reserve_days = body.reserve_days != null ? num(body.reserve_days) : null;
 
   const remarksRaw = body.remarks ?? body.notes;
   const remarks = remarksRaw ? String(remarksRaw).trim() : null;
@@ -1035,6 +1050,15 @@ exports.issueBundle = async (request, reply) => {
       return reply.code(code).send({ message: e.message });
     }
 
+    // ✅ counter: stock drawn only from this warehouse
+    if (warehouse_id) {
+      const wh = await Warehouse.findByPk(warehouse_id, { transaction: t });
+      if (!wh || !wh.is_active) {
+        await t.rollback();
+        return reply.code(404).send({ message: "Warehouse not found or inactive" });
+      }
+    }
+
     const bundle = await Bundle.findByPk(bundleId, {
       include: [
         {
@@ -1166,6 +1190,7 @@ exports.issueBundle = async (request, reply) => {
         qtyNeeded: it.toRequest,
         t,
         lock: true,
+        warehouse_id,
       });
 
       const issuedNow = allocations.reduce((s, a) => s + num(a.qty), 0);
@@ -1296,6 +1321,7 @@ exports.issueBundle = async (request, reply) => {
         issued_by: request.user?.id || null,
         remarks: mergedRemarks,
         status: status_db,
+        reserved_until: shortages.length ? reservationExpiry(new Date(), reserve_days) : null,
       },
       { transaction: t }
     );
@@ -1330,6 +1356,22 @@ exports.issueBundle = async (request, reply) => {
       await InventoryTxn.bulkCreate(outTxns, { transaction: t });
     }
 
+    // ✅ short qty is reserved against incoming stock until reserved_until
+    if (shortages.length) {
+      await InventoryTxn.bulkCreate(
+        shortages.map((s) => ({
+          txn_type: TXN_TYPE.RESERVE,
+          book_id: s.book_id,
+          batch_id: null,
+          qty: s.shortBy,
+          ref_type: "BUNDLE_ISSUE",
+          ref_id: issue.id,
+          notes: `Reserve for issue #${issue.issue_no} (pending stock)`,
+        })),
+        { transaction: t }
+      );
+    }
+
     const newBundleStatus =
       computed_status === "ISSUED"
         ? "ISSUED"
@@ -1361,6 +1403,7 @@ exports.issueBundle = async (request, reply) => {
         pretty_notes: normalized.pretty_notes,
         meta: normalized.meta,
         remarks: issue.remarks ?? null,
+        reserved_until: issue.reserved_until ?? null,
       },
       bundle: {
         id: bundle.id,
@@ -1405,6 +1448,83 @@ exports.getOne = async (request, reply) => {
   }
 };
 
+/* =========================================================
+   ✅ POST /api/bundle-issues/:id/scan
+   body: { codes: ["9788120000000", "ENG-5", ...] }
+   Pick check while packing: scans vs books issued (net of returns)
+   - matched / short / extra per book, ok=true only when all match
+   ========================================================= */
+exports.scanVerify = async (request, reply) => {
+  const issueId = num(request.params?.id);
+  if (!issueId) return reply.code(400).send({ message: "Invalid issue id" });
+
+  const codes = Array.isArray(request.body?.codes) ? request.body.codes : [];
+  if (!codes.length) return reply.code(400).send({ message: "codes is required (array)" });
+
+  try {
+    const issue = await BundleIssue.findByPk(issueId);
+    if (!issue) return reply.code(404).send({ message: "Issue not found" });
+
+    try {
+      enforceIssuerAuthorization({
+        user: request.user,
+        issued_to_type: String(issue.issued_to_type).toUpperCase(),
+        issued_to_id: num(issue.issued_to_id),
+      });
+    } catch (e) {
+      return reply.code(e.statusCode || 403).send({ message: e.message });
+    }
+
+    if (String(issue.status).toUpperCase() === "CANCELLED") {
+      return reply.code(400).send({ message: "Issue is cancelled" });
+    }
+
+    const { meta } = extractMetaFromRemarks(issue.remarks);
+    const expected = new Map();
+    const titles = new Map();
+
+    for (const r of meta?.issued_summary || []) {
+      const bookId = num(r.book_id);
+      if (!bookId) continue;
+      expected.set(bookId, (expected.get(bookId) || 0) + num(r.qty));
+      titles.set(bookId, r.title);
+    }
+    for (const r of meta?.returned_summary || []) {
+      const bookId = num(r.book_id);
+      if (expected.has(bookId)) expected.set(bookId, expected.get(bookId) - num(r.qty));
+    }
+
+    const { counts, books, unknown } = await resolveScannedCodes(codes);
+
+    const rows = [];
+    for (const bookId of new Set([...expected.keys(), ...counts.keys()])) {
+      const exp = Math.max(0, expected.get(bookId) || 0);
+      const scanned = counts.get(bookId) || 0;
+      rows.push({
+        book_id: bookId,
+        title: titles.get(bookId) || books.get(bookId)?.title || `Book #${bookId}`,
+        expected: exp,
+        scanned,
+        short: Math.max(0, exp - scanned),
+        extra: Math.max(0, scanned - exp),
+      });
+    }
+
+    const ok = !unknown.length && rows.every((r) => r.short === 0 && r.extra === 0);
+
+    return reply.send({
+      issue_id: issue.id,
+      issue_no: issue.issue_no,
+      ok,
+      rows,
+      unknown,
+    });
+  } catch (err) {
+    request.log.error({ err }, "scanVerify issue failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
 /* =========================================================
    ✅ GET /api/bundle-issues/:id/invoice
    ========================================================= */
@@ -1916,6 +2036,11 @@ exports.cancel = async (request, reply) => {
       await InventoryTxn.bulkCreate(inTxns, { transaction: t });
     }
 
+    // ✅ pending-stock reservation is no longer needed
+    if (!issue.reservation_released_at) {
+      await releaseIssueReservation({ issue, reason: "issue cancelled", t });
+    }
+
     await issue.update(
       {
         status: "CANCELLED",
@@ -1974,3 +2099,155 @@ exports.cancel = async (request, reply) => {
     return reply.code(500).send({ message: err?.message || "Internal Server Error" });
   }
 };
+
+/* =========================================================
+   GET /api/bundle-issues/reservations?within_days=3&include_expired=true
+   ✅ Open pending-stock reservations, soonest expiry first
+   ========================================================= */
+exports.listReservations = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const withinDays = q.within_days != null ? Math.max(0, num(q.within_days)) : 3;
+    const includeExpired = String(q.include_expired ?? "true").toLowerCase() !== "false";
+
+    const now = new Date();
+    const until = new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000);
+
+    const where = {
+      status: { [Op.ne]: "CANCELLED" },
+      reservation_released_at: null,
+      reserved_until: includeExpired ? { [Op.lte]: until } : { [Op.between]: [now, until] },
+    };
+
+    const issues = await BundleIssue.findAll({
+      where,
+      include: issueInclude(),
+      order: [["reserved_until", "ASC"]],
+    });
+
+    const openMap = await loadOpenReservations(issues.map((i) => num(i.id)));
+
+    const rows = issues
+      .map((issue) => {
+        const lines = openMap.get(num(issue.id)) || [];
+        const obj = issue.toJSON();
+        const expiresAt = new Date(obj.reserved_until);
+
+        return {
+          issue_id: obj.id,
+          issue_no: obj.issue_no,
+          issue_date: obj.issue_date,
+          bundle_id: obj.bundle_id,
+          issued_to_type: obj.issued_to_type,
+          issued_to_id: obj.issued_to_id,
+          issued_to_name:
+            (String(obj.issued_to_type).toUpperCase() === "DISTRIBUTOR"
+              ? obj.issuedDistributor?.name
+              : obj.issuedSchool?.name) || null,
+          reserved_until: obj.reserved_until,
+          expired: expiresAt <= now,
+          hours_left: Math.round((expiresAt.getTime() - now.getTime()) / 36e5),
+          reserved_qty: lines.reduce((s, l) => s + l.qty, 0),
+          lines,
+        };
+      })
+      .filter((r) => r.reserved_qty > 0);
+
+    return reply.send({ within_days: withinDays, count: rows.length, rows });
+  } catch (err) {
+    request.log.error({ err }, "listReservations failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   PATCH /api/bundle-issues/:id/reservation
+   body: { reserve_days } (from now) or { reserved_until }
+   ✅ Extend / shorten a still-open reservation
+   ========================================================= */
+exports.updateReservation = async (request, reply) => {
+  const issueId = num(request.params?.id);
+  if (!issueId) return reply.code(400).send({ message: "Invalid issue id" });
+
+  const body = request.body || {};
+  let reservedUntil = null;
+  if (body.reserved_until) {
+    reservedUntil = new Date(body.reserved_until);
+    if (Number.isNaN(reservedUntil.getTime())) {
+      return reply.code(400).send({ message: "reserved_until must be a valid date" });
+    }
+  } else if (num(body.reserve_days) > 0) {
+    reservedUntil = reservationExpiry(new Date(), body.reserve_days);
+  } else {
+    return reply.code(400).send({ message: "reserve_days (> 0) or reserved_until is required" });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const issue = await BundleIssue.findByPk(issueId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!issue) {
+      await t.rollback();
+      return reply.code(404).send({ message: "Issue not found" });
+    }
+    if (String(issue.status).toUpperCase() === "CANCELLED" || issue.reservation_released_at || !issue.reserved_until) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Issue has no open reservation" });
+    }
+
+    await issue.update({ reserved_until: reservedUntil }, { transaction: t });
+    await t.commit();
+
+    return reply.send({ message: "Reservation updated", issue_id: issue.id, reserved_until: issue.reserved_until });
+  } catch (err) {
+    request.log.error({ err }, "updateReservation failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/bundle-issues/:id/reservation/release
+   ✅ Manual release (e.g. distributor confirmed they won't collect)
+   ========================================================= */
+exports.releaseReservation = async (request, reply) => {
+  const issueId = num(request.params?.id);
+  if (!issueId) return reply.code(400).send({ message: "Invalid issue id" });
+
+  const reason = String(request.body?.reason || "released by admin").trim();
+
+  const t = await sequelize.transaction();
+  try {
+    const issue = await BundleIssue.findByPk(issueId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!issue) {
+      await t.rollback();
+      return reply.code(404).send({ message: "Issue not found" });
+    }
+    if (issue.reservation_released_at) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Reservation already released" });
+    }
+
+    const lines = await releaseIssueReservation({ issue, reason, t });
+    await t.commit();
+
+    return reply.send({ message: "Reservation released", issue_id: issue.id, released: lines });
+  } catch (err) {
+    request.log.error({ err }, "releaseReservation failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/bundle-issues/reservations/sweep
+   ✅ Same as the background job, run on demand
+   ========================================================= */
+exports.sweepReservations = async (request, reply) => {
+  try {
+    const released = await sweepExpiredReservations({ logger: request.log });
+    return reply.send({ message: "Sweep completed", released_count: released.length, released });
+  } catch (err) {
+    request.log.error({ err }, "sweepReservations failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
@@ -0,0 +1,662 @@
+// src/controllers/creditNoteController.js
+"use strict";
+
+const { Op } = require("sequelize");
+const PDFDocument = require("pdfkit");
+const {
+  sequelize,
+  Sale,
+  SaleItem,
+  SchoolSale,
+  SchoolSaleItem,
+  School,
+  Distributor,
+  InventoryBatch,
+  InventoryTxn,
+  CreditNote,
+  CreditNoteItem,
+  CompanyProfile,
+} = require("../models");
+const { syncSaleLedger, postCreditNote } = require("../services/customerLedgerService");
+const { CREDIT_NOTE_REF, creditedByLine, returnableBatches } = require("../services/creditNoteService");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+const cleanStr = (v, max = 255) => {
+  const s = String(v || "").trim();
+  if (!s) return null;
+  return s.length > max ? s.slice(0, max) : s;
+};
+
+const SALE_TYPES = ["SALE", "SCHOOL_SALE"];
+
+const TAX_KEYS = ["taxable_value", "cgst_amount", "sgst_amount", "igst_amount"];
+
+function formatDateIN(d) {
+  if (!d) return "-";
+  const dt = d instanceof Date ? d : new Date(d);
+  if (isNaN(dt.getTime())) return String(d);
+  const dd = String(dt.getDate()).padStart(2, "0");
+  const mm = String(dt.getMonth() + 1).padStart(2, "0");
+  return `${dd}-${mm}-${dt.getFullYear()}`;
+}
+
+function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+async function makeCreditNoteNo(t) {
+  const d = new Date();
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+
+  const last = await CreditNote.findOne({
+    order: [["id", "DESC"]],
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+
+  const lastSeq = last && last.credit_note_no ? String(last.credit_note_no).split("-").pop() : "0";
+  const seq = String(num(lastSeq) + 1).padStart(6, "0");
+  return `CN-${yyyy}-${mm}-${seq}`;
+}
+
+/**
+ * Bill + its lines in one shape for both Sale and SchoolSale.
+ * Returns null if not found.
+ */
+async function loadBill(sale_type, sale_id, t, lock = false) {
+  const lockOpt = lock && t ? { lock: t.LOCK.UPDATE } : {};
+
+  if (sale_type === "SALE") {
+    const sale = await Sale.findByPk(sale_id, { transaction: t, ...lockOpt });
+    if (!sale) return null;
+    const items = await SaleItem.findAll({ where: { sale_id }, order: [["id", "ASC"]], transaction: t });
+    const isAccount = ["SCHOOL", "DISTRIBUTOR"].includes(String(sale.sold_to_type).toUpperCase()) && num(sale.sold_to_id);
+    return {
+      sale,
+      customer_type: isAccount ? String(sale.sold_to_type).toUpperCase() : "WALKIN",
+      customer_id: isAccount ? num(sale.sold_to_id) : null,
+      lines: items.map((it) => normalizeLine(it, num(it.qty ?? it.requested_qty), num(it.unit_price ?? it.requested_unit_price))),
+    };
+  }
+
+  const sale = await SchoolSale.findByPk(sale_id, { transaction: t, ...lockOpt });
+  if (!sale) return null;
+  const items = await SchoolSaleItem.findAll({ where: { school_sale_id: sale_id }, order: [["id", "ASC"]], transaction: t });
+  return {
+    sale,
+    customer_type: "SCHOOL",
+    customer_id: num(sale.school_id),
+    lines: items.map((it) => normalizeLine(it, num(it.requested_qty), num(it.requested_unit_price))),
+  };
+}
+
+function normalizeLine(it, billedQty, unitPrice) {
+  return {
+    sale_item_id: num(it.id),
+    product_id: it.product_id ? num(it.product_id) : null,
+    book_id: it.book_id ? num(it.book_id) : null,
+    kind: it.kind || "BOOK",
+    title_snapshot: it.title_snapshot || null,
+    class_name_snapshot: it.class_name_snapshot || null,
+    billed_qty: billedQty,
+    issued_qty: num(it.issued_qty),
+    unit_price: round2(unitPrice),
+    amount: round2(it.amount),
+    hsn_code: it.hsn_code || null,
+    gst_rate: round2(it.gst_rate),
+    taxable_value: round2(it.taxable_value),
+    cgst_amount: round2(it.cgst_amount),
+    sgst_amount: round2(it.sgst_amount),
+    igst_amount: round2(it.igst_amount),
+  };
+}
+
+/**
+ * Per line: billed, already credited and still returnable qty
+ */
+function returnableLines(bill, credited) {
+  return bill.lines.map((l) => {
+    const prev = credited.get(l.sale_item_id) || {};
+    const credited_qty = num(prev.qty);
+    const restocked_qty = num(prev.restocked_qty);
+    return {
+      ...l,
+      credited_qty,
+      restocked_qty,
+      returnable_qty: round2(Math.max(0, l.billed_qty - credited_qty)),
+      restockable_qty: l.kind === "BOOK" ? Math.max(0, Math.trunc(l.issued_qty - restocked_qty)) : 0,
+    };
+  });
+}
+
+/**
+ * Value of `qty` copies of a line: pro-rata share of the billed taxable value + GST.
+ * Last return of a line takes the exact remainder (no rounding drift).
+ * Old bills without a GST split: billed amount less the bill-discount share.
+ */
+function lineCredit(line, qty, prev, sale) {
+  let base = { ...line };
+  if (base.taxable_value <= 0 && base.amount > 0) {
+    const subtotal = num(sale.subtotal);
+    const share = subtotal > 0 ? Math.max(0, 1 - num(sale.discount) / subtotal) : 1;
+    base = { ...base, taxable_value: round2(base.amount * share), cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+  }
+
+  const out = {};
+  const isLast = round2(num(prev.qty) + qty) >= line.billed_qty;
+  for (const k of TAX_KEYS) {
+    out[k] = isLast
+      ? round2(Math.max(0, base[k] - num(prev[k])))
+      : round2(line.billed_qty > 0 ? (base[k] * qty) / line.billed_qty : 0);
+  }
+  out.amount = round2(out.taxable_value + out.cgst_amount + out.sgst_amount + out.igst_amount);
+  return out;
+}
+
+function parseSaleRef(src) {
+  const sale_type = safeText(src?.sale_type).toUpperCase();
+  const sale_id = num(src?.sale_id);
+  if (!SALE_TYPES.includes(sale_type)) return { error: "sale_type must be SALE or SCHOOL_SALE" };
+  if (!sale_id) return { error: "sale_id is required" };
+  return { sale_type, sale_id };
+}
+
+/* ============================
+   GET /api/credit-notes/returnable?sale_type=SALE|SCHOOL_SALE&sale_id=
+   → bill lines with qty still returnable (for the return screen)
+   ============================ */
+exports.returnable = async (request, reply) => {
+  try {
+    const ref = parseSaleRef(request.query);
+    if (ref.error) return reply.code(400).send({ error: ref.error });
+
+    const bill = await loadBill(ref.sale_type, ref.sale_id);
+    if (!bill) return reply.code(404).send({ error: "Sale not found" });
+
+    const credited = await creditedByLine(ref);
+
+    return reply.send({
+      sale_type: ref.sale_type,
+      sale: bill.sale,
+      customer_type: bill.customer_type,
+      customer_id: bill.customer_id,
+      lines: returnableLines(bill, credited),
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ credit note returnable error:", err);
+    return reply.code(500).send({ error: "Failed to load returnable lines" });
+  }
+};
+
+/* ============================
+   POST /api/credit-notes
+   Body:
+   {
+     sale_type: "SALE"|"SCHOOL_SALE",
+     sale_id: number,
+     items: [{ sale_item_id, qty, restock?: boolean }],  // restock default true (BOOK lines)
+     credit_note_date?: "YYYY-MM-DD",
+     reason?: string
+   }
+   → IN InventoryTxn back to the original batches
+   → bill balance reduced (returned_amount), CREDIT_NOTE posted to customer ledger
+   ============================ */
+exports.create = async (request, reply) => {
+  const body = request.body || {};
+  const ref = parseSaleRef(body);
+  if (ref.error) return reply.code(400).send({ error: ref.error });
+
+  const itemsIn = Array.isArray(body.items) ? body.items : [];
+  const want = itemsIn
+    .map((x) => ({
+      sale_item_id: num(x?.sale_item_id),
+      qty: round2(x?.qty),
+      restock: x?.restock !== false,
+    }))
+    .filter((x) => x.sale_item_id && x.qty > 0);
+  if (!want.length) return reply.code(400).send({ error: "items is required: [{ sale_item_id, qty }]" });
+
+  const t = await sequelize.transaction();
+  try {
+    const bill = await loadBill(ref.sale_type, ref.sale_id, t, true);
+    if (!bill) {
+      await t.rollback();
+      return reply.code(404).send({ error: "Sale not found" });
+    }
+
+    const sale = bill.sale;
+    if (String(sale.status).toUpperCase() !== "COMPLETED") {
+      await t.rollback();
+      return reply.code(400).send({ error: `Cannot return against a ${sale.status} sale` });
+    }
+
+    const credited = await creditedByLine({ ...ref, t });
+    const lines = new Map(returnableLines(bill, credited).map((l) => [l.sale_item_id, l]));
+
+    // validate
+    const seen = new Set();
+    for (const w of want) {
+      const line = lines.get(w.sale_item_id);
+      if (!line) {
+        await t.rollback();
+        return reply.code(400).send({ error: `Line ${w.sale_item_id} does not belong to this sale` });
+      }
+      if (seen.has(w.sale_item_id)) {
+        await t.rollback();
+        return reply.code(400).send({ error: `Line ${w.sale_item_id} repeated` });
+      }
+      seen.add(w.sale_item_id);
+
+      if (line.kind === "BOOK" && w.qty % 1 !== 0) {
+        await t.rollback();
+        return reply.code(400).send({ error: "Book quantity must be whole number", sale_item_id: w.sale_item_id });
+      }
+      if (w.qty > line.returnable_qty) {
+        await t.rollback();
+        return reply.code(400).send({
+          error: `Return qty ${w.qty} exceeds returnable ${line.returnable_qty} for "${line.title_snapshot || w.sale_item_id}"`,
+        });
+      }
+    }
+
+    // legacy bills: make sure the SALE debit is on the ledger before crediting it
+    await syncSaleLedger({ kind: ref.sale_type, sale, t });
+
+    const creditNote = await CreditNote.create(
+      {
+        credit_note_no: await makeCreditNoteNo(t),
+        credit_note_date: safeText(body.credit_note_date).slice(0, 10) || todayISO(),
+        sale_type: ref.sale_type,
+        sale_id: ref.sale_id,
+        sale_no: sale.sale_no,
+        customer_type: bill.customer_type,
+        customer_id: bill.customer_id,
+        is_inter_state: Boolean(sale.is_inter_state),
+        reason: cleanStr(body.reason, 255),
+        created_by: request.user?.id || null,
+      },
+      { transaction: t }
+    );
+
+    const noteItems = [];
+    const inTxns = [];
+    const totals = { taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, amount: 0 };
+
+    // batches still out per book, shared by lines of the same book
+    const batchPool = new Map();
+
+    for (const w of want) {
+      const line = lines.get(w.sale_item_id);
+      const value = lineCredit(line, w.qty, credited.get(w.sale_item_id) || {}, sale);
+
+      let restocked = 0;
+      if (w.restock && line.kind === "BOOK" && line.book_id) {
+        let toRestock = Math.min(w.qty, line.restockable_qty);
+
+        if (!batchPool.has(line.book_id)) {
+          batchPool.set(
+            line.book_id,
+            await returnableBatches({ ...ref, book_id: line.book_id, t })
+          );
+        }
+
+        for (const b of batchPool.get(line.book_id)) {
+          if (toRestock <= 0) break;
+          const q = Math.min(toRestock, b.qty);
+          if (q <= 0) continue;
+
+          await InventoryBatch.update(
+            { available_qty: sequelize.literal(`available_qty + ${q}`) },
+            { where: { id: b.batch_id }, transaction: t }
+          );
+          inTxns.push({
+            txn_type: "IN",
+            book_id: line.book_id,
+            batch_id: b.batch_id,
+            qty: q,
+            ref_type: CREDIT_NOTE_REF,
+            ref_id: creditNote.id,
+            notes: cleanStr(`Credit note ${creditNote.credit_note_no} (bill ${sale.sale_no}) -> ${line.title_snapshot || ""}`, 255),
+          });
+
+          b.qty -= q;
+          toRestock -= q;
+          restocked += q;
+        }
+      }
+
+      noteItems.push({
+        credit_note_id: creditNote.id,
+        sale_item_id: line.sale_item_id,
+        product_id: line.product_id,
+        book_id: line.book_id,
+        kind: line.kind,
+        title_snapshot: line.title_snapshot,
+        class_name_snapshot: line.class_name_snapshot,
+        qty: w.qty,
+        unit_price: line.unit_price,
+        restocked_qty: restocked,
+        hsn_code: line.hsn_code,
+        gst_rate: line.gst_rate,
+        ...value,
+      });
+
+      for (const k of Object.keys(totals)) totals[k] = round2(totals[k] + value[k]);
+    }
+
+    await CreditNoteItem.bulkCreate(noteItems, { transaction: t });
+    if (inTxns.length) await InventoryTxn.bulkCreate(inTxns, { transaction: t });
+
+    // bill: returned goods are no longer payable
+    const total = round2(sale.total_amount);
+    const returnedBefore = round2(sale.returned_amount);
+    const paid = round2(sale.paid_amount);
+
+    const outstandingBefore = round2(Math.max(0, total - returnedBefore - paid));
+    const adjusted_amount = round2(Math.min(totals.amount, outstandingBefore));
+    const refund_amount = round2(totals.amount - adjusted_amount);
+
+    const returned_amount = round2(returnedBefore + totals.amount);
+    await sale.update(
+      { returned_amount, balance_amount: round2(Math.max(0, total - returned_amount - paid)) },
+      { transaction: t }
+    );
+
+    await creditNote.update(
+      {
+        taxable_value: totals.taxable_value,
+        cgst_amount: totals.cgst_amount,
+        sgst_amount: totals.sgst_amount,
+        igst_amount: totals.igst_amount,
+        tax: round2(totals.cgst_amount + totals.sgst_amount + totals.igst_amount),
+        total_amount: totals.amount,
+        adjusted_amount,
+        refund_amount,
+      },
+      { transaction: t }
+    );
+
+    await postCreditNote({ creditNote, t });
+
+    await t.commit();
+
+    const full = await CreditNote.findByPk(creditNote.id, { include: [{ model: CreditNoteItem, as: "items" }] });
+
+    return reply.send({
+      message: inTxns.length ? "Credit note saved (stock returned)" : "Credit note saved",
+      credit_note: full,
+      restocked: inTxns.map((x) => ({ batch_id: x.batch_id, book_id: x.book_id, qty: x.qty })),
+      bill: { sale_no: sale.sale_no, total_amount: total, returned_amount, paid_amount: paid, balance_amount: sale.balance_amount },
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log?.error?.(err);
+    console.error("❌ credit note create error:", err);
+    return reply.code(500).send({ error: "Failed to create credit note" });
+  }
+};
+
+/* ============================
+   GET /api/credit-notes
+   Query: sale_type?, sale_id?, customer_type?, customer_id?, from?, to?, limit?
+   ============================ */
+exports.list = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const where = {};
+
+    const sale_type = safeText(q.sale_type).toUpperCase();
+    if (sale_type) where.sale_type = sale_type;
+    if (num(q.sale_id)) where.sale_id = num(q.sale_id);
+
+    const customer_type = safeText(q.customer_type).toUpperCase();
+    if (customer_type) where.customer_type = customer_type;
+    if (num(q.customer_id)) where.customer_id = num(q.customer_id);
+
+    const from = safeText(q.from).slice(0, 10);
+    const to = safeText(q.to).slice(0, 10);
+    if (from || to) {
+      where.credit_note_date = {};
+      if (from) where.credit_note_date[Op.gte] = from;
+      if (to) where.credit_note_date[Op.lte] = to;
+    }
+
+    const rows = await CreditNote.findAll({
+      where,
+      order: [
+        ["credit_note_date", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit: Math.min(500, Math.max(1, num(q.limit) || 200)),
+    });
+
+    return reply.send({ credit_notes: rows });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ credit note list error:", err);
+    return reply.code(500).send({ error: "Failed to fetch credit notes" });
+  }
+};
+
+async function findCreditNote(id) {
+  return CreditNote.findByPk(id, {
+    include: [
+      { model: CreditNoteItem, as: "items", separate: true, order: [["id", "ASC"]] },
+      { model: School, as: "school", required: false },
+      { model: Distributor, as: "distributor", required: false },
+    ],
+  });
+}
+
+// school / distributor include both resolve on customer_id; keep the right one
+function customerOf(note) {
+  if (note.customer_type === "SCHOOL") return note.school || null;
+  if (note.customer_type === "DISTRIBUTOR") return note.distributor || null;
+  return null;
+}
+
+/* ============================
+   GET /api/credit-notes/:id
+   ============================ */
+exports.getOne = async (request, reply) => {
+  try {
+    const id = num(request.params?.id);
+    if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+    const note = await findCreditNote(id);
+    if (!note) return reply.code(404).send({ error: "Credit note not found" });
+
+    const { school, distributor, ...rest } = note.toJSON();
+    return reply.send({ credit_note: rest, customer: customerOf(note) });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ credit note get error:", err);
+    return reply.code(500).send({ error: "Failed to fetch credit note" });
+  }
+};
+
+/* ---------------- PDF ---------------- */
+
+function buildCreditNotePdf({ note, customer, company }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 36 });
+    const chunks = [];
+    doc.on("data", (d) => chunks.push(d));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (v) => round2(v).toFixed(2);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const width = right - left;
+
+    const hr = () => {
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.6).strokeColor("#999").stroke();
+      doc.strokeColor("#000");
+    };
+
+    // Company header
+    const addr = [company?.address_line1, company?.address_line2, company?.city, company?.state, company?.pincode]
+      .filter(Boolean)
+      .join(", ");
+
+    doc.font("Helvetica-Bold").fontSize(14).text(safeText(company?.name) || "Company", { align: "center" });
+    doc.font("Helvetica").fontSize(9);
+    if (addr) doc.text(addr, { align: "center" });
+    if (safeText(company?.gstin)) doc.text(`GSTIN: ${safeText(company.gstin)}`, { align: "center" });
+    if (safeText(company?.phone_primary)) doc.text(`Ph: ${safeText(company.phone_primary)}`, { align: "center" });
+
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(13).text("CREDIT NOTE", { align: "center" });
+    doc.moveDown(0.5);
+    hr();
+    doc.moveDown(0.4);
+
+    doc.font("Helvetica").fontSize(10);
+    const y0 = doc.y;
+    doc.text(`Credit Note No: ${note.credit_note_no}`, left, y0, { width: width / 2 });
+    doc.text(`Date: ${formatDateIN(note.credit_note_date)}`, left + width / 2, y0, { width: width / 2, align: "right" });
+    doc.x = left;
+    doc.moveDown(0.3);
+
+    const y1 = doc.y;
+    doc.text(`Against Bill: ${safeText(note.sale_no) || `#${note.sale_id}`}`, left, y1, { width: width / 2 });
+    doc.text(note.is_inter_state ? "Supply: Inter-state (IGST)" : "Supply: Intra-state (CGST+SGST)", left + width / 2, y1, {
+      width: width / 2,
+      align: "right",
+    });
+    doc.x = left;
+    doc.moveDown(0.3);
+
+    const partyLabel =
+      note.customer_type === "SCHOOL" ? "School" : note.customer_type === "DISTRIBUTOR" ? "Distributor" : "Walk-in";
+    doc.text(`Customer: ${safeText(customer?.name) || "-"} (${partyLabel})`);
+    if (safeText(customer?.gstin)) doc.text(`GSTIN: ${safeText(customer.gstin)}`);
+    if (safeText(note.reason)) doc.text(`Reason: ${safeText(note.reason)}`);
+
+    doc.moveDown(0.5);
+
+    // Items table
+    const cols = [
+      { label: "#", w: 22, align: "left" },
+      { label: "Item", w: 170, align: "left" },
+      { label: "HSN", w: 45, align: "left" },
+      { label: "Qty", w: 35, align: "right" },
+      { label: "Rate", w: 50, align: "right" },
+      { label: "Taxable", w: 60, align: "right" },
+      { label: "GST%", w: 35, align: "right" },
+      { label: "GST", w: 45, align: "right" },
+      { label: "Amount", w: width - 462, align: "right" },
+    ];
+
+    const row = (vals, bold = false) => {
+      const y = doc.y;
+      let x = left;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+      let h = 0;
+      cols.forEach((c, i) => {
+        doc.text(String(vals[i] ?? ""), x + 2, y, { width: c.w - 4, align: c.align });
+        h = Math.max(h, doc.y - y);
+        x += c.w;
+      });
+      doc.x = left;
+      doc.y = y + h + 3;
+      if (doc.y > doc.page.height - 120) {
+        doc.addPage();
+      }
+    };
+
+    hr();
+    doc.moveDown(0.2);
+    row(cols.map((c) => c.label), true);
+    hr();
+    doc.moveDown(0.2);
+
+    (note.items || []).forEach((it, i) => {
+      const tax = round2(num(it.cgst_amount) + num(it.sgst_amount) + num(it.igst_amount));
+      const title = [safeText(it.title_snapshot) || "Item", safeText(it.class_name_snapshot)].filter(Boolean).join(" - ");
+      row([
+        i + 1,
+        title,
+        safeText(it.hsn_code),
+        round2(it.qty),
+        money(it.unit_price),
+        money(it.taxable_value),
+        round2(it.gst_rate),
+        money(tax),
+        money(it.amount),
+      ]);
+    });
+
+    hr();
+    doc.moveDown(0.4);
+
+    const line = (label, value, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 10.5 : 9.5);
+      doc.text(label, left + width / 2, y, { width: width / 4 });
+      doc.text(value, left, y, { width, align: "right" });
+      doc.x = left;
+      doc.moveDown(0.3);
+    };
+
+    line("Taxable value", money(note.taxable_value));
+    if (note.is_inter_state) {
+      line("IGST", money(note.igst_amount));
+    } else {
+      line("CGST", money(note.cgst_amount));
+      line("SGST", money(note.sgst_amount));
+    }
+    line("Credit total", `Rs. ${money(note.total_amount)}`, true);
+
+    doc.moveDown(0.3);
+    if (num(note.adjusted_amount) > 0) line("Adjusted against bill", money(note.adjusted_amount));
+    if (num(note.refund_amount) > 0) {
+      line(note.customer_type === "WALKIN" ? "Refundable" : "Credit on account", money(note.refund_amount));
+    }
+
+    doc.moveDown(2);
+    doc.font("Helvetica").fontSize(9).text("Authorised Signatory", left, doc.y, { width, align: "right" });
+
+    doc.end();
+  });
+}
+
+/* ============================
+   GET /api/credit-notes/:id/pdf
+   ============================ */
+exports.printPdf = async (request, reply) => {
+  try {
+    const id = num(request.params?.id);
+    if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+    const note = await findCreditNote(id);
+    if (!note) return reply.code(404).send({ error: "Credit note not found" });
+
+    const company = await CompanyProfile.findOne({ order: [["id", "DESC"]] }).catch(() => null);
+
+    const pdf = await buildCreditNotePdf({ note, customer: customerOf(note), company });
+
+    return reply
+      .header("Content-Type", "application/pdf")
+      .header("Content-Disposition", `inline; filename="${note.credit_note_no}.pdf"`)
+      .send(pdf);
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ credit note pdf error:", err);
+    return reply.code(500).send({ error: "Failed to generate credit note PDF" });
+  }
+};
@@ -0,0 +1,206 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { School, Distributor, CustomerLedgerTxn } = require("../models");
+const { sumLedger } = require("../services/customerLedgerService");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+/**
+ * Expect YYYY-MM-DD, convert to start/end of that day
+ * so date filter includes full day properly.
+ */
+const parseDateStart = (v) => {
+  if (!v) return null;
+  const s = String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+    const d = new Date(`${s}T00:00:00.000`);
+    return isNaN(d.getTime()) ? null : d;
+  }
+  const d = new Date(s);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+const parseDateEnd = (v) => {
+  if (!v) return null;
+  const s = String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+    const d = new Date(`${s}T23:59:59.999`);
+    return isNaN(d.getTime()) ? null : d;
+  }
+  const d = new Date(s);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * /schools/:schoolId/... or /distributors/:distributorId/...
+ * Returns { customer_type, customer_id, customer } or sends 400/404 (returns null)
+ */
+async function loadCustomer(request, reply) {
+  const params = request.params || {};
+
+  const isSchool = params.schoolId !== undefined;
+  const customer_type = isSchool ? "SCHOOL" : "DISTRIBUTOR";
+  const customer_id = num(isSchool ? params.schoolId : params.distributorId);
+
+  if (!customer_id) {
+    reply.code(400).send({ error: `Invalid ${isSchool ? "schoolId" : "distributorId"}` });
+    return null;
+  }
+
+  const Model = isSchool ? School : Distributor;
+  const customer = await Model.findByPk(customer_id);
+  if (!customer) {
+    reply.code(404).send({ error: `${isSchool ? "School" : "Distributor"} not found` });
+    return null;
+  }
+
+  return { customer_type, customer_id, customer };
+}
+
+/**
+ * GET /api/schools/:schoolId/balance
+ * GET /api/distributors/:distributorId/balance
+ * Returns: { customer_type, customer, debit_total, credit_total, balance }
+ * balance = debit_total - credit_total (receivable)
+ */
+exports.balance = async (request, reply) => {
+  try {
+    const c = await loadCustomer(request, reply);
+    if (!c) return reply;
+
+    const totals = await sumLedger({ customer_type: c.customer_type, customer_id: c.customer_id });
+
+    return reply.send({ customer_type: c.customer_type, customer: c.customer, ...totals });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ customer balance error:", err);
+    return reply.code(500).send({ error: "Failed to fetch balance" });
+  }
+};
+
+/**
+ * GET /api/schools/:schoolId/ledger
+ * GET /api/distributors/:distributorId/ledger
+ * Query: from?, to?, limit?
+ * Returns: { customer_type, customer, txns, debit_total, credit_total, balance }
+ */
+exports.ledger = async (request, reply) => {
+  try {
+    const c = await loadCustomer(request, reply);
+    if (!c) return reply;
+
+    const { from, to, limit } = request.query || {};
+
+    const where = { customer_type: c.customer_type, customer_id: c.customer_id };
+
+    const fromD = parseDateStart(from);
+    const toD = parseDateEnd(to);
+
+    if (fromD || toD) {
+      where.txn_date = {};
+      if (fromD) where.txn_date[Op.gte] = fromD;
+      if (toD) where.txn_date[Op.lte] = toD;
+    }
+
+    const safeLimit = Math.min(500, Math.max(1, num(limit) || 200));
+
+    const txns = await CustomerLedgerTxn.findAll({
+      where,
+      order: [
+        ["txn_date", "ASC"],
+        ["id", "ASC"],
+      ],
+      limit: safeLimit,
+    });
+
+    // Totals for same filters (NOT affected by limit)
+    const totals = await sumLedger(where);
+
+    let running = 0;
+    const txnsWithRunning = txns.map((t) => {
+      running = round2(running + num(t.debit) - num(t.credit));
+      return { ...t.toJSON(), running_balance: running };
+    });
+
+    return reply.send({
+      customer_type: c.customer_type,
+      customer: c.customer,
+      txns: txnsWithRunning,
+      ...totals,
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ customer ledger error:", err);
+    return reply.code(500).send({ error: "Failed to fetch ledger" });
+  }
+};
+
+/**
+ * GET /api/schools/:schoolId/statement
+ * GET /api/distributors/:distributorId/statement
+ * Query: from?, to?
+ * Statement of account: opening balance (before `from`) + every txn in range + closing balance
+ */
+exports.statement = async (request, reply) => {
+  try {
+    const c = await loadCustomer(request, reply);
+    if (!c) return reply;
+
+    const { from, to } = request.query || {};
+    const fromD = parseDateStart(from);
+    const toD = parseDateEnd(to);
+
+    const base = { customer_type: c.customer_type, customer_id: c.customer_id };
+
+    const opening = fromD
+      ? (await sumLedger({ ...base, txn_date: { [Op.lt]: fromD } })).balance
+      : 0;
+
+    const where = { ...base };
+    if (fromD || toD) {
+      where.txn_date = {};
+      if (fromD) where.txn_date[Op.gte] = fromD;
+      if (toD) where.txn_date[Op.lte] = toD;
+    }
+
+    const txns = await CustomerLedgerTxn.findAll({
+      where,
+      order: [
+        ["txn_date", "ASC"],
+        ["id", "ASC"],
+      ],
+    });
+
+    let running = opening;
+    let debit_total = 0;
+    let credit_total = 0;
+    const rows = txns.map((t) => {
+      debit_total = round2(debit_total + num(t.debit));
+      credit_total = round2(credit_total + num(t.credit));
+      running = round2(running + num(t.debit) - num(t.credit));
+      return { ...t.toJSON(), running_balance: running };
+    });
+
+    return reply.send({
+      customer_type: c.customer_type,
+      customer: c.customer,
+      from: from || null,
+      to: to || null,
+      opening_balance: round2(opening),
+      debit_total,
+      credit_total,
+      closing_balance: running,
+      txns: rows,
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ customer statement error:", err);
+    return reply.code(500).send({ error: "Failed to fetch statement" });
+  }
+};
@@ -0,0 +1,659 @@
+// src/controllers/customerPaymentController.js
+"use strict";
+
+const { Op } = require("sequelize");
+const PDFDocument = require("pdfkit");
+const {
+  sequelize,
+  School,
+  Distributor,
+  Sale,
+  SchoolSale,
+  CustomerPayment,
+  CustomerPaymentAllocation,
+  CustomerLedgerTxn,
+  CompanyProfile,
+} = require("../models");
+const { postReceipt, syncSaleLedger, postSaleCancel, sumLedger } = require("../services/customerLedgerService");
+const { MATCH_TYPES, unmatchPayment } = require("../services/bankReconciliationService");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+const safeDate = (v) => {
+  if (!v) return null;
+  const d = new Date(String(v));
+  return isNaN(d.getTime()) ? null : d;
+};
+
+const cleanStr = (v, max = 255) => {
+  const s = String(v || "").trim();
+  if (!s) return null;
+  return s.length > max ? s.slice(0, max) : s;
+};
+
+const PAYMENT_MODES = ["CASH", "UPI", "BANK", "CHEQUE", "OTHER"];
+
+function formatDateIN(d) {
+  if (!d) return "-";
+  const dt = d instanceof Date ? d : new Date(d);
+  if (isNaN(dt.getTime())) return String(d);
+  const dd = String(dt.getDate()).padStart(2, "0");
+  const mm = String(dt.getMonth() + 1).padStart(2, "0");
+  return `${dd}-${mm}-${dt.getFullYear()}`;
+}
+
+/**
+ * /schools/:schoolId/... or /distributors/:distributorId/...
+ * Returns { customer_type, customer_id, customer } or sends 400/404 (returns null)
+ */
+async function loadCustomer(request, reply, t) {
+  const params = request.params || {};
+
+  const isSchool = params.schoolId !== undefined;
+  const customer_type = isSchool ? "SCHOOL" : "DISTRIBUTOR";
+  const customer_id = num(isSchool ? params.schoolId : params.distributorId);
+
+  if (!customer_id) {
+    reply.code(400).send({ error: `Invalid ${isSchool ? "schoolId" : "distributorId"}` });
+    return null;
+  }
+
+  const Model = isSchool ? School : Distributor;
+  const customer = await Model.findByPk(customer_id, { transaction: t });
+  if (!customer) {
+    reply.code(404).send({ error: `${isSchool ? "School" : "Distributor"} not found` });
+    return null;
+  }
+
+  return { customer_type, customer_id, customer };
+}
+
+async function makePaymentNo(t) {
+  const d = new Date();
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+
+  const last = await CustomerPayment.findOne({
+    order: [["id", "DESC"]],
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+
+  const lastSeq = last && last.payment_no ? String(last.payment_no).split("-").pop() : "0";
+  const seq = String(num(lastSeq) + 1).padStart(6, "0");
+  return `CR-${yyyy}-${mm}-${seq}`;
+}
+
+/**
+ * Unpaid bills of a customer, oldest first.
+ * School: SchoolSale (bulk invoices) + POS Sale sold to the school
+ * Distributor: POS Sale sold to the distributor
+ * key = "SALE:12" / "SCHOOL_SALE:7"
+ */
+async function loadOpenInvoices({ customer_type, customer_id, t, lock = false }) {
+  const lockOpt = lock && t ? { lock: t.LOCK.UPDATE } : {};
+  const rows = [];
+
+  const sales = await Sale.findAll({
+    where: {
+      sold_to_type: customer_type,
+      sold_to_id: customer_id,
+      status: "COMPLETED",
+      balance_amount: { [Op.gt]: 0 },
+    },
+    order: [["sale_date", "ASC"], ["id", "ASC"]],
+    transaction: t,
+    ...lockOpt,
+  });
+  for (const s of sales) rows.push({ sale_type: "SALE", row: s });
+
+  if (customer_type === "SCHOOL") {
+    const schoolSales = await SchoolSale.findAll({
+      where: { school_id: customer_id, status: "COMPLETED", balance_amount: { [Op.gt]: 0 } },
+      order: [["sale_date", "ASC"], ["id", "ASC"]],
+      transaction: t,
+      ...lockOpt,
+    });
+    for (const s of schoolSales) rows.push({ sale_type: "SCHOOL_SALE", row: s });
+  }
+
+  rows.sort(
+    (a, b) =>
+      String(a.row.sale_date).localeCompare(String(b.row.sale_date)) || num(a.row.id) - num(b.row.id)
+  );
+
+  return rows.map(({ sale_type, row }) => ({
+    key: `${sale_type}:${row.id}`,
+    sale_type,
+    sale_id: num(row.id),
+    sale_no: row.sale_no,
+    sale_date: row.sale_date,
+    total_amount: round2(row.total_amount),
+    paid_amount: round2(row.paid_amount),
+    balance_amount: round2(row.balance_amount),
+    row,
+  }));
+}
+
+/**
+ * Move money on/off a bill: paid += delta, balance -= delta
+ * (returned goods / credit notes are not payable)
+ */
+async function applyToSale(row, delta, t) {
+  const payable = round2(Math.max(0, num(row.total_amount) - num(row.returned_amount)));
+  const paid = round2(Math.min(payable, Math.max(0, num(row.paid_amount) + delta)));
+  await row.update({ paid_amount: paid, balance_amount: round2(Math.max(0, payable - paid)) }, { transaction: t });
+}
+
+/* ============================
+   GET /api/schools/:schoolId/open-invoices
+   GET /api/distributors/:distributorId/open-invoices
+   → bills with balance > 0 (for allocation screen)
+   ============================ */
+exports.openInvoices = async (request, reply) => {
+  try {
+    const c = await loadCustomer(request, reply);
+    if (!c) return reply;
+
+    const invoices = await loadOpenInvoices(c);
+    const rows = invoices.map(({ row, ...rest }) => rest);
+
+    return reply.send({
+      customer_type: c.customer_type,
+      customer: c.customer,
+      invoices: rows,
+      total_outstanding: round2(rows.reduce((s, r) => s + r.balance_amount, 0)),
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ customer open invoices error:", err);
+    return reply.code(500).send({ error: "Failed to fetch open invoices" });
+  }
+};
+
+/* ============================
+   POST /api/schools/:schoolId/payments
+   POST /api/distributors/:distributorId/payments
+   Body:
+   {
+     amount: number,                 // money received
+     discount_amount?: number,       // discount allowed
+     tds_amount?: number,            // TDS deducted by customer
+     payment_date?: date,
+     mode?: "CASH"|"UPI"|"BANK"|"CHEQUE"|"OTHER",
+     ref_no?: string,                // UTR / cheque no
+     narration?: string,
+     allocations?: [{ sale_type: "SALE"|"SCHOOL_SALE", sale_id, amount }],
+     auto_allocate?: boolean         // settle oldest bills first with what is left
+   }
+   ============================ */
+exports.createPayment = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const c = await loadCustomer(request, reply, t);
+    if (!c) {
+      await t.rollback();
+      return reply;
+    }
+
+    const body = request.body || {};
+
+    const amount = round2(body.amount);
+    const discount_amount = round2(body.discount_amount);
+    const tds_amount = round2(body.tds_amount);
+
+    if (amount < 0 || discount_amount < 0 || tds_amount < 0) {
+      await t.rollback();
+      return reply.code(400).send({ error: "Amounts cannot be negative." });
+    }
+
+    const total_settled = round2(amount + discount_amount + tds_amount);
+    if (total_settled <= 0) {
+      await t.rollback();
+      return reply.code(400).send({ error: "Amount must be > 0" });
+    }
+
+    const mode = safeText(body.mode || body.payment_mode || "CASH").toUpperCase();
+    if (!PAYMENT_MODES.includes(mode)) {
+      await t.rollback();
+      return reply.code(400).send({ error: `mode must be one of ${PAYMENT_MODES.join(", ")}` });
+    }
+
+    const ref_no = cleanStr(body.ref_no, 80);
+    if (mode === "CHEQUE" && !ref_no) {
+      await t.rollback();
+      return reply.code(400).send({ error: "ref_no (cheque no) is required for CHEQUE" });
+    }
+
+    const paymentDateObj = safeDate(body.payment_date) || new Date();
+    const payment_date = paymentDateObj.toISOString().slice(0, 10);
+
+    /* ---------- allocations ---------- */
+    const open = await loadOpenInvoices({ ...c, t, lock: true });
+    const openMap = new Map(open.map((x) => [x.key, x]));
+
+    const wanted = new Map(); // key -> amount
+    for (const [i, a] of (Array.isArray(body.allocations) ? body.allocations : []).entries()) {
+      const sale_type = safeText(a?.sale_type).toUpperCase();
+      const key = `${sale_type}:${num(a?.sale_id)}`;
+      const amt = round2(a?.amount);
+
+      if (amt <= 0) continue;
+      if (!openMap.has(key)) {
+        await t.rollback();
+        return reply.code(400).send({
+          error: `allocations[${i}]: bill not found for this customer or already settled`,
+        });
+      }
+      wanted.set(key, round2((wanted.get(key) || 0) + amt));
+    }
+
+    for (const [key, amt] of wanted.entries()) {
+      const inv = openMap.get(key);
+      if (amt > inv.balance_amount) {
+        await t.rollback();
+        return reply.code(400).send({
+          error: `Allocation ${amt} exceeds balance ${inv.balance_amount} on bill ${inv.sale_no}`,
+        });
+      }
+    }
+
+    let allocatedTotal = round2(Array.from(wanted.values()).reduce((s, v) => s + v, 0));
+    if (allocatedTotal > total_settled) {
+      await t.rollback();
+      return reply.code(400).send({ error: "Allocations exceed amount + discount + TDS" });
+    }
+
+    if (body.auto_allocate === true || String(body.auto_allocate).toLowerCase() === "true") {
+      for (const inv of open) {
+        const left = round2(total_settled - allocatedTotal);
+        if (left <= 0) break;
+
+        const room = round2(inv.balance_amount - (wanted.get(inv.key) || 0));
+        if (room <= 0) continue;
+
+        const take = round2(Math.min(left, room));
+        wanted.set(inv.key, round2((wanted.get(inv.key) || 0) + take));
+        allocatedTotal = round2(allocatedTotal + take);
+      }
+    }
+
+    const payment = await CustomerPayment.create(
+      {
+        payment_no: await makePaymentNo(t),
+        customer_type: c.customer_type,
+        customer_id: c.customer_id,
+        payment_date,
+        amount,
+        discount_amount,
+        tds_amount,
+        total_settled,
+        unallocated_amount: round2(total_settled - allocatedTotal),
+        mode,
+        ref_no,
+        narration: cleanStr(body.narration, 255),
+        created_by: request.user?.id || null,
+      },
+      { transaction: t }
+    );
+
+    const allocRows = [];
+    for (const [key, amt] of wanted.entries()) {
+      const inv = openMap.get(key);
+      allocRows.push({
+        customer_payment_id: payment.id,
+        sale_type: inv.sale_type,
+        sale_id: inv.sale_id,
+        sale_no: inv.sale_no,
+        amount: amt,
+      });
+    }
+    if (allocRows.length) await CustomerPaymentAllocation.bulkCreate(allocRows, { transaction: t });
+
+    for (const [key, amt] of wanted.entries()) {
+      const inv = openMap.get(key);
+      await applyToSale(inv.row, amt, t);
+      await syncSaleLedger({ kind: inv.sale_type, sale: inv.row, t });
+    }
+
+    const extras = [
+      discount_amount > 0 ? `Discount ₹${discount_amount}` : null,
+      tds_amount > 0 ? `TDS ₹${tds_amount}` : null,
+    ].filter(Boolean);
+
+    await postReceipt({
+      customer_type: c.customer_type,
+      customer_id: c.customer_id,
+      amount: total_settled,
+      txn_date: paymentDateObj,
+      ref_table: "customer_payments",
+      ref_id: payment.id,
+      ref_no: payment.payment_no,
+      narration: cleanStr(
+        body.narration ||
+          `Receipt ${payment.payment_no} (${mode}${ref_no ? ` ${ref_no}` : ""})${extras.length ? ` + ${extras.join(", ")}` : ""}`,
+        255
+      ),
+      created_by: request.user?.id || null,
+      t,
+    });
+
+    await t.commit();
+
+    const full = await CustomerPayment.findByPk(payment.id, {
+      include: [{ model: CustomerPaymentAllocation, as: "allocations" }],
+    });
+    const totals = await sumLedger({ customer_type: c.customer_type, customer_id: c.customer_id });
+
+    return reply.send({
+      message: "Payment saved and ledger credited.",
+      customer: c.customer,
+      payment: full,
+      balance: totals.balance,
+    });
+  } catch (err) {
+    try {
+      await t.rollback();
+    } catch (_) {}
+    request.log?.error?.(err);
+    console.error("❌ customer payment create error:", err);
+    return reply.code(500).send({ error: "Failed to create payment" });
+  }
+};
+
+/* ============================
+   GET /api/schools/:schoolId/payments
+   GET /api/distributors/:distributorId/payments
+   Query: from?, to?, limit?
+   ============================ */
+exports.listPayments = async (request, reply) => {
+  try {
+    const c = await loadCustomer(request, reply);
+    if (!c) return reply;
+
+    const { from, to, limit } = request.query || {};
+    const where = { customer_type: c.customer_type, customer_id: c.customer_id };
+
+    const fromD = safeDate(from);
+    const toD = safeDate(to);
+    if (fromD || toD) {
+      where.payment_date = {};
+      if (fromD) where.payment_date[Op.gte] = fromD.toISOString().slice(0, 10);
+      if (toD) where.payment_date[Op.lte] = toD.toISOString().slice(0, 10);
+    }
+
+    const rows = await CustomerPayment.findAll({
+      where,
+      include: [{ model: CustomerPaymentAllocation, as: "allocations" }],
+      order: [
+        ["payment_date", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit: Math.min(500, Math.max(1, num(limit) || 200)),
+    });
+
+    return reply.send({ customer_type: c.customer_type, customer: c.customer, payments: rows });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ customer payments list error:", err);
+    return reply.code(500).send({ error: "Failed to fetch payments" });
+  }
+};
+
+async function findCustomerPayment(c, paymentId, t) {
+  return CustomerPayment.findOne({
+    where: { id: paymentId, customer_type: c.customer_type, customer_id: c.customer_id },
+    include: [{ model: CustomerPaymentAllocation, as: "allocations" }],
+    transaction: t,
+  });
+}
+
+/* ============================
+   GET /api/schools/:schoolId/payments/:paymentId
+   ============================ */
+exports.getPaymentById = async (request, reply) => {
+  try {
+    const c = await loadCustomer(request, reply);
+    if (!c) return reply;
+
+    const paymentId = num(request.params?.paymentId);
+    if (!paymentId) return reply.code(400).send({ error: "Invalid paymentId" });
+
+    const payment = await findCustomerPayment(c, paymentId);
+    if (!payment) return reply.code(404).send({ error: "Payment not found" });
+
+    return reply.send({ customer_type: c.customer_type, customer: c.customer, payment });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ customer payment get error:", err);
+    return reply.code(500).send({ error: "Failed to fetch payment" });
+  }
+};
+
+/* ============================
+   DELETE /api/schools/:schoolId/payments/:paymentId
+   ✅ Reverses allocations on the bills and removes the ledger credit
+   ============================ */
+exports.deletePayment = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const c = await loadCustomer(request, reply, t);
+    if (!c) {
+      await t.rollback();
+      return reply;
+    }
+
+    const paymentId = num(request.params?.paymentId);
+    if (!paymentId) {
+      await t.rollback();
+      return reply.code(400).send({ error: "Invalid paymentId" });
+    }
+
+    const payment = await findCustomerPayment(c, paymentId, t);
+    if (!payment) {
+      await t.rollback();
+      return reply.code(404).send({ error: "Payment not found" });
+    }
+
+    const allocations = payment.allocations || [];
+    await CustomerPaymentAllocation.destroy({ where: { customer_payment_id: payment.id }, transaction: t });
+
+    for (const a of allocations) {
+      const Model = a.sale_type === "SCHOOL_SALE" ? SchoolSale : Sale;
+      const row = await Model.findByPk(a.sale_id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!row) continue;
+
+      // cancelled bills stay closed: the freed amount moves into SALE_CANCEL instead
+      if (String(row.status).toUpperCase() === "CANCELLED") {
+        await postSaleCancel({ kind: a.sale_type, sale: row, cancelled_by: row.cancelled_by || null, t });
+        continue;
+      }
+
+      await applyToSale(row, -num(a.amount), t);
+      await syncSaleLedger({ kind: a.sale_type, sale: row, t });
+    }
+
+    await CustomerLedgerTxn.destroy({
+      where: {
+        customer_type: c.customer_type,
+        customer_id: c.customer_id,
+        txn_type: "RECEIPT",
+        ref_table: "customer_payments",
+        ref_id: payment.id,
+      },
+      transaction: t,
+    });
+
+    await unmatchPayment({ match_type: MATCH_TYPES.CUSTOMER_PAYMENT, match_id: payment.id, t });
+
+    await payment.destroy({ transaction: t });
+
+    await t.commit();
+    return reply.send({ message: "Payment deleted, bills reopened and ledger updated." });
+  } catch (err) {
+    try {
+      await t.rollback();
+    } catch (_) {}
+    request.log?.error?.(err);
+    console.error("❌ customer payment delete error:", err);
+    return reply.code(500).send({ error: "Failed to delete payment" });
+  }
+};
+
+/* ============================
+   PDF
+   ============================ */
+
+function buildPaymentReceiptPdf({ payment, customer, customerType, company, balance }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A5", margin: 28 });
+    const chunks = [];
+    doc.on("data", (d) => chunks.push(d));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (v) => `Rs. ${round2(v).toFixed(2)}`;
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const width = right - left;
+
+    const hr = () => {
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.6).strokeColor("#999").stroke();
+      doc.strokeColor("#000");
+    };
+
+    // Company header
+    const addr = [company?.address_line1, company?.address_line2, company?.city, company?.state, company?.pincode]
+      .filter(Boolean)
+      .join(", ");
+
+    doc.font("Helvetica-Bold").fontSize(13).text(safeText(company?.name) || "Company", { align: "center" });
+    doc.font("Helvetica").fontSize(8);
+    if (addr) doc.text(addr, { align: "center" });
+    if (safeText(company?.gstin)) doc.text(`GSTIN: ${safeText(company.gstin)}`, { align: "center" });
+    if (safeText(company?.phone_primary)) doc.text(`Ph: ${safeText(company.phone_primary)}`, { align: "center" });
+
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(12).text("PAYMENT RECEIPT", { align: "center" });
+    doc.moveDown(0.5);
+    hr();
+    doc.moveDown(0.4);
+
+    doc.font("Helvetica").fontSize(9.5);
+    const y0 = doc.y;
+    doc.text(`Receipt No: ${payment.payment_no}`, left, y0, { width: width / 2 });
+    doc.text(`Date: ${formatDateIN(payment.payment_date)}`, left + width / 2, y0, { width: width / 2, align: "right" });
+    doc.x = left;
+    doc.moveDown(0.4);
+
+    doc.text(`Received from: ${safeText(customer?.name) || "-"} (${customerType === "SCHOOL" ? "School" : "Distributor"})`);
+    if (safeText(customer?.gstin)) doc.text(`GSTIN: ${safeText(customer.gstin)}`);
+    doc.text(`Mode: ${payment.mode}${safeText(payment.ref_no) ? `   Ref: ${safeText(payment.ref_no)}` : ""}`);
+
+    doc.moveDown(0.5);
+    hr();
+    doc.moveDown(0.4);
+
+    // Amount block
+    const line = (label, value, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 10.5 : 9.5);
+      doc.text(label, left, y, { width: width * 0.6 });
+      doc.text(value, left, y, { width, align: "right" });
+      doc.x = left;
+      doc.moveDown(0.3);
+    };
+
+    line("Amount received", money(payment.amount));
+    if (num(payment.discount_amount) > 0) line("Discount allowed", money(payment.discount_amount));
+    if (num(payment.tds_amount) > 0) line("TDS deducted", money(payment.tds_amount));
+    line("Total settled", money(payment.total_settled), true);
+
+    // Allocations
+    const allocations = payment.allocations || [];
+    if (allocations.length) {
+      doc.moveDown(0.4);
+      doc.font("Helvetica-Bold").fontSize(9.5).text("Adjusted against");
+      doc.moveDown(0.2);
+
+      doc.font("Helvetica").fontSize(9);
+      for (const a of allocations) {
+        const y = doc.y;
+        doc.text(`${a.sale_no || `#${a.sale_id}`}  (${a.sale_type === "SCHOOL_SALE" ? "School invoice" : "Bill"})`, left, y, {
+          width: width * 0.7,
+        });
+        doc.text(money(a.amount), left, y, { width, align: "right" });
+        doc.x = left;
+        doc.moveDown(0.2);
+      }
+    }
+
+    if (num(payment.unallocated_amount) > 0) {
+      doc.moveDown(0.2);
+      line("On account (advance)", money(payment.unallocated_amount));
+    }
+
+    if (balance !== null && balance !== undefined) {
+      doc.moveDown(0.4);
+      hr();
+      doc.moveDown(0.4);
+      line(balance >= 0 ? "Balance due (as of today)" : "Advance with us (as of today)", money(Math.abs(balance)));
+    }
+
+    if (safeText(payment.narration)) {
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Oblique").fontSize(8.5).text(safeText(payment.narration));
+    }
+
+    doc.moveDown(2);
+    doc.font("Helvetica").fontSize(9).text("Authorised Signatory", left, doc.y, { width, align: "right" });
+
+    doc.end();
+  });
+}
+
+/* ============================
+   GET /api/schools/:schoolId/payments/:paymentId/pdf
+   GET /api/distributors/:distributorId/payments/:paymentId/pdf
+   ============================ */
+exports.printPaymentPdf = async (request, reply) => {
+  try {
+    const c = await loadCustomer(request, reply);
+    if (!c) return reply;
+
+    const paymentId = num(request.params?.paymentId);
+    if (!paymentId) return reply.code(400).send({ error: "Invalid paymentId" });
+
+    const payment = await findCustomerPayment(c, paymentId);
+    if (!payment) return reply.code(404).send({ error: "Payment not found" });
+
+    const company = await CompanyProfile.findOne({ order: [["id", "DESC"]] }).catch(() => null);
+    const totals = await sumLedger({ customer_type: c.customer_type, customer_id: c.customer_id });
+
+    const pdf = await buildPaymentReceiptPdf({
+      payment,
+      customer: c.customer,
+      customerType: c.customer_type,
+      company,
+      balance: totals.balance,
+    });
+
+    return reply
+      .header("Content-Type", "application/pdf")
+      .header("Content-Disposition", `inline; filename="receipt-${payment.payment_no}.pdf"`)
+      .send(pdf);
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ customer payment pdf error:", err);
+    return reply.code(500).send({ error: "Failed to generate receipt PDF" });
+  }
+};
@@ -11,6 +11,10 @@ const num = (v) => {
 
 const safeStr = (v) => String(v ?? "").trim();
 
+// blank => null (use default credit period)
+const toCreditDays = (v) =>
+  v === undefined || v === null || v === "" ? null : Math.max(0, Math.trunc(num(v)));
+
 const randomPassword = (len = 8) => {
   const chars = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789";
   let out = "";
@@ -60,6 +64,7 @@ async function create(request, reply) {
       email: body.email ? String(body.email).trim() : null,
       address: body.address ? String(body.address).trim() : null,
       city: body.city ? String(body.city).trim() : null,
+      credit_days: toCreditDays(body.credit_days),
       is_active: typeof body.is_active === "boolean" ? body.is_active : true,
     });
 
@@ -91,6 +96,7 @@ async function createWithUser(request, reply) {
       email: safeStr(body.email) || null,
       address: safeStr(body.address) || null,
       city: safeStr(body.city) || null,
+      credit_days: toCreditDays(body.credit_days),
       is_active: typeof body.is_active === "boolean" ? body.is_active : true,
     };
 
@@ -286,6 +292,7 @@ async function update(request, reply) {
     if (typeof body.email !== "undefined") patch.email = body.email ? String(body.email).trim() : null;
     if (typeof body.address !== "undefined") patch.address = body.address ? String(body.address).trim() : null;
     if (typeof body.city !== "undefined") patch.city = body.city ? String(body.city).trim() : null;
+    if (typeof body.credit_days !== "undefined") patch.credit_days = toCreditDays(body.credit_days);
     if (typeof body.is_active !== "undefined") patch.is_active = Boolean(body.is_active);
 
     await row.update(patch);
@@ -0,0 +1,956 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const ExcelJS = require("exceljs");
+const {
+  School,
+  Distributor,
+  Supplier,
+  Sale,
+  SaleItem,
+  SchoolSale,
+  SchoolSaleItem,
+  SupplierReceipt,
+  SupplierReceiptItem,
+  SupplierDebitNote,
+  SupplierDebitNoteItem,
+  CreditNote,
+  CreditNoteItem,
+  CompanyProfile,
+} = require("../models");
+const { stateCode, DEFAULT_BOOK_HSN } = require("../services/gstService");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+// B2C inter-state invoices above this go to B2CL (one row per invoice)
+const B2CL_LIMIT = 100000;
+
+const HSN_DESC = { [DEFAULT_BOOK_HSN]: "Printed books" };
+
+/**
+ * "2026-09" -> { from: "2026-09-01", to: "2026-09-30", fp: "092026" }
+ */
+function parseMonth(v) {
+  const m = /^(\d{4})-(\d{2})$/.exec(safeText(v));
+  if (!m) return null;
+
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  if (month < 1 || month > 12) return null;
+
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {
+    from: `${m[1]}-${m[2]}-01`,
+    to: `${m[1]}-${m[2]}-${String(lastDay).padStart(2, "0")}`,
+    fp: `${m[2]}${m[1]}`,
+  };
+}
+
+// portal wants DD-MM-YYYY
+function portalDate(d) {
+  const s = safeText(d).slice(0, 10);
+  const [y, m, day] = s.split("-");
+  return y && m && day ? `${day}-${m}-${y}` : s;
+}
+
+function emptyTax() {
+  return { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+}
+
+function addTax(acc, it) {
+  acc.txval = round2(acc.txval + num(it.txval));
+  acc.iamt = round2(acc.iamt + num(it.iamt));
+  acc.camt = round2(acc.camt + num(it.camt));
+  acc.samt = round2(acc.samt + num(it.samt));
+  return acc;
+}
+
+// credit / debit notes are netted out of the invoice totals
+function negTax(it) {
+  return {
+    ...it,
+    qty: -num(it.qty),
+    txval: -num(it.txval),
+    iamt: -num(it.iamt),
+    camt: -num(it.camt),
+    samt: -num(it.samt),
+  };
+}
+
+function lineTax(it) {
+  return {
+    txval: round2(it.taxable_value),
+    iamt: round2(it.igst_amount),
+    camt: round2(it.cgst_amount),
+    samt: round2(it.sgst_amount),
+    csamt: 0,
+  };
+}
+
+async function loadCompany() {
+  const row = await CompanyProfile.findOne({ order: [["id", "DESC"]] }).catch(() => null);
+  return {
+    name: safeText(row?.name) || null,
+    gstin: safeText(row?.gstin).toUpperCase() || null,
+    state: safeText(row?.state) || null,
+    state_code: stateCode(row?.gstin) || stateCode(row?.state),
+  };
+}
+
+/* ============================================================
+ * Outward: Sale (POS / counter) + SchoolSale (school invoices)
+ * -> one shape: { inum, idt, ctin, party, pos, is_inter_state, val, items[] }
+ * ============================================================ */
+async function loadOutwardInvoices(period, company) {
+  const sales = await Sale.findAll({
+    where: { status: "COMPLETED", sale_date: { [Op.between]: [period.from, period.to] } },
+    include: [
+      { model: SaleItem, as: "items", required: false },
+      { model: School, as: "soldSchool", required: false, attributes: ["id", "name", "gstin", "state"] },
+    ],
+    order: [["sale_date", "ASC"], ["id", "ASC"]],
+  });
+
+  const schoolSales = await SchoolSale.findAll({
+    where: { status: "COMPLETED", sale_date: { [Op.between]: [period.from, period.to] } },
+    include: [
+      { model: SchoolSaleItem, as: "items", required: false },
+      { model: School, as: "school", required: false, attributes: ["id", "name", "gstin", "state"] },
+    ],
+    order: [["sale_date", "ASC"], ["id", "ASC"]],
+  });
+
+  const invoices = [];
+
+  const push = (source, row, school, fallbackName) => {
+    const items = (row.items || []).map((it) => ({
+      hsn_code: safeText(it.hsn_code) || "-",
+      gst_rate: num(it.gst_rate),
+      qty: num(it.requested_qty ?? it.qty),
+      ...lineTax(it),
+    }));
+
+    invoices.push({
+      source,
+      id: row.id,
+      inum: row.sale_no,
+      idt: row.sale_date,
+      ctin: safeText(school?.gstin).toUpperCase() || null,
+      party: safeText(school?.name) || fallbackName || "Walk-in",
+      pos: stateCode(row.place_of_supply) || company.state_code,
+      is_inter_state: Boolean(row.is_inter_state),
+      val: round2(row.total_amount),
+      items,
+    });
+  };
+
+  for (const s of sales) {
+    const school = s.sold_to_type === "SCHOOL" ? s.soldSchool : null;
+    push("SALE", s, school, safeText(s.bill_to_name));
+  }
+  for (const s of schoolSales) push("SCHOOL_SALE", s, s.school, null);
+
+  return invoices;
+}
+
+/* ============================================================
+ * Sales returns: credit notes by note date, against the original bill
+ * -> { nt_num, nt_dt, inum, idt, ctin, party, pos, is_inter_state, val, inv_val, items[] }
+ * ============================================================ */
+async function loadCreditNotes(period, company) {
+  const notes = await CreditNote.findAll({
+    where: { credit_note_date: { [Op.between]: [period.from, period.to] } },
+    include: [
+      { model: CreditNoteItem, as: "items", required: false },
+      { model: School, as: "school", required: false, attributes: ["id", "name", "gstin", "state"] },
+      { model: Distributor, as: "distributor", required: false, attributes: ["id", "name"] },
+    ],
+    order: [["credit_note_date", "ASC"], ["id", "ASC"]],
+  });
+  if (!notes.length) return [];
+
+  // original bills: place of supply, date and value (B2CL vs B2CS)
+  const idsOf = (type) => notes.filter((n) => n.sale_type === type).map((n) => n.sale_id);
+  const attrs = ["id", "sale_date", "place_of_supply", "total_amount"];
+  const [sales, schoolSales] = await Promise.all([
+    Sale.findAll({ where: { id: idsOf("SALE") }, attributes: attrs }),
+    SchoolSale.findAll({ where: { id: idsOf("SCHOOL_SALE") }, attributes: attrs }),
+  ]);
+  const billMap = new Map([
+    ...sales.map((b) => [`SALE:${b.id}`, b]),
+    ...schoolSales.map((b) => [`SCHOOL_SALE:${b.id}`, b]),
+  ]);
+
+  return notes.map((n) => {
+    const bill = billMap.get(`${n.sale_type}:${n.sale_id}`);
+    const school = n.customer_type === "SCHOOL" ? n.school : null;
+
+    return {
+      source: "CREDIT_NOTE",
+      id: n.id,
+      nt_num: n.credit_note_no,
+      nt_dt: n.credit_note_date,
+      inum: n.sale_no,
+      idt: bill?.sale_date || null,
+      ctin: safeText(school?.gstin).toUpperCase() || null,
+      party:
+        safeText(school?.name) ||
+        (n.customer_type === "DISTRIBUTOR" ? safeText(n.distributor?.name) : "") ||
+        "Walk-in",
+      pos: stateCode(bill?.place_of_supply) || company.state_code,
+      is_inter_state: Boolean(n.is_inter_state),
+      val: round2(n.total_amount),
+      inv_val: round2(bill?.total_amount),
+      items: (n.items || []).map((it) => ({
+        hsn_code: safeText(it.hsn_code) || "-",
+        gst_rate: num(it.gst_rate),
+        qty: num(it.qty),
+        ...lineTax(it),
+      })),
+    };
+  });
+}
+
+/* ============================================================
+ * Inward: posted supplier receipts, by invoice date
+ * ============================================================ */
+async function loadInwardInvoices(period) {
+  const receipts = await SupplierReceipt.findAll({
+    where: { status: "received", invoice_date: { [Op.between]: [period.from, period.to] } },
+    include: [
+      { model: SupplierReceiptItem, as: "items", required: false },
+      { model: Supplier, as: "supplier", required: false, attributes: ["id", "name", "gstin", "state"] },
+    ],
+    order: [["invoice_date", "ASC"], ["id", "ASC"]],
+  });
+
+  return receipts.map((r) => {
+    const items = (r.items || []).map((it) => ({
+      gst_rate: num(it.gst_rate),
+      ...lineTax(it),
+    }));
+
+    return {
+      id: r.id,
+      receipt_no: r.receipt_no,
+      doc_type: r.receive_doc_type,
+      inum: r.invoice_no || r.doc_no || r.receipt_no,
+      idt: r.invoice_date,
+      ctin: safeText(r.supplier?.gstin).toUpperCase() || null,
+      party: safeText(r.supplier?.name) || `Supplier #${r.supplier_id}`,
+      is_inter_state: Boolean(r.is_inter_state),
+      val: round2(r.grand_total),
+      // ✅ ITC only on tax invoices from registered suppliers
+      itc_eligible: r.receive_doc_type === "INVOICE" && Boolean(safeText(r.supplier?.gstin)),
+      items,
+    };
+  });
+}
+
+/* ============================================================
+ * Purchase returns: issued supplier debit notes, by note date
+ * -> inward shape with negative values (they reverse ITC of the original bill)
+ * ============================================================ */
+async function loadDebitNotes(period) {
+  const notes = await SupplierDebitNote.findAll({
+    where: { status: "issued", debit_note_date: { [Op.between]: [period.from, period.to] } },
+    include: [
+      { model: SupplierDebitNoteItem, as: "items", required: false },
+      { model: Supplier, as: "supplier", required: false, attributes: ["id", "name", "gstin", "state"] },
+      { model: SupplierReceipt, as: "receipt", required: false, attributes: ["id", "receive_doc_type"] },
+    ],
+    order: [["debit_note_date", "ASC"], ["id", "ASC"]],
+  });
+
+  return notes.map((n) => ({
+    id: n.id,
+    receipt_no: n.debit_note_no,
+    doc_type: "DEBIT_NOTE",
+    inum: n.invoice_no || n.receipt_no,
+    idt: n.debit_note_date,
+    ctin: safeText(n.supplier?.gstin).toUpperCase() || null,
+    party: safeText(n.supplier?.name) || `Supplier #${n.supplier_id}`,
+    is_inter_state: Boolean(n.is_inter_state),
+    val: -round2(n.total_amount),
+    // same rule as the bill it returns against
+    itc_eligible: n.receipt?.receive_doc_type === "INVOICE" && Boolean(safeText(n.supplier?.gstin)),
+    items: (n.items || []).map((it) => negTax({ gst_rate: num(it.gst_rate), qty: num(it.qty), ...lineTax(it) })),
+  }));
+}
+
+/* ============================================================
+ * GSTR-1 builder
+ * ============================================================ */
+function buildGstr1(invoices, creditNotes, company, period) {
+  const b2bMap = new Map(); // ctin -> { ctin, party, inv[] }
+  const b2cl = [];
+  const cdnrMap = new Map(); // ctin -> { ctin, party, nt[] }
+  const cdnur = [];
+  const b2csMap = new Map(); // sply|pos|rate -> row
+  const hsnMap = new Map(); // hsn|rate -> row
+  const nil = {
+    INTRB2B: { sply_ty: "INTRB2B", expt_amt: 0, nil_amt: 0, ngsup_amt: 0 },
+    INTRAB2B: { sply_ty: "INTRAB2B", expt_amt: 0, nil_amt: 0, ngsup_amt: 0 },
+    INTRB2C: { sply_ty: "INTRB2C", expt_amt: 0, nil_amt: 0, ngsup_amt: 0 },
+    INTRAB2C: { sply_ty: "INTRAB2C", expt_amt: 0, nil_amt: 0, ngsup_amt: 0 },
+  };
+
+  const hsnRow = (it) => {
+    const key = `${it.hsn_code}|${it.gst_rate}`;
+    if (!hsnMap.has(key)) {
+      hsnMap.set(key, {
+        hsn_sc: it.hsn_code,
+        desc: HSN_DESC[it.hsn_code] || "",
+        uqc: "NOS",
+        qty: 0,
+        rt: it.gst_rate,
+        ...emptyTax(),
+      });
+    }
+    return hsnMap.get(key);
+  };
+
+  for (const inv of invoices) {
+    // HSN summary covers every line (taxable + exempt)
+    for (const it of inv.items) {
+      const h = hsnRow(it);
+      h.qty = round2(h.qty + it.qty);
+      addTax(h, it);
+    }
+
+    const taxable = inv.items.filter((it) => it.gst_rate > 0);
+    const exempt = inv.items.filter((it) => it.gst_rate <= 0);
+
+    const nilKey = `${inv.is_inter_state ? "INTR" : "INTRA"}${inv.ctin ? "B2B" : "B2C"}`;
+    nil[nilKey].expt_amt = round2(nil[nilKey].expt_amt + exempt.reduce((s, it) => s + it.txval, 0));
+
+    if (!taxable.length) continue;
+
+    // one itm per rate (portal rule)
+    const rateMap = new Map();
+    for (const it of taxable) {
+      if (!rateMap.has(it.gst_rate)) rateMap.set(it.gst_rate, { rt: it.gst_rate, ...emptyTax() });
+      addTax(rateMap.get(it.gst_rate), it);
+    }
+    const itms = Array.from(rateMap.values());
+
+    if (inv.ctin) {
+      if (!b2bMap.has(inv.ctin)) b2bMap.set(inv.ctin, { ctin: inv.ctin, party: inv.party, inv: [] });
+      b2bMap.get(inv.ctin).inv.push({ ...inv, itms });
+      continue;
+    }
+
+    if (inv.is_inter_state && inv.val > B2CL_LIMIT) {
+      b2cl.push({ ...inv, itms });
+      continue;
+    }
+
+    for (const itm of itms) {
+      const sply_ty = inv.is_inter_state ? "INTER" : "INTRA";
+      const key = `${sply_ty}|${inv.pos}|${itm.rt}`;
+      if (!b2csMap.has(key)) b2csMap.set(key, { sply_ty, pos: inv.pos, typ: "OE", rt: itm.rt, ...emptyTax() });
+      addTax(b2csMap.get(key), itm);
+    }
+  }
+
+  /* ---------- credit notes: CDNR (registered), CDNUR (B2CL), else net off B2CS ---------- */
+  for (const nt of creditNotes) {
+    // returns of a HSN not billed this period still get a (negative) row
+    for (const it of nt.items) {
+      const h = hsnRow(it);
+      h.qty = round2(h.qty - it.qty);
+      addTax(h, negTax(it));
+    }
+
+    const taxable = nt.items.filter((it) => it.gst_rate > 0);
+    const exempt = nt.items.filter((it) => it.gst_rate <= 0);
+
+    const nilKey = `${nt.is_inter_state ? "INTR" : "INTRA"}${nt.ctin ? "B2B" : "B2C"}`;
+    nil[nilKey].expt_amt = round2(nil[nilKey].expt_amt - exempt.reduce((s, it) => s + it.txval, 0));
+
+    if (!taxable.length) continue;
+
+    const rateMap = new Map();
+    for (const it of taxable) {
+      if (!rateMap.has(it.gst_rate)) rateMap.set(it.gst_rate, { rt: it.gst_rate, ...emptyTax() });
+      addTax(rateMap.get(it.gst_rate), it);
+    }
+    const itms = Array.from(rateMap.values());
+
+    if (nt.ctin) {
+      if (!cdnrMap.has(nt.ctin)) cdnrMap.set(nt.ctin, { ctin: nt.ctin, party: nt.party, nt: [] });
+      cdnrMap.get(nt.ctin).nt.push({ ...nt, itms });
+      continue;
+    }
+
+    if (nt.is_inter_state && nt.inv_val > B2CL_LIMIT) {
+      cdnur.push({ ...nt, itms });
+      continue;
+    }
+
+    for (const itm of itms) {
+      const sply_ty = nt.is_inter_state ? "INTER" : "INTRA";
+      const key = `${sply_ty}|${nt.pos}|${itm.rt}`;
+      if (!b2csMap.has(key)) b2csMap.set(key, { sply_ty, pos: nt.pos, typ: "OE", rt: itm.rt, ...emptyTax() });
+      addTax(b2csMap.get(key), negTax(itm));
+    }
+  }
+
+  const b2b = Array.from(b2bMap.values());
+  const cdnr = Array.from(cdnrMap.values());
+  const b2cs = Array.from(b2csMap.values());
+  const hsn = Array.from(hsnMap.values()).sort(
+    (a, b) => a.hsn_sc.localeCompare(b.hsn_sc) || a.rt - b.rt
+  );
+
+  const totals = emptyTax();
+  for (const inv of invoices) for (const it of inv.items) addTax(totals, it);
+  for (const nt of creditNotes) for (const it of nt.items) addTax(totals, negTax(it));
+
+  const portal = {
+    gstin: company.gstin,
+    fp: period.fp,
+    b2b: b2b.map((p) => ({
+      ctin: p.ctin,
+      inv: p.inv.map((inv) => ({
+        inum: inv.inum,
+        idt: portalDate(inv.idt),
+        val: inv.val,
+        pos: inv.pos,
+        rchrg: "N",
+        inv_typ: "R",
+        itms: inv.itms.map((itm, i) => ({ num: i + 1, itm_det: itm })),
+      })),
+    })),
+    b2cl: Object.values(
+      b2cl.reduce((acc, inv) => {
+        if (!acc[inv.pos]) acc[inv.pos] = { pos: inv.pos, inv: [] };
+        acc[inv.pos].inv.push({
+          inum: inv.inum,
+          idt: portalDate(inv.idt),
+          val: inv.val,
+          itms: inv.itms.map((itm, i) => ({
+            num: i + 1,
+            itm_det: { rt: itm.rt, txval: itm.txval, iamt: itm.iamt, csamt: 0 },
+          })),
+        });
+        return acc;
+      }, {})
+    ),
+    b2cs: b2cs.map((r) =>
+      r.sply_ty === "INTER"
+        ? { sply_ty: r.sply_ty, pos: r.pos, typ: r.typ, rt: r.rt, txval: r.txval, iamt: r.iamt, csamt: 0 }
+        : { sply_ty: r.sply_ty, pos: r.pos, typ: r.typ, rt: r.rt, txval: r.txval, camt: r.camt, samt: r.samt, csamt: 0 }
+    ),
+    cdnr: cdnr.map((p) => ({
+      ctin: p.ctin,
+      nt: p.nt.map((nt) => ({
+        ntty: "C",
+        nt_num: nt.nt_num,
+        nt_dt: portalDate(nt.nt_dt),
+        val: nt.val,
+        pos: nt.pos,
+        rchrg: "N",
+        inv_typ: "R",
+        itms: nt.itms.map((itm, i) => ({ num: i + 1, itm_det: itm })),
+      })),
+    })),
+    cdnur: cdnur.map((nt) => ({
+      ntty: "C",
+      nt_num: nt.nt_num,
+      nt_dt: portalDate(nt.nt_dt),
+      val: nt.val,
+      typ: "B2CL",
+      pos: nt.pos,
+      itms: nt.itms.map((itm, i) => ({
+        num: i + 1,
+        itm_det: { rt: itm.rt, txval: itm.txval, iamt: itm.iamt, csamt: 0 },
+      })),
+    })),
+    nil: { inv: Object.values(nil) },
+    hsn: {
+      data: hsn.map((h, i) => ({ num: i + 1, ...h })),
+    },
+  };
+
+  return {
+    summary: {
+      invoices: invoices.length,
+      b2b_invoices: b2b.reduce((s, p) => s + p.inv.length, 0),
+      b2cl_invoices: b2cl.length,
+      credit_notes: creditNotes.length,
+      cdnr_notes: cdnr.reduce((s, p) => s + p.nt.length, 0),
+      cdnur_notes: cdnur.length,
+      ...totals,
+    },
+    b2b,
+    b2cl,
+    b2cs,
+    cdnr,
+    cdnur,
+    nil: Object.values(nil),
+    hsn,
+    portal,
+  };
+}
+
+/* ============================================================
+ * GSTR-3B builder
+ * ============================================================ */
+function buildGstr3b(outward, inward, company, period, { creditNotes = [], debitNotes = [] } = {}) {
+  const osup_det = emptyTax(); // 3.1(a) taxable
+  const osup_nil_exmp = { txval: 0 }; // 3.1(c) nil / exempt
+  const unregMap = new Map(); // 3.2 inter-state to unregistered, by pos
+  const credited = emptyTax(); // taxable credit notes of the month (3.1 is net of these)
+
+  // 3.1 is reported net of credit notes issued in the month
+  const outwardDocs = [
+    ...outward.map((inv) => ({ ...inv, lines: inv.items })),
+    ...creditNotes.map((nt) => ({ ...nt, lines: nt.items.map(negTax) })),
+  ];
+
+  for (const doc of outwardDocs) {
+    for (const it of doc.lines) {
+      if (it.gst_rate > 0) addTax(osup_det, it);
+      else osup_nil_exmp.txval = round2(osup_nil_exmp.txval + it.txval);
+    }
+
+    if (doc.is_inter_state && !doc.ctin) {
+      const taxed = doc.lines.filter((it) => it.gst_rate > 0);
+      if (!taxed.length) continue;
+      if (!unregMap.has(doc.pos)) unregMap.set(doc.pos, { pos: doc.pos, txval: 0, iamt: 0 });
+      const u = unregMap.get(doc.pos);
+      for (const it of taxed) {
+        u.txval = round2(u.txval + it.txval);
+        u.iamt = round2(u.iamt + it.iamt);
+      }
+    }
+  }
+
+  for (const nt of creditNotes) for (const it of nt.items) if (it.gst_rate > 0) addTax(credited, it);
+
+  const itc = emptyTax(); // 4(A)(5) all other ITC, net of debit notes
+  const debited = emptyTax(); // ITC given back on purchase returns
+  const inwardExempt = { inter: 0, intra: 0 }; // 5 exempt / nil inward
+  const inwardRows = [];
+
+  for (const dn of debitNotes) {
+    if (!dn.itc_eligible) continue;
+    for (const it of dn.items) if (it.gst_rate > 0) addTax(debited, negTax(it));
+  }
+
+  for (const inv of [...inward, ...debitNotes]) {
+    const t = emptyTax();
+    for (const it of inv.items) {
+      if (it.gst_rate > 0) addTax(t, it);
+      else if (inv.is_inter_state) inwardExempt.inter = round2(inwardExempt.inter + it.txval);
+      else inwardExempt.intra = round2(inwardExempt.intra + it.txval);
+    }
+    if (inv.itc_eligible) addTax(itc, t);
+
+    inwardRows.push({ ...inv, ...t, itc_claimed: inv.itc_eligible });
+  }
+
+  const zero = emptyTax();
+  const portal = {
+    gstin: company.gstin,
+    ret_period: period.fp,
+    sup_details: {
+      osup_det,
+      osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+      osup_nil_exmp,
+      isup_rev: { ...zero },
+      osup_nongst: { txval: 0 },
+    },
+    inter_sup: {
+      unreg_details: Array.from(unregMap.values()),
+      comp_details: [],
+      uin_details: [],
+    },
+    itc_elg: {
+      itc_avl: [
+        { ty: "IMPG", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+        { ty: "IMPS", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+        { ty: "ISRC", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+        { ty: "ISD", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+        { ty: "OTH", iamt: itc.iamt, camt: itc.camt, samt: itc.samt, csamt: 0 },
+      ],
+      itc_rev: [
+        { ty: "RUL", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+        { ty: "OTH", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+      ],
+      itc_net: { iamt: itc.iamt, camt: itc.camt, samt: itc.samt, csamt: 0 },
+      itc_inelg: [
+        { ty: "RUL", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+        { ty: "OTH", iamt: 0, camt: 0, samt: 0, csamt: 0 },
+      ],
+    },
+    inward_sup: {
+      isup_details: [
+        { ty: "GST", inter: inwardExempt.inter, intra: inwardExempt.intra },
+        { ty: "NONGST", inter: 0, intra: 0 },
+      ],
+    },
+  };
+
+  const payable = {
+    iamt: round2(osup_det.iamt - itc.iamt),
+    camt: round2(osup_det.camt - itc.camt),
+    samt: round2(osup_det.samt - itc.samt),
+  };
+
+  return {
+    summary: {
+      outward_taxable: osup_det,
+      outward_nil_exempt: osup_nil_exmp.txval,
+      credit_notes: credited,
+      itc,
+      debit_notes: debited,
+      inward_exempt: inwardExempt,
+      // before cross-utilisation of IGST credit; the portal does the final set-off
+      net_payable: payable,
+    },
+    inter_state_unregistered: portal.inter_sup.unreg_details,
+    inward: inwardRows,
+    portal,
+  };
+}
+
+/* ============================================================
+ * Excel writers
+ * ============================================================ */
+function addSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", xSplit: 0, ySplit: 1 }];
+  rows.forEach((r) => sheet.addRow(r));
+  return sheet;
+}
+
+const TAX_COLS = [
+  { header: "Taxable Value", key: "txval", width: 14 },
+  { header: "IGST", key: "iamt", width: 12 },
+  { header: "CGST", key: "camt", width: 12 },
+  { header: "SGST", key: "samt", width: 12 },
+];
+
+async function gstr1Workbook(data) {
+  const workbook = new ExcelJS.Workbook();
+
+  const b2bRows = [];
+  for (const p of data.b2b) {
+    for (const inv of p.inv) {
+      for (const itm of inv.itms) {
+        b2bRows.push({
+          ctin: p.ctin,
+          party: p.party,
+          inum: inv.inum,
+          idt: portalDate(inv.idt),
+          val: inv.val,
+          pos: inv.pos,
+          rchrg: "N",
+          inv_typ: "Regular",
+          rt: itm.rt,
+          ...itm,
+        });
+      }
+    }
+  }
+
+  addSheet(
+    workbook,
+    "b2b",
+    [
+      { header: "GSTIN of Recipient", key: "ctin", width: 18 },
+      { header: "Receiver Name", key: "party", width: 30 },
+      { header: "Invoice Number", key: "inum", width: 16 },
+      { header: "Invoice Date", key: "idt", width: 12 },
+      { header: "Invoice Value", key: "val", width: 14 },
+      { header: "Place Of Supply", key: "pos", width: 10 },
+      { header: "Reverse Charge", key: "rchrg", width: 10 },
+      { header: "Invoice Type", key: "inv_typ", width: 12 },
+      { header: "Rate", key: "rt", width: 8 },
+      ...TAX_COLS,
+    ],
+    b2bRows
+  );
+
+  const b2clRows = [];
+  for (const inv of data.b2cl) {
+    for (const itm of inv.itms) {
+      b2clRows.push({ inum: inv.inum, idt: portalDate(inv.idt), val: inv.val, pos: inv.pos, ...itm });
+    }
+  }
+  addSheet(
+    workbook,
+    "b2cl",
+    [
+      { header: "Invoice Number", key: "inum", width: 16 },
+      { header: "Invoice Date", key: "idt", width: 12 },
+      { header: "Invoice Value", key: "val", width: 14 },
+      { header: "Place Of Supply", key: "pos", width: 10 },
+      { header: "Rate", key: "rt", width: 8 },
+      { header: "Taxable Value", key: "txval", width: 14 },
+      { header: "IGST", key: "iamt", width: 12 },
+    ],
+    b2clRows
+  );
+
+  addSheet(
+    workbook,
+    "b2cs",
+    [
+      { header: "Type", key: "typ", width: 8 },
+      { header: "Supply", key: "sply_ty", width: 8 },
+      { header: "Place Of Supply", key: "pos", width: 10 },
+      { header: "Rate", key: "rt", width: 8 },
+      ...TAX_COLS,
+    ],
+    data.b2cs
+  );
+
+  const cdnrRows = [];
+  for (const p of data.cdnr) {
+    for (const nt of p.nt) {
+      for (const itm of nt.itms) {
+        cdnrRows.push({
+          ctin: p.ctin,
+          party: p.party,
+          nt_num: nt.nt_num,
+          nt_dt: portalDate(nt.nt_dt),
+          inum: nt.inum,
+          idt: portalDate(nt.idt),
+          val: nt.val,
+          pos: nt.pos,
+          ...itm,
+        });
+      }
+    }
+  }
+  const CDN_COLS = [
+    { header: "Note Number", key: "nt_num", width: 16 },
+    { header: "Note Date", key: "nt_dt", width: 12 },
+    { header: "Original Invoice", key: "inum", width: 16 },
+    { header: "Invoice Date", key: "idt", width: 12 },
+    { header: "Note Value", key: "val", width: 14 },
+    { header: "Place Of Supply", key: "pos", width: 10 },
+    { header: "Rate", key: "rt", width: 8 },
+  ];
+  addSheet(
+    workbook,
+    "cdnr",
+    [
+      { header: "GSTIN of Recipient", key: "ctin", width: 18 },
+      { header: "Receiver Name", key: "party", width: 30 },
+      ...CDN_COLS,
+      ...TAX_COLS,
+    ],
+    cdnrRows
+  );
+
+  const cdnurRows = [];
+  for (const nt of data.cdnur) {
+    for (const itm of nt.itms) {
+      cdnurRows.push({
+        typ: "B2CL",
+        nt_num: nt.nt_num,
+        nt_dt: portalDate(nt.nt_dt),
+        inum: nt.inum,
+        idt: portalDate(nt.idt),
+        val: nt.val,
+        pos: nt.pos,
+        ...itm,
+      });
+    }
+  }
+  addSheet(
+    workbook,
+    "cdnur",
+    [
+      { header: "UR Type", key: "typ", width: 8 },
+      ...CDN_COLS,
+      { header: "Taxable Value", key: "txval", width: 14 },
+      { header: "IGST", key: "iamt", width: 12 },
+    ],
+    cdnurRows
+  );
+
+  addSheet(
+    workbook,
+    "exemp",
+    [
+      { header: "Description", key: "sply_ty", width: 14 },
+      { header: "Nil Rated", key: "nil_amt", width: 14 },
+      { header: "Exempted", key: "expt_amt", width: 14 },
+      { header: "Non-GST", key: "ngsup_amt", width: 14 },
+    ],
+    data.nil
+  );
+
+  addSheet(
+    workbook,
+    "hsn",
+    [
+      { header: "HSN", key: "hsn_sc", width: 10 },
+      { header: "Description", key: "desc", width: 24 },
+      { header: "UQC", key: "uqc", width: 8 },
+      { header: "Total Quantity", key: "qty", width: 12 },
+      { header: "Rate", key: "rt", width: 8 },
+      ...TAX_COLS,
+    ],
+    data.hsn
+  );
+
+  return workbook.xlsx.writeBuffer();
+}
+
+async function gstr3bWorkbook(data) {
+  const workbook = new ExcelJS.Workbook();
+  const s = data.summary;
+
+  addSheet(
+    workbook,
+    "3B Summary",
+    [
+      { header: "Section", key: "section", width: 46 },
+      ...TAX_COLS,
+    ],
+    [
+      { section: "3.1(a) Outward taxable supplies", ...s.outward_taxable },
+      { section: "3.1(c) Nil rated / exempted", txval: s.outward_nil_exempt },
+      { section: "Credit notes (netted in 3.1)", ...s.credit_notes },
+      { section: "Debit notes - ITC reversed (netted in 4(A)(5))", ...s.debit_notes },
+      { ...s.itc, section: "4(A)(5) ITC - all other", txval: "" },
+      { section: "5 Exempt/nil inward - inter-state", txval: s.inward_exempt.inter },
+      { section: "5 Exempt/nil inward - intra-state", txval: s.inward_exempt.intra },
+      { section: "Net payable (before set-off)", txval: "", ...s.net_payable },
+    ]
+  );
+
+  addSheet(
+    workbook,
+    "3.2 Inter-state B2C",
+    [
+      { header: "Place Of Supply", key: "pos", width: 12 },
+      { header: "Taxable Value", key: "txval", width: 14 },
+      { header: "IGST", key: "iamt", width: 12 },
+    ],
+    data.inter_state_unregistered
+  );
+
+  addSheet(
+    workbook,
+    "Inward",
+    [
+      { header: "Receipt No", key: "receipt_no", width: 16 },
+      { header: "Doc Type", key: "doc_type", width: 10 },
+      { header: "Supplier GSTIN", key: "ctin", width: 18 },
+      { header: "Supplier", key: "party", width: 30 },
+      { header: "Invoice No", key: "inum", width: 16 },
+      { header: "Invoice Date", key: "idt", width: 12 },
+      { header: "Invoice Value", key: "val", width: 14 },
+      ...TAX_COLS,
+      { header: "ITC Claimed", key: "itc", width: 10 },
+    ],
+    data.inward.map((r) => ({ ...r, idt: portalDate(r.idt), itc: r.itc_claimed ? "Y" : "N" }))
+  );
+
+  return workbook.xlsx.writeBuffer();
+}
+
+function sendReturn(reply, { format, name, data, workbook }) {
+  if (format === "portal") {
+    return reply
+      .header("Content-Type", "application/json")
+      .header("Content-Disposition", `attachment; filename="${name}.json"`)
+      .send(JSON.stringify(data.portal));
+  }
+
+  if (format === "xlsx" || format === "excel") {
+    return workbook().then((buffer) =>
+      reply
+        .header("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+        .header("Content-Disposition", `attachment; filename="${name}.xlsx"`)
+        .send(Buffer.from(buffer))
+    );
+  }
+
+  const { portal, ...rest } = data;
+  return reply.send(rest);
+}
+
+/* ============================================================
+ * GET /api/reports/gst/gstr1?month=YYYY-MM&format=json|xlsx|portal
+ * ============================================================ */
+exports.gstr1 = async (request, reply) => {
+  try {
+    const period = parseMonth(request.query?.month);
+    if (!period) return reply.code(400).send({ message: "month is required (YYYY-MM)" });
+
+    const format = safeText(request.query?.format).toLowerCase();
+
+    const company = await loadCompany();
+    if (format === "portal" && !company.gstin) {
+      return reply.code(400).send({ message: "Company GSTIN is not set in company profile" });
+    }
+
+    const invoices = await loadOutwardInvoices(period, company);
+    const creditNotes = await loadCreditNotes(period, company);
+    const data = buildGstr1(invoices, creditNotes, company, period);
+
+    return sendReturn(reply, {
+      format,
+      name: `GSTR1-${period.fp}`,
+      data: { company, period, ...data },
+      workbook: () => gstr1Workbook(data),
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ gstr1 error:", err);
+    return reply.code(500).send({ message: "Internal Server Error", details: err?.message || String(err) });
+  }
+};
+
+/* ============================================================
+ * GET /api/reports/gst/gstr3b?month=YYYY-MM&format=json|xlsx|portal
+ * ============================================================ */
+exports.gstr3b = async (request, reply) => {
+  try {
+    const period = parseMonth(request.query?.month);
+    if (!period) return reply.code(400).send({ message: "month is required (YYYY-MM)" });
+
+    const format = safeText(request.query?.format).toLowerCase();
+
+    const company = await loadCompany();
+    if (format === "portal" && !company.gstin) {
+      return reply.code(400).send({ message: "Company GSTIN is not set in company profile" });
+    }
+
+    const outward = await loadOutwardInvoices(period, company);
+    const creditNotes = await loadCreditNotes(period, company);
+    const inward = await loadInwardInvoices(period);
+    const debitNotes = await loadDebitNotes(period);
+    const data = buildGstr3b(outward, inward, company, period, { creditNotes, debitNotes });
+
+    return sendReturn(reply, {
+      format,
+      name: `GSTR3B-${period.fp}`,
+      data: { company, period, ...data },
+      workbook: () => gstr3bWorkbook(data),
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ gstr3b error:", err);
+    return reply.code(500).send({ message: "Internal Server Error", details: err?.message || String(err) });
+  }
+};
@@ -15,6 +15,7 @@ const {
   // ✅ NEW: category model (if present)
   ProductCategory,
 } = require("../models");
+const { isValidGstRate } = require("../services/gstService");
 
 /* =========================
  * Helpers
@@ -40,7 +41,7 @@ const normalizeType = (v) => {
 
 const safeStr = (v) => String(v ?? "").trim();
 
-const BOOK_ATTRS = ["id", "title", "subject", "code", "class_name", "rate", "selling_price", "mrp"];
+const BOOK_ATTRS = ["id", "title", "subject", "code", "class_name", "rate", "selling_price", "mrp", "hsn_code", "gst_rate"];
 const CAT_ATTRS = ["id", "name"];
 
 async function ensureProductExists(id) {
@@ -77,6 +78,17 @@ async function validatePayloadForCreateOrUpdate(payload, { isCreate }) {
   if (payload.book_id !== undefined) payload.book_id = payload.book_id == null ? null : num(payload.book_id);
   if (payload.name !== undefined) payload.name = payload.name == null ? null : String(payload.name).trim();
 
+  // ✅ GST: null gst_rate on BOOK = inherit from Book
+  if (payload.hsn_code !== undefined) payload.hsn_code = safeStr(payload.hsn_code) || null;
+  if (payload.gst_rate !== undefined) {
+    payload.gst_rate = payload.gst_rate == null || payload.gst_rate === "" ? null : num(payload.gst_rate);
+    if (payload.gst_rate !== null && !isValidGstRate(payload.gst_rate)) {
+      const err = new Error(`gst_rate ${payload.gst_rate} is not a valid GST rate`);
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+
   // ✅ category_id normalize
   if (payload.category_id !== undefined) payload.category_id = payload.category_id == null ? null : num(payload.category_id);
 
@@ -543,7 +555,7 @@ module.exports = {
 
   // ======================================================
   // POST /api/products
-  // body: { type, book_id?, name?, uom?, is_active?, category_id? }
+  // body: { type, book_id?, name?, uom?, is_active?, category_id?, hsn_code?, gst_rate? }
   // ======================================================
   async createProduct(req, reply) {
     const b = req.body || {};
@@ -555,6 +567,8 @@ module.exports = {
       category_id: b.category_id == null ? null : num(b.category_id), // ✅ NEW
       uom: b.uom == null ? "PCS" : String(b.uom).trim(),
       is_active: b.is_active === undefined ? true : bool(b.is_active),
+      hsn_code: b.hsn_code,
+      gst_rate: b.gst_rate,
     };
 
     try {
@@ -585,7 +599,7 @@ module.exports = {
 
   // ======================================================
   // PUT /api/products/:id
-  // body: { type?, book_id?, name?, uom?, is_active?, category_id? }
+  // body: { type?, book_id?, name?, uom?, is_active?, category_id?, hsn_code?, gst_rate? }
   // ======================================================
   async updateProduct(req, reply) {
     const id = num(req.params.id);
@@ -593,7 +607,7 @@ module.exports = {
 
     const row = await ensureProductExists(id);
 
-    const changes = pick(b, ["type", "book_id", "name", "uom", "is_active", "category_id"]); // ✅ NEW
+    const changes = pick(b, ["type", "book_id", "name", "uom", "is_active", "category_id", "hsn_code", "gst_rate"]); // ✅ NEW
 
     // Normalize fields
     if (changes.type !== undefined) changes.type = normalizeType(changes.type);
@@ -612,11 +626,16 @@ module.exports = {
       category_id: changes.category_id !== undefined ? changes.category_id : row.category_id,
       uom: changes.uom !== undefined ? changes.uom : row.uom,
       is_active: changes.is_active !== undefined ? changes.is_active : row.is_active,
+      hsn_code: changes.hsn_code,
+      gst_rate: changes.gst_rate,
     };
 
     try {
       await validatePayloadForCreateOrUpdate(finalPayload, { isCreate: false });
 
+      if (changes.hsn_code !== undefined) changes.hsn_code = finalPayload.hsn_code;
+      if (changes.gst_rate !== undefined) changes.gst_rate = finalPayload.gst_rate;
+
       // enforce by type
       if (effectiveType === "BOOK") {
         changes.type = "BOOK";
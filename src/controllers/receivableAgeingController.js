@@ -0,0 +1,497 @@
+// src/controllers/receivableAgeingController.js
+"use strict";
+
+const { Op } = require("sequelize");
+const ExcelJS = require("exceljs");
+const { School, Distributor, Sale, SchoolSale, CustomerPayment } = require("../models");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+// credit period when neither the bill nor the customer has one
+const DEFAULT_CREDIT_DAYS = Math.max(0, Math.trunc(num(process.env.DEFAULT_CREDIT_DAYS || 30)));
+
+const CUSTOMER_TYPES = ["SCHOOL", "DISTRIBUTOR"];
+
+// days past due_date
+const BUCKETS = [
+  { key: "not_due", label: "Not due", max: 0 },
+  { key: "1_30", label: "1-30", max: 30 },
+  { key: "31_60", label: "31-60", max: 60 },
+  { key: "61_90", label: "61-90", max: 90 },
+  { key: "90_plus", label: "90+", max: Infinity },
+];
+
+const bucketOf = (daysPastDue) => BUCKETS.find((b) => daysPastDue <= b.max).key;
+
+const emptyBuckets = () => Object.fromEntries(BUCKETS.map((b) => [b.key, 0]));
+
+/**
+ * "YYYY-MM-DD" (local) of a Date
+ */
+const ymd = (d) => {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+};
+
+const parseYmd = (v) => {
+  const s = safeText(v).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const d = new Date(`${s}T00:00:00`);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+const addDays = (d, n) => {
+  const out = new Date(d);
+  out.setDate(out.getDate() + n);
+  return out;
+};
+
+const daysBetween = (a, b) => Math.round((b - a) / 86400000);
+
+/**
+ * Common query: as_of?, credit_days? (override default), customer_type?
+ * Returns null (after 400) on bad input.
+ */
+function parseOptions(request, reply) {
+  const q = request.query || {};
+
+  const asOf = q.as_of ? parseYmd(q.as_of) : parseYmd(ymd(new Date()));
+  if (!asOf) {
+    reply.code(400).send({ error: "as_of must be YYYY-MM-DD" });
+    return null;
+  }
+
+  let defaultCreditDays = DEFAULT_CREDIT_DAYS;
+  if (q.credit_days !== undefined && safeText(q.credit_days) !== "") {
+    const n = Math.trunc(Number(q.credit_days));
+    if (!Number.isFinite(n) || n < 0) {
+      reply.code(400).send({ error: "credit_days must be a non-negative number" });
+      return null;
+    }
+    defaultCreditDays = n;
+  }
+
+  const type = safeText(q.customer_type).toUpperCase();
+  if (type && !CUSTOMER_TYPES.includes(type)) {
+    reply.code(400).send({ error: "customer_type must be SCHOOL or DISTRIBUTOR" });
+    return null;
+  }
+
+  return { asOf, defaultCreditDays, customer_type: type || null, format: safeText(q.format).toLowerCase() };
+}
+
+/**
+ * Unpaid bills (COMPLETED, balance > 0, billed on/before as_of) of schools + distributors,
+ * each with due_date, days_past_due and bucket.
+ * customer: optional { customer_type, customer_id } for drill-down.
+ */
+async function loadOpenBills({ asOf, defaultCreditDays, customer_type = null, customer = null }) {
+  const asOfStr = ymd(asOf);
+  const wantSchools = !customer_type || customer_type === "SCHOOL";
+  const wantDistributors = !customer_type || customer_type === "DISTRIBUTOR";
+
+  const bills = [];
+
+  // Counter / bundle sales billed to a school or distributor
+  const saleWhere = {
+    status: "COMPLETED",
+    balance_amount: { [Op.gt]: 0 },
+    sale_date: { [Op.lte]: asOfStr },
+    sold_to_type: customer_type ? customer_type : CUSTOMER_TYPES,
+    sold_to_id: { [Op.ne]: null },
+  };
+  if (customer) saleWhere.sold_to_id = customer.customer_id;
+
+  const sales = await Sale.findAll({ where: saleWhere, order: [["sale_date", "ASC"], ["id", "ASC"]] });
+  for (const s of sales) {
+    bills.push({
+      customer_type: s.sold_to_type,
+      customer_id: num(s.sold_to_id),
+      sale_type: "SALE",
+      sale_id: num(s.id),
+      sale_no: s.sale_no,
+      sale_date: s.sale_date,
+      bill_due_date: null,
+      total_amount: round2(s.total_amount),
+      paid_amount: round2(s.paid_amount),
+      balance_amount: round2(s.balance_amount),
+    });
+  }
+
+  // School invoices (carry their own due_date)
+  if (wantSchools) {
+    const ssWhere = {
+      status: "COMPLETED",
+      balance_amount: { [Op.gt]: 0 },
+      sale_date: { [Op.lte]: asOfStr },
+    };
+    if (customer) ssWhere.school_id = customer.customer_id;
+
+    const schoolSales = await SchoolSale.findAll({ where: ssWhere, order: [["sale_date", "ASC"], ["id", "ASC"]] });
+    for (const s of schoolSales) {
+      bills.push({
+        customer_type: "SCHOOL",
+        customer_id: num(s.school_id),
+        sale_type: "SCHOOL_SALE",
+        sale_id: num(s.id),
+        sale_no: s.sale_no,
+        sale_date: s.sale_date,
+        bill_due_date: s.due_date || null,
+        total_amount: round2(s.total_amount),
+        paid_amount: round2(s.paid_amount),
+        balance_amount: round2(s.balance_amount),
+      });
+    }
+  }
+
+  // Customer masters (name + credit_days)
+  const idsOf = (type) => [...new Set(bills.filter((b) => b.customer_type === type).map((b) => b.customer_id))];
+
+  const schools =
+    wantSchools && idsOf("SCHOOL").length
+      ? await School.findAll({ where: { id: idsOf("SCHOOL") }, attributes: ["id", "name", "city", "phone", "credit_days"] })
+      : [];
+  const distributors =
+    wantDistributors && idsOf("DISTRIBUTOR").length
+      ? await Distributor.findAll({
+          where: { id: idsOf("DISTRIBUTOR") },
+          attributes: ["id", "name", "city", "mobile", "credit_days"],
+        })
+      : [];
+
+  const masters = new Map();
+  for (const s of schools) masters.set(`SCHOOL:${s.id}`, { name: s.name, city: s.city, phone: s.phone, credit_days: s.credit_days });
+  for (const d of distributors) {
+    masters.set(`DISTRIBUTOR:${d.id}`, { name: d.name, city: d.city, phone: d.mobile, credit_days: d.credit_days });
+  }
+
+  return bills.map((b) => {
+    const m = masters.get(`${b.customer_type}:${b.customer_id}`) || {};
+    const creditDays = m.credit_days !== null && m.credit_days !== undefined ? num(m.credit_days) : defaultCreditDays;
+
+    const due = parseYmd(b.bill_due_date) || addDays(parseYmd(b.sale_date) || asOf, creditDays);
+    const daysPastDue = daysBetween(due, asOf);
+
+    return {
+      ...b,
+      customer_name: m.name || null,
+      city: m.city || null,
+      phone: m.phone || null,
+      credit_days: b.bill_due_date ? null : creditDays,
+      due_date: ymd(due),
+      due_source: b.bill_due_date ? "BILL" : "CREDIT_PERIOD",
+      days_past_due: Math.max(0, daysPastDue),
+      bucket: bucketOf(daysPastDue),
+    };
+  });
+}
+
+/**
+ * Unallocated customer payments (advance on account): Map("TYPE:id" -> amount)
+ */
+async function loadOnAccount({ asOf, customer_type = null, customer = null }) {
+  const where = {
+    unallocated_amount: { [Op.gt]: 0 },
+    payment_date: { [Op.lte]: ymd(asOf) },
+  };
+  if (customer_type) where.customer_type = customer_type;
+  if (customer) Object.assign(where, customer);
+
+  const rows = await CustomerPayment.findAll({
+    where,
+    attributes: [
+      "customer_type",
+      "customer_id",
+      [CustomerPayment.sequelize.fn("SUM", CustomerPayment.sequelize.col("unallocated_amount")), "amount"],
+    ],
+    group: ["customer_type", "customer_id"],
+    raw: true,
+  });
+
+  return new Map(rows.map((r) => [`${r.customer_type}:${num(r.customer_id)}`, round2(r.amount)]));
+}
+
+/**
+ * Bills -> one row per customer with bucket totals
+ */
+function summarize(bills, onAccount) {
+  const byCustomer = new Map();
+
+  for (const b of bills) {
+    const key = `${b.customer_type}:${b.customer_id}`;
+    if (!byCustomer.has(key)) {
+      byCustomer.set(key, {
+        customer_type: b.customer_type,
+        customer_id: b.customer_id,
+        customer_name: b.customer_name,
+        city: b.city,
+        phone: b.phone,
+        bills_count: 0,
+        overdue_bills: 0,
+        oldest_due_date: null,
+        max_days_past_due: 0,
+        ...emptyBuckets(),
+        outstanding: 0,
+        overdue: 0,
+      });
+    }
+
+    const c = byCustomer.get(key);
+    c.bills_count += 1;
+    c[b.bucket] = round2(c[b.bucket] + b.balance_amount);
+    c.outstanding = round2(c.outstanding + b.balance_amount);
+    if (b.bucket !== "not_due") {
+      c.overdue_bills += 1;
+      c.overdue = round2(c.overdue + b.balance_amount);
+    }
+    if (!c.oldest_due_date || b.due_date < c.oldest_due_date) c.oldest_due_date = b.due_date;
+    c.max_days_past_due = Math.max(c.max_days_past_due, b.days_past_due);
+  }
+
+  const customers = [...byCustomer.values()].map((c) => {
+    const on_account = onAccount.get(`${c.customer_type}:${c.customer_id}`) || 0;
+    return { ...c, on_account, net_outstanding: round2(c.outstanding - on_account) };
+  });
+
+  customers.sort((a, b) => b.overdue - a.overdue || b.outstanding - a.outstanding);
+
+  const totals = { customers: customers.length, bills: bills.length, ...emptyBuckets(), outstanding: 0, overdue: 0, on_account: 0 };
+  for (const c of customers) {
+    for (const bk of BUCKETS) totals[bk.key] = round2(totals[bk.key] + c[bk.key]);
+    totals.outstanding = round2(totals.outstanding + c.outstanding);
+    totals.overdue = round2(totals.overdue + c.overdue);
+    totals.on_account = round2(totals.on_account + c.on_account);
+  }
+
+  return { customers, totals };
+}
+
+/* ============================================================
+ * Excel
+ * ============================================================ */
+function addSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", xSplit: 0, ySplit: 1 }];
+  rows.forEach((r) => sheet.addRow(r));
+  return sheet;
+}
+
+const BUCKET_COLS = BUCKETS.map((b) => ({ header: b.label, key: b.key, width: 12 }));
+
+const BILL_COLS = [
+  { header: "Type", key: "customer_type", width: 12 },
+  { header: "Customer", key: "customer_name", width: 30 },
+  { header: "Bill No", key: "sale_no", width: 20 },
+  { header: "Bill Date", key: "sale_date", width: 12 },
+  { header: "Due Date", key: "due_date", width: 12 },
+  { header: "Due From", key: "due_source", width: 14 },
+  { header: "Days Past Due", key: "days_past_due", width: 14 },
+  { header: "Bucket", key: "bucket_label", width: 10 },
+  { header: "Bill Amount", key: "total_amount", width: 14 },
+  { header: "Paid", key: "paid_amount", width: 12 },
+  { header: "Outstanding", key: "balance_amount", width: 14 },
+];
+
+const bucketLabel = (key) => BUCKETS.find((b) => b.key === key)?.label || key;
+
+async function ageingWorkbook({ customers, totals, bills }) {
+  const workbook = new ExcelJS.Workbook();
+
+  const summary = addSheet(
+    workbook,
+    "Ageing",
+    [
+      { header: "Type", key: "customer_type", width: 12 },
+      { header: "Customer", key: "customer_name", width: 30 },
+      { header: "City", key: "city", width: 16 },
+      { header: "Phone", key: "phone", width: 14 },
+      { header: "Bills", key: "bills_count", width: 8 },
+      ...BUCKET_COLS,
+      { header: "Outstanding", key: "outstanding", width: 14 },
+      { header: "Overdue", key: "overdue", width: 14 },
+      { header: "On Account", key: "on_account", width: 12 },
+      { header: "Net", key: "net_outstanding", width: 14 },
+      { header: "Oldest Due", key: "oldest_due_date", width: 12 },
+    ],
+    customers
+  );
+  const totalRow = summary.addRow({ customer_name: "TOTAL", bills_count: totals.bills, ...totals });
+  totalRow.font = { bold: true };
+
+  addSheet(
+    workbook,
+    "Bills",
+    BILL_COLS,
+    bills.map((b) => ({ ...b, bucket_label: bucketLabel(b.bucket) }))
+  );
+
+  return workbook.xlsx.writeBuffer();
+}
+
+async function sendXlsx(reply, name, bufferPromise) {
+  const buffer = await bufferPromise;
+  return reply
+    .header("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+    .header("Content-Disposition", `attachment; filename="${name}.xlsx"`)
+    .send(Buffer.from(buffer));
+}
+
+/* ============================================================
+ * GET /api/reports/receivables/ageing
+ * Query: as_of?=YYYY-MM-DD, customer_type?=SCHOOL|DISTRIBUTOR,
+ *        credit_days? (default period), overdue_only?=true, format?=json|xlsx
+ * Outstanding per customer bucketed by days past due_date
+ * (SchoolSale.due_date, else bill date + customer credit_days).
+ * ============================================================ */
+exports.ageing = async (request, reply) => {
+  try {
+    const opts = parseOptions(request, reply);
+    if (!opts) return reply;
+
+    let bills = await loadOpenBills(opts);
+    if (String(request.query?.overdue_only) === "true") bills = bills.filter((b) => b.bucket !== "not_due");
+
+    const onAccount = await loadOnAccount(opts);
+    const { customers, totals } = summarize(bills, onAccount);
+
+    if (opts.format === "xlsx" || opts.format === "excel") {
+      return sendXlsx(reply, `Receivable-Ageing-${ymd(opts.asOf)}`, ageingWorkbook({ customers, totals, bills }));
+    }
+
+    return reply.send({
+      as_of: ymd(opts.asOf),
+      default_credit_days: opts.defaultCreditDays,
+      buckets: BUCKETS.map(({ key, label }) => ({ key, label })),
+      totals,
+      customers,
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ receivable ageing error:", err);
+    return reply.code(500).send({ error: "Failed to build receivable ageing" });
+  }
+};
+
+/* ============================================================
+ * GET /api/reports/receivables/ageing/:customerType/:customerId
+ * Query: as_of?, credit_days?, bucket?, format?=json|xlsx
+ * Drill-down: the customer's unpaid bills with due date and bucket
+ * ============================================================ */
+exports.customerBills = async (request, reply) => {
+  try {
+    const opts = parseOptions(request, reply);
+    if (!opts) return reply;
+
+    const customer_type = safeText(request.params?.customerType).toUpperCase();
+    const customer_id = num(request.params?.customerId);
+    if (!CUSTOMER_TYPES.includes(customer_type)) {
+      return reply.code(400).send({ error: "customerType must be SCHOOL or DISTRIBUTOR" });
+    }
+    if (!customer_id) return reply.code(400).send({ error: "Invalid customerId" });
+
+    const Model = customer_type === "SCHOOL" ? School : Distributor;
+    const master = await Model.findByPk(customer_id);
+    if (!master) return reply.code(404).send({ error: `${customer_type === "SCHOOL" ? "School" : "Distributor"} not found` });
+
+    const customer = { customer_type, customer_id };
+    let bills = await loadOpenBills({ ...opts, customer_type, customer });
+
+    const bucket = safeText(request.query?.bucket);
+    if (bucket) {
+      if (!BUCKETS.some((b) => b.key === bucket)) {
+        return reply.code(400).send({ error: `bucket must be one of ${BUCKETS.map((b) => b.key).join(", ")}` });
+      }
+      bills = bills.filter((b) => b.bucket === bucket);
+    }
+
+    const onAccount = await loadOnAccount({ ...opts, customer_type, customer });
+    const { customers, totals } = summarize(bills, onAccount);
+
+    if (opts.format === "xlsx" || opts.format === "excel") {
+      const name = `Receivable-Ageing-${customer_type}-${customer_id}-${ymd(opts.asOf)}`;
+      return sendXlsx(reply, name, ageingWorkbook({ customers, totals, bills }));
+    }
+
+    return reply.send({
+      as_of: ymd(opts.asOf),
+      customer_type,
+      customer: master,
+      summary: customers[0] || null,
+      bills,
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ receivable ageing drill-down error:", err);
+    return reply.code(500).send({ error: "Failed to fetch customer bills" });
+  }
+};
+
+/* ============================================================
+ * GET /api/reports/receivables/overdue
+ * Query: as_of?, credit_days?, customer_type?, top?=10, days?=7
+ * Weekly review: overdue totals, worst accounts, bills falling due in next `days`
+ * ============================================================ */
+exports.overdueDashboard = async (request, reply) => {
+  try {
+    const opts = parseOptions(request, reply);
+    if (!opts) return reply;
+
+    const top = Math.min(100, Math.max(1, num(request.query?.top) || 10));
+    const days = Math.min(90, Math.max(1, num(request.query?.days) || 7));
+
+    const bills = await loadOpenBills(opts);
+    const onAccount = await loadOnAccount(opts);
+    const { customers, totals } = summarize(bills, onAccount);
+
+    const dueTill = ymd(addDays(opts.asOf, days));
+    const asOfStr = ymd(opts.asOf);
+    const dueSoon = bills
+      .filter((b) => b.bucket === "not_due" && b.due_date <= dueTill)
+      .sort((a, b) => a.due_date.localeCompare(b.due_date));
+
+    const byType = {};
+    for (const type of CUSTOMER_TYPES) {
+      const list = customers.filter((c) => c.customer_type === type);
+      byType[type] = {
+        customers: list.length,
+        overdue_customers: list.filter((c) => c.overdue > 0).length,
+        outstanding: round2(list.reduce((s, c) => s + c.outstanding, 0)),
+        overdue: round2(list.reduce((s, c) => s + c.overdue, 0)),
+      };
+    }
+
+    return reply.send({
+      as_of: asOfStr,
+      totals: {
+        ...totals,
+        overdue_customers: customers.filter((c) => c.overdue > 0).length,
+        overdue_bills: bills.filter((b) => b.bucket !== "not_due").length,
+        overdue_90_plus: totals["90_plus"],
+      },
+      by_type: byType,
+      top_overdue: customers.filter((c) => c.overdue > 0).slice(0, top),
+      due_soon: {
+        till: dueTill,
+        amount: round2(dueSoon.reduce((s, b) => s + b.balance_amount, 0)),
+        bills: dueSoon,
+      },
+    });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ overdue dashboard error:", err);
+    return reply.code(500).send({ error: "Failed to build overdue dashboard" });
+  }
+};
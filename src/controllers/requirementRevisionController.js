@@ -0,0 +1,332 @@
+// controllers/requirementRevisionController.js
+
+"use strict";
+
+const {
+  SchoolBookRequirement,
+  RequirementRevision,
+  RequirementRevisionItem,
+  School,
+  Book,
+  User,
+  sequelize,
+} = require("../models");
+const {
+  confirmedItems,
+  latestRevision,
+  snapshotRequirementSet,
+  diffItems,
+  linkedRequirementIds,
+} = require("../services/requirementRevisionService");
+
+/* ===========================
+ * Small helpers
+ * =========================== */
+
+const toInt = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+};
+
+const toStr = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  return String(v);
+};
+
+const truthy = (v) => {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v === 1;
+  if (typeof v === "string") {
+    const s = v.toLowerCase().trim();
+    return ["1", "true", "yes", "y", "locked", "on"].includes(s);
+  }
+  return Boolean(v);
+};
+
+async function revisionItems(revisionId, t) {
+  return RequirementRevisionItem.findAll({
+    where: { revision_id: revisionId },
+    order: [["book_id", "ASC"]],
+    transaction: t,
+  });
+}
+
+/**
+ * GET /api/requirements/revisions?school_id=&academic_session=
+ * Revisions of a school's confirmed book list, newest first
+ */
+exports.listRevisions = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const school_id = toInt(q.school_id ?? q.schoolId);
+    const academic_session = toStr(q.academic_session ?? q.session);
+
+    if (!school_id) {
+      return reply.code(400).send({ error: "BadRequest", message: "school_id is required." });
+    }
+
+    const where = { school_id };
+    if (academic_session) where.academic_session = academic_session;
+
+    const revisions = await RequirementRevision.findAll({
+      where,
+      include: [
+        { model: School, as: "school", attributes: ["id", "name"] },
+        { model: User, as: "creator", attributes: ["id", "name"], required: false },
+      ],
+      order: [
+        ["academic_session", "DESC"],
+        ["revision_no", "DESC"],
+      ],
+    });
+
+    return reply.send({ school_id, academic_session: academic_session || null, revisions });
+  } catch (err) {
+    request.log.error({ err }, "Error in listRevisions");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to fetch revisions",
+    });
+  }
+};
+
+/**
+ * GET /api/requirements/revisions/:revisionId
+ */
+exports.getRevision = async (request, reply) => {
+  try {
+    const revisionId = toInt(request.params?.revisionId);
+    if (!revisionId) return reply.code(400).send({ error: "BadRequest", message: "Invalid revision id." });
+
+    const revision = await RequirementRevision.findByPk(revisionId, {
+      include: [
+        { model: School, as: "school", attributes: ["id", "name"] },
+        { model: User, as: "creator", attributes: ["id", "name"], required: false },
+        {
+          model: RequirementRevisionItem,
+          as: "items",
+          separate: true,
+          order: [
+            ["class_name_snapshot", "ASC"],
+            ["title_snapshot", "ASC"],
+          ],
+        },
+      ],
+    });
+    if (!revision) return reply.code(404).send({ message: "Revision not found" });
+
+    return reply.send(revision);
+  } catch (err) {
+    request.log.error({ err }, "Error in getRevision");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to fetch revision",
+    });
+  }
+};
+
+/**
+ * GET /api/requirements/revisions/diff?school_id=&academic_session=&from=2&to=3
+ *  - from / to: revision_no, or "current" for the live confirmed list
+ *  - default: latest revision -> current (what changed since the last confirm)
+ */
+exports.diffRevisions = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const school_id = toInt(q.school_id ?? q.schoolId);
+    const academic_session = toStr(q.academic_session ?? q.session);
+
+    if (!school_id) {
+      return reply.code(400).send({ error: "BadRequest", message: "school_id is required." });
+    }
+
+    const latest = await latestRevision({ school_id, academic_session });
+    const fromRaw = toStr(q.from) || (latest ? String(latest.revision_no) : null);
+    const toRaw = toStr(q.to) || "current";
+
+    if (!fromRaw) {
+      return reply.code(400).send({ error: "BadRequest", message: "No revisions yet for this school/session." });
+    }
+
+    const load = async (ref) => {
+      if (String(ref).toLowerCase() === "current") {
+        return { label: "current", revision: null, items: await confirmedItems({ school_id, academic_session }) };
+      }
+      const revision_no = toInt(ref);
+      const revision = revision_no
+        ? await RequirementRevision.findOne({
+            where: { school_id, academic_session: academic_session || null, revision_no },
+          })
+        : null;
+      if (!revision) return null;
+      return { label: `rev ${revision_no}`, revision, items: await revisionItems(revision.id) };
+    };
+
+    const from = await load(fromRaw);
+    const to = await load(toRaw);
+    if (!from || !to) {
+      return reply.code(404).send({ message: `Revision ${!from ? fromRaw : toRaw} not found` });
+    }
+
+    const diff = diffItems(from.items, to.items);
+
+    return reply.send({
+      school_id,
+      academic_session: academic_session || null,
+      from: { ref: from.label, revision: from.revision, item_count: from.items.length },
+      to: { ref: to.label, revision: to.revision, item_count: to.items.length },
+      summary: {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        qty_changed: diff.qty_changed.length,
+        unchanged: diff.unchanged_count,
+      },
+      ...diff,
+    });
+  } catch (err) {
+    request.log.error({ err }, "Error in diffRevisions");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to diff revisions",
+    });
+  }
+};
+
+/**
+ * POST /api/requirements/revisions/:revisionId/rollback
+ * Body: { include_locked?: boolean, note?: string }
+ *
+ * Restores the school's list for that session to the revision (all confirmed).
+ * Books not in the revision are deleted, or set to 0 copies when orders/bills point at them.
+ * The restored list is saved as a new revision.
+ */
+exports.rollbackRevision = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const revisionId = toInt(request.params?.revisionId);
+    if (!revisionId) {
+      await t.rollback();
+      return reply.code(400).send({ error: "BadRequest", message: "Invalid revision id." });
+    }
+
+    const body = request.body || {};
+    const include_locked = truthy(body.include_locked ?? body.includeLocked ?? false);
+
+    const revision = await RequirementRevision.findByPk(revisionId, { transaction: t });
+    if (!revision) {
+      await t.rollback();
+      return reply.code(404).send({ message: "Revision not found" });
+    }
+
+    const { school_id, academic_session } = revision;
+    const items = await revisionItems(revision.id, t);
+
+    const current = await SchoolBookRequirement.findAll({
+      where: { school_id, academic_session },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const locked = current.filter((r) => r.is_locked);
+    if (locked.length && !include_locked) {
+      await t.rollback();
+      return reply.code(403).send({
+        error: "Forbidden",
+        message: `${locked.length} requirement row(s) are locked. Pass include_locked=true to roll back anyway.`,
+      });
+    }
+
+    const currentByBook = new Map(current.map((r) => [Number(r.book_id), r]));
+    const keepBooks = new Set(items.map((i) => Number(i.book_id)));
+
+    const books = await Book.findAll({
+      where: { id: [...keepBooks] },
+      attributes: ["id"],
+      transaction: t,
+    });
+    const bookExists = new Set(books.map((b) => Number(b.id)));
+
+    let restored = 0;
+    let recreated = 0;
+    const skipped = [];
+
+    for (const it of items) {
+      const bookId = Number(it.book_id);
+      const values = {
+        class_id: it.class_id || null,
+        supplier_id: it.supplier_id || null,
+        required_copies: Number(it.required_copies) || 0,
+        remarks: it.remarks || null,
+        status: "confirmed",
+      };
+
+      const row = currentByBook.get(bookId);
+      if (row) {
+        await row.update(values, { transaction: t });
+        restored++;
+        continue;
+      }
+
+      if (!bookExists.has(bookId)) {
+        skipped.push({ book_id: bookId, title: it.title_snapshot, reason: "Book no longer exists" });
+        continue;
+      }
+
+      await SchoolBookRequirement.create(
+        { school_id, book_id: bookId, academic_session, ...values },
+        { transaction: t }
+      );
+      recreated++;
+    }
+
+    const extra = current.filter((r) => !keepBooks.has(Number(r.book_id)));
+    const linked = await linkedRequirementIds(
+      extra.map((r) => Number(r.id)),
+      t
+    );
+
+    let removed = 0;
+    let zeroed = 0;
+    for (const row of extra) {
+      if (linked.has(Number(row.id))) {
+        await row.update({ required_copies: 0 }, { transaction: t });
+        zeroed++;
+      } else {
+        await row.destroy({ transaction: t });
+        removed++;
+      }
+    }
+
+    const note = [`Rolled back to revision ${revision.revision_no}`, toStr(body.note)].filter(Boolean).join(" - ");
+    const newRevision = await snapshotRequirementSet({
+      school_id,
+      academic_session,
+      source: "rollback",
+      note,
+      userId: request.user?.id,
+      t,
+    });
+
+    await t.commit();
+
+    return reply.send({
+      message: `Requirements restored to revision ${revision.revision_no}.`,
+      school_id,
+      academic_session,
+      restored,
+      recreated,
+      removed,
+      zeroed,
+      skipped,
+      revision: newRevision,
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log.error({ err }, "Error in rollbackRevision");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to roll back requirements",
+    });
+  }
+};
@@ -22,10 +22,15 @@ const {
 
   InventoryBatch,
   InventoryTxn,
+  Warehouse,
 
   CompanyProfile,
   User, // ✅ sold-by
 } = require("../models");
+const { resolveScannedCodes } = require("../services/barcodeService");
+const { resolveSupply, taxProfile, applyGst, hsnSummary } = require("../services/gstService");
+const { syncSaleLedger, postSaleCancel } = require("../services/customerLedgerService");
+const { returnedByBatch } = require("../services/creditNoteService");
 
 /* =========================
    Helpers
@@ -155,9 +160,13 @@ function resolveBookIdFromProduct(p) {
 }
 
 /** FIFO allocation from available batches */
-async function allocateFromBatches({ book_id, qtyNeeded, t, lock }) {
+async function allocateFromBatches({ book_id, qtyNeeded, t, lock, warehouse_id = null }) {
+  const where = { book_id, available_qty: { [Op.gt]: 0 } };
+  // ✅ counter sale / issue: draw only from that warehouse
+  if (warehouse_id) where.warehouse_id = warehouse_id;
+
   const batches = await InventoryBatch.findAll({
-    where: { book_id, available_qty: { [Op.gt]: 0 } },
+    where,
     order: [["id", "ASC"]],
     transaction: t,
     lock: lock ? t.LOCK.UPDATE : undefined,
@@ -271,6 +280,8 @@ async function generateSaleReceiptPdf({ saleRow, items, customerRow, companyRow,
   }
 
   if (safeText(saleRow.class_name)) doc.text(`Class: ${safeText(saleRow.class_name)}`);
+  if (safeText(customerRow?.gstin)) doc.text(`GSTIN: ${safeText(customerRow.gstin)}`);
+  if (safeText(saleRow.place_of_supply)) doc.text(`Place of Supply: ${safeText(saleRow.place_of_supply)}`);
 
   // Credit-only details
   const mode = safeText(saleRow.payment_mode).toUpperCase();
@@ -364,6 +375,50 @@ async function generateSaleReceiptPdf({ saleRow, items, customerRow, companyRow,
   hr(doc);
   doc.moveDown(0.35);
 
+  // ✅ GST: totals split + HSN-wise summary
+  const interState = Boolean(saleRow.is_inter_state);
+  const gstRows = hsnSummary(safeItems);
+  const gstTot = gstRows.reduce(
+    (s, r) => ({ cgst: s.cgst + r.cgst_amount, sgst: s.sgst + r.sgst_amount, igst: s.igst + r.igst_amount }),
+    { cgst: 0, sgst: 0, igst: 0 }
+  );
+
+  doc.x = left;
+  doc.font("Helvetica").fontSize(is3in ? 8.5 : 9);
+  doc.text(`Subtotal: ${fmtRs(saleRow.subtotal)}`, { align: "right" });
+  if (num(saleRow.discount) > 0) doc.text(`Discount: -${fmtRs(saleRow.discount)}`, { align: "right" });
+  if (interState) {
+    doc.text(`IGST: ${fmtRs(gstTot.igst)}`, { align: "right" });
+  } else {
+    doc.text(`CGST: ${fmtRs(gstTot.cgst)}`, { align: "right" });
+    doc.text(`SGST: ${fmtRs(gstTot.sgst)}`, { align: "right" });
+  }
+
+  if (gstRows.length) {
+    doc.moveDown(0.3);
+    const colW = (right - left) / 4;
+    const fs = is3in ? 7 : 7.5;
+
+    doc.font("Helvetica-Bold").fontSize(fs);
+    let gy = doc.y;
+    ["HSN", "GST %", "Taxable", interState ? "IGST" : "CGST+SGST"].forEach((h, i) => {
+      doc.text(h, left + i * colW, gy, { width: colW, align: i === 0 ? "left" : "right" });
+    });
+    doc.y = gy + fs + 3;
+
+    doc.font("Helvetica").fontSize(fs);
+    for (const r of gstRows) {
+      gy = doc.y;
+      const taxAmt = interState ? r.igst_amount : r.cgst_amount + r.sgst_amount;
+      [r.hsn_code, `${r.gst_rate}%`, money(r.taxable_value), money(taxAmt)].forEach((v, i) => {
+        doc.text(String(v), left + i * colW, gy, { width: colW, align: i === 0 ? "left" : "right" });
+      });
+      doc.y = gy + fs + 3;
+    }
+    doc.x = left;
+    doc.moveDown(0.3);
+  }
+
   doc.font("Helvetica-Bold").fontSize(is3in ? 9.5 : 10);
   doc.text(`Total: ${fmtRs(saleRow.total_amount)}`, { align: "right" });
 
@@ -410,6 +465,7 @@ exports.create = async (request, reply) => {
 
   const bundle_id = body.bundle_id != null ? num(body.bundle_id) : null;
   const class_name = body.class_name != null ? safeText(body.class_name) : null;
+  const warehouse_id = body.warehouse_id != null ? num(body.warehouse_id) : null;
 
   const payment_mode = safeText(body.payment_mode || "CASH").toUpperCase();
   const paid_amount_in = round2(num(body.paid_amount));
@@ -462,6 +518,15 @@ exports.create = async (request, reply) => {
 
   const t = await sequelize.transaction();
   try {
+    // ✅ counter: stock drawn only from this warehouse
+    if (warehouse_id) {
+      const wh = await Warehouse.findByPk(warehouse_id, { transaction: t });
+      if (!wh || !wh.is_active) {
+        await t.rollback();
+        return reply.code(404).send({ message: "Warehouse not found or inactive" });
+      }
+    }
+
     // validate customer
     let customerRow = null;
     if (sold_to_type === "SCHOOL") {
@@ -580,7 +645,13 @@ exports.create = async (request, reply) => {
           });
         }
 
-        const { allocations } = await allocateFromBatches({ book_id, qtyNeeded: requested_qty, t, lock: true });
+        const { allocations } = await allocateFromBatches({
+          book_id,
+          qtyNeeded: requested_qty,
+          t,
+          lock: true,
+          warehouse_id,
+        });
 
         const issuedNow = round2(allocations.reduce((s, a) => s + num(a.qty), 0));
         issued_qty = issuedNow;
@@ -622,6 +693,8 @@ exports.create = async (request, reply) => {
       const billed_amount = round2(num(requested_qty) * num(requested_unit_price));
       subtotal = round2(subtotal + billed_amount);
 
+      const { hsn_code, gst_rate } = taxProfile({ book: p?.book, product: p, kind });
+
       saleItemsToCreate.push({
         sale_id: 0,
         product_id: num(line.product_id),
@@ -640,11 +713,26 @@ exports.create = async (request, reply) => {
 
         issued_qty,
         short_qty,
+
+        hsn_code,
+        gst_rate,
       });
     }
 
     const discount = round2(num(body.discount));
-    const tax = round2(num(body.tax));
+
+    // ✅ GST per line: CGST/SGST inside company state, IGST for out-of-state schools
+    let buyerState = null;
+    if (sold_to_type === "SCHOOL" && sold_to_id) {
+      const school = await School.findByPk(sold_to_id, { attributes: ["id", "state"], transaction: t });
+      buyerState = school?.state || null;
+    }
+    const supply = await resolveSupply({ counterpartyState: buyerState, t });
+
+    const gst = applyGst(saleItemsToCreate, { discount, is_inter_state: supply.is_inter_state });
+    gst.lines.forEach((g, i) => Object.assign(saleItemsToCreate[i], g));
+
+    const tax = gst.totals.tax;
 
     const total_amount = round2(Math.max(0, subtotal - discount + tax));
 
@@ -665,6 +753,8 @@ exports.create = async (request, reply) => {
         subtotal,
         discount,
         tax,
+        place_of_supply: supply.place_of_supply,
+        is_inter_state: supply.is_inter_state,
         total_amount,
         payment_mode,
         paid_amount,
@@ -689,6 +779,9 @@ exports.create = async (request, reply) => {
     if (saleItemsToCreate.length) await SaleItem.bulkCreate(saleItemsToCreate, { transaction: t });
     if (outTxns.length) await InventoryTxn.bulkCreate(outTxns, { transaction: t });
 
+    // ✅ receivable: credit / part-paid bills to school or distributor
+    await syncSaleLedger({ kind: "SALE", sale, t });
+
     await t.commit();
 
     const soldByUser = User && sale.created_by ? await User.findByPk(sale.created_by).catch(() => null) : null;
@@ -707,6 +800,7 @@ exports.create = async (request, reply) => {
           }
         : null,
       totals: { subtotal, discount, tax, total_amount, paid_amount, balance_amount },
+      gst: { ...gst.totals, place_of_supply: supply.place_of_supply, is_inter_state: supply.is_inter_state },
       shortages,
     });
   } catch (err) {
@@ -716,6 +810,70 @@ exports.create = async (request, reply) => {
   }
 };
 
+/**
+ * POST /api/sales/scan
+ * Counter billing from barcode scans.
+ * body: same as POST /api/sales, plus codes: ["9788120000000", "ENG-5", ...]
+ * - each scan = 1 copy; codes resolve via ISBN / book code / BK<id>
+ * - unit price = Book.selling_price, else MRP
+ * - any body.items (materials etc.) are billed alongside
+ */
+exports.scanCreate = async (request, reply) => {
+  try {
+    enforceSalesAuthorization(request.user);
+  } catch (e) {
+    return reply.code(e.statusCode || 403).send({ message: e.message });
+  }
+
+  const body = request.body || {};
+  const codes = Array.isArray(body.codes) ? body.codes : [];
+  if (!codes.length) return reply.code(400).send({ message: "codes is required (array)" });
+
+  try {
+    const { counts, books, unknown } = await resolveScannedCodes(codes);
+    if (unknown.length) {
+      return reply.code(400).send({ message: "Some scanned codes did not match any book", unknown });
+    }
+
+    const bookIds = Array.from(counts.keys());
+    const products = await Product.findAll({
+      where: { type: "BOOK", book_id: bookIds },
+      order: [["id", "ASC"]],
+    });
+
+    const productByBook = new Map();
+    for (const p of products) {
+      if (!productByBook.has(num(p.book_id))) productByBook.set(num(p.book_id), p);
+    }
+
+    const noProduct = bookIds.filter((id) => !productByBook.has(id));
+    if (noProduct.length) {
+      return reply.code(400).send({
+        message: "Some scanned books have no BOOK product. Create products for them first.",
+        book_ids: noProduct,
+      });
+    }
+
+    const scannedItems = bookIds.map((book_id) => {
+      const b = books.get(book_id);
+      return {
+        product_id: num(productByBook.get(book_id).id),
+        qty: counts.get(book_id),
+        unit_price: round2(num(b.selling_price) || num(b.mrp)),
+      };
+    });
+
+    request.body = {
+      ...body,
+      items: [...scannedItems, ...(Array.isArray(body.items) ? body.items : [])],
+    };
+    return exports.create(request, reply);
+  } catch (err) {
+    request.log.error({ err }, "sale scanCreate failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
 /**
  * GET /api/sales/:id
  */
@@ -895,6 +1053,14 @@ exports.cancel = async (request, reply) => {
       if (batchId && q > 0) byBatch.set(batchId, (byBatch.get(batchId) || 0) + q);
     }
 
+    // ✅ copies already back in stock via credit notes
+    const returned = await returnedByBatch({ sale_type: "SALE", sale_id: sale.id, t });
+    for (const [batch_id, q] of returned.entries()) {
+      const left = (byBatch.get(batch_id) || 0) - q;
+      if (left > 0) byBatch.set(batch_id, left);
+      else byBatch.delete(batch_id);
+    }
+
     for (const [batch_id, qtyAdd] of byBatch.entries()) {
       await InventoryBatch.update(
         { available_qty: sequelize.literal(`available_qty + ${qtyAdd}`) },
@@ -928,6 +1094,8 @@ exports.cancel = async (request, reply) => {
       { transaction: t }
     );
 
+    await postSaleCancel({ kind: "SALE", sale, cancelled_by: request.user?.id || null, t });
+
     await t.commit();
 
     return reply.send({
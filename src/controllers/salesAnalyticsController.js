@@ -8,18 +8,27 @@ const {
   Sale,
   SaleItem,
 
+  // ✅ school bulk sales (margin analytics)
+  SchoolSale,
+  SchoolSaleItem,
+  CreditNote, // ✅ returns netted out of margins
+  CreditNoteItem,
+
   Product,
   Book,
+  Publisher,
   School,
   Distributor,
   Bundle, // (kept, even if not used yet)
 
-  InventoryBatch, // (kept, even if not used yet)
-  InventoryTxn, // (kept, even if not used yet)
+  InventoryBatch, // ✅ purchase_price for margin analytics
+  InventoryTxn, // ✅ OUT rows = batches a sale consumed
 
   User, // ✅ seller
 } = require("../models");
 
+const { balancesFor } = require("../services/customerLedgerService");
+
 /* =========================
    Helpers
    ========================= */
@@ -617,6 +626,10 @@ exports.creditOutstanding = async (request, reply) => {
 
     out.sort((a, b) => num(b.balance_total) - num(a.balance_total));
 
+    // ✅ bill-level balance ignores later collections; ledger balance is the school's real outstanding
+    const ledgerBal = await balancesFor("SCHOOL", out.map((x) => x.school?.id));
+    for (const row of out) row.school_ledger_balance = ledgerBal.get(num(row.school?.id)) ?? 0;
+
     return reply.send({ from, to, rows: out });
   } catch (err) {
     request.log.error({ err }, "salesAnalytics creditOutstanding failed");
@@ -625,3 +638,358 @@ exports.creditOutstanding = async (request, reply) => {
       .send({ message: err?.message || "Internal Server Error" });
   }
 };
+
+/* ============================================================
+   MARGIN ANALYTICS (revenue vs FIFO batch cost)
+   ============================================================ */
+
+const MARGIN_GROUPS = ["sale", "book", "publisher", "school", "distributor"];
+
+/**
+ * Credit notes against these bills.
+ * Returns { saleOfNote: Map(credit_note_id => sale_id), byLine: Map(sale_item_id => { qty, taxable_value }) }
+ */
+async function loadCredited({ sale_type, saleIds }) {
+  const saleOfNote = new Map();
+  const byLine = new Map();
+  if (!saleIds.length) return { saleOfNote, byLine };
+
+  const notes = await CreditNote.findAll({
+    where: { sale_type, sale_id: { [Op.in]: saleIds } },
+    attributes: ["id", "sale_id"],
+    raw: true,
+  });
+  for (const n of notes) saleOfNote.set(num(n.id), num(n.sale_id));
+  if (!notes.length) return { saleOfNote, byLine };
+
+  const items = await CreditNoteItem.findAll({
+    where: { credit_note_id: { [Op.in]: Array.from(saleOfNote.keys()) } },
+    attributes: ["sale_item_id", "qty", "taxable_value"],
+    raw: true,
+  });
+  for (const it of items) {
+    const key = num(it.sale_item_id);
+    const acc = byLine.get(key) || { qty: 0, taxable_value: 0 };
+    acc.qty += num(it.qty);
+    acc.taxable_value = round2(acc.taxable_value + num(it.taxable_value));
+    byLine.set(key, acc);
+  }
+  return { saleOfNote, byLine };
+}
+
+/**
+ * Cost actually consumed per (sale, book) from OUT txns and their batch purchase_price,
+ * less copies put back into stock by credit notes (CREDIT_NOTE IN txns).
+ * Returns Map("sale_id::book_id" => { qty, cost })
+ */
+async function loadConsumedCost({ ref_type, saleIds, saleOfNote }) {
+  const out = new Map();
+  if (!saleIds.length) return out;
+
+  const batchInclude = [{ model: InventoryBatch, as: "batch", attributes: ["id", "purchase_price"], required: false }];
+
+  const txns = await InventoryTxn.findAll({
+    where: { ref_type, ref_id: { [Op.in]: saleIds }, txn_type: "OUT" },
+    attributes: ["ref_id", "book_id", "qty"],
+    include: batchInclude,
+  });
+
+  const returns = saleOfNote.size
+    ? await InventoryTxn.findAll({
+        where: { ref_type: "CREDIT_NOTE", ref_id: { [Op.in]: Array.from(saleOfNote.keys()) }, txn_type: "IN" },
+        attributes: ["ref_id", "book_id", "qty"],
+        include: batchInclude,
+      })
+    : [];
+
+  const add = (saleId, tx, sign) => {
+    const key = `${saleId}::${num(tx.book_id)}`;
+    if (!out.has(key)) out.set(key, { qty: 0, cost: 0 });
+    const acc = out.get(key);
+    acc.qty += sign * num(tx.qty);
+    acc.cost = round2(acc.cost + sign * num(tx.qty) * num(tx.batch?.purchase_price));
+  };
+
+  for (const tx of txns) add(num(tx.ref_id), tx, 1);
+  for (const tx of returns) add(saleOfNote.get(num(tx.ref_id)), tx, -1);
+
+  return out;
+}
+
+/**
+ * Build margin lines (one per sale x book/product) for POS sales and school sales.
+ * Header discount is spread across lines by amount; tax is excluded from revenue.
+ */
+async function buildMarginLines({ from, to, source, q }) {
+  const lines = [];
+
+  /* ---------- POS / walk-in / distributor sales ---------- */
+  if (source === "ALL" || source === "SALE") {
+    const where = { ...buildDateWhere(from, to), status: "COMPLETED" };
+    if (q.school_id) Object.assign(where, { sold_to_type: "SCHOOL", sold_to_id: num(q.school_id) });
+
+    const sales = await Sale.findAll({
+      where,
+      attributes: ["id", "sale_no", "sale_date", "sold_to_type", "sold_to_id", "subtotal", "discount"],
+      include: [{ model: User, as: "creator", attributes: ["id", "distributor_id"], required: false }],
+    });
+
+    const saleIds = sales.map((s) => num(s.id));
+    const items = saleIds.length
+      ? await SaleItem.findAll({ where: { sale_id: { [Op.in]: saleIds } }, raw: true })
+      : [];
+    const credited = await loadCredited({ sale_type: "SALE", saleIds });
+    const costMap = await loadConsumedCost({ ref_type: "SALE", saleIds, saleOfNote: credited.saleOfNote });
+
+    const saleMap = new Map(sales.map((s) => [num(s.id), s]));
+
+    for (const it of items) {
+      const sale = saleMap.get(num(it.sale_id));
+      if (!sale) continue;
+
+      const soldType = safeText(sale.sold_to_type).toUpperCase();
+      const distributor_id =
+        soldType === "DISTRIBUTOR" ? num(sale.sold_to_id) : num(sale.creator?.distributor_id);
+
+      lines.push({
+        source: "SALE",
+        sale_id: num(sale.id),
+        sale_item_id: num(it.id),
+        sale_no: sale.sale_no,
+        sale_date: sale.sale_date,
+        school_id: soldType === "SCHOOL" ? num(sale.sold_to_id) : 0,
+        distributor_id,
+        book_id: num(it.book_id),
+        kind: safeText(it.kind).toUpperCase() || "BOOK",
+        title: safeText(it.title_snapshot) || "Item",
+        qty: num(it.requested_qty ?? it.qty),
+        gross: num(it.amount),
+        header_subtotal: num(sale.subtotal),
+        header_discount: num(sale.discount),
+      });
+    }
+
+    attachReturns(lines, "SALE", credited.byLine);
+    attachCost(lines, "SALE", costMap);
+  }
+
+  /* ---------- School bulk sales ---------- */
+  if (source === "ALL" || source === "SCHOOL_SALE") {
+    const where = { ...buildDateWhere(from, to), status: "COMPLETED" };
+    if (q.school_id) where.school_id = num(q.school_id);
+
+    const sales = await SchoolSale.findAll({
+      where,
+      attributes: ["id", "sale_no", "sale_date", "school_id", "subtotal", "discount"],
+    });
+
+    const saleIds = sales.map((s) => num(s.id));
+    const items = saleIds.length
+      ? await SchoolSaleItem.findAll({ where: { school_sale_id: { [Op.in]: saleIds } }, raw: true })
+      : [];
+    const credited = await loadCredited({ sale_type: "SCHOOL_SALE", saleIds });
+    const costMap = await loadConsumedCost({ ref_type: "SCHOOL_SALE", saleIds, saleOfNote: credited.saleOfNote });
+
+    const saleMap = new Map(sales.map((s) => [num(s.id), s]));
+
+    for (const it of items) {
+      const sale = saleMap.get(num(it.school_sale_id));
+      if (!sale) continue;
+
+      lines.push({
+        source: "SCHOOL_SALE",
+        sale_id: num(sale.id),
+        sale_item_id: num(it.id),
+        sale_no: sale.sale_no,
+        sale_date: sale.sale_date,
+        school_id: num(sale.school_id),
+        distributor_id: 0,
+        book_id: num(it.book_id),
+        kind: safeText(it.kind).toUpperCase() || "BOOK",
+        title: safeText(it.title_snapshot) || "Item",
+        qty: num(it.requested_qty),
+        gross: num(it.amount),
+        header_subtotal: num(sale.subtotal),
+        header_discount: num(sale.discount),
+      });
+    }
+
+    attachReturns(lines, "SCHOOL_SALE", credited.byLine);
+    attachCost(lines, "SCHOOL_SALE", costMap);
+  }
+
+  for (const l of lines) {
+    const share = l.header_subtotal > 0 ? l.gross / l.header_subtotal : 0;
+    l.revenue = round2(l.gross - l.header_discount * share - l.returned_revenue);
+  }
+
+  return lines;
+}
+
+/**
+ * Credit notes of each line: returned copies come off qty, their taxable value off revenue.
+ */
+function attachReturns(lines, source, byLine) {
+  for (const l of lines) {
+    if (l.source !== source) continue;
+    const r = byLine.get(l.sale_item_id);
+    l.returned_qty = r ? r.qty : 0;
+    l.returned_revenue = r ? r.taxable_value : 0;
+    l.qty = Math.max(l.qty - l.returned_qty, 0);
+  }
+}
+
+/**
+ * Put consumed cost on the first line of each (sale, book); other lines of the
+ * same book in that sale get 0 so cost is not counted twice.
+ */
+function attachCost(lines, source, costMap) {
+  const seen = new Set();
+  for (const l of lines) {
+    if (l.source !== source || l.cost !== undefined) continue;
+
+    const key = `${l.sale_id}::${l.book_id}`;
+    const c = l.book_id && !seen.has(key) ? costMap.get(key) : null;
+    seen.add(key);
+
+    l.cost = c ? c.cost : 0;
+    l.costed_qty = c ? c.qty : 0;
+    l.cost_known = l.kind === "BOOK" && !!c;
+  }
+}
+
+function marginOf(acc) {
+  const margin = round2(acc.revenue - acc.cost);
+  return {
+    ...acc,
+    revenue: round2(acc.revenue),
+    cost: round2(acc.cost),
+    margin,
+    margin_pct: acc.revenue > 0 ? round2((margin / acc.revenue) * 100) : 0,
+  };
+}
+
+/**
+ * ✅ 5) MARGINS (revenue / cost / margin)
+ * GET /api/sales-analytics/margins
+ * Query: from?, to?, group_by=sale|book|publisher|school|distributor (default sale),
+ *        source=ALL|SALE|SCHOOL_SALE, school_id?, distributor_id?, publisher_id?
+ *
+ * Cost = qty x purchase_price of the batches each sale actually consumed (its OUT txns).
+ * Revenue = line amount less its share of header discount (tax excluded).
+ * Credit notes are netted out: returned qty, returned taxable value and the cost of restocked copies.
+ * MATERIAL lines have no batches, so their revenue is reported as uncosted_revenue.
+ */
+exports.margins = async (request, reply) => {
+  try {
+    assertAdminish(request);
+
+    const q = request.query || {};
+    const from = parseDate(q.from);
+    const to = parseDate(q.to);
+
+    const group_by = safeText(q.group_by || "sale").toLowerCase();
+    if (!MARGIN_GROUPS.includes(group_by)) {
+      return reply.code(400).send({ message: `group_by must be one of ${MARGIN_GROUPS.join(", ")}` });
+    }
+
+    const source = safeText(q.source || "ALL").toUpperCase();
+    if (!["ALL", "SALE", "SCHOOL_SALE"].includes(source)) {
+      return reply.code(400).send({ message: "source must be ALL, SALE or SCHOOL_SALE" });
+    }
+
+    let lines = await buildMarginLines({ from, to, source, q });
+
+    if (q.distributor_id) lines = lines.filter((l) => l.distributor_id === num(q.distributor_id));
+
+    // Book -> publisher lookup
+    const bookIds = Array.from(new Set(lines.map((l) => l.book_id).filter(Boolean)));
+    const books = bookIds.length
+      ? await Book.findAll({
+          where: { id: { [Op.in]: bookIds } },
+          attributes: ["id", "title", "class_name", "publisher_id"],
+          include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"], required: false }],
+        })
+      : [];
+    const bookMap = new Map(books.map((b) => [num(b.id), b]));
+
+    for (const l of lines) {
+      const b = bookMap.get(l.book_id);
+      l.publisher_id = num(b?.publisher_id) || 0;
+      l.publisher_name = b?.publisher?.name || null;
+    }
+
+    if (q.publisher_id) lines = lines.filter((l) => l.publisher_id === num(q.publisher_id));
+
+    // Names for school / distributor groups
+    const schoolIds = Array.from(new Set(lines.map((l) => l.school_id).filter(Boolean)));
+    const distIds = Array.from(new Set(lines.map((l) => l.distributor_id).filter(Boolean)));
+
+    const [schools, distributors] = await Promise.all([
+      schoolIds.length
+        ? School.findAll({ where: { id: { [Op.in]: schoolIds } }, attributes: ["id", "name", "city"] })
+        : [],
+      distIds.length
+        ? Distributor.findAll({ where: { id: { [Op.in]: distIds } }, attributes: ["id", "name"] })
+        : [],
+    ]);
+    const schoolMap = new Map(schools.map((s) => [num(s.id), s.toJSON()]));
+    const distMap = new Map(distributors.map((d) => [num(d.id), d.toJSON()]));
+
+    const keyOf = {
+      sale: (l) => `${l.source}::${l.sale_id}`,
+      book: (l) => (l.book_id ? `B::${l.book_id}` : `M::${l.title}`),
+      publisher: (l) => String(l.publisher_id || 0),
+      school: (l) => String(l.school_id || 0),
+      distributor: (l) => String(l.distributor_id || 0),
+    }[group_by];
+
+    const baseOf = {
+      sale: (l) => ({ source: l.source, sale_id: l.sale_id, sale_no: l.sale_no, sale_date: l.sale_date }),
+      book: (l) => ({
+        book_id: l.book_id || null,
+        title: bookMap.get(l.book_id)?.title || l.title,
+        class_name: bookMap.get(l.book_id)?.class_name || null,
+        kind: l.kind,
+        publisher_name: l.publisher_name,
+      }),
+      publisher: (l) => ({ publisher_id: l.publisher_id || null, publisher_name: l.publisher_name }),
+      school: (l) => ({ school: schoolMap.get(l.school_id) || null }),
+      distributor: (l) => ({ distributor: distMap.get(l.distributor_id) || null }),
+    }[group_by];
+
+    const map = new Map();
+    const totals = { qty: 0, returned_qty: 0, revenue: 0, returned_revenue: 0, cost: 0, uncosted_revenue: 0 };
+
+    for (const l of lines) {
+      const key = keyOf(l);
+      if (!map.has(key)) map.set(key, { ...baseOf(l), qty: 0, returned_qty: 0, revenue: 0, returned_revenue: 0, cost: 0, uncosted_revenue: 0 });
+
+      const acc = map.get(key);
+      acc.qty = round2(acc.qty + l.qty);
+      acc.returned_qty = round2(acc.returned_qty + l.returned_qty);
+      acc.revenue = round2(acc.revenue + l.revenue);
+      acc.returned_revenue = round2(acc.returned_revenue + l.returned_revenue);
+      acc.cost = round2(acc.cost + l.cost);
+      if (!l.cost_known) acc.uncosted_revenue = round2(acc.uncosted_revenue + l.revenue);
+
+      totals.qty = round2(totals.qty + l.qty);
+      totals.returned_qty = round2(totals.returned_qty + l.returned_qty);
+      totals.revenue = round2(totals.revenue + l.revenue);
+      totals.returned_revenue = round2(totals.returned_revenue + l.returned_revenue);
+      totals.cost = round2(totals.cost + l.cost);
+      if (!l.cost_known) totals.uncosted_revenue = round2(totals.uncosted_revenue + l.revenue);
+    }
+
+    const rows = Array.from(map.values())
+      .map(marginOf)
+      .sort((a, b) => num(b.margin) - num(a.margin));
+
+    return reply.send({ from, to, group_by, source, totals: marginOf(totals), rows });
+  } catch (err) {
+    request.log.error({ err }, "salesAnalytics margins failed");
+    return reply
+      .code(err.statusCode || 500)
+      .send({ message: err?.message || "Internal Server Error" });
+  }
+};
@@ -15,6 +15,8 @@ const { Op } = require("sequelize");
 const XLSX = require("xlsx");
 const ExcelJS = require("exceljs");
 const PDFDocument = require("pdfkit"); // 🆕 for PDF printing
+const { snapshotRequirementSet, snapshotMany } = require("../services/requirementRevisionService");
+const { findEnrolment, copiesFor, applyToDraftOrders } = require("../services/enrolmentService");
 
 /* ===========================
  * Small helpers
@@ -26,6 +28,12 @@ const toInt = (v) => {
   return Number.isFinite(n) ? Math.trunc(n) : null;
 };
 
+const toDecimal = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+};
+
 const toStr = (v) => {
   if (v === "" || v === null || typeof v === "undefined") return null;
   return String(v);
@@ -41,6 +49,40 @@ const truthy = (v) => {
   return Boolean(v);
 };
 
+/**
+ * Per-student copies re-expanded on a row that stays confirmed (same school/book/supplier/session)
+ * -> same delta into its draft order, like an enrolment recalculation.
+ */
+async function pushExpansionToDraftOrders({ before, requirement, t }) {
+  if (before.status !== "confirmed" || requirement.status !== "confirmed") return null;
+
+  const from = Number(before.required_copies) || 0;
+  const to = Number(requirement.required_copies) || 0;
+  if (from === to) return null;
+
+  const moved = ["school_id", "book_id", "supplier_id", "academic_session"].some(
+    (k) => String(before[k] ?? "") !== String(requirement[k] ?? "")
+  );
+  if (moved) return null;
+
+  return applyToDraftOrders({
+    changes: [
+      {
+        requirement_id: requirement.id,
+        school_id: Number(requirement.school_id),
+        supplier_id: requirement.supplier_id ? Number(requirement.supplier_id) : null,
+        book_id: Number(requirement.book_id),
+        class_id: requirement.class_id ? Number(requirement.class_id) : null,
+        status: requirement.status,
+        from_copies: from,
+        to_copies: to,
+      },
+    ],
+    academic_session: requirement.academic_session,
+    t,
+  });
+}
+
 /**
  * GET /api/requirements
  * Supports (all optional):
@@ -282,6 +324,8 @@ exports.createRequirement = async (request, reply) => {
       status = "draft",
       remarks,
       is_locked = false,
+      per_student_qty,
+      buffer_percent,
     } = request.body || {};
 
     if (!school_id || !book_id) {
@@ -320,7 +364,22 @@ exports.createRequirement = async (request, reply) => {
       }
     }
 
-    const numericCopies = Number(required_copies) || 0;
+    let numericCopies = Number(required_copies) || 0;
+    const perStudent = toDecimal(per_student_qty);
+    const bufferPct = toDecimal(buffer_percent);
+    let expanded = null;
+
+    // ✅ per-student requirement -> copies from class enrolment (when known)
+    if (perStudent !== null) {
+      const enrolment = await findEnrolment({
+        school_id,
+        class_id: classObj ? class_id : null,
+        academic_session,
+        t,
+      });
+      expanded = copiesFor({ per_student_qty: perStudent, buffer_percent: bufferPct }, enrolment);
+      if (expanded !== null) numericCopies = expanded;
+    }
 
     const [record, created] = await SchoolBookRequirement.findOrCreate({
       where: {
@@ -335,11 +394,16 @@ exports.createRequirement = async (request, reply) => {
         status: status || "draft",
         remarks: remarks || null,
         is_locked: Boolean(is_locked),
+        per_student_qty: perStudent,
+        buffer_percent: bufferPct,
       },
       transaction: t,
     });
 
+    let draftOrders = null;
     if (!created) {
+      const before = record.toJSON();
+
       if (typeof supplier_id !== "undefined")
         record.supplier_id = supplier_id || null;
 
@@ -351,8 +415,23 @@ exports.createRequirement = async (request, reply) => {
       if (typeof remarks !== "undefined") record.remarks = remarks || null;
       if (typeof is_locked !== "undefined")
         record.is_locked = Boolean(is_locked);
+      if (typeof per_student_qty !== "undefined") record.per_student_qty = perStudent;
+      if (typeof buffer_percent !== "undefined") record.buffer_percent = bufferPct;
 
       await record.save({ transaction: t });
+
+      if (expanded !== null) draftOrders = await pushExpansionToDraftOrders({ before, requirement: record, t });
+    }
+
+    // ✅ confirmed set changed -> new revision
+    if (record.status === "confirmed") {
+      await snapshotRequirementSet({
+        school_id: record.school_id,
+        academic_session: record.academic_session,
+        source: "create",
+        userId: request.user?.id,
+        t,
+      });
     }
 
     await t.commit();
@@ -376,7 +455,9 @@ exports.createRequirement = async (request, reply) => {
       ],
     });
 
-    return reply.code(created ? 201 : 200).send(fullRequirement);
+    return reply
+      .code(created ? 201 : 200)
+      .send(draftOrders ? { ...fullRequirement.toJSON(), draft_orders: draftOrders } : fullRequirement);
   } catch (err) {
     await t.rollback();
     request.log.error({ err }, "Error in createRequirement");
@@ -409,6 +490,15 @@ exports.updateRequirement = async (request, reply) => {
       return reply.code(404).send({ message: "Requirement not found" });
     }
 
+    const before = {
+      school_id: requirement.school_id,
+      book_id: requirement.book_id,
+      supplier_id: requirement.supplier_id,
+      academic_session: requirement.academic_session,
+      status: requirement.status,
+      required_copies: requirement.required_copies,
+    };
+
     const {
       school_id,
       book_id,
@@ -419,6 +509,8 @@ exports.updateRequirement = async (request, reply) => {
       status,
       remarks,
       is_locked,
+      per_student_qty,
+      buffer_percent,
     } = request.body || {};
 
     if (school_id) {
@@ -478,7 +570,35 @@ exports.updateRequirement = async (request, reply) => {
     if (typeof is_locked !== "undefined")
       requirement.is_locked = Boolean(is_locked);
 
+    if (typeof per_student_qty !== "undefined") requirement.per_student_qty = toDecimal(per_student_qty);
+    if (typeof buffer_percent !== "undefined") requirement.buffer_percent = toDecimal(buffer_percent);
+
+    // ✅ per-student requirement -> copies follow class enrolment
+    let expanded = null;
+    if (requirement.per_student_qty !== null && typeof requirement.per_student_qty !== "undefined") {
+      const enrolment = await findEnrolment({
+        school_id: requirement.school_id,
+        class_id: requirement.class_id,
+        academic_session: requirement.academic_session,
+        t,
+      });
+      expanded = copiesFor(requirement, enrolment);
+      if (expanded !== null) requirement.required_copies = expanded;
+    }
+
     await requirement.save({ transaction: t });
+
+    const draftOrders =
+      expanded !== null ? await pushExpansionToDraftOrders({ before, requirement, t }) : null;
+
+    // ✅ confirmed set changed -> new revision (and of the old school/session if the row moved)
+    const revisionKeys = [];
+    if (requirement.status === "confirmed") revisionKeys.push(requirement);
+    if (before.status === "confirmed") revisionKeys.push(before);
+    if (revisionKeys.length) {
+      await snapshotMany({ keys: revisionKeys, source: "update", userId: request.user?.id, t });
+    }
+
     await t.commit();
 
     const fullRequirement = await SchoolBookRequirement.findByPk(requirement.id, {
@@ -500,7 +620,7 @@ exports.updateRequirement = async (request, reply) => {
       ],
     });
 
-    return reply.send(fullRequirement);
+    return reply.send(draftOrders ? { ...fullRequirement.toJSON(), draft_orders: draftOrders } : fullRequirement);
   } catch (err) {
     await t.rollback();
     request.log.error({ err }, "Error in updateRequirement");
@@ -526,6 +646,17 @@ exports.deleteRequirement = async (request, reply) => {
     }
 
     await requirement.destroy({ transaction: t });
+
+    if (requirement.status === "confirmed") {
+      await snapshotRequirementSet({
+        school_id: requirement.school_id,
+        academic_session: requirement.academic_session,
+        source: "delete",
+        userId: request.user?.id,
+        t,
+      });
+    }
+
     await t.commit();
 
     return reply.send({ message: "Requirement deleted successfully" });
@@ -568,6 +699,7 @@ exports.importRequirements = async (request, reply) => {
   let createdCount = 0;
   let updatedCount = 0;
   const errors = [];
+  const confirmedKeys = [];
 
   for (const [index, row] of rows.entries()) {
     const rowNumber = index + 2;
@@ -717,9 +849,12 @@ exports.importRequirements = async (request, reply) => {
       if (id) {
         const existing = await SchoolBookRequirement.findByPk(id, { transaction: t });
         if (existing) {
+          const prev = { school_id: existing.school_id, academic_session: existing.academic_session, status: existing.status };
           await existing.update(payload, { transaction: t });
           updatedCount++;
           await t.commit();
+          if (status === "confirmed") confirmedKeys.push(payload);
+          if (prev.status === "confirmed") confirmedKeys.push(prev);
           continue;
         }
       }
@@ -735,6 +870,7 @@ exports.importRequirements = async (request, reply) => {
         transaction: t,
       });
 
+      const prevStatus = created ? null : rec.status;
       if (!created) {
         await rec.update(payload, { transaction: t });
         updatedCount++;
@@ -743,16 +879,32 @@ exports.importRequirements = async (request, reply) => {
       }
 
       await t.commit();
+      if (status === "confirmed" || prevStatus === "confirmed") confirmedKeys.push(payload);
     } catch (err) {
       await t.rollback();
       errors.push({ row: rowNumber, error: err.message });
     }
   }
 
+  // ✅ one revision per school/session whose confirmed set the file touched
+  let revisions = [];
+  if (confirmedKeys.length) {
+    const t = await sequelize.transaction();
+    try {
+      revisions = await snapshotMany({ keys: confirmedKeys, source: "import", userId: request.user?.id, t });
+      await t.commit();
+    } catch (err) {
+      await t.rollback();
+      request.log.error({ err }, "Requirement revision snapshot after import failed");
+      errors.push({ row: null, error: `Revision snapshot failed: ${err.message}` });
+    }
+  }
+
   return {
     message: "Requirements import completed",
     created: createdCount,
     updated: updatedCount,
+    revisions: revisions.length,
     errors,
   };
 };
@@ -1357,6 +1509,24 @@ exports.setStatusForSchoolFiltered = async (request, reply) => {
       { where: { id: { [Op.in]: ids } }, transaction: t }
     );
 
+    // ✅ snapshot what was just confirmed (one revision per session touched)
+    let revisions = [];
+    if (targetStatus === "confirmed" && updated) {
+      const sessions = await SchoolBookRequirement.findAll({
+        attributes: ["academic_session"],
+        where: { id: { [Op.in]: ids } },
+        group: ["academic_session"],
+        raw: true,
+        transaction: t,
+      });
+      revisions = await snapshotMany({
+        keys: sessions.map((r) => ({ school_id, academic_session: r.academic_session })),
+        source: "set-status",
+        userId: request.user?.id,
+        t,
+      });
+    }
+
     await t.commit();
 
     return reply.send({
@@ -1367,6 +1537,7 @@ exports.setStatusForSchoolFiltered = async (request, reply) => {
       skipped_locked,
       fromStatus,
       toStatus: targetStatus,
+      revisions: revisions.map((r) => ({ id: r.id, academic_session: r.academic_session, revision_no: r.revision_no })),
       filters: {
         academic_session: academic_session || null,
         class_id: class_id || null,
@@ -1383,3 +1554,256 @@ exports.setStatusForSchoolFiltered = async (request, reply) => {
     });
   }
 };
+
+/* =========================================================
+ * ✅ ROLLOVER: POST /api/requirements/rollover
+ * Copy book lists from one session to the next as drafts.
+ *
+ * Body:
+ * {
+ *   from_session: "2025-26",
+ *   to_session: "2026-27",
+ *   school_id?: number | school_ids?: number[],   // default: all schools with rows in from_session
+ *   include_drafts?: boolean,                       // default false (only confirmed lists)
+ *   adjust?: "none" | "percent" | "class_strength", // default none
+ *   percent?: number,                               // +10 => 10% more copies (buffer for class_strength)
+ *   class_strength?: [{ school_id?, class_id, students }],  // school_id omitted => all schools
+ *   skip_inactive?: boolean,                        // default false (copied but flagged)
+ *   dry_run?: boolean                               // preview only, nothing saved
+ * }
+ *
+ * Flags per title: inactive (Book.is_active false),
+ * edition_changed (another active edition of the same title/publisher/class exists)
+ * ========================================================= */
+
+const editionKey = (b) =>
+  [String(b.title || "").trim().toLowerCase(), Number(b.publisher_id) || 0, String(b.class_name || "").trim().toLowerCase()].join("|");
+
+exports.rolloverRequirements = async (request, reply) => {
+  const body = request.body || {};
+
+  const from_session = toStr(body.from_session ?? body.fromSession);
+  const to_session = toStr(body.to_session ?? body.toSession);
+
+  if (!from_session || !to_session) {
+    return reply.code(400).send({ error: "BadRequest", message: "from_session and to_session are required." });
+  }
+  if (from_session === to_session) {
+    return reply.code(400).send({ error: "BadRequest", message: "to_session must differ from from_session." });
+  }
+
+  const adjust = String(body.adjust || "none").trim().toLowerCase();
+  if (!["none", "percent", "class_strength"].includes(adjust)) {
+    return reply.code(400).send({
+      error: "BadRequest",
+      message: 'adjust must be "none", "percent" or "class_strength".',
+    });
+  }
+
+  const percent = Number(body.percent ?? 0) || 0;
+  if (percent < -100) {
+    return reply.code(400).send({ error: "BadRequest", message: "percent cannot be below -100." });
+  }
+
+  // school_id:class_id -> students (school 0 = any school)
+  const strength = new Map();
+  for (const s of Array.isArray(body.class_strength) ? body.class_strength : []) {
+    const class_id = toInt(s?.class_id ?? s?.classId);
+    const students = toInt(s?.students ?? s?.strength);
+    if (!class_id || students === null || students < 0) continue;
+    strength.set(`${toInt(s?.school_id ?? s?.schoolId) || 0}:${class_id}`, students);
+  }
+  if (adjust === "class_strength" && !strength.size) {
+    return reply.code(400).send({
+      error: "BadRequest",
+      message: "class_strength: [{ class_id, students }] is required for adjust=class_strength.",
+    });
+  }
+
+  const schoolIds = [
+    ...new Set(
+      [toInt(body.school_id ?? body.schoolId), ...(Array.isArray(body.school_ids) ? body.school_ids.map(toInt) : [])].filter(Boolean)
+    ),
+  ];
+  const include_drafts = truthy(body.include_drafts ?? false);
+  const skip_inactive = truthy(body.skip_inactive ?? false);
+  const dry_run = truthy(body.dry_run ?? false);
+
+  const grow = (copies) => Math.max(0, Math.ceil((Number(copies) || 0) * (1 + percent / 100)));
+
+  const t = await sequelize.transaction();
+  try {
+    const where = { academic_session: from_session };
+    if (!include_drafts) where.status = "confirmed";
+    if (schoolIds.length) where.school_id = { [Op.in]: schoolIds };
+
+    const source = await SchoolBookRequirement.findAll({
+      where,
+      include: [
+        { model: School, as: "school", attributes: ["id", "name"] },
+        {
+          model: Book,
+          as: "book",
+          attributes: ["id", "title", "publisher_id", "class_name", "edition", "is_active"],
+        },
+      ],
+      order: [
+        ["school_id", "ASC"],
+        ["book_id", "ASC"],
+      ],
+      transaction: t,
+    });
+
+    if (!source.length) {
+      await t.rollback();
+      return reply.code(400).send({
+        error: "BadRequest",
+        message: `No ${include_drafts ? "" : "confirmed "}requirements found in ${from_session}.`,
+      });
+    }
+
+    // rows already entered for the new session are left alone
+    const existing = await SchoolBookRequirement.findAll({
+      attributes: ["school_id", "book_id"],
+      where: {
+        academic_session: to_session,
+        school_id: { [Op.in]: [...new Set(source.map((r) => r.school_id))] },
+      },
+      raw: true,
+      transaction: t,
+    });
+    const taken = new Set(existing.map((r) => `${r.school_id}:${r.book_id}`));
+
+    // other editions of the same titles
+    const titles = [...new Set(source.map((r) => r.book?.title).filter(Boolean))];
+    const siblings = titles.length
+      ? await Book.findAll({
+          attributes: ["id", "title", "publisher_id", "class_name", "edition"],
+          where: { title: { [Op.in]: titles }, is_active: true },
+          transaction: t,
+        })
+      : [];
+    const editionsByKey = new Map();
+    for (const b of siblings) {
+      const k = editionKey(b);
+      if (!editionsByKey.has(k)) editionsByKey.set(k, []);
+      editionsByKey.get(k).push(b);
+    }
+
+    const toCreate = [];
+    const flagged = [];
+    const perSchool = new Map();
+    let skipped_existing = 0;
+    let skipped_inactive = 0;
+
+    for (const r of source) {
+      const schoolSummary = perSchool.get(r.school_id) || {
+        school_id: r.school_id,
+        school_name: r.school?.name || null,
+        copied: 0,
+        skipped: 0,
+        flagged: 0,
+      };
+      perSchool.set(r.school_id, schoolSummary);
+
+      if (taken.has(`${r.school_id}:${r.book_id}`)) {
+        skipped_existing++;
+        schoolSummary.skipped++;
+        continue;
+      }
+
+      const book = r.book || {};
+      const flags = [];
+      if (book.is_active === false || book.is_active === 0) flags.push("inactive");
+
+      const otherEditions = (editionsByKey.get(editionKey(book)) || []).filter(
+        (b) =>
+          Number(b.id) !== Number(book.id) &&
+          String(b.edition || "").trim().toLowerCase() !== String(book.edition || "").trim().toLowerCase()
+      );
+      if (otherEditions.length) flags.push("edition_changed");
+
+      let required_copies = Number(r.required_copies) || 0;
+      if (adjust === "percent") required_copies = grow(required_copies);
+      if (adjust === "class_strength") {
+        const students = r.class_id
+          ? strength.get(`${r.school_id}:${r.class_id}`) ?? strength.get(`0:${r.class_id}`)
+          : undefined;
+        if (typeof students === "undefined") {
+          flags.push("no_class_strength");
+          required_copies = grow(required_copies);
+        } else {
+          required_copies = grow(students);
+        }
+      }
+
+      if (flags.length) {
+        schoolSummary.flagged++;
+        flagged.push({
+          school_id: r.school_id,
+          school_name: r.school?.name || null,
+          book_id: r.book_id,
+          title: book.title || null,
+          edition: book.edition || null,
+          flags,
+          other_editions: otherEditions.map((b) => ({ id: b.id, edition: b.edition || null })),
+        });
+      }
+
+      if (skip_inactive && flags.includes("inactive")) {
+        skipped_inactive++;
+        schoolSummary.skipped++;
+        continue;
+      }
+
+      toCreate.push({
+        school_id: r.school_id,
+        book_id: r.book_id,
+        class_id: r.class_id || null,
+        supplier_id: r.supplier_id || null,
+        academic_session: to_session,
+        required_copies,
+        status: "draft",
+        remarks: r.remarks || null,
+        is_locked: false,
+      });
+      taken.add(`${r.school_id}:${r.book_id}`);
+      schoolSummary.copied++;
+    }
+
+    if (!dry_run) {
+      for (let i = 0; i < toCreate.length; i += 500) {
+        await SchoolBookRequirement.bulkCreate(toCreate.slice(i, i + 500), { transaction: t });
+      }
+      await t.commit();
+    } else {
+      await t.rollback();
+    }
+
+    return reply.send({
+      message: dry_run
+        ? `Preview: ${toCreate.length} requirement(s) would be copied to ${to_session}.`
+        : `Copied ${toCreate.length} requirement(s) to ${to_session} as draft.`,
+      dry_run,
+      from_session,
+      to_session,
+      adjust,
+      percent,
+      schools: perSchool.size,
+      copied: toCreate.length,
+      skipped_existing,
+      skipped_inactive,
+      flagged_count: flagged.length,
+      flagged,
+      per_school: [...perSchool.values()],
+      ...(dry_run ? { rows: toCreate } : {}),
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log.error({ err }, "Error in rolloverRequirements");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to roll over requirements",
+    });
+  }
+};
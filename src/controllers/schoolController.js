@@ -4,9 +4,12 @@
 const { Op } = require("sequelize");
 const XLSX = require("xlsx"); // ⭐ for Excel import
 const ExcelJS = require("exceljs"); // ⭐ for Excel export
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 
 const {
   School,
+  User,
   sequelize,
 
   // ✅ Mapping model (your Option A)
@@ -253,6 +256,8 @@ exports.createSchool = async (request, reply) => {
       city,
       state,
       pincode,
+      gstin,
+      credit_days,
       sort_order,
       is_active = true,
     } = request.body || {};
@@ -287,6 +292,11 @@ exports.createSchool = async (request, reply) => {
         city: city ? String(city).trim() : null,
         state: state ? String(state).trim() : null,
         pincode: pincode ? String(pincode).trim() : null,
+        gstin: gstin ? String(gstin).trim().toUpperCase() : null,
+        credit_days:
+          credit_days !== undefined && credit_days !== null && credit_days !== ""
+            ? Math.max(0, Math.trunc(Number(credit_days)) || 0)
+            : null,
         sort_order:
           typeof sort_order !== "undefined" && sort_order !== null
             ? Number(sort_order)
@@ -331,6 +341,8 @@ exports.updateSchool = async (request, reply) => {
       city,
       state,
       pincode,
+      gstin,
+      credit_days,
       sort_order,
       is_active,
     } = request.body || {};
@@ -397,6 +409,18 @@ exports.updateSchool = async (request, reply) => {
         pincode === null || pincode === "" ? null : String(pincode).trim();
     }
 
+    if (typeof gstin !== "undefined") {
+      school.gstin =
+        gstin === null || gstin === "" ? null : String(gstin).trim().toUpperCase();
+    }
+
+    if (typeof credit_days !== "undefined") {
+      school.credit_days =
+        credit_days === null || credit_days === ""
+          ? null
+          : Math.max(0, Math.trunc(Number(credit_days)) || 0);
+    }
+
     if (typeof sort_order !== "undefined") {
       school.sort_order =
         sort_order === null || sort_order === ""
@@ -450,6 +474,125 @@ exports.deleteSchool = async (request, reply) => {
   }
 };
 
+const safeStr = (v) => String(v ?? "").trim();
+
+const randomPassword = (len = 8) => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789";
+  let out = "";
+  for (let i = 0; i < len; i++) out += chars[crypto.randomInt(chars.length)];
+  return out;
+};
+
+const userView = (u) => ({
+  id: u.id,
+  name: u.name,
+  email: u.email,
+  phone: u.phone,
+  role: u.role,
+  is_active: u.is_active,
+  school_id: u.school_id,
+});
+
+/**
+ * GET /api/schools/:id/user
+ * Requirement-portal login of the school (role = school)
+ */
+exports.getSchoolUser = async (request, reply) => {
+  try {
+    const id = num(request.params?.id);
+    if (!id) return reply.code(400).send({ message: "Invalid school id" });
+
+    const user = await User.findOne({ where: { school_id: id, role: "school" } });
+    return reply.send({ user: user ? userView(user) : null });
+  } catch (err) {
+    request.log.error({ err }, "Error in getSchoolUser");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to fetch school user",
+    });
+  }
+};
+
+/**
+ * PUT /api/schools/:id/user
+ * body: { name?, email, phone?, password?, is_active? }
+ * - creates the school's portal login when missing, else updates it
+ * - password: missing/"" on create (or "" on update) => auto-generate, returned once as temp_password
+ */
+exports.saveSchoolUser = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const id = num(request.params?.id);
+    const school = id ? await School.findByPk(id, { transaction: t }) : null;
+    if (!school) {
+      await t.rollback();
+      return reply.code(404).send({ message: "School not found" });
+    }
+
+    const body = request.body || {};
+    const email = safeStr(body.email);
+
+    let user = await User.findOne({ where: { school_id: id, role: "school" }, transaction: t });
+
+    if (!user && !email) {
+      await t.rollback();
+      return reply.code(400).send({ message: "email is required (login email)" });
+    }
+
+    if (email && (!user || email !== user.email)) {
+      const exists = await User.findOne({ where: { email }, transaction: t });
+      if (exists) {
+        await t.rollback();
+        return reply.code(409).send({ message: "User with this email already exists" });
+      }
+    }
+
+    let temp_password = null;
+    let password = typeof body.password === "undefined" ? null : safeStr(body.password);
+    if ((!user && !password) || password === "") {
+      password = randomPassword(8);
+      temp_password = password;
+    }
+
+    if (!user) {
+      user = await User.create(
+        {
+          name: safeStr(body.name) || `${school.name} (School)`,
+          email,
+          phone: safeStr(body.phone) || school.phone || null,
+          password_hash: await bcrypt.hash(password, 10),
+          role: "school",
+          school_id: id,
+          is_active: typeof body.is_active === "boolean" ? body.is_active : true,
+        },
+        { transaction: t }
+      );
+    } else {
+      if (safeStr(body.name)) user.name = safeStr(body.name);
+      if (email) user.email = email;
+      if (typeof body.phone !== "undefined") user.phone = safeStr(body.phone) || null;
+      if (typeof body.is_active === "boolean") user.is_active = body.is_active;
+      if (password) user.password_hash = await bcrypt.hash(password, 10);
+      await user.save({ transaction: t });
+    }
+
+    await t.commit();
+
+    return reply.send({
+      message: "School login saved",
+      user: userView(user),
+      ...(temp_password ? { temp_password } : {}),
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log.error({ err }, "Error in saveSchoolUser");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to save school user",
+    });
+  }
+};
+
 /* ------------ BULK IMPORT: POST /api/schools/import ------------ */
 exports.importSchools = async (request, reply) => {
   const file = await request.file();
@@ -0,0 +1,229 @@
+// controllers/schoolEnrolmentController.js
+
+"use strict";
+
+const { SchoolClassEnrolment, School, Class, sequelize } = require("../models");
+const { recalcRequirements } = require("../services/enrolmentService");
+
+/* ===========================
+ * Small helpers
+ * =========================== */
+
+const toInt = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+};
+
+const toStr = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  return String(v).trim() || null;
+};
+
+const toPercent = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
+};
+
+/**
+ * GET /api/school-enrolments?school_id=&academic_session=
+ */
+exports.listEnrolments = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const school_id = toInt(q.school_id ?? q.schoolId);
+    const academic_session = toStr(q.academic_session ?? q.session);
+
+    const where = {};
+    if (school_id) where.school_id = school_id;
+    if (academic_session) where.academic_session = academic_session;
+
+    const rows = await SchoolClassEnrolment.findAll({
+      where,
+      include: [
+        { model: School, as: "school", attributes: ["id", "name"] },
+        { model: Class, as: "class", attributes: ["id", "class_name", "sort_order"] },
+      ],
+      order: [
+        ["school_id", "ASC"],
+        [{ model: Class, as: "class" }, "sort_order", "ASC"],
+      ],
+    });
+
+    return reply.send({
+      enrolments: rows,
+      total_students: rows.reduce((s, r) => s + (Number(r.students) || 0), 0),
+    });
+  } catch (err) {
+    request.log.error({ err }, "Error in listEnrolments");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to fetch enrolments",
+    });
+  }
+};
+
+/**
+ * PUT /api/school-enrolments
+ * Body:
+ * {
+ *   school_id, academic_session,
+ *   classes: [{ class_id, students, buffer_percent?, remarks? }]
+ * }
+ * Upserts student counts, then re-expands per-student requirements and draft orders.
+ */
+exports.saveEnrolments = async (request, reply) => {
+  const body = request.body || {};
+  const school_id = toInt(body.school_id ?? body.schoolId);
+  const academic_session = toStr(body.academic_session ?? body.session);
+  const classes = Array.isArray(body.classes) ? body.classes : [];
+
+  if (!school_id || !academic_session) {
+    return reply.code(400).send({ error: "BadRequest", message: "school_id and academic_session are required." });
+  }
+  if (!classes.length) {
+    return reply.code(400).send({ error: "BadRequest", message: "classes: [{ class_id, students }] is required." });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const school = await School.findByPk(school_id, { transaction: t });
+    if (!school) {
+      await t.rollback();
+      return reply.code(400).send({ error: "BadRequest", message: "Invalid school_id." });
+    }
+
+    const classIds = classes.map((c) => toInt(c?.class_id ?? c?.classId)).filter(Boolean);
+    const found = await Class.findAll({ where: { id: classIds }, attributes: ["id"], transaction: t });
+    const validClass = new Set(found.map((c) => Number(c.id)));
+
+    let saved = 0;
+    const errors = [];
+
+    for (const [i, c] of classes.entries()) {
+      const class_id = toInt(c?.class_id ?? c?.classId);
+      const students = toInt(c?.students);
+      const buffer_percent = toPercent(c?.buffer_percent);
+
+      if (!class_id || !validClass.has(class_id)) {
+        errors.push({ index: i, error: "Invalid class_id." });
+        continue;
+      }
+      if (students === null || students < 0) {
+        errors.push({ index: i, class_id, error: "students must be 0 or more." });
+        continue;
+      }
+      if (buffer_percent !== null && (buffer_percent < 0 || buffer_percent > 100)) {
+        errors.push({ index: i, class_id, error: "buffer_percent must be between 0 and 100." });
+        continue;
+      }
+
+      const [row, created] = await SchoolClassEnrolment.findOrCreate({
+        where: { school_id, class_id, academic_session },
+        defaults: {
+          students,
+          buffer_percent: buffer_percent ?? 0,
+          remarks: toStr(c?.remarks),
+          updated_by: request.user?.id || null,
+        },
+        transaction: t,
+      });
+
+      if (!created) {
+        row.students = students;
+        if (buffer_percent !== null) row.buffer_percent = buffer_percent;
+        if (typeof c?.remarks !== "undefined") row.remarks = toStr(c.remarks);
+        row.updated_by = request.user?.id || null;
+        await row.save({ transaction: t });
+      }
+      saved++;
+    }
+
+    const recalculation = await recalcRequirements({
+      school_id,
+      academic_session,
+      userId: request.user?.id,
+      t,
+    });
+
+    await t.commit();
+
+    return reply.send({
+      message: `Saved ${saved} class enrolment(s); ${recalculation.changes.length} requirement(s) recalculated.`,
+      school_id,
+      academic_session,
+      saved,
+      errors,
+      recalculation,
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log.error({ err }, "Error in saveEnrolments");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to save enrolments",
+    });
+  }
+};
+
+/**
+ * POST /api/school-enrolments/recalculate
+ * Body: { school_id, academic_session, class_id? }
+ */
+exports.recalculate = async (request, reply) => {
+  const body = request.body || {};
+  const school_id = toInt(body.school_id ?? body.schoolId);
+  const academic_session = toStr(body.academic_session ?? body.session);
+
+  if (!school_id || !academic_session) {
+    return reply.code(400).send({ error: "BadRequest", message: "school_id and academic_session are required." });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const recalculation = await recalcRequirements({
+      school_id,
+      academic_session,
+      class_id: toInt(body.class_id ?? body.classId),
+      userId: request.user?.id,
+      t,
+    });
+
+    await t.commit();
+    return reply.send({
+      message: `${recalculation.changes.length} requirement(s) recalculated.`,
+      school_id,
+      academic_session,
+      recalculation,
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log.error({ err }, "Error in recalculate");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to recalculate requirements",
+    });
+  }
+};
+
+/**
+ * DELETE /api/school-enrolments/:id
+ * Per-student requirements of that class keep their last copies.
+ */
+exports.deleteEnrolment = async (request, reply) => {
+  try {
+    const id = toInt(request.params?.id);
+    const row = id ? await SchoolClassEnrolment.findByPk(id) : null;
+    if (!row) return reply.code(404).send({ message: "Enrolment not found" });
+
+    await row.destroy();
+    return reply.send({ message: "Enrolment deleted successfully" });
+  } catch (err) {
+    request.log.error({ err }, "Error in deleteEnrolment");
+    return reply.code(500).send({
+      error: "InternalServerError",
+      message: err.message || "Failed to delete enrolment",
+    });
+  }
+};
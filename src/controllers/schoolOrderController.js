@@ -23,10 +23,15 @@ const {
   // ✅ Module-2 inventory (availability only)
   InventoryBatch,
 
+  // ✅ shortfall: qty already delivered against requirements
+  SchoolSale,
+  SchoolSaleItem,
+
   sequelize,
 } = require("../models");
 
 const { sendMail } = require("../config/email");
+const { loadRequirementsByBook, rebuildItemLinks } = require("../services/orderLinkService");
 
 /* ============================================
  * Helpers
@@ -4059,4 +4064,306 @@ exports.adjustOrderFromRequirements = async (request, reply) => {
       message: err.message || "Failed to adjust order from requirements.",
     });
   }
-};
\ No newline at end of file
+};
+/* ============================================================
+ * SHORTFALL-BASED SUGGESTED ORDERS
+ * shortfall = confirmed requirement - already delivered (school sales)
+ *             - on-hand stock - pending on open orders
+ * With schoolId, on-hand and open orders are that school's own orders
+ * for the session (stock received against them); otherwise global.
+ * ============================================================ */
+
+// orders whose pending qty is still "coming" (draft counts: it will be sent)
+const SHORTFALL_OPEN_ORDER_STATUSES = ["draft", "sent", "partial_received"];
+
+async function computeShortfall({ session, schoolId, supplierId, bookIds, t }) {
+  const reqWhere = { academic_session: session, status: "confirmed", required_copies: { [Op.gt]: 0 } };
+  if (schoolId) reqWhere.school_id = schoolId;
+  if (bookIds?.length) reqWhere.book_id = { [Op.in]: bookIds };
+
+  const requirements = await SchoolBookRequirement.findAll({
+    where: reqWhere,
+    attributes: ["id", "book_id", "supplier_id", "required_copies"],
+    include: [
+      {
+        model: Book,
+        as: "book",
+        attributes: ["id", "title", "class_name", "code", "supplier_id"],
+        include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"] }],
+      },
+    ],
+    transaction: t,
+  });
+
+  // book_id -> { book, supplier_id, required, reqIds[] }
+  const byBook = new Map();
+  for (const rr of requirements) {
+    if (!rr.book) continue;
+    const bookId = Number(rr.book_id);
+
+    // ✅ Book.supplier_id is the catalogue supplier; requirement supplier is fallback
+    const supId = Number(rr.book.supplier_id || rr.supplier_id || 0);
+    if (supplierId && supId !== supplierId) continue;
+
+    if (!byBook.has(bookId)) byBook.set(bookId, { book: rr.book, supplier_id: supId, required: 0, reqIds: [] });
+    const row = byBook.get(bookId);
+    row.required += Number(rr.required_copies || 0);
+    row.reqIds.push(rr.id);
+  }
+
+  const ids = Array.from(byBook.keys());
+  if (!ids.length) return [];
+
+  // delivered against these requirement rows (cancelled sales excluded)
+  const reqIds = Array.from(byBook.values()).flatMap((r) => r.reqIds);
+  const deliveredRows = await SchoolSaleItem.findAll({
+    where: { requirement_item_id: { [Op.in]: reqIds } },
+    attributes: ["book_id", [sequelize.fn("SUM", sequelize.col("issued_qty")), "qty"]],
+    include: [{ model: SchoolSale, as: "sale", attributes: [], where: { status: { [Op.ne]: "CANCELLED" } } }],
+    group: ["book_id"],
+    raw: true,
+    transaction: t,
+  });
+  const deliveredMap = new Map(deliveredRows.map((r) => [Number(r.book_id), Number(r.qty) || 0]));
+
+  // ✅ school mode: only that school's session orders (and stock received against them)
+  let schoolOrderIds = null;
+  if (schoolId) {
+    const schoolOrders = await SchoolOrder.findAll({
+      where: { school_id: schoolId, academic_session: session },
+      attributes: ["id"],
+      raw: true,
+      transaction: t,
+    });
+    schoolOrderIds = schoolOrders.map((o) => o.id);
+  }
+
+  const stockWhere = { book_id: { [Op.in]: ids } };
+  if (schoolOrderIds) stockWhere.school_order_id = { [Op.in]: schoolOrderIds };
+
+  const stockRows =
+    schoolOrderIds && !schoolOrderIds.length
+      ? []
+      : await InventoryBatch.findAll({
+          where: stockWhere,
+          attributes: ["book_id", [sequelize.fn("SUM", sequelize.col("available_qty")), "qty"]],
+          group: ["book_id"],
+          raw: true,
+          transaction: t,
+        });
+  const stockMap = new Map(stockRows.map((r) => [Number(r.book_id), Number(r.qty) || 0]));
+
+  const openItems = await SchoolOrderItem.findAll({
+    where: { book_id: { [Op.in]: ids } },
+    attributes: ["book_id", "total_order_qty", "received_qty", "reordered_qty"],
+    include: [
+      {
+        model: SchoolOrder,
+        as: "order",
+        attributes: [],
+        where: schoolId
+          ? { status: { [Op.in]: SHORTFALL_OPEN_ORDER_STATUSES }, school_id: schoolId, academic_session: session }
+          : { status: { [Op.in]: SHORTFALL_OPEN_ORDER_STATUSES } },
+      },
+    ],
+    raw: true,
+    transaction: t,
+  });
+  const onOrderMap = new Map();
+  for (const it of openItems) {
+    const ordered = Number(it.total_order_qty) || 0;
+    const received = Number(it.received_qty) || 0;
+    const reordered = Number(it.reordered_qty) || 0;
+    const pending = Math.max(ordered - received - reordered, 0);
+    onOrderMap.set(Number(it.book_id), (onOrderMap.get(Number(it.book_id)) || 0) + pending);
+  }
+
+  return Array.from(byBook.entries()).map(([bookId, r]) => {
+    const delivered = deliveredMap.get(bookId) || 0;
+    const onHand = Math.max(stockMap.get(bookId) || 0, 0);
+    const onOrder = onOrderMap.get(bookId) || 0;
+    const stillNeeded = Math.max(r.required - delivered, 0);
+
+    return {
+      book_id: bookId,
+      title: r.book.title,
+      class_name: r.book.class_name,
+      code: r.book.code,
+      publisher_name: r.book.publisher?.name || null,
+      supplier_id: r.supplier_id || null,
+      required_qty: r.required,
+      delivered_qty: delivered,
+      on_hand_qty: onHand,
+      on_order_qty: onOrder,
+      shortfall_qty: Math.max(stillNeeded - onHand - onOrder, 0),
+      requirement_ids: r.reqIds,
+    };
+  });
+}
+
+function groupShortfallBySupplier(lines, supplierNames) {
+  const map = new Map();
+  for (const l of lines) {
+    if (l.shortfall_qty <= 0) continue;
+    const key = l.supplier_id || 0;
+    if (!map.has(key)) {
+      map.set(key, {
+        supplier_id: l.supplier_id,
+        supplier_name: supplierNames.get(key) || (key ? `Supplier #${key}` : "Not mapped"),
+        total_shortfall_qty: 0,
+        books: [],
+      });
+    }
+    const g = map.get(key);
+    g.books.push(l);
+    g.total_shortfall_qty += l.shortfall_qty;
+  }
+
+  const groups = Array.from(map.values());
+  for (const g of groups) g.books.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+  return groups.sort((a, b) => String(a.supplier_name).localeCompare(String(b.supplier_name)));
+}
+
+async function loadSupplierNames(lines, t) {
+  const ids = [...new Set(lines.map((l) => l.supplier_id).filter(Boolean))];
+  if (!ids.length) return new Map();
+  const rows = await Supplier.findAll({ where: { id: ids }, attributes: ["id", "name"], raw: true, transaction: t });
+  return new Map(rows.map((r) => [Number(r.id), r.name]));
+}
+
+/* ============================================
+ * GET /api/school-orders/shortfall?academic_session=&school_id=&supplier_id=
+ * ✅ Preview only (no DB write)
+ * ============================================ */
+exports.getShortfall = async (request, reply) => {
+  const { academic_session, school_id, supplier_id } = request.query || {};
+  const session = String(academic_session || "").trim();
+
+  if (!session) {
+    return reply.code(400).send({ error: "ValidationError", message: "academic_session is required." });
+  }
+
+  try {
+    const lines = await computeShortfall({
+      session,
+      schoolId: Number(school_id || 0) || null,
+      supplierId: Number(supplier_id || 0) || null,
+    });
+    const suppliers = groupShortfallBySupplier(lines, await loadSupplierNames(lines));
+
+    return reply.code(200).send({
+      academic_session: session,
+      school_id: Number(school_id || 0) || null,
+      total_shortfall_qty: suppliers.reduce((s, g) => s + g.total_shortfall_qty, 0),
+      suppliers,
+    });
+  } catch (err) {
+    request.log.error({ err }, "❌ Error in getShortfall");
+    return reply.code(500).send({ error: "Error", message: err.message || "Failed to compute shortfall." });
+  }
+};
+
+/* ============================================
+ * POST /api/school-orders/shortfall/generate
+ * body: { academic_session, school_id?, supplier_id?, book_ids? }
+ * ✅ One DRAFT order per supplier for the shortfall qty
+ * ✅ With school_id -> order tied to that school; without -> stock order (school_id NULL)
+ * ✅ Books without Book.supplier_id are returned as unmapped (no order)
+ * ============================================ */
+exports.generateShortfallOrders = async (request, reply) => {
+  const { academic_session, school_id, supplier_id, book_ids } = request.body || {};
+  const session = String(academic_session || "").trim();
+  const schoolId = Number(school_id || 0) || null;
+
+  if (!session) {
+    return reply.code(400).send({ error: "ValidationError", message: "academic_session is required." });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    if (schoolId) {
+      const school = await School.findByPk(schoolId, { transaction: t });
+      if (!school) {
+        await t.rollback();
+        return reply.code(404).send({ message: "School not found" });
+      }
+    }
+
+    const lines = await computeShortfall({
+      session,
+      schoolId,
+      supplierId: Number(supplier_id || 0) || null,
+      bookIds: Array.isArray(book_ids) ? book_ids.map(Number).filter(Boolean) : null,
+      t,
+    });
+    const groups = groupShortfallBySupplier(lines, await loadSupplierNames(lines, t));
+
+    const unmapped = groups.filter((g) => !g.supplier_id);
+    const toOrder = groups.filter((g) => g.supplier_id);
+
+    const createdOrders = [];
+
+    for (const g of toOrder) {
+      const orderNo = await generateUniqueOrderNo(t);
+
+      const order = await SchoolOrder.create(
+        {
+          school_id: schoolId,
+          supplier_id: g.supplier_id,
+          order_no: orderNo,
+          academic_session: session,
+          order_date: new Date(),
+          status: "draft",
+          order_type: "original",
+          parent_order_id: null,
+          reorder_seq: null,
+          remarks: schoolId ? "Suggested from stock shortfall" : "Stock order (suggested from shortfall)",
+        },
+        { transaction: t }
+      );
+
+      const items = await SchoolOrderItem.bulkCreate(
+        g.books.map((b) => ({
+          school_order_id: order.id,
+          book_id: b.book_id,
+          total_order_qty: b.shortfall_qty,
+          received_qty: 0,
+        })),
+        { transaction: t }
+      );
+
+      // ✅ link the requirement rows this shortfall came from
+      const reqByBook = await loadRequirementsByBook({
+        requirement_ids: g.books.flatMap((b) => b.requirement_ids),
+        t,
+      });
+      await rebuildItemLinks({ items, reqByBook, t });
+
+      createdOrders.push({
+        order_id: order.id,
+        order_no: order.order_no,
+        school_id: order.school_id,
+        supplier_id: order.supplier_id,
+        supplier_name: g.supplier_name,
+        items: g.books.length,
+        total_qty: g.total_shortfall_qty,
+      });
+    }
+
+    await t.commit();
+
+    return reply.code(200).send({
+      message: createdOrders.length ? "Suggested orders created (draft)." : "No shortfall to order.",
+      academic_session: session,
+      created_count: createdOrders.length,
+      created_orders: createdOrders,
+      unmapped_books: unmapped.flatMap((g) => g.books),
+    });
+  } catch (err) {
+    try {
+      if (!t.finished) await t.rollback();
+    } catch {}
+    request.log.error({ err }, "❌ Error in generateShortfallOrders");
+    return reply.code(500).send({ error: "Error", message: err.message || "Failed to generate suggested orders." });
+  }
+};
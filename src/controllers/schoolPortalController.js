@@ -0,0 +1,456 @@
+// controllers/schoolPortalController.js
+// School-facing requirement portal (role = school). Every call is scoped to the user's own school.
+
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+  SchoolBookRequirement,
+  SchoolClassEnrolment,
+  School,
+  Book,
+  Publisher,
+  Class,
+  User,
+  sequelize,
+} = require("../models");
+const { snapshotRequirementSet, linkedRequirementIds } = require("../services/requirementRevisionService");
+const { copiesFor } = require("../services/enrolmentService");
+
+/* ===========================
+ * Small helpers
+ * =========================== */
+
+const toInt = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+};
+
+const toStr = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  return String(v).trim() || null;
+};
+
+const toDecimal = (v) => {
+  if (v === "" || v === null || typeof v === "undefined") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+};
+
+const truthy = (v) => {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v === 1;
+  if (typeof v === "string") {
+    const s = v.toLowerCase().trim();
+    return ["1", "true", "yes", "y", "on"].includes(s);
+  }
+  return Boolean(v);
+};
+
+const classKey = (v) => String(v ?? "").trim().toLowerCase();
+
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const ERROR_LABELS = { 400: "BadRequest", 403: "Forbidden", 404: "NotFound", 409: "Conflict" };
+
+const sendError = (request, reply, err, where, fallback) => {
+  const code = err.statusCode || 500;
+  if (code >= 500) request.log.error({ err }, `Error in ${where}`);
+  return reply.code(code).send({
+    error: ERROR_LABELS[code] || "InternalServerError",
+    message: err.message || fallback,
+  });
+};
+
+/**
+ * School of the logged-in user (read from DB, so a re-linked user does not need a new token)
+ */
+async function portalSchool(request, t) {
+  const user = await User.findByPk(request.user?.id, {
+    attributes: ["id", "school_id", "is_active"],
+    transaction: t,
+  });
+  if (!user || user.is_active === false) throw httpError(403, "Your account is disabled. Please contact admin.");
+  if (!user.school_id) throw httpError(403, "School user is not linked with any school");
+
+  const school = await School.findByPk(user.school_id, { attributes: ["id", "name", "is_active"], transaction: t });
+  if (!school || school.is_active === false) throw httpError(403, "School is not active");
+  return school;
+}
+
+function sessionOf(request) {
+  const v = toStr(request.body?.academic_session ?? request.query?.academic_session ?? request.query?.session);
+  if (!v) throw httpError(400, "academic_session is required.");
+  return v;
+}
+
+/**
+ * Classes the school studies in this session: enrolled classes + classes already on its list.
+ * Falls back to every active class when nothing is known yet.
+ */
+async function schoolClasses({ school_id, academic_session, t }) {
+  const [enrolments, reqRows] = await Promise.all([
+    SchoolClassEnrolment.findAll({ where: { school_id, academic_session }, transaction: t }),
+    SchoolBookRequirement.findAll({
+      where: { school_id, academic_session, class_id: { [Op.ne]: null } },
+      attributes: ["class_id"],
+      transaction: t,
+    }),
+  ]);
+
+  const ids = new Set([...enrolments, ...reqRows].map((r) => Number(r.class_id)));
+  const classes = await Class.findAll({
+    where: ids.size ? { id: [...ids] } : { is_active: true },
+    order: [
+      ["sort_order", "ASC"],
+      ["class_name", "ASC"],
+    ],
+    transaction: t,
+  });
+
+  const studentsByClass = new Map(enrolments.map((e) => [Number(e.class_id), e]));
+  return { classes, studentsByClass };
+}
+
+async function catalogueBooks(classes, t) {
+  const names = classes.map((c) => c.class_name).filter(Boolean);
+  if (!names.length) return [];
+  return Book.findAll({
+    where: { is_active: true, class_name: names },
+    attributes: ["id", "title", "class_name", "subject", "edition", "isbn", "medium", "mrp", "supplier_id"],
+    include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"] }],
+    order: [["title", "ASC"]],
+    transaction: t,
+  });
+}
+
+const listState = (rows) => ({
+  locked: rows.some((r) => r.is_locked),
+  confirmed: rows.length > 0 && rows.every((r) => r.status === "confirmed"),
+  total_titles: rows.length,
+  total_copies: rows.reduce((s, r) => s + (Number(r.required_copies) || 0), 0),
+});
+
+function assertEditable(rows) {
+  if (rows.some((r) => r.is_locked)) {
+    throw httpError(403, "Book list for this session is confirmed and locked. Please contact the office for changes.");
+  }
+}
+
+// portal only touches its own drafts; office-confirmed or ordered rows are changed by the office
+function rowBlockReason(row, linked) {
+  if (row.status !== "draft") return "Confirmed by the office. Please contact the office for changes.";
+  if (linked.has(Number(row.id))) return "Already ordered or invoiced. Please contact the office for changes.";
+  return null;
+}
+
+/**
+ * GET /api/school-portal/catalogue?academic_session=&class_id=
+ * Books for the school's classes, grouped by class, with what is already on the list
+ */
+exports.getCatalogue = async (request, reply) => {
+  try {
+    const school = await portalSchool(request);
+    const academic_session = sessionOf(request);
+    const class_id = toInt(request.query?.class_id);
+
+    let { classes, studentsByClass } = await schoolClasses({ school_id: school.id, academic_session });
+    if (class_id) classes = classes.filter((c) => Number(c.id) === class_id);
+
+    const [books, current] = await Promise.all([
+      catalogueBooks(classes),
+      SchoolBookRequirement.findAll({ where: { school_id: school.id, academic_session } }),
+    ]);
+    const onList = new Map(current.map((r) => [Number(r.book_id), r]));
+
+    const byClass = new Map(classes.map((c) => [classKey(c.class_name), []]));
+    for (const b of books) {
+      const r = onList.get(Number(b.id));
+      byClass.get(classKey(b.class_name))?.push({
+        book_id: b.id,
+        title: b.title,
+        subject: b.subject,
+        edition: b.edition,
+        isbn: b.isbn,
+        medium: b.medium,
+        mrp: b.mrp,
+        publisher: b.publisher ? { id: b.publisher.id, name: b.publisher.name } : null,
+        on_list: r
+          ? { requirement_id: r.id, required_copies: r.required_copies, per_student_qty: r.per_student_qty, status: r.status }
+          : null,
+      });
+    }
+
+    return reply.send({
+      school: { id: school.id, name: school.name },
+      academic_session,
+      ...listState(current),
+      classes: classes.map((c) => ({
+        class_id: c.id,
+        class_name: c.class_name,
+        students: studentsByClass.get(Number(c.id))?.students ?? null,
+        books: byClass.get(classKey(c.class_name)) || [],
+      })),
+    });
+  } catch (err) {
+    return sendError(request, reply, err, "getCatalogue", "Failed to fetch catalogue");
+  }
+};
+
+/**
+ * GET /api/school-portal/requirements?academic_session=
+ */
+exports.getMyRequirements = async (request, reply) => {
+  try {
+    const school = await portalSchool(request);
+    const academic_session = sessionOf(request);
+
+    const rows = await SchoolBookRequirement.findAll({
+      where: { school_id: school.id, academic_session },
+      attributes: ["id", "book_id", "class_id", "required_copies", "per_student_qty", "status", "is_locked", "remarks"],
+      include: [
+        {
+          model: Book,
+          as: "book",
+          attributes: ["id", "title", "subject", "edition", "isbn", "mrp"],
+          include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"] }],
+        },
+        { model: Class, as: "class", attributes: ["id", "class_name", "sort_order"] },
+      ],
+      order: [
+        [{ model: Class, as: "class" }, "sort_order", "ASC"],
+        [{ model: Book, as: "book" }, "title", "ASC"],
+      ],
+    });
+
+    return reply.send({
+      school: { id: school.id, name: school.name },
+      academic_session,
+      ...listState(rows),
+      requirements: rows,
+    });
+  } catch (err) {
+    return sendError(request, reply, err, "getMyRequirements", "Failed to fetch requirements");
+  }
+};
+
+/**
+ * PUT /api/school-portal/requirements
+ * Body:
+ * {
+ *   academic_session,
+ *   items: [{ book_id, class_id?, required_copies?, per_student_qty?, remarks? }],
+ *   replace?: boolean   // true = books not in items are removed from the list
+ * }
+ * Saves the school's list as draft. Not allowed once the list is locked;
+ * rows confirmed by the office or already ordered are left as they are and reported in errors.
+ */
+exports.saveMyRequirements = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const school = await portalSchool(request, t);
+    const academic_session = sessionOf(request);
+    const body = request.body || {};
+    const items = Array.isArray(body.items) ? body.items : [];
+    const replace = truthy(body.replace ?? false);
+
+    if (!items.length && !replace) throw httpError(400, "items: [{ book_id, required_copies }] is required.");
+
+    const current = await SchoolBookRequirement.findAll({
+      where: { school_id: school.id, academic_session },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    assertEditable(current);
+
+    const { classes, studentsByClass } = await schoolClasses({ school_id: school.id, academic_session, t });
+    const classByName = new Map(classes.map((c) => [classKey(c.class_name), c]));
+    const classIds = new Set(classes.map((c) => Number(c.id)));
+    const books = await catalogueBooks(classes, t);
+    const bookById = new Map(books.map((b) => [Number(b.id), b]));
+    const currentByBook = new Map(current.map((r) => [Number(r.book_id), r]));
+    const linked = await linkedRequirementIds(
+      current.map((r) => Number(r.id)),
+      t
+    );
+
+    const errors = [];
+    const keep = new Set();
+    let created = 0;
+    let updated = 0;
+
+    for (const [i, it] of items.entries()) {
+      const book_id = toInt(it?.book_id ?? it?.bookId);
+      const book = bookById.get(book_id);
+      if (!book) {
+        errors.push({ index: i, book_id, error: "Book is not in the catalogue for your classes." });
+        continue;
+      }
+      if (keep.has(book_id)) {
+        errors.push({ index: i, book_id, error: "Book listed twice." });
+        continue;
+      }
+
+      const row = currentByBook.get(book_id);
+      const blocked = row ? rowBlockReason(row, linked) : null;
+      if (blocked) {
+        keep.add(book_id);
+        errors.push({ index: i, book_id, error: blocked });
+        continue;
+      }
+
+      let class_id = toInt(it?.class_id ?? it?.classId);
+      if (!class_id || !classIds.has(class_id)) class_id = classByName.get(classKey(book.class_name))?.id || null;
+
+      const per_student_qty = toDecimal(it?.per_student_qty);
+      let required_copies = toInt(it?.required_copies);
+      if (per_student_qty !== null) {
+        // row buffer (set by the office) still applies, else the class enrolment's
+        const expanded = copiesFor(
+          { per_student_qty, buffer_percent: row ? row.buffer_percent : null },
+          studentsByClass.get(Number(class_id))
+        );
+        if (expanded !== null) required_copies = expanded;
+      }
+      if (required_copies === null || required_copies < 0) {
+        errors.push({ index: i, book_id, error: "required_copies must be 0 or more (or give per_student_qty)." });
+        continue;
+      }
+
+      keep.add(book_id);
+      const values = {
+        class_id,
+        required_copies,
+        per_student_qty,
+        remarks: toStr(it?.remarks),
+        status: "draft",
+      };
+
+      if (row) {
+        await row.update(values, { transaction: t });
+        updated++;
+      } else {
+        await SchoolBookRequirement.create(
+          {
+            school_id: school.id,
+            book_id,
+            academic_session,
+            supplier_id: book.supplier_id || null,
+            is_locked: false,
+            ...values,
+          },
+          { transaction: t }
+        );
+        created++;
+      }
+    }
+
+    let removed = 0;
+    if (replace) {
+      const extra = current.filter((r) => !keep.has(Number(r.book_id)));
+      for (const r of extra) {
+        const blocked = rowBlockReason(r, linked);
+        if (blocked) {
+          errors.push({ book_id: Number(r.book_id), error: blocked });
+          continue;
+        }
+        await r.destroy({ transaction: t });
+        removed++;
+      }
+    }
+
+    await t.commit();
+
+    return reply.send({
+      message: `Book list saved as draft: ${created} added, ${updated} updated, ${removed} removed.`,
+      academic_session,
+      created,
+      updated,
+      removed,
+      errors,
+    });
+  } catch (err) {
+    await t.rollback();
+    return sendError(request, reply, err, "saveMyRequirements", "Failed to save requirements");
+  }
+};
+
+/**
+ * DELETE /api/school-portal/requirements/:id
+ */
+exports.deleteMyRequirement = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const school = await portalSchool(request, t);
+    const id = toInt(request.params?.id);
+
+    const row = id
+      ? await SchoolBookRequirement.findOne({ where: { id, school_id: school.id }, transaction: t, lock: t.LOCK.UPDATE })
+      : null;
+    if (!row) throw httpError(404, "Requirement not found");
+    assertEditable([row]);
+
+    const linked = await linkedRequirementIds([Number(row.id)], t);
+    const blocked = rowBlockReason(row, linked);
+    if (blocked) throw httpError(409, blocked);
+
+    await row.destroy({ transaction: t });
+
+    await t.commit();
+    return reply.send({ message: "Requirement removed from the list" });
+  } catch (err) {
+    await t.rollback();
+    return sendError(request, reply, err, "deleteMyRequirement", "Failed to delete requirement");
+  }
+};
+
+/**
+ * POST /api/school-portal/requirements/confirm
+ * Body: { academic_session }
+ * Confirms the whole list for the session and locks it (is_locked = true).
+ */
+exports.confirmMyRequirements = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const school = await portalSchool(request, t);
+    const academic_session = sessionOf(request);
+
+    const rows = await SchoolBookRequirement.findAll({
+      where: { school_id: school.id, academic_session },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!rows.length) throw httpError(400, "Nothing to confirm: your book list for this session is empty.");
+    assertEditable(rows);
+
+    await SchoolBookRequirement.update(
+      { status: "confirmed", is_locked: true },
+      { where: { id: rows.map((r) => r.id) }, transaction: t }
+    );
+
+    const revision = await snapshotRequirementSet({
+      school_id: school.id,
+      academic_session,
+      source: "portal-confirm",
+      userId: request.user?.id,
+      t,
+    });
+
+    await t.commit();
+
+    return reply.send({
+      message: `Book list confirmed and locked for ${academic_session}.`,
+      academic_session,
+      confirmed: rows.length,
+      revision_no: revision ? revision.revision_no : null,
+    });
+  } catch (err) {
+    await t.rollback();
+    return sendError(request, reply, err, "confirmMyRequirements", "Failed to confirm requirements");
+  }
+};
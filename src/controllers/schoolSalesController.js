@@ -21,6 +21,7 @@ const {
   // inventory
   InventoryBatch,
   InventoryTxn,
+  Warehouse,
 
   // requirements
   SchoolBookRequirement,
@@ -34,6 +35,9 @@ const {
 } = require("../models");
 
 const { sendMail } = require("../config/email");
+const { resolveSupply, taxProfile, applyGst, hsnSummary } = require("../services/gstService");
+const { syncSaleLedger, postSaleCancel } = require("../services/customerLedgerService");
+const { returnedByBatch } = require("../services/creditNoteService");
 
 /* =========================
    Helpers
@@ -126,9 +130,13 @@ function enforceSaleOwnershipOrAdmin(user, saleRow) {
 }
 
 /** FIFO allocation from available batches */
-async function allocateFromBatches({ book_id, qtyNeeded, t, lock }) {
+async function allocateFromBatches({ book_id, qtyNeeded, t, lock, warehouse_id = null }) {
+  const where = { book_id, available_qty: { [Op.gt]: 0 } };
+  // ✅ counter sale / issue: draw only from that warehouse
+  if (warehouse_id) where.warehouse_id = warehouse_id;
+
   const batches = await InventoryBatch.findAll({
-    where: { book_id, available_qty: { [Op.gt]: 0 } },
+    where,
     order: [["id", "ASC"]],
     transaction: t,
     lock: lock ? t.LOCK.UPDATE : undefined,
@@ -530,6 +538,8 @@ async function renderSaleInvoiceToDoc(doc, opts) {
   if (schoolCity) doc.text(schoolCity, pageLeft, doc.y);
   if (schoolPhone) doc.text(`Phone: ${schoolPhone}`, pageLeft, doc.y);
   if (schoolEmail) doc.text(`Email: ${schoolEmail}`, pageLeft, doc.y);
+  if (school?.gstin) doc.text(`GSTIN: ${safeText(school.gstin)}`, pageLeft, doc.y);
+  if (sale?.place_of_supply) doc.text(`Place of Supply: ${safeText(sale.place_of_supply)}`, pageLeft, doc.y);
 
   doc.moveDown(0.2);
   doc.font("Helvetica").fontSize(9);
@@ -778,13 +788,70 @@ async function renderSaleInvoiceToDoc(doc, opts) {
   drawHR();
   doc.moveDown(0.4);
 
+  // ✅ GST split from item rows
+  const gstRows = hsnSummary(rows);
+  const gstTot = gstRows.reduce(
+    (s, r) => ({ cgst: s.cgst + r.cgst_amount, sgst: s.sgst + r.sgst_amount, igst: s.igst + r.igst_amount }),
+    { cgst: 0, sgst: 0, igst: 0 }
+  );
+
   line("Subtotal", subtotal.toFixed(2));
   line("Discount", discount.toFixed(2));
-  line("Tax", tax.toFixed(2));
+  if (sale?.is_inter_state) {
+    line("IGST", round2(gstTot.igst).toFixed(2));
+  } else {
+    line("CGST", round2(gstTot.cgst).toFixed(2));
+    line("SGST", round2(gstTot.sgst).toFixed(2));
+  }
+  line("Total Tax", tax.toFixed(2));
   line("Total", total.toFixed(2), true);
   line("Paid", paid.toFixed(2));
   line("Balance", bal.toFixed(2), true);
 
+  // ---------- HSN summary ----------
+  if (gstRows.length) {
+    const inter = Boolean(sale?.is_inter_state);
+    const heads = inter
+      ? ["HSN", "GST %", "Taxable", "IGST", "Total Tax"]
+      : ["HSN", "GST %", "Taxable", "CGST", "SGST", "Total Tax"];
+    const colW = contentWidth / heads.length;
+    const rowH = 16;
+
+    if (doc.y + rowH * (gstRows.length + 2) > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.moveDown(0.6);
+
+    const drawRow = (cells, bold) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5).fillColor("#000");
+      cells.forEach((c, i) => {
+        doc.text(String(c), pageLeft + i * colW + 4, y + 4, {
+          width: colW - 8,
+          align: i === 0 ? "left" : "right",
+        });
+      });
+      drawTableGrid(y, y + rowH, heads.map((_, i) => pageLeft + i * colW), pageLeft, pageRight);
+      doc.y = y + rowH;
+    };
+
+    drawRow(heads, true);
+    for (const r of gstRows) {
+      const taxAmt = round2(r.cgst_amount + r.sgst_amount + r.igst_amount);
+      drawRow(
+        inter
+          ? [r.hsn_code, r.gst_rate, r.taxable_value.toFixed(2), r.igst_amount.toFixed(2), taxAmt.toFixed(2)]
+          : [
+              r.hsn_code,
+              r.gst_rate,
+              r.taxable_value.toFixed(2),
+              r.cgst_amount.toFixed(2),
+              r.sgst_amount.toFixed(2),
+              taxAmt.toFixed(2),
+            ],
+        false
+      );
+    }
+  }
+
   if (sale?.notes) {
     doc.moveDown(0.5);
     doc.font("Helvetica-Bold").fontSize(10).text("Notes", pageLeft, doc.y);
@@ -889,10 +956,10 @@ exports.previewFromRequirements = async (request, reply) => {
   const academic_session = safeText(body.academic_session || "");
   const class_id = body.class_id != null ? num(body.class_id) : null;
   const supplier_id = body.supplier_id != null ? num(body.supplier_id) : null;
+  const warehouse_id = body.warehouse_id != null ? num(body.warehouse_id) : null;
 
   const invoice_group_by = safeText(body.invoice_group_by || "NONE").toUpperCase();
   const discount_in = round2(num(body.discount));
-  const tax_in = round2(num(body.tax));
 
   if (!school_id) return reply.code(400).send({ message: "school_id is required" });
   if (!academic_session) return reply.code(400).send({ message: "academic_session is required" });
@@ -905,6 +972,8 @@ exports.previewFromRequirements = async (request, reply) => {
     const school = await School.findByPk(school_id);
     if (!school) return reply.code(404).send({ message: "School not found" });
 
+    const supply = await resolveSupply({ counterpartyState: school.state });
+
     const whereReq = {
       school_id,
       academic_session,
@@ -997,13 +1066,10 @@ exports.previewFromRequirements = async (request, reply) => {
       const rows = groups.get(g.key);
 
       let discount = invoice_group_by === "NONE" ? discount_in : alloc(discount_in, g.estSubtotal);
-      let tax = invoice_group_by === "NONE" ? tax_in : alloc(tax_in, g.estSubtotal);
 
       if (invoice_group_by !== "NONE" && i === groupEst.length - 1) {
         const usedD = previews.reduce((s, x) => s + num(x.discount), 0);
-        const usedT = previews.reduce((s, x) => s + num(x.tax), 0);
         discount = round2(discount_in - usedD);
-        tax = round2(tax_in - usedT);
       }
 
       const items = [];
@@ -1024,7 +1090,11 @@ exports.previewFromRequirements = async (request, reply) => {
         const available = round2(
           num(
             await InventoryBatch.sum("available_qty", {
-              where: { book_id, available_qty: { [Op.gt]: 0 } },
+              where: {
+                book_id,
+                available_qty: { [Op.gt]: 0 },
+                ...(warehouse_id ? { warehouse_id } : {}),
+              },
             })
           )
         );
@@ -1033,9 +1103,13 @@ exports.previewFromRequirements = async (request, reply) => {
           publisherNameFromBook(book) || product?.publisher_name || product?.publisher || ""
         );
 
+        const { hsn_code, gst_rate } = taxProfile({ book, product, kind: "BOOK" });
+
         items.push({
           requirement_item_id: r.id,
           book_id,
+          hsn_code,
+          gst_rate,
           title: safeText(book?.title || product?.name || "Book"),
           class_name: safeText(book?.class_name || product?.class_name || ""),
           publisher,
@@ -1050,6 +1124,10 @@ exports.previewFromRequirements = async (request, reply) => {
         });
       }
 
+      const gst = applyGst(items, { discount, is_inter_state: supply.is_inter_state });
+      gst.lines.forEach((x, idx) => Object.assign(items[idx], x));
+
+      const tax = gst.totals.tax;
       const total_amount = round2(Math.max(0, subtotal - discount + tax));
 
       previews.push({
@@ -1058,6 +1136,7 @@ exports.previewFromRequirements = async (request, reply) => {
         subtotal,
         discount,
         tax,
+        gst: gst.totals,
         total_amount,
         items_count: items.length,
         items,
@@ -1075,6 +1154,8 @@ exports.previewFromRequirements = async (request, reply) => {
     return reply.send({
       success: true,
       school: { id: school.id, name: school.name },
+      place_of_supply: supply.place_of_supply,
+      is_inter_state: supply.is_inter_state,
       filters: { school_id, academic_session, class_id, supplier_id, invoice_group_by },
       grand: {
         subtotal: round2(previews.reduce((s, x) => s + num(x.subtotal), 0)),
@@ -1106,6 +1187,7 @@ exports.createFromRequirements = async (request, reply) => {
   const academic_session = safeText(body.academic_session || "");
   const class_id = body.class_id != null ? num(body.class_id) : null;
   const supplier_id = body.supplier_id != null ? num(body.supplier_id) : null;
+  const warehouse_id = body.warehouse_id != null ? num(body.warehouse_id) : null;
 
   const invoice_group_by = safeText(body.invoice_group_by || "NONE").toUpperCase();
 
@@ -1113,7 +1195,6 @@ exports.createFromRequirements = async (request, reply) => {
   const paid_amount_in = round2(num(body.paid_amount));
 
   const discount_in = round2(num(body.discount));
-  const tax_in = round2(num(body.tax));
   const notes = body.notes != null ? String(body.notes).trim() : null;
 
   const po_no = body.po_no != null ? safeText(body.po_no) : null;
@@ -1142,6 +1223,18 @@ exports.createFromRequirements = async (request, reply) => {
       return reply.code(404).send({ message: "School not found" });
     }
 
+    // ✅ GST: school state vs company state
+    const supply = await resolveSupply({ counterpartyState: school.state, t });
+
+    // ✅ counter: stock drawn only from this warehouse
+    if (warehouse_id) {
+      const wh = await Warehouse.findByPk(warehouse_id, { transaction: t });
+      if (!wh || !wh.is_active) {
+        await t.rollback();
+        return reply.code(404).send({ message: "Warehouse not found or inactive" });
+      }
+    }
+
     const whereReq = {
       school_id,
       academic_session,
@@ -1244,10 +1337,6 @@ exports.createFromRequirements = async (request, reply) => {
         invoice_group_by === "NONE"
           ? discount_in
           : allocateProportional(discount_in, estSubtotal, grandSub);
-      let tax =
-        invoice_group_by === "NONE"
-          ? tax_in
-          : allocateProportional(tax_in, estSubtotal, grandSub);
       let paid_amount_slice =
         invoice_group_by === "NONE"
           ? paid_amount_in
@@ -1255,11 +1344,9 @@ exports.createFromRequirements = async (request, reply) => {
 
       if (invoice_group_by !== "NONE" && gi === groupEst.length - 1) {
         const usedDiscount = createdSales.reduce((s, x) => s + num(x._discountAllocated || 0), 0);
-        const usedTax = createdSales.reduce((s, x) => s + num(x._taxAllocated || 0), 0);
         const usedPaid = createdSales.reduce((s, x) => s + num(x._paidAllocated || 0), 0);
 
         discount = round2(discount_in - usedDiscount);
-        tax = round2(tax_in - usedTax);
         paid_amount_slice = round2(paid_amount_in - usedPaid);
       }
 
@@ -1279,7 +1366,9 @@ exports.createFromRequirements = async (request, reply) => {
 
         subtotal: 0,
         discount,
-        tax,
+        tax: 0,
+        place_of_supply: supply.place_of_supply,
+        is_inter_state: supply.is_inter_state,
         total_amount: 0,
 
         payment_mode,
@@ -1329,6 +1418,7 @@ exports.createFromRequirements = async (request, reply) => {
           qtyNeeded: reqQty,
           t,
           lock: true,
+          warehouse_id,
         });
         const issued_qty = round2(allocations.reduce((s, a) => s + num(a.qty), 0));
         const short_qty = round2(Math.max(0, reqQty - issued_qty));
@@ -1368,6 +1458,8 @@ exports.createFromRequirements = async (request, reply) => {
         const amount = round2(reqQty * unit);
         subtotal = round2(subtotal + amount);
 
+        const { hsn_code, gst_rate } = taxProfile({ book, product, kind: "BOOK" });
+
         itemsToCreate.push({
           school_sale_id: sale.id,
           requirement_item_id: r.id,
@@ -1386,6 +1478,9 @@ exports.createFromRequirements = async (request, reply) => {
 
           issued_qty,
           short_qty,
+
+          hsn_code,
+          gst_rate,
         });
       }
 
@@ -1394,6 +1489,10 @@ exports.createFromRequirements = async (request, reply) => {
         return reply.code(400).send({ message: "No valid requirement rows to sell" });
       }
 
+      const gst = applyGst(itemsToCreate, { discount, is_inter_state: supply.is_inter_state });
+      gst.lines.forEach((x, idx) => Object.assign(itemsToCreate[idx], x));
+      const tax = gst.totals.tax;
+
       const total_amount = round2(Math.max(0, subtotal - discount + tax));
       const paid_amount = round2(Math.min(total_amount, Math.max(0, paid_amount_slice)));
       const balance_amount = round2(Math.max(0, total_amount - paid_amount));
@@ -1401,10 +1500,10 @@ exports.createFromRequirements = async (request, reply) => {
       await SchoolSaleItem.bulkCreate(itemsToCreate, { transaction: t });
       if (outTxns.length) await InventoryTxn.bulkCreate(outTxns, { transaction: t });
 
-      await sale.update({ subtotal, total_amount, paid_amount, balance_amount }, { transaction: t });
+      await sale.update({ subtotal, tax, total_amount, paid_amount, balance_amount }, { transaction: t });
+      await syncSaleLedger({ kind: "SCHOOL_SALE", sale, t });
 
       sale._discountAllocated = discount;
-      sale._taxAllocated = tax;
       sale._paidAllocated = paid_amount_slice;
 
       createdSales.push(sale);
@@ -1577,6 +1676,14 @@ exports.cancel = async (request, reply) => {
       if (batchId && q > 0) byBatch.set(batchId, (byBatch.get(batchId) || 0) + q);
     }
 
+    // ✅ copies already back in stock via credit notes
+    const returned = await returnedByBatch({ sale_type: "SCHOOL_SALE", sale_id: sale.id, t });
+    for (const [batch_id, q] of returned.entries()) {
+      const left = (byBatch.get(batch_id) || 0) - q;
+      if (left > 0) byBatch.set(batch_id, left);
+      else byBatch.delete(batch_id);
+    }
+
     for (const [batch_id, qtyAdd] of byBatch.entries()) {
       await InventoryBatch.update(
         { available_qty: sequelize.literal(`available_qty + ${qtyAdd}`) },
@@ -1607,6 +1714,8 @@ exports.cancel = async (request, reply) => {
       t
     );
 
+    await postSaleCancel({ kind: "SCHOOL_SALE", sale, cancelled_by: request.user?.id || null, t });
+
     await t.commit();
 
     return reply.send({
@@ -2123,7 +2232,6 @@ exports.updateSale = async (request, reply) => {
       payment_mode: body.payment_mode != null ? safeText(body.payment_mode).toUpperCase() : undefined,
       paid_amount: body.paid_amount != null ? round2(num(body.paid_amount)) : undefined,
       discount: body.discount != null ? round2(num(body.discount)) : undefined,
-      tax: body.tax != null ? round2(num(body.tax)) : undefined,
       notes: body.notes != null ? String(body.notes).trim() : undefined,
       po_no: body.po_no != null ? safeText(body.po_no) : undefined,
       challan_no: body.challan_no != null ? safeText(body.challan_no) : undefined,
@@ -2140,6 +2248,14 @@ exports.updateSale = async (request, reply) => {
         .send({ message: "payment_mode must be CASH, UPI, CARD, CREDIT, MIXED" });
     }
 
+    // ✅ lines already (partly) returned via credit notes cannot be re-priced
+    if (Array.isArray(body.items) && body.items.length && num(sale.returned_amount) > 0) {
+      await t.rollback();
+      return reply.code(400).send({
+        message: "Sale has credit notes (returns). Items cannot be edited; issue another credit note instead.",
+      });
+    }
+
     Object.keys(patch).forEach((k) => patch[k] === undefined && delete patch[k]);
     await safeSaleUpdate(sale, patch, t);
 
@@ -2179,38 +2295,39 @@ exports.updateSale = async (request, reply) => {
           await row.update(itemPatch, { transaction: t });
         }
       }
+    }
 
-      const freshItems = await SchoolSaleItem.findAll({
-        where: { school_sale_id: id },
-        transaction: t,
-      });
-      const subtotal = round2(freshItems.reduce((s, x) => s + round2(num(x.amount)), 0));
-
-      const discount = round2(num(sale.discount));
-      const tax = round2(num(sale.tax));
-      const total_amount = round2(Math.max(0, subtotal - discount + tax));
+    // ✅ GST re-split on current amounts + discount (rates stay as billed)
+    const freshItems = await SchoolSaleItem.findAll({
+      where: { school_sale_id: id },
+      order: [["id", "ASC"]],
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    const subtotal = round2(freshItems.reduce((s, x) => s + round2(num(x.amount)), 0));
+    const discount = round2(num(sale.discount));
 
-      let paid_amount = round2(num(sale.paid_amount));
-      if (paid_amount > total_amount) paid_amount = total_amount;
-      if (paid_amount < 0) paid_amount = 0;
+    const gst = applyGst(
+      freshItems.map((x) => ({ amount: x.amount, gst_rate: x.gst_rate })),
+      { discount, is_inter_state: Boolean(sale.is_inter_state) }
+    );
+    for (let i = 0; i < freshItems.length; i++) {
+      await freshItems[i].update(gst.lines[i], { transaction: t });
+    }
 
-      const balance_amount = round2(Math.max(0, total_amount - paid_amount));
+    const tax = gst.totals.tax;
+    const total_amount = round2(Math.max(0, subtotal - discount + tax));
 
-      await safeSaleUpdate(sale, { subtotal, total_amount, paid_amount, balance_amount }, t);
-    } else {
-      const subtotal = round2(num(sale.subtotal));
-      const discount = round2(num(sale.discount));
-      const tax = round2(num(sale.tax));
-      const total_amount = round2(Math.max(0, subtotal - discount + tax));
+    const payable = round2(Math.max(0, total_amount - num(sale.returned_amount)));
 
-      let paid_amount = round2(num(sale.paid_amount));
-      if (paid_amount > total_amount) paid_amount = total_amount;
-      if (paid_amount < 0) paid_amount = 0;
+    let paid_amount = round2(num(sale.paid_amount));
+    if (paid_amount > payable) paid_amount = payable;
+    if (paid_amount < 0) paid_amount = 0;
 
-      const balance_amount = round2(Math.max(0, total_amount - paid_amount));
+    const balance_amount = round2(Math.max(0, payable - paid_amount));
 
-      await safeSaleUpdate(sale, { total_amount, paid_amount, balance_amount }, t);
-    }
+    await safeSaleUpdate(sale, { subtotal, tax, total_amount, paid_amount, balance_amount }, t);
+    await syncSaleLedger({ kind: "SCHOOL_SALE", sale, t });
 
     await t.commit();
 
@@ -1,109 +1,1165 @@
 // src/controllers/stockController.js
-const { Op, fn, col } = require("sequelize");
+const PDFDocument = require("pdfkit");
+const ExcelJS = require("exceljs");
+const { Op, fn, col, literal } = require("sequelize");
 const {
-  PublisherOrderItem,
-  PublisherOrder,
+  sequelize,
+  InventoryBatch,
+  InventoryTxn,
   Book,
   Publisher,
+  Supplier,
+
+  // source documents (stock card links)
+  SupplierReceipt,
+  Sale,
+  SchoolSale,
+  BundleIssue,
+  StockTake,
+  StockTransfer,
+  StockTransferItem,
+  CreditNote,
+  SupplierDebitNote,
+
+  // reorder points / alerts
+  StockPolicy,
+  SchoolOrder,
+  SchoolOrderItem,
 } = require("../models");
 
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeStr = (v) => String(v ?? "").trim();
+
+/**
+ * Book-wise movement totals from inventory_txns.
+ * With batchIds: only movements of those batches; reservations carry no batch
+ * and stay book-wide.
+ * Returns Map(book_id => { in_qty, out_qty, reserve_qty, unreserve_qty, adjust_qty })
+ */
+async function loadTxnTotals(bookIds, warehouseId = null, batchIds = null) {
+  if (!bookIds.length) return new Map();
+
+  const where = { book_id: { [Op.in]: bookIds } };
+  if (warehouseId) where.warehouse_id = warehouseId;
+  if (batchIds) {
+    where[Op.or] = [
+      { batch_id: { [Op.in]: batchIds.length ? batchIds : [0] } },
+      { batch_id: null, txn_type: { [Op.in]: ["RESERVE", "UNRESERVE"] } },
+    ];
+  }
+
+  const rows = await InventoryTxn.findAll({
+    where,
+    attributes: [
+      "book_id",
+      [literal("SUM(CASE WHEN txn_type='IN' THEN qty ELSE 0 END)"), "in_qty"],
+      [literal("SUM(CASE WHEN txn_type='OUT' THEN qty ELSE 0 END)"), "out_qty"],
+      [literal("SUM(CASE WHEN txn_type='RESERVE' THEN qty ELSE 0 END)"), "reserve_qty"],
+      [literal("SUM(CASE WHEN txn_type='UNRESERVE' THEN qty ELSE 0 END)"), "unreserve_qty"],
+      [literal("SUM(CASE WHEN txn_type='ADJUST' THEN qty ELSE 0 END)"), "adjust_qty"],
+    ],
+    group: ["book_id"],
+    raw: true,
+  });
+
+  return new Map(
+    (rows || []).map((r) => [
+      Number(r.book_id),
+      {
+        in_qty: num(r.in_qty),
+        out_qty: num(r.out_qty),
+        reserve_qty: num(r.reserve_qty),
+        unreserve_qty: num(r.unreserve_qty),
+        adjust_qty: num(r.adjust_qty),
+      },
+    ])
+  );
+}
+
+/**
+ * Qty dispatched by open (IN_TRANSIT) transfers, per book.
+ * With warehouseId: only transfers heading to that warehouse.
+ */
+async function loadInTransitQty(bookIds, warehouseId = null) {
+  if (!bookIds.length) return new Map();
+
+  const transferWhere = { status: "IN_TRANSIT" };
+  if (warehouseId) transferWhere.to_warehouse_id = warehouseId;
+
+  const rows = await StockTransferItem.findAll({
+    where: { book_id: { [Op.in]: bookIds } },
+    attributes: ["book_id", [fn("SUM", col("StockTransferItem.qty")), "qty"]],
+    include: [{ model: StockTransfer, as: "transfer", attributes: [], where: transferWhere, required: true }],
+    group: ["book_id"],
+    raw: true,
+  });
+
+  return new Map(rows.map((r) => [Number(r.book_id), num(r.qty)]));
+}
+
 /**
  * GET /api/stock/summary
  *
- * Returns aggregated book-wise stock based on Publisher Orders & Receive.
- * - total_ordered_qty: SUM of total_order_qty (non-cancelled orders)
- * - total_received_qty: SUM of received_qty (non-cancelled orders)
- * - current_stock: for now = total_received_qty (you can later subtract issues)
+ * Book-wise stock built from InventoryBatch + InventoryTxn.
+ * - in_qty / out_qty / reserve_qty / unreserve_qty: SUM of txns by type
+ * - adjust_qty: net stock-take adjustments (signed)
+ * - with supplier_id: movements are limited to that supplier's batches
+ * - available_qty: SUM of batch available_qty (on hand)
+ * - reserved_qty: RESERVE - UNRESERVE (never below 0)
+ * - free_qty: available - reserved (never below 0)
+ * - stock_value: SUM(available_qty * purchase_price) across batches
+ * - in_transit_qty: dispatched on open stock transfers (not in available_qty)
+ *
+ * Query (optional): publisher_id, supplier_id, warehouse_id, q (title/code/isbn), in_stock=true
  */
 exports.getStockSummary = async (request, reply) => {
   try {
-    const rows = await PublisherOrderItem.findAll({
+    const { publisher_id, supplier_id, warehouse_id, q, in_stock } = request.query || {};
+    const warehouseId = num(warehouse_id) || null;
+
+    const batchWhere = {};
+    if (num(supplier_id)) batchWhere.supplier_id = num(supplier_id);
+    if (warehouseId) batchWhere.warehouse_id = warehouseId;
+
+    const batchRows = await InventoryBatch.findAll({
+      where: batchWhere,
+      attributes: [
+        "book_id",
+        [fn("COUNT", col("id")), "batch_count"],
+        [fn("SUM", col("received_qty")), "received_qty"],
+        [fn("SUM", col("available_qty")), "available_qty"],
+        [fn("SUM", literal("available_qty * COALESCE(purchase_price, 0)")), "stock_value"],
+      ],
+      group: ["book_id"],
+      raw: true,
+    });
+
+    const batchMap = new Map((batchRows || []).map((r) => [Number(r.book_id), r]));
+
+    const bookWhere = { id: { [Op.in]: Array.from(batchMap.keys()) } };
+    if (num(publisher_id)) bookWhere.publisher_id = num(publisher_id);
+
+    const search = safeStr(q);
+    if (search) {
+      bookWhere[Op.or] = [
+        { title: { [Op.like]: `%${search}%` } },
+        { code: { [Op.like]: `%${search}%` } },
+        { isbn: { [Op.like]: `%${search}%` } },
+      ];
+    }
+
+    const books = batchMap.size
+      ? await Book.findAll({
+          where: bookWhere,
+          attributes: ["id", "title", "class_name", "subject", "code", "isbn"],
+          include: [
+            { model: Publisher, as: "publisher", attributes: ["id", "name"], required: false },
+            { model: Supplier, as: "supplier", attributes: ["id", "name"], required: false },
+          ],
+          order: [["title", "ASC"]],
+        })
+      : [];
+
+    // supplier filter: movements only from the same batches as the on-hand figures
+    const batchIds = num(supplier_id)
+      ? (await InventoryBatch.findAll({ where: batchWhere, attributes: ["id"], raw: true })).map((r) => Number(r.id))
+      : null;
+
+    const txnMap = await loadTxnTotals(
+      books.map((b) => Number(b.id)),
+      warehouseId,
+      batchIds
+    );
+    const transitMap = await loadInTransitQty(
+      books.map((b) => Number(b.id)),
+      warehouseId
+    );
+
+    const onlyInStock = safeStr(in_stock).toLowerCase() === "true";
+
+    const data = [];
+    for (const b of books) {
+      const bookId = Number(b.id);
+      const batch = batchMap.get(bookId) || {};
+      const txn = txnMap.get(bookId) || {
+        in_qty: 0,
+        out_qty: 0,
+        reserve_qty: 0,
+        unreserve_qty: 0,
+        adjust_qty: 0,
+      };
+
+      const available = num(batch.available_qty);
+      if (onlyInStock && available <= 0) continue;
+
+      const reserved = Math.max(0, txn.reserve_qty - txn.unreserve_qty);
+      const free = Math.max(0, available - reserved);
+      const stockValue = round2(batch.stock_value);
+
+      data.push({
+        book_id: bookId,
+        title: b.title,
+        class_name: b.class_name,
+        subject: b.subject,
+        code: b.code,
+        isbn: b.isbn,
+        publisher_name: b.publisher?.name || null,
+        supplier_name: b.supplier?.name || null,
+
+        batch_count: num(batch.batch_count),
+        total_received_qty: num(batch.received_qty),
+
+        in_qty: txn.in_qty,
+        out_qty: txn.out_qty,
+        reserve_qty: txn.reserve_qty,
+        unreserve_qty: txn.unreserve_qty,
+        adjust_qty: txn.adjust_qty,
+
+        available_qty: available,
+        reserved_qty: reserved,
+        free_qty: free,
+        in_transit_qty: transitMap.get(bookId) || 0,
+
+        // kept for existing screens: on-hand stock
+        current_stock: available,
+
+        stock_value: stockValue,
+        avg_cost: available > 0 ? round2(stockValue / available) : 0,
+      });
+    }
+
+    return reply.code(200).send(data);
+  } catch (err) {
+    request.log.error({ err }, "Error in getStockSummary");
+    return reply.code(500).send({
+      message: "Failed to load stock summary.",
+      error: err.message || String(err),
+    });
+  }
+};
+
+/* ============================================================
+ * STOCK CARD (per book ledger)
+ * ============================================================ */
+
+// Txn types that move on-hand stock. RESERVE/UNRESERVE only earmark.
+// ADJUST (stock take) already carries a signed qty.
+const STOCK_SIGN = { IN: 1, RETURN: 1, OUT: -1, ADJUST: 1 };
+
+// ref_type -> source document (model + number field) for linking rows back
+const REF_SOURCES = {
+  SUPPLIER_RECEIPT: { source: "SUPPLIER_RECEIPT", model: SupplierReceipt, noField: "receipt_no" },
+  SALE: { source: "SALE", model: Sale, noField: "sale_no" },
+  SALE_CANCEL: { source: "SALE", model: Sale, noField: "sale_no" },
+  SCHOOL_SALE: { source: "SCHOOL_SALE", model: SchoolSale, noField: "sale_no" },
+  SCHOOL_SALE_CANCEL: { source: "SCHOOL_SALE", model: SchoolSale, noField: "sale_no" },
+  BUNDLE_ISSUE: { source: "BUNDLE_ISSUE", model: BundleIssue, noField: "issue_no" },
+  BUNDLE_ISSUE_CANCEL: { source: "BUNDLE_ISSUE", model: BundleIssue, noField: "issue_no" },
+  BUNDLE_ISSUE_RETURN: { source: "BUNDLE_ISSUE", model: BundleIssue, noField: "issue_no" },
+  STOCK_TAKE: { source: "STOCK_TAKE", model: StockTake, noField: "stock_take_no" },
+  STOCK_TRANSFER: { source: "STOCK_TRANSFER", model: StockTransfer, noField: "transfer_no" },
+  STOCK_TRANSFER_CANCEL: { source: "STOCK_TRANSFER", model: StockTransfer, noField: "transfer_no" },
+  CREDIT_NOTE: { source: "CREDIT_NOTE", model: CreditNote, noField: "credit_note_no" },
+  SUPPLIER_DEBIT_NOTE: { source: "SUPPLIER_DEBIT_NOTE", model: SupplierDebitNote, noField: "debit_note_no" },
+};
+
+/**
+ * Expect YYYY-MM-DD, convert to start/end of that day
+ * so date filter includes full day properly.
+ */
+const parseDateStart = (v) => {
+  if (!v) return null;
+  const s = String(v).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(`${s}T00:00:00.000`) : new Date(s);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+const parseDateEnd = (v) => {
+  if (!v) return null;
+  const s = String(v).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(`${s}T23:59:59.999`) : new Date(s);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+const formatDateIN = (d) => {
+  if (!d) return "-";
+  const dt = d instanceof Date ? d : new Date(d);
+  if (Number.isNaN(dt.getTime())) return "-";
+  return dt.toLocaleDateString("en-IN");
+};
+
+/**
+ * Resolve source document numbers for a list of txns.
+ * Returns Map("REF_TYPE:ref_id" => { source, source_id, source_no })
+ */
+async function resolveTxnSources(txns) {
+  const idsByType = new Map();
+  for (const tx of txns) {
+    const def = REF_SOURCES[String(tx.ref_type || "").toUpperCase()];
+    if (!def || !def.model || !num(tx.ref_id)) continue;
+    if (!idsByType.has(def.source)) idsByType.set(def.source, { def, ids: new Set() });
+    idsByType.get(def.source).ids.add(num(tx.ref_id));
+  }
+
+  const docNoMap = new Map(); // "SOURCE:id" => doc no
+  for (const [source, { def, ids }] of idsByType.entries()) {
+    const docs = await def.model.findAll({
+      where: { id: { [Op.in]: Array.from(ids) } },
+      attributes: ["id", def.noField],
+      raw: true,
+    });
+    for (const d of docs) docNoMap.set(`${source}:${num(d.id)}`, d[def.noField] || null);
+  }
+
+  const out = new Map();
+  for (const tx of txns) {
+    const refType = String(tx.ref_type || "").toUpperCase();
+    const def = REF_SOURCES[refType];
+    const refId = num(tx.ref_id);
+    out.set(`${refType}:${refId}`, {
+      source: def ? def.source : refType || null,
+      source_id: refId || null,
+      source_no: def ? docNoMap.get(`${def.source}:${refId}`) || null : null,
+    });
+  }
+  return out;
+}
+
+async function buildLedgerXlsx({ book, from, to, opening, closing, rows }) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Stock Card");
+
+  sheet.addRow([`Stock Card: ${book.title}`]);
+  sheet.addRow([
+    `Code: ${book.code || "-"}  |  ISBN: ${book.isbn || "-"}  |  Period: ${from || "Beginning"} to ${to || "Today"}`,
+  ]);
+  sheet.addRow([]);
+  sheet.getRow(1).font = { bold: true, size: 13 };
+
+  const header = sheet.addRow([
+    "Date",
+    "Type",
+    "Source",
+    "Source No",
+    "Batch",
+    "In",
+    "Out",
+    "Reserve",
+    "Unreserve",
+    "Balance",
+    "Notes",
+  ]);
+  header.font = { bold: true };
+
+  sheet.addRow(["", "OPENING", "", "", "", "", "", "", "", opening, ""]).font = { italic: true };
+
+  for (const r of rows) {
+    sheet.addRow([
+      formatDateIN(r.date),
+      r.txn_type,
+      r.source || "",
+      r.source_no || "",
+      r.batch_id || "",
+      r.in_qty || "",
+      r.out_qty || "",
+      r.reserve_qty || "",
+      r.unreserve_qty || "",
+      r.balance,
+      r.notes || "",
+    ]);
+  }
+
+  sheet.addRow(["", "CLOSING", "", "", "", "", "", "", "", closing, ""]).font = { bold: true };
+
+  sheet.columns.forEach((c, i) => {
+    c.width = [12, 11, 18, 16, 8, 8, 8, 9, 10, 10, 50][i] || 12;
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function buildLedgerPdf({ book, from, to, opening, closing, rows }) {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 30 });
+  const chunks = [];
+  doc.on("data", (c) => chunks.push(c));
+
+  const bufPromise = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const pageLeft = doc.page.margins.left;
+  const pageRight = doc.page.width - doc.page.margins.right;
+  const contentWidth = pageRight - pageLeft;
+
+  const cols = [
+    { key: "date", label: "Date", w: 62 },
+    { key: "txn_type", label: "Type", w: 62 },
+    { key: "source", label: "Source", w: 90 },
+    { key: "source_no", label: "Source No", w: 80 },
+    { key: "batch_id", label: "Batch", w: 40, align: "right" },
+    { key: "in_qty", label: "In", w: 45, align: "right" },
+    { key: "out_qty", label: "Out", w: 45, align: "right" },
+    { key: "reserve_qty", label: "Resv", w: 45, align: "right" },
+    { key: "unreserve_qty", label: "Unresv", w: 45, align: "right" },
+    { key: "balance", label: "Balance", w: 55, align: "right" },
+  ];
+  const usedW = cols.reduce((s, c) => s + c.w, 0);
+  cols.push({ key: "notes", label: "Notes", w: contentWidth - usedW });
+
+  doc.font("Helvetica-Bold").fontSize(14).text(`STOCK CARD: ${safeStr(book.title)}`, { align: "center" });
+  doc.font("Helvetica").fontSize(9);
+  doc.text(
+    `Code: ${book.code || "-"}  |  ISBN: ${book.isbn || "-"}  |  Period: ${from || "Beginning"} to ${to || "Today"}`,
+    { align: "center" }
+  );
+  doc.moveDown(0.6);
+
+  const drawRow = (values, { bold = false } = {}) => {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + 16 > bottom) doc.addPage();
+
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    let x = pageLeft;
+    for (const c of cols) {
+      doc.text(String(values[c.key] ?? ""), x + 2, y, {
+        width: c.w - 4,
+        align: c.align || "left",
+        ellipsis: true,
+        lineBreak: false,
+      });
+      x += c.w;
+    }
+    doc.y = y + 14;
+    doc.save();
+    doc.lineWidth(0.3);
+    doc.moveTo(pageLeft, doc.y - 2).lineTo(pageRight, doc.y - 2).stroke();
+    doc.restore();
+  };
+
+  drawRow(Object.fromEntries(cols.map((c) => [c.key, c.label])), { bold: true });
+  drawRow({ txn_type: "OPENING", balance: opening }, { bold: true });
+
+  for (const r of rows) {
+    drawRow({
+      ...r,
+      date: formatDateIN(r.date),
+      in_qty: r.in_qty || "",
+      out_qty: r.out_qty || "",
+      reserve_qty: r.reserve_qty || "",
+      unreserve_qty: r.unreserve_qty || "",
+    });
+  }
+
+  drawRow({ txn_type: "CLOSING", balance: closing }, { bold: true });
+
+  doc.end();
+  return bufPromise;
+}
+
+/**
+ * GET /api/stock/books/:bookId/ledger
+ * Query: from?, to? (YYYY-MM-DD), format? (json | xlsx | pdf)
+ *
+ * Running-balance stock card built from InventoryTxn rows.
+ * - opening: on-hand before `from`
+ * - each row: in/out/reserve/unreserve + running on-hand balance
+ * - source/source_no: the receipt / sale / school sale / bundle issue behind the row
+ */
+exports.getBookLedger = async (request, reply) => {
+  try {
+    const bookId = num(request.params?.bookId);
+    if (!bookId) return reply.code(400).send({ message: "Invalid bookId" });
+
+    const book = await Book.findByPk(bookId, {
+      attributes: ["id", "title", "class_name", "subject", "code", "isbn"],
+      include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"], required: false }],
+    });
+    if (!book) return reply.code(404).send({ message: "Book not found" });
+
+    const { from, to, format } = request.query || {};
+    const fromD = parseDateStart(from);
+    const toD = parseDateEnd(to);
+
+    /* ---------- Opening (before from) ---------- */
+    let opening = 0;
+    let openingReserved = 0;
+    if (fromD) {
+      const prior = await InventoryTxn.findAll({
+        where: { book_id: bookId, createdAt: { [Op.lt]: fromD } },
+        attributes: ["txn_type", [fn("SUM", col("qty")), "qty"]],
+        group: ["txn_type"],
+        raw: true,
+      });
+      for (const p of prior) {
+        const type = String(p.txn_type || "").toUpperCase();
+        opening += (STOCK_SIGN[type] || 0) * num(p.qty);
+        if (type === "RESERVE") openingReserved += num(p.qty);
+        if (type === "UNRESERVE") openingReserved -= num(p.qty);
+      }
+    }
+
+    /* ---------- Period rows ---------- */
+    const where = { book_id: bookId };
+    if (fromD || toD) {
+      where.createdAt = {};
+      if (fromD) where.createdAt[Op.gte] = fromD;
+      if (toD) where.createdAt[Op.lte] = toD;
+    }
+
+    const txns = await InventoryTxn.findAll({
+      where,
+      order: [
+        ["createdAt", "ASC"],
+        ["id", "ASC"],
+      ],
+      raw: true,
+    });
+
+    const sources = await resolveTxnSources(txns);
+
+    let balance = opening;
+    let reserved = openingReserved;
+    const totals = { in_qty: 0, out_qty: 0, reserve_qty: 0, unreserve_qty: 0 };
+
+    const rows = txns.map((tx) => {
+      const type = String(tx.txn_type || "").toUpperCase();
+      const qty = num(tx.qty);
+      const delta = (STOCK_SIGN[type] || 0) * qty;
+
+      const in_qty = delta > 0 ? delta : 0;
+      const out_qty = delta < 0 ? -delta : 0;
+      const reserve_qty = type === "RESERVE" ? qty : 0;
+      const unreserve_qty = type === "UNRESERVE" ? qty : 0;
+
+      balance += delta;
+      reserved += reserve_qty - unreserve_qty;
+
+      totals.in_qty += in_qty;
+      totals.out_qty += out_qty;
+      totals.reserve_qty += reserve_qty;
+      totals.unreserve_qty += unreserve_qty;
+
+      const src = sources.get(`${String(tx.ref_type || "").toUpperCase()}:${num(tx.ref_id)}`) || {};
+
+      return {
+        id: tx.id,
+        date: tx.createdAt,
+        txn_type: type,
+        batch_id: tx.batch_id || null,
+        ref_type: tx.ref_type,
+        ref_id: tx.ref_id,
+        source: src.source || null,
+        source_id: src.source_id || null,
+        source_no: src.source_no || null,
+        in_qty,
+        out_qty,
+        reserve_qty,
+        unreserve_qty,
+        balance,
+        reserved_balance: Math.max(0, reserved),
+        notes: tx.notes || null,
+      };
+    });
+
+    const payload = {
+      book: {
+        id: book.id,
+        title: book.title,
+        class_name: book.class_name,
+        subject: book.subject,
+        code: book.code,
+        isbn: book.isbn,
+        publisher_name: book.publisher?.name || null,
+      },
+      from: from || null,
+      to: to || null,
+      opening,
+      opening_reserved: Math.max(0, openingReserved),
+      totals,
+      closing: balance,
+      closing_reserved: Math.max(0, reserved),
+      rows,
+    };
+
+    const fmt = safeStr(format).toLowerCase();
+    const fileBase = `stock-card-${book.id}`;
+
+    if (fmt === "xlsx" || fmt === "excel") {
+      const buffer = await buildLedgerXlsx(payload);
+      return reply
+        .header("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+        .header("Content-Disposition", `attachment; filename="${fileBase}.xlsx"`)
+        .send(buffer);
+    }
+
+    if (fmt === "pdf") {
+      const buffer = await buildLedgerPdf(payload);
+      return reply
+        .header("Content-Type", "application/pdf")
+        .header("Content-Disposition", `inline; filename="${fileBase}.pdf"`)
+        .send(buffer);
+    }
+
+    return reply.send(payload);
+  } catch (err) {
+    request.log.error({ err }, "Error in getBookLedger");
+    return reply.code(500).send({
+      message: "Failed to load stock ledger.",
+      error: err.message || String(err),
+    });
+  }
+};
+
+/* ============================================================
+ * STOCK VALUATION (FIFO cost per batch)
+ * ============================================================ */
+
+// Stock consumption that counts as cost of goods sold (OUT) ...
+const COGS_OUT_REFS = ["SALE", "SCHOOL_SALE", "BUNDLE_ISSUE", "SCHOOL_ALLOCATION"];
+// ... and the reversals that bring it back (IN / RETURN)
+const COGS_REVERSAL_REFS = [
+  "SALE_CANCEL",
+  "SCHOOL_SALE_CANCEL",
+  "BUNDLE_ISSUE_CANCEL",
+  "BUNDLE_ISSUE_RETURN",
+  "SCHOOL_ALLOCATION_REVERSAL",
+  "CREDIT_NOTE",
+];
+
+/**
+ * Batch-wise on-hand qty as of a date, from txns (not from available_qty,
+ * which is only "now").
+ * Returns Map(batch_id => qty)
+ */
+async function loadBatchQtyAsOf(asOfD) {
+  const rows = await InventoryTxn.findAll({
+    where: {
+      batch_id: { [Op.ne]: null },
+      txn_type: { [Op.in]: Object.keys(STOCK_SIGN) },
+      createdAt: { [Op.lte]: asOfD },
+    },
+    attributes: ["batch_id", "txn_type", [fn("SUM", col("qty")), "qty"]],
+    group: ["batch_id", "txn_type"],
+    raw: true,
+  });
+
+  const out = new Map();
+  for (const r of rows) {
+    const batchId = num(r.batch_id);
+    const signed = (STOCK_SIGN[String(r.txn_type).toUpperCase()] || 0) * num(r.qty);
+    out.set(batchId, (out.get(batchId) || 0) + signed);
+  }
+  return out;
+}
+
+async function loadBatchesWithBook(batchIds) {
+  if (!batchIds.length) return new Map();
+
+  const batches = await InventoryBatch.findAll({
+    where: { id: { [Op.in]: batchIds } },
+    attributes: ["id", "book_id", "supplier_id", "supplier_receipt_id", "purchase_price"],
+    include: [
+      {
+        model: Book,
+        as: "book",
+        attributes: ["id", "title", "class_name", "code", "publisher_id"],
+        required: false,
+        include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"], required: false }],
+      },
+      { model: Supplier, as: "supplier", attributes: ["id", "name"], required: false },
+    ],
+  });
+
+  return new Map(batches.map((b) => [num(b.id), b]));
+}
+
+/**
+ * Roll batch-level { qty, value } lines up into book / publisher / supplier buckets.
+ */
+function groupValuationLines(lines) {
+  const byBook = new Map();
+  const byPublisher = new Map();
+  const bySupplier = new Map();
+
+  const add = (map, key, base, line) => {
+    if (!map.has(key)) map.set(key, { ...base, qty: 0, value: 0 });
+    const g = map.get(key);
+    g.qty += line.qty;
+    g.value = round2(g.value + line.value);
+  };
+
+  for (const l of lines) {
+    add(
+      byBook,
+      l.book_id,
+      { book_id: l.book_id, title: l.title, class_name: l.class_name, code: l.code, publisher_name: l.publisher_name },
+      l
+    );
+    add(byPublisher, l.publisher_id || 0, { publisher_id: l.publisher_id, publisher_name: l.publisher_name }, l);
+    add(bySupplier, l.supplier_id || 0, { supplier_id: l.supplier_id, supplier_name: l.supplier_name }, l);
+  }
+
+  const withAvg = (g) => ({ ...g, avg_cost: g.qty ? round2(g.value / g.qty) : 0 });
+  const byValueDesc = (a, b) => b.value - a.value;
+
+  return {
+    by_book: Array.from(byBook.values()).map(withAvg).sort((a, b) => String(a.title).localeCompare(String(b.title))),
+    by_publisher: Array.from(byPublisher.values()).map(withAvg).sort(byValueDesc),
+    by_supplier: Array.from(bySupplier.values()).map(withAvg).sort(byValueDesc),
+  };
+}
+
+function batchLine(batch, qty) {
+  const price = num(batch?.purchase_price);
+  return {
+    batch_id: num(batch?.id),
+    book_id: num(batch?.book_id),
+    title: batch?.book?.title || `Book #${num(batch?.book_id)}`,
+    class_name: batch?.book?.class_name || null,
+    code: batch?.book?.code || null,
+    publisher_id: num(batch?.book?.publisher?.id) || null,
+    publisher_name: batch?.book?.publisher?.name || null,
+    supplier_id: num(batch?.supplier_id) || null,
+    supplier_name: batch?.supplier?.name || null,
+    supplier_receipt_id: batch?.supplier_receipt_id || null,
+    purchase_price: price,
+    qty,
+    value: round2(qty * price),
+  };
+}
+
+async function buildValuationXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+
+  const addSheet = (name, columns, rows) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach((r) => sheet.addRow(r));
+    sheet.views = [{ state: "frozen", xSplit: 0, ySplit: 1 }];
+  };
+
+  const qtyValueCols = [
+    { header: "Qty", key: "qty", width: 10 },
+    { header: "Avg Cost", key: "avg_cost", width: 12 },
+    { header: "Value", key: "value", width: 14 },
+  ];
+
+  addSheet(
+    "By Book",
+    [
+      { header: "Book ID", key: "book_id", width: 9 },
+      { header: "Title", key: "title", width: 40 },
+      { header: "Class", key: "class_name", width: 12 },
+      { header: "Publisher", key: "publisher_name", width: 28 },
+      ...qtyValueCols,
+    ],
+    report.closing.by_book
+  );
+  addSheet(
+    "By Publisher",
+    [{ header: "Publisher", key: "publisher_name", width: 35 }, ...qtyValueCols],
+    report.closing.by_publisher
+  );
+  addSheet(
+    "By Supplier",
+    [{ header: "Supplier", key: "supplier_name", width: 35 }, ...qtyValueCols],
+    report.closing.by_supplier
+  );
+
+  if (report.cogs) {
+    addSheet(
+      "COGS",
+      [
+        { header: "Book ID", key: "book_id", width: 9 },
+        { header: "Title", key: "title", width: 40 },
+        { header: "Publisher", key: "publisher_name", width: 28 },
+        { header: "Qty", key: "qty", width: 10 },
+        { header: "Avg Cost", key: "avg_cost", width: 12 },
+        { header: "Cost", key: "value", width: 14 },
+      ],
+      report.cogs.by_book
+    );
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * GET /api/stock/valuation
+ * Query: as_of? (YYYY-MM-DD, default today), from?, to? (COGS period), format? (json | xlsx)
+ *
+ * Closing stock is valued batch by batch at InventoryBatch.purchase_price.
+ * Sales / school sales / bundle issues already consume batches oldest-first by id
+ * (allocateFromBatches), so what is left in each batch on `as_of` IS the FIFO layer.
+ *
+ * COGS for [from, to] = consumption OUTs at their batch price,
+ * less cancellations / returns that put stock back into those batches.
+ */
+exports.getStockValuation = async (request, reply) => {
+  try {
+    const { as_of, from, to, format } = request.query || {};
+
+    const asOfD = parseDateEnd(as_of) || new Date();
+
+    /* ---------- Closing stock as of date ---------- */
+    const qtyByBatch = await loadBatchQtyAsOf(asOfD);
+    const liveBatchIds = Array.from(qtyByBatch.entries())
+      .filter(([, q]) => q > 0)
+      .map(([id]) => id);
+
+    const batchMap = await loadBatchesWithBook(liveBatchIds);
+
+    const closingLines = liveBatchIds
+      .map((id) => batchLine(batchMap.get(id) || { id }, qtyByBatch.get(id)))
+      .sort((a, b) => a.batch_id - b.batch_id);
+
+    const closing = {
+      qty: closingLines.reduce((s, l) => s + l.qty, 0),
+      value: round2(closingLines.reduce((s, l) => s + l.value, 0)),
+      unpriced_qty: closingLines.filter((l) => !l.purchase_price).reduce((s, l) => s + l.qty, 0),
+      ...groupValuationLines(closingLines),
+    };
+
+    /* ---------- COGS for period ---------- */
+    let cogs = null;
+    const fromD = parseDateStart(from);
+    const toD = parseDateEnd(to);
+
+    if (fromD || toD) {
+      const createdAt = {};
+      if (fromD) createdAt[Op.gte] = fromD;
+      if (toD) createdAt[Op.lte] = toD;
+
+      const rows = await InventoryTxn.findAll({
+        where: {
+          createdAt,
+          [Op.or]: [
+            { txn_type: "OUT", ref_type: { [Op.in]: COGS_OUT_REFS } },
+            { txn_type: { [Op.in]: ["IN", "RETURN"] }, ref_type: { [Op.in]: COGS_REVERSAL_REFS } },
+          ],
+        },
+        attributes: ["batch_id", "txn_type", [fn("SUM", col("qty")), "qty"]],
+        group: ["batch_id", "txn_type"],
+        raw: true,
+      });
+
+      const consumedByBatch = new Map();
+      let unbatchedQty = 0;
+      for (const r of rows) {
+        const signed = String(r.txn_type).toUpperCase() === "OUT" ? num(r.qty) : -num(r.qty);
+        if (!num(r.batch_id)) {
+          unbatchedQty += signed;
+          continue;
+        }
+        consumedByBatch.set(num(r.batch_id), (consumedByBatch.get(num(r.batch_id)) || 0) + signed);
+      }
+
+      const cogsBatchIds = Array.from(consumedByBatch.keys());
+      const cogsBatchMap = await loadBatchesWithBook(cogsBatchIds);
+      const cogsLines = cogsBatchIds
+        .map((id) => batchLine(cogsBatchMap.get(id) || { id }, consumedByBatch.get(id)))
+        .filter((l) => l.qty !== 0);
+
+      cogs = {
+        from: from || null,
+        to: to || null,
+        qty: cogsLines.reduce((s, l) => s + l.qty, 0),
+        cost: round2(cogsLines.reduce((s, l) => s + l.value, 0)),
+        unbatched_qty: unbatchedQty,
+        ...groupValuationLines(cogsLines),
+      };
+    }
+
+    const report = {
+      as_of: as_of || new Date().toISOString().slice(0, 10),
+      closing,
+      batches: closingLines,
+      cogs,
+    };
+
+    if (["xlsx", "excel"].includes(safeStr(format).toLowerCase())) {
+      const buffer = await buildValuationXlsx(report);
+      return reply
+        .header("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+        .header("Content-Disposition", `attachment; filename="stock-valuation-${report.as_of}.xlsx"`)
+        .send(buffer);
+    }
+
+    return reply.send(report);
+  } catch (err) {
+    request.log.error({ err }, "Error in getStockValuation");
+    return reply.code(500).send({
+      message: "Failed to build stock valuation.",
+      error: err.message || String(err),
+    });
+  }
+};
+
+/* ============================================================
+ * REORDER POINTS / LOW-STOCK ALERTS
+ * ============================================================ */
+
+// supplier orders that are placed but not fully received
+const OPEN_ORDER_STATUSES = ["sent", "partial_received"];
+
+/**
+ * Pending qty on open supplier orders, per book.
+ * pending = ordered - received - shifted to re-order (same rule as schoolOrderController)
+ */
+async function loadOpenOrderPending(bookIds) {
+  if (!bookIds.length) return new Map();
+
+  const items = await SchoolOrderItem.findAll({
+    where: { book_id: { [Op.in]: bookIds } },
+    attributes: ["book_id", "total_order_qty", "received_qty", "reordered_qty"],
+    include: [
+      {
+        model: SchoolOrder,
+        as: "order",
+        attributes: [],
+        where: { status: { [Op.in]: OPEN_ORDER_STATUSES } },
+        required: true,
+      },
+    ],
+    raw: true,
+  });
+
+  const out = new Map();
+  for (const it of items) {
+    const pending = Math.max(num(it.total_order_qty) - num(it.received_qty) - num(it.reordered_qty), 0);
+    if (pending > 0) out.set(num(it.book_id), (out.get(num(it.book_id)) || 0) + pending);
+  }
+  return out;
+}
+
+/**
+ * GET /api/stock/policies?q=&publisher_id=
+ * Min / reorder qty set per book.
+ */
+exports.getStockPolicies = async (request, reply) => {
+  try {
+    const { q, publisher_id } = request.query || {};
+
+    const bookWhere = {};
+    if (num(publisher_id)) bookWhere.publisher_id = num(publisher_id);
+    const search = safeStr(q);
+    if (search) {
+      bookWhere[Op.or] = [
+        { title: { [Op.like]: `%${search}%` } },
+        { code: { [Op.like]: `%${search}%` } },
+        { isbn: { [Op.like]: `%${search}%` } },
+      ];
+    }
+
+    const rows = await StockPolicy.findAll({
       include: [
-        // ✅ Book is associated with alias "book"
         {
           model: Book,
           as: "book",
-          attributes: [],
-          include: [
-            {
-              model: Publisher,
-              as: "publisher", // Book.belongsTo(Publisher, { as: "publisher" })
-              attributes: [],
-            },
-          ],
+          attributes: ["id", "title", "class_name", "code", "isbn"],
+          where: bookWhere,
+          required: true,
+          include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"], required: false }],
         },
-        // ✅ PublisherOrder is associated with alias "order"
+      ],
+      order: [[{ model: Book, as: "book" }, "title", "ASC"]],
+    });
+
+    return reply.send(rows);
+  } catch (err) {
+    request.log.error({ err }, "Error in getStockPolicies");
+    return reply.code(500).send({
+      message: "Failed to load stock policies.",
+      error: err.message || String(err),
+    });
+  }
+};
+
+/**
+ * PUT /api/stock/policies
+ * body: { items: [{ book_id, min_qty, reorder_qty }] }
+ * Upsert per book; min_qty = 0 and reorder_qty = 0 removes the policy.
+ */
+exports.saveStockPolicies = async (request, reply) => {
+  const itemsIn = Array.isArray(request.body?.items) ? request.body.items : [];
+  if (!itemsIn.length) return reply.code(400).send({ message: "items is required (array)" });
+
+  const items = [];
+  for (const x of itemsIn) {
+    const book_id = num(x.book_id);
+    const min_qty = num(x.min_qty);
+    const reorder_qty = num(x.reorder_qty);
+
+    if (!book_id) return reply.code(400).send({ message: "book_id is required for every item" });
+    if (min_qty < 0 || reorder_qty < 0 || min_qty % 1 !== 0 || reorder_qty % 1 !== 0) {
+      return reply.code(400).send({ message: "min_qty and reorder_qty must be whole numbers >= 0", book_id });
+    }
+    items.push({ book_id, min_qty, reorder_qty });
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const books = await Book.findAll({
+      where: { id: { [Op.in]: items.map((i) => i.book_id) } },
+      attributes: ["id"],
+      raw: true,
+      transaction: t,
+    });
+    const known = new Set(books.map((b) => num(b.id)));
+    const missing = items.filter((i) => !known.has(i.book_id)).map((i) => i.book_id);
+    if (missing.length) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Some books not found", missing });
+    }
+
+    let saved = 0;
+    let removed = 0;
+
+    for (const it of items) {
+      if (!it.min_qty && !it.reorder_qty) {
+        removed += await StockPolicy.destroy({ where: { book_id: it.book_id }, transaction: t });
+        continue;
+      }
+
+      const existing = await StockPolicy.findOne({ where: { book_id: it.book_id }, transaction: t });
+      if (existing) await existing.update(it, { transaction: t });
+      else await StockPolicy.create(it, { transaction: t });
+      saved++;
+    }
+
+    await t.commit();
+    return reply.send({ message: "Stock policies saved", saved, removed });
+  } catch (err) {
+    await t.rollback();
+    request.log.error({ err }, "Error in saveStockPolicies");
+    return reply.code(500).send({
+      message: "Failed to save stock policies.",
+      error: err.message || String(err),
+    });
+  }
+};
+
+/**
+ * GET /api/stock/alerts
+ *
+ * Titles whose projected stock is below their min_qty:
+ * - free_qty: available - reserved (same as summary)
+ * - on_order_qty: pending on open supplier orders (sent / partial_received)
+ * - projected_qty = free_qty + on_order_qty
+ * - suggested_qty: at least reorder_qty, enough to get back to min_qty
+ *
+ * Query (optional): publisher_id, supplier_id, severity=STOCKOUT|LOW
+ */
+exports.getStockAlerts = async (request, reply) => {
+  try {
+    const { publisher_id, supplier_id, severity } = request.query || {};
+
+    const bookWhere = {};
+    if (num(publisher_id)) bookWhere.publisher_id = num(publisher_id);
+    if (num(supplier_id)) bookWhere.supplier_id = num(supplier_id);
+
+    const policies = await StockPolicy.findAll({
+      where: { min_qty: { [Op.gt]: 0 } },
+      include: [
         {
-          model: PublisherOrder,
-          as: "order",
+          model: Book,
+          as: "book",
+          attributes: ["id", "title", "class_name", "code", "isbn", "supplier_id"],
+          where: bookWhere,
           required: true,
-          attributes: [],
-          where: {
-            status: {
-              [Op.ne]: "cancelled",
-            },
-          },
+          include: [
+            { model: Publisher, as: "publisher", attributes: ["id", "name"], required: false },
+            { model: Supplier, as: "supplier", attributes: ["id", "name"], required: false },
+          ],
         },
       ],
-      attributes: [
-        "book_id",
-        [col("book.title"), "title"],
-        [col("book.class_name"), "class_name"],
-        [col("book.subject"), "subject"],
-        [col("book.code"), "code"],
-        [col("book.isbn"), "isbn"],
-        [col("book->publisher.name"), "publisher_name"],
-        [
-          fn("SUM", col("PublisherOrderItem.total_order_qty")),
-          "total_ordered_qty",
-        ],
-        [
-          fn(
-            "SUM",
-            fn("COALESCE", col("PublisherOrderItem.received_qty"), 0)
-          ),
-          "total_received_qty",
-        ],
-      ],
-      group: [
-        "PublisherOrderItem.book_id",
-        "book.id",
-        "book.title",
-        "book.class_name",
-        "book.subject",
-        "book.code",
-        "book.isbn",
-        "book->publisher.id",
-        "book->publisher.name",
-      ],
-      order: [[col("book.title"), "ASC"]],
-      raw: true,
     });
 
-    const data = rows.map((r) => {
-      const ordered = Number(r.total_ordered_qty || 0);
-      const received = Number(r.total_received_qty || 0);
-      const currentStock = received; // future: subtract issues / sales
+    const bookIds = policies.map((p) => num(p.book_id));
 
-      return {
-        book_id: r.book_id,
-        title: r.title,
-        class_name: r.class_name,
-        subject: r.subject,
-        code: r.code,
-        isbn: r.isbn,
-        publisher_name: r.publisher_name,
-        total_ordered_qty: ordered,
-        total_received_qty: received,
-        current_stock: currentStock,
-      };
+    const batchRows = bookIds.length
+      ? await InventoryBatch.findAll({
+          where: { book_id: { [Op.in]: bookIds } },
+          attributes: ["book_id", [fn("SUM", col("available_qty")), "available_qty"]],
+          group: ["book_id"],
+          raw: true,
+        })
+      : [];
+    const availMap = new Map(batchRows.map((r) => [num(r.book_id), num(r.available_qty)]));
+
+    const txnMap = await loadTxnTotals(bookIds);
+    const pendingMap = await loadOpenOrderPending(bookIds);
+
+    const wantSeverity = safeStr(severity).toUpperCase();
+
+    const rows = [];
+    for (const p of policies) {
+      const bookId = num(p.book_id);
+      const txn = txnMap.get(bookId) || { reserve_qty: 0, unreserve_qty: 0 };
+
+      const available = availMap.get(bookId) || 0;
+      const reserved = Math.max(0, txn.reserve_qty - txn.unreserve_qty);
+      const free = Math.max(0, available - reserved);
+      const onOrder = pendingMap.get(bookId) || 0;
+      const projected = free + onOrder;
+
+      const minQty = num(p.min_qty);
+      if (projected >= minQty) continue;
+
+      const level = free <= 0 ? "STOCKOUT" : "LOW";
+      if (wantSeverity && wantSeverity !== level) continue;
+
+      rows.push({
+        book_id: bookId,
+        title: p.book?.title || null,
+        class_name: p.book?.class_name || null,
+        code: p.book?.code || null,
+        isbn: p.book?.isbn || null,
+        publisher_name: p.book?.publisher?.name || null,
+        supplier_id: p.book?.supplier_id || null,
+        supplier_name: p.book?.supplier?.name || null,
+
+        min_qty: minQty,
+        reorder_qty: num(p.reorder_qty),
+
+        available_qty: available,
+        reserved_qty: reserved,
+        free_qty: free,
+        on_order_qty: onOrder,
+        projected_qty: projected,
+        shortfall_qty: minQty - projected,
+
+        suggested_qty: Math.max(num(p.reorder_qty), minQty - projected),
+        severity: level,
+      });
+    }
+
+    // stockouts first, then the biggest gap
+    rows.sort((a, b) => {
+      if (a.severity !== b.severity) return a.severity === "STOCKOUT" ? -1 : 1;
+      return b.shortfall_qty - a.shortfall_qty;
     });
 
-    return reply.code(200).send(data);
+    return reply.send({
+      count: rows.length,
+      stockouts: rows.filter((r) => r.severity === "STOCKOUT").length,
+      rows,
+    });
   } catch (err) {
-    request.log.error({ err }, "Error in getStockSummary");
+    request.log.error({ err }, "Error in getStockAlerts");
     return reply.code(500).send({
-      message: "Failed to load stock summary.",
+      message: "Failed to load stock alerts.",
       error: err.message || String(err),
     });
   }
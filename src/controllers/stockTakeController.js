@@ -0,0 +1,724 @@
+"use strict";
+
+const XLSX = require("xlsx");
+const ExcelJS = require("exceljs");
+const { Op } = require("sequelize");
+
+const {
+  sequelize,
+  Book,
+  Publisher,
+  InventoryBatch,
+  InventoryTxn,
+  StockTake,
+  StockTakeItem,
+  Warehouse,
+} = require("../models");
+
+/* ---------------- Helpers ---------------- */
+
+const REASONS = ["DAMAGED", "LOST", "FOUND", "COUNT_ERROR", "OTHER"];
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const safeText = (v) => String(v ?? "").trim();
+
+function nowISODate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function makeStockTakeNo() {
+  return (
+    "ST" +
+    Math.random()
+      .toString(36)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .slice(0, 6)
+  );
+}
+
+function normalizeReason(v) {
+  const s = safeText(v).toUpperCase().replace(/[\s-]+/g, "_");
+  return REASONS.includes(s) ? s : null;
+}
+
+/**
+ * Parse counted qty from body/excel. Blank => null (not counted).
+ */
+function parseCount(v) {
+  if (v === null || v === undefined || safeText(v) === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n % 1 !== 0) return undefined; // invalid
+  return n;
+}
+
+/**
+ * Live on-hand per book: SUM(inventory_batches.available_qty)
+ * Returns Map(book_id => qty)
+ * ✅ warehouseId scopes to one godown/counter (null = all warehouses)
+ */
+async function loadAvailableMap(bookIds, t, warehouseId = null) {
+  if (!bookIds.length) return new Map();
+
+  const where = { book_id: { [Op.in]: bookIds } };
+  if (warehouseId) where.warehouse_id = warehouseId;
+
+  const rows = await InventoryBatch.findAll({
+    where,
+    attributes: ["book_id", [sequelize.fn("SUM", sequelize.col("available_qty")), "available_qty"]],
+    group: ["book_id"],
+    raw: true,
+    transaction: t,
+  });
+
+  return new Map(rows.map((r) => [num(r.book_id), num(r.available_qty)]));
+}
+
+function itemInclude() {
+  return [
+    {
+      model: Book,
+      as: "book",
+      attributes: ["id", "title", "class_name", "subject", "code", "isbn", "publisher_id"],
+      required: false,
+      include: [{ model: Publisher, as: "publisher", attributes: ["id", "name"], required: false }],
+    },
+  ];
+}
+
+/**
+ * Variance rows for a session.
+ * variance = counted - live available (what approve would post right now)
+ */
+async function buildVarianceRows(stockTake) {
+  const items = await StockTakeItem.findAll({
+    where: { stock_take_id: stockTake.id },
+    include: itemInclude(),
+    order: [["id", "ASC"]],
+  });
+
+  const availMap = await loadAvailableMap(
+    items.map((i) => num(i.book_id)),
+    null,
+    num(stockTake.warehouse_id) || null
+  );
+  const isApproved = String(stockTake.status).toUpperCase() === "APPROVED";
+
+  const rows = items.map((it) => {
+    const available = availMap.get(num(it.book_id)) || 0;
+    const counted = it.counted_qty === null || it.counted_qty === undefined ? null : num(it.counted_qty);
+
+    const variance = isApproved
+      ? num(it.posted_variance)
+      : counted === null
+      ? null
+      : counted - available;
+
+    return {
+      item_id: it.id,
+      book_id: num(it.book_id),
+      title: it.book?.title || `Book #${it.book_id}`,
+      class_name: it.book?.class_name || null,
+      code: it.book?.code || null,
+      isbn: it.book?.isbn || null,
+      publisher_name: it.book?.publisher?.name || null,
+      system_qty: num(it.system_qty),
+      available_qty: available,
+      counted_qty: counted,
+      variance,
+      reason: it.reason || null,
+      remarks: it.remarks || null,
+    };
+  });
+
+  const summary = {
+    items: rows.length,
+    counted: rows.filter((r) => r.counted_qty !== null).length,
+    with_variance: rows.filter((r) => r.variance).length,
+    shortage_qty: rows.reduce((s, r) => s + (r.variance < 0 ? -r.variance : 0), 0),
+    excess_qty: rows.reduce((s, r) => s + (r.variance > 0 ? r.variance : 0), 0),
+  };
+
+  return { rows, summary };
+}
+
+async function loadOpenStockTake(id, reply, t) {
+  const stockTake = await StockTake.findByPk(id, { transaction: t, lock: t ? t.LOCK.UPDATE : undefined });
+  if (!stockTake) {
+    reply.code(404).send({ message: "Stock take not found" });
+    return null;
+  }
+  if (String(stockTake.status).toUpperCase() !== "OPEN") {
+    reply.code(400).send({ message: `Stock take is ${stockTake.status}` });
+    return null;
+  }
+  return stockTake;
+}
+
+/**
+ * Apply count rows [{ book_id?, code?, isbn?, counted_qty, reason, remarks }]
+ * onto the items of a session. Returns { updated, errors }.
+ */
+async function applyCounts({ stockTake, rows, t }) {
+  const items = await StockTakeItem.findAll({
+    where: { stock_take_id: stockTake.id },
+    include: itemInclude(),
+    transaction: t,
+  });
+
+  const byBook = new Map(items.map((i) => [num(i.book_id), i]));
+  const byCode = new Map();
+  for (const i of items) {
+    if (i.book?.code) byCode.set(safeText(i.book.code).toUpperCase(), i);
+    if (i.book?.isbn) byCode.set(safeText(i.book.isbn).toUpperCase(), i);
+  }
+
+  let updated = 0;
+  const errors = [];
+
+  for (const [index, r] of rows.entries()) {
+    const rowNo = r.__row || index + 1;
+
+    const item =
+      byBook.get(num(r.book_id)) ||
+      byCode.get(safeText(r.code).toUpperCase()) ||
+      byCode.get(safeText(r.isbn).toUpperCase());
+
+    if (!item) {
+      errors.push({ row: rowNo, message: "Book is not part of this stock take" });
+      continue;
+    }
+
+    const counted = parseCount(r.counted_qty);
+    if (counted === undefined) {
+      errors.push({ row: rowNo, book_id: item.book_id, message: "counted_qty must be a whole number >= 0" });
+      continue;
+    }
+
+    const patch = { counted_qty: counted };
+
+    if (r.reason !== undefined && safeText(r.reason) !== "") {
+      const reason = normalizeReason(r.reason);
+      if (!reason) {
+        errors.push({ row: rowNo, book_id: item.book_id, message: `reason must be one of ${REASONS.join(", ")}` });
+        continue;
+      }
+      patch.reason = reason;
+    }
+    if (r.remarks !== undefined) patch.remarks = safeText(r.remarks).slice(0, 255) || null;
+
+    await item.update(patch, { transaction: t });
+    updated++;
+  }
+
+  return { updated, errors };
+}
+
+/* =========================================================
+   POST /api/stock-takes
+   body: { warehouse_id?, count_date?, notes?, book_ids?: [], publisher_id?, supplier_id?, class_name? }
+   ✅ warehouse_id defaults to the default godown; counts/adjustments stay in that warehouse
+   ✅ No book_ids => every book that has inventory batches there (filtered)
+   ✅ system_qty snapshot = SUM(available_qty) at open time
+   ========================================================= */
+exports.create = async (request, reply) => {
+  const body = request.body || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const warehouse = num(body.warehouse_id)
+      ? await Warehouse.findByPk(num(body.warehouse_id), { transaction: t })
+      : await Warehouse.findOne({ where: { is_default: true, is_active: true }, transaction: t });
+
+    if (num(body.warehouse_id) && (!warehouse || !warehouse.is_active)) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Invalid or inactive warehouse_id" });
+    }
+    const warehouseId = warehouse ? num(warehouse.id) : null;
+
+    let bookIds = Array.isArray(body.book_ids) ? body.book_ids.map(num).filter(Boolean) : [];
+
+    if (!bookIds.length) {
+      const batchWhere = {};
+      if (warehouseId) batchWhere.warehouse_id = warehouseId;
+      if (num(body.supplier_id)) batchWhere.supplier_id = num(body.supplier_id);
+
+      const stocked = await InventoryBatch.findAll({
+        where: batchWhere,
+        attributes: ["book_id"],
+        group: ["book_id"],
+        raw: true,
+        transaction: t,
+      });
+      bookIds = stocked.map((r) => num(r.book_id)).filter(Boolean);
+    }
+
+    const bookWhere = { id: { [Op.in]: bookIds } };
+    if (num(body.publisher_id)) bookWhere.publisher_id = num(body.publisher_id);
+    if (safeText(body.class_name)) bookWhere.class_name = safeText(body.class_name);
+
+    const books = bookIds.length
+      ? await Book.findAll({ where: bookWhere, attributes: ["id"], raw: true, transaction: t })
+      : [];
+
+    if (!books.length) {
+      await t.rollback();
+      return reply.code(400).send({ message: "No books selected for stock take" });
+    }
+
+    let stock_take_no = makeStockTakeNo();
+    for (let i = 0; i < 5; i++) {
+      const exists = await StockTake.findOne({ where: { stock_take_no }, transaction: t });
+      if (!exists) break;
+      stock_take_no = makeStockTakeNo();
+    }
+
+    const stockTake = await StockTake.create(
+      {
+        stock_take_no,
+        warehouse_id: warehouseId,
+        count_date: safeText(body.count_date) || nowISODate(),
+        status: "OPEN",
+        notes: safeText(body.notes).slice(0, 255) || null,
+        created_by: request.user?.id || null,
+      },
+      { transaction: t }
+    );
+
+    const availMap = await loadAvailableMap(
+      books.map((b) => num(b.id)),
+      t,
+      warehouseId
+    );
+
+    await StockTakeItem.bulkCreate(
+      books.map((b) => ({
+        stock_take_id: stockTake.id,
+        book_id: num(b.id),
+        system_qty: availMap.get(num(b.id)) || 0,
+        counted_qty: null,
+      })),
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return reply.code(201).send({
+      message: "Stock take opened",
+      stock_take: stockTake,
+      items: books.length,
+    });
+  } catch (err) {
+    request.log.error({ err }, "stockTake create failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   GET /api/stock-takes?status=
+   ========================================================= */
+exports.list = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const where = {};
+    if (q.status) where.status = safeText(q.status).toUpperCase();
+    if (num(q.warehouse_id)) where.warehouse_id = num(q.warehouse_id);
+
+    const rows = await StockTake.findAll({
+      where,
+      include: [{ model: Warehouse, as: "warehouse", attributes: ["id", "name", "code"], required: false }],
+      order: [["id", "DESC"]],
+      limit: Math.min(500, Math.max(1, num(q.limit) || 200)),
+    });
+
+    return reply.send({ rows });
+  } catch (err) {
+    request.log.error({ err }, "stockTake list failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   GET /api/stock-takes/:id
+   ========================================================= */
+exports.getOne = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  try {
+    const stockTake = await StockTake.findByPk(id, {
+      include: [{ model: Warehouse, as: "warehouse", attributes: ["id", "name", "code"], required: false }],
+    });
+    if (!stockTake) return reply.code(404).send({ message: "Stock take not found" });
+
+    const { rows, summary } = await buildVarianceRows(stockTake);
+    return reply.send({ stock_take: stockTake, summary, items: rows });
+  } catch (err) {
+    request.log.error({ err }, "stockTake getOne failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   PUT /api/stock-takes/:id/counts
+   body: { items: [{ book_id, counted_qty, reason?, remarks? }] }
+   ========================================================= */
+exports.saveCounts = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  const itemsIn = Array.isArray(request.body?.items) ? request.body.items : [];
+  if (!itemsIn.length) return reply.code(400).send({ message: "items is required (array)" });
+
+  const t = await sequelize.transaction();
+  try {
+    const stockTake = await loadOpenStockTake(id, reply, t);
+    if (!stockTake) {
+      await t.rollback();
+      return reply;
+    }
+
+    const { updated, errors } = await applyCounts({ stockTake, rows: itemsIn, t });
+
+    if (errors.length) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Count validation failed", errors });
+    }
+
+    await t.commit();
+    return reply.send({ message: "Counts saved", updated });
+  } catch (err) {
+    request.log.error({ err }, "stockTake saveCounts failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/stock-takes/:id/import   (multipart Excel)
+   Columns: Book ID | Code | ISBN | Counted Qty | Reason | Remarks
+   ?partial=true -> keep the valid rows even when some rows fail
+   ========================================================= */
+exports.importCounts = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  const file = await request.file();
+  if (!file) return reply.code(400).send({ message: "No file uploaded. Please upload an Excel file." });
+
+  const chunks = [];
+  for await (const chunk of file.file) chunks.push(chunk);
+  const buffer = Buffer.concat(chunks);
+
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: "buffer" });
+  } catch (err) {
+    request.log.error({ err }, "Failed to parse Excel file");
+    return reply.code(400).send({ message: "Invalid Excel file" });
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rawRows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+
+  const rows = rawRows.map((row, index) => ({
+    __row: index + 2,
+    book_id: row["Book ID"] || row.book_id || row.BookId || "",
+    code: row.Code || row.code || row["Book Code"] || "",
+    isbn: row.ISBN || row.isbn || "",
+    counted_qty: row["Counted Qty"] ?? row.counted_qty ?? row.Counted ?? "",
+    reason: row.Reason || row.reason || "",
+    remarks: row.Remarks || row.remarks || "",
+  }));
+
+  // blank count rows in a re-imported variance sheet are simply skipped
+  const filled = rows.filter((r) => safeText(r.counted_qty) !== "");
+
+  const t = await sequelize.transaction();
+  try {
+    const stockTake = await loadOpenStockTake(id, reply, t);
+    if (!stockTake) {
+      await t.rollback();
+      return reply;
+    }
+
+    const { updated, errors } = await applyCounts({ stockTake, rows: filled, t });
+
+    // ✅ a bad sheet is rejected as a whole unless partial import was asked for
+    const partial = ["1", "true", "yes"].includes(safeText(request.query?.partial).toLowerCase());
+    if (errors.length && !partial) {
+      await t.rollback();
+      return reply.code(400).send({
+        message: "Import validation failed. Nothing was saved; fix the rows or re-import with partial=true.",
+        total_rows: rows.length,
+        errors,
+      });
+    }
+
+    await t.commit();
+
+    return reply.send({
+      message: errors.length ? "Import completed with errors" : "Import completed",
+      total_rows: rows.length,
+      updated,
+      skipped: rows.length - filled.length,
+      errors,
+    });
+  } catch (err) {
+    request.log.error({ err }, "stockTake importCounts failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   GET /api/stock-takes/:id/variance?format=json|xlsx
+   ✅ xlsx doubles as a count sheet (fill "Counted Qty", re-import)
+   ========================================================= */
+exports.varianceReport = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  try {
+    const stockTake = await StockTake.findByPk(id);
+    if (!stockTake) return reply.code(404).send({ message: "Stock take not found" });
+
+    const { rows, summary } = await buildVarianceRows(stockTake);
+
+    const format = safeText(request.query?.format).toLowerCase();
+    if (format !== "xlsx" && format !== "excel") {
+      return reply.send({ stock_take: stockTake, summary, rows });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Variance");
+
+    sheet.columns = [
+      { header: "Book ID", key: "book_id", width: 9 },
+      { header: "Code", key: "code", width: 14 },
+      { header: "ISBN", key: "isbn", width: 16 },
+      { header: "Title", key: "title", width: 40 },
+      { header: "Class", key: "class_name", width: 10 },
+      { header: "Publisher", key: "publisher_name", width: 25 },
+      { header: "System Qty", key: "available_qty", width: 11 },
+      { header: "Counted Qty", key: "counted_qty", width: 12 },
+      { header: "Variance", key: "variance", width: 10 },
+      { header: "Reason", key: "reason", width: 14 },
+      { header: "Remarks", key: "remarks", width: 30 },
+    ];
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: "frozen", xSplit: 0, ySplit: 1 }];
+
+    rows.forEach((r) => sheet.addRow({ ...r, counted_qty: r.counted_qty ?? "", variance: r.variance ?? "" }));
+
+    for (let row = 2; row <= rows.length + 1; row++) {
+      sheet.getCell(row, 10).dataValidation = {
+        type: "list",
+        allowBlank: true,
+        formulae: [`"${REASONS.join(",")}"`],
+      };
+    }
+
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    return reply
+      .header("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+      .header("Content-Disposition", `attachment; filename="stock-take-${stockTake.stock_take_no}.xlsx"`)
+      .send(Buffer.from(buffer));
+  } catch (err) {
+    request.log.error({ err }, "stockTake varianceReport failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/stock-takes/:id/approve
+   ✅ Posts ADJUST txns (signed qty) for every counted item with variance
+   ✅ Shortage: deducted FIFO from batches (oldest first)
+   ✅ Excess: added back to the latest batch of that book
+   ✅ Non-zero variance requires a reason
+   ========================================================= */
+exports.approve = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  const t = await sequelize.transaction();
+  try {
+    const stockTake = await loadOpenStockTake(id, reply, t);
+    if (!stockTake) {
+      await t.rollback();
+      return reply;
+    }
+
+    const items = await StockTakeItem.findAll({
+      where: { stock_take_id: stockTake.id, counted_qty: { [Op.ne]: null } },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    if (!items.length) {
+      await t.rollback();
+      return reply.code(400).send({ message: "No counted items to approve" });
+    }
+
+    const bookIds = items.map((i) => num(i.book_id));
+    const warehouseId = num(stockTake.warehouse_id) || null;
+
+    const batchWhere = { book_id: { [Op.in]: bookIds } };
+    if (warehouseId) batchWhere.warehouse_id = warehouseId;
+
+    const batches = await InventoryBatch.findAll({
+      where: batchWhere,
+      order: [["id", "ASC"]],
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const batchesByBook = new Map();
+    for (const b of batches) {
+      const k = num(b.book_id);
+      if (!batchesByBook.has(k)) batchesByBook.set(k, []);
+      batchesByBook.get(k).push(b);
+    }
+
+    const errors = [];
+    const plan = [];
+
+    for (const it of items) {
+      const bookBatches = batchesByBook.get(num(it.book_id)) || [];
+      const available = bookBatches.reduce((s, b) => s + num(b.available_qty), 0);
+      const variance = num(it.counted_qty) - available;
+
+      if (variance !== 0 && !it.reason) {
+        errors.push({ book_id: it.book_id, variance, message: "reason is required for a variance" });
+        continue;
+      }
+      if (variance > 0 && !bookBatches.length) {
+        errors.push({
+          book_id: it.book_id,
+          variance,
+          message: warehouseId
+            ? "No inventory batch exists in this warehouse to post excess into"
+            : "No inventory batch exists to post excess into",
+        });
+        continue;
+      }
+
+      plan.push({ item: it, variance, bookBatches });
+    }
+
+    if (errors.length) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Approval validation failed", errors });
+    }
+
+    const txns = [];
+
+    for (const { item, variance, bookBatches } of plan) {
+      const note = `Stock take ${stockTake.stock_take_no}: ${item.reason}${item.remarks ? ` - ${item.remarks}` : ""}`;
+
+      if (variance < 0) {
+        let remaining = -variance;
+        for (const b of bookBatches) {
+          if (remaining <= 0) break;
+          const take = Math.min(remaining, num(b.available_qty));
+          if (take <= 0) continue;
+
+          await InventoryBatch.update(
+            { available_qty: sequelize.literal(`available_qty - ${take}`) },
+            { where: { id: b.id }, transaction: t }
+          );
+
+          txns.push({
+            txn_type: "ADJUST",
+            book_id: num(item.book_id),
+            batch_id: b.id,
+            warehouse_id: b.warehouse_id ?? null,
+            qty: -take,
+            ref_type: "STOCK_TAKE",
+            ref_id: stockTake.id,
+            notes: note.slice(0, 255),
+          });
+          remaining -= take;
+        }
+      } else if (variance > 0) {
+        const latest = bookBatches[bookBatches.length - 1];
+
+        await InventoryBatch.update(
+          { available_qty: sequelize.literal(`available_qty + ${variance}`) },
+          { where: { id: latest.id }, transaction: t }
+        );
+
+        txns.push({
+          txn_type: "ADJUST",
+          book_id: num(item.book_id),
+          batch_id: latest.id,
+          warehouse_id: latest.warehouse_id ?? null,
+          qty: variance,
+          ref_type: "STOCK_TAKE",
+          ref_id: stockTake.id,
+          notes: note.slice(0, 255),
+        });
+      }
+
+      await item.update({ posted_variance: variance }, { transaction: t });
+    }
+
+    if (txns.length) await InventoryTxn.bulkCreate(txns, { transaction: t });
+
+    await stockTake.update(
+      {
+        status: "APPROVED",
+        approved_by: request.user?.id || null,
+        approved_at: new Date(),
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return reply.send({
+      message: txns.length ? "Stock take approved (adjustments posted)" : "Stock take approved (no variance)",
+      stock_take_id: stockTake.id,
+      stock_take_no: stockTake.stock_take_no,
+      adjustments: plan
+        .filter((p) => p.variance !== 0)
+        .map((p) => ({ book_id: num(p.item.book_id), variance: p.variance, reason: p.item.reason })),
+    });
+  } catch (err) {
+    request.log.error({ err }, "stockTake approve failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/stock-takes/:id/cancel
+   ========================================================= */
+exports.cancel = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  const t = await sequelize.transaction();
+  try {
+    const stockTake = await loadOpenStockTake(id, reply, t);
+    if (!stockTake) {
+      await t.rollback();
+      return reply;
+    }
+
+    await stockTake.update({ status: "CANCELLED" }, { transaction: t });
+    await t.commit();
+
+    return reply.send({ message: "Stock take cancelled", stock_take_id: stockTake.id });
+  } catch (err) {
+    request.log.error({ err }, "stockTake cancel failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
@@ -0,0 +1,401 @@
+"use strict";
+
+const { Op } = require("sequelize");
+
+const {
+  sequelize,
+  Book,
+  Warehouse,
+  InventoryBatch,
+  InventoryTxn,
+  StockTransfer,
+  StockTransferItem,
+} = require("../models");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const safeText = (v) => String(v ?? "").trim();
+
+function nowISODate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function makeTransferNo() {
+  return (
+    "TR" +
+    Math.random()
+      .toString(36)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .slice(0, 6)
+  );
+}
+
+function transferInclude() {
+  return [
+    { model: Warehouse, as: "fromWarehouse", attributes: ["id", "name", "code"], required: false },
+    { model: Warehouse, as: "toWarehouse", attributes: ["id", "name", "code"], required: false },
+  ];
+}
+
+/**
+ * FIFO allocation from one warehouse (same rule as sales: oldest batch first)
+ */
+async function allocateFromWarehouse({ book_id, warehouse_id, qtyNeeded, t }) {
+  const batches = await InventoryBatch.findAll({
+    where: { book_id, warehouse_id, available_qty: { [Op.gt]: 0 } },
+    order: [["id", "ASC"]],
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+
+  let remaining = qtyNeeded;
+  const allocations = [];
+
+  for (const b of batches) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, Number(b.available_qty || 0));
+    if (take > 0) {
+      allocations.push({ batch: b, qty: take });
+      remaining -= take;
+    }
+  }
+
+  return { allocations, remaining };
+}
+
+async function loadInTransit(id, reply, t) {
+  const transfer = await StockTransfer.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+  if (!transfer) {
+    reply.code(404).send({ message: "Stock transfer not found" });
+    return null;
+  }
+  if (transfer.status !== "IN_TRANSIT") {
+    reply.code(400).send({ message: `Stock transfer is ${transfer.status}` });
+    return null;
+  }
+  return transfer;
+}
+
+/* =========================================================
+   POST /api/stock-transfers
+   body: { from_warehouse_id, to_warehouse_id, transfer_date?, notes?, items: [{ book_id, qty }] }
+   ✅ Dispatch: stock leaves source now (OUT), transfer stays IN_TRANSIT until received
+   ========================================================= */
+exports.create = async (request, reply) => {
+  const body = request.body || {};
+  const from_warehouse_id = num(body.from_warehouse_id);
+  const to_warehouse_id = num(body.to_warehouse_id);
+
+  if (!from_warehouse_id || !to_warehouse_id) {
+    return reply.code(400).send({ message: "from_warehouse_id and to_warehouse_id are required" });
+  }
+  if (from_warehouse_id === to_warehouse_id) {
+    return reply.code(400).send({ message: "Source and destination warehouse must differ" });
+  }
+
+  // merge duplicate book lines
+  const wantMap = new Map();
+  for (const x of Array.isArray(body.items) ? body.items : []) {
+    const book_id = num(x.book_id);
+    const qty = num(x.qty);
+    if (!book_id || qty <= 0) continue;
+    if (qty % 1 !== 0) return reply.code(400).send({ message: "Book quantity must be whole number", book_id });
+    wantMap.set(book_id, (wantMap.get(book_id) || 0) + qty);
+  }
+  if (!wantMap.size) return reply.code(400).send({ message: "items is required (book_id, qty > 0)" });
+
+  const t = await sequelize.transaction();
+  try {
+    const warehouses = await Warehouse.findAll({
+      where: { id: [from_warehouse_id, to_warehouse_id], is_active: true },
+      transaction: t,
+    });
+    if (warehouses.length !== 2) {
+      await t.rollback();
+      return reply.code(404).send({ message: "Warehouse not found or inactive" });
+    }
+
+    let transfer_no = makeTransferNo();
+    for (let i = 0; i < 5; i++) {
+      const exists = await StockTransfer.findOne({ where: { transfer_no }, transaction: t });
+      if (!exists) break;
+      transfer_no = makeTransferNo();
+    }
+
+    const plan = [];
+    const shortages = [];
+
+    for (const [book_id, qty] of wantMap.entries()) {
+      const { allocations, remaining } = await allocateFromWarehouse({
+        book_id,
+        warehouse_id: from_warehouse_id,
+        qtyNeeded: qty,
+        t,
+      });
+      if (remaining > 0) shortages.push({ book_id, requested: qty, available: qty - remaining });
+      plan.push({ book_id, allocations });
+    }
+
+    // transfers are all-or-nothing: a challan must match what is loaded
+    if (shortages.length) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Not enough stock in source warehouse", shortages });
+    }
+
+    const transfer = await StockTransfer.create(
+      {
+        transfer_no,
+        from_warehouse_id,
+        to_warehouse_id,
+        transfer_date: safeText(body.transfer_date) || nowISODate(),
+        status: "IN_TRANSIT",
+        notes: safeText(body.notes).slice(0, 255) || null,
+        created_by: request.user?.id || null,
+      },
+      { transaction: t }
+    );
+
+    const items = [];
+    const outTxns = [];
+
+    for (const { book_id, allocations } of plan) {
+      for (const a of allocations) {
+        await InventoryBatch.update(
+          { available_qty: sequelize.literal(`available_qty - ${a.qty}`) },
+          { where: { id: a.batch.id }, transaction: t }
+        );
+
+        items.push({
+          stock_transfer_id: transfer.id,
+          book_id,
+          source_batch_id: a.batch.id,
+          qty: a.qty,
+        });
+
+        outTxns.push({
+          txn_type: "OUT",
+          book_id,
+          batch_id: a.batch.id,
+          warehouse_id: from_warehouse_id,
+          qty: a.qty,
+          ref_type: "STOCK_TRANSFER",
+          ref_id: transfer.id,
+          notes: `Transfer ${transfer_no} dispatched`,
+        });
+      }
+    }
+
+    await StockTransferItem.bulkCreate(items, { transaction: t });
+    await InventoryTxn.bulkCreate(outTxns, { transaction: t });
+
+    await t.commit();
+
+    return reply.code(201).send({
+      message: "Stock transfer dispatched (in transit)",
+      transfer,
+      lines: items.length,
+    });
+  } catch (err) {
+    request.log.error({ err }, "stockTransfer create failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   GET /api/stock-transfers?status=&warehouse_id=
+   ========================================================= */
+exports.list = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const where = {};
+    if (q.status) where.status = safeText(q.status).toUpperCase();
+    if (num(q.warehouse_id)) {
+      where[Op.or] = [{ from_warehouse_id: num(q.warehouse_id) }, { to_warehouse_id: num(q.warehouse_id) }];
+    }
+
+    const rows = await StockTransfer.findAll({
+      where,
+      include: transferInclude(),
+      order: [["id", "DESC"]],
+      limit: Math.min(500, Math.max(1, num(q.limit) || 200)),
+    });
+
+    return reply.send({ rows });
+  } catch (err) {
+    request.log.error({ err }, "stockTransfer list failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   GET /api/stock-transfers/:id
+   ========================================================= */
+exports.getOne = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  try {
+    const transfer = await StockTransfer.findByPk(id, {
+      include: [
+        ...transferInclude(),
+        {
+          model: StockTransferItem,
+          as: "items",
+          required: false,
+          include: [{ model: Book, as: "book", attributes: ["id", "title", "class_name", "code"], required: false }],
+        },
+      ],
+      order: [[{ model: StockTransferItem, as: "items" }, "id", "ASC"]],
+    });
+    if (!transfer) return reply.code(404).send({ message: "Stock transfer not found" });
+
+    return reply.send(transfer);
+  } catch (err) {
+    request.log.error({ err }, "stockTransfer getOne failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/stock-transfers/:id/receive
+   ✅ Creates destination batches (same supplier, receipt/order refs + purchase_price as source)
+   ========================================================= */
+exports.receive = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  const t = await sequelize.transaction();
+  try {
+    const transfer = await loadInTransit(id, reply, t);
+    if (!transfer) {
+      await t.rollback();
+      return reply;
+    }
+
+    const items = await StockTransferItem.findAll({
+      where: { stock_transfer_id: transfer.id },
+      order: [["id", "ASC"]],
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const sourceBatches = await InventoryBatch.findAll({
+      where: { id: items.map((i) => num(i.source_batch_id)) },
+      transaction: t,
+    });
+    const srcMap = new Map(sourceBatches.map((b) => [num(b.id), b]));
+
+    const inTxns = [];
+
+    for (const it of items) {
+      const src = srcMap.get(num(it.source_batch_id));
+
+      // received_qty stays 0: this is not a supplier receipt, only a move
+      // ✅ keep source-document refs so moved copies stay returnable against their receipt
+      const dest = await InventoryBatch.create(
+        {
+          book_id: it.book_id,
+          supplier_id: src.supplier_id,
+          supplier_receipt_id: src.supplier_receipt_id || null,
+          school_order_id: src.school_order_id || null,
+          school_order_item_id: src.school_order_item_id || null,
+          warehouse_id: transfer.to_warehouse_id,
+          purchase_price: src.purchase_price,
+          received_qty: 0,
+          available_qty: num(it.qty),
+        },
+        { transaction: t }
+      );
+
+      await it.update({ dest_batch_id: dest.id }, { transaction: t });
+
+      inTxns.push({
+        txn_type: "IN",
+        book_id: it.book_id,
+        batch_id: dest.id,
+        warehouse_id: transfer.to_warehouse_id,
+        qty: num(it.qty),
+        ref_type: "STOCK_TRANSFER",
+        ref_id: transfer.id,
+        notes: `Transfer ${transfer.transfer_no} received`,
+      });
+    }
+
+    if (inTxns.length) await InventoryTxn.bulkCreate(inTxns, { transaction: t });
+
+    await transfer.update(
+      { status: "RECEIVED", received_by: request.user?.id || null, received_at: new Date() },
+      { transaction: t }
+    );
+
+    await t.commit();
+
+    return reply.send({ message: "Stock transfer received", transfer_id: transfer.id });
+  } catch (err) {
+    request.log.error({ err }, "stockTransfer receive failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/stock-transfers/:id/cancel
+   ✅ Only while IN_TRANSIT: stock goes back into the source batches
+   ========================================================= */
+exports.cancel = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  const t = await sequelize.transaction();
+  try {
+    const transfer = await loadInTransit(id, reply, t);
+    if (!transfer) {
+      await t.rollback();
+      return reply;
+    }
+
+    const items = await StockTransferItem.findAll({
+      where: { stock_transfer_id: transfer.id },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const inTxns = [];
+
+    for (const it of items) {
+      await InventoryBatch.update(
+        { available_qty: sequelize.literal(`available_qty + ${num(it.qty)}`) },
+        { where: { id: it.source_batch_id }, transaction: t }
+      );
+
+      inTxns.push({
+        txn_type: "IN",
+        book_id: it.book_id,
+        batch_id: it.source_batch_id,
+        warehouse_id: transfer.from_warehouse_id,
+        qty: num(it.qty),
+        ref_type: "STOCK_TRANSFER_CANCEL",
+        ref_id: transfer.id,
+        notes: `Transfer ${transfer.transfer_no} cancelled`,
+      });
+    }
+
+    if (inTxns.length) await InventoryTxn.bulkCreate(inTxns, { transaction: t });
+
+    await transfer.update({ status: "CANCELLED" }, { transaction: t });
+    await t.commit();
+
+    return reply.send({ message: "Stock transfer cancelled", transfer_id: transfer.id });
+  } catch (err) {
+    request.log.error({ err }, "stockTransfer cancel failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
@@ -13,6 +13,10 @@ const {
   SchoolOrder,
   sequelize,
 } = require("../models");
+const {
+  withSettlement,
+  ageingSummary,
+} = require("../services/supplierSettlementService");
 
 /* ---------------- Helpers ---------------- */
 
@@ -147,6 +151,8 @@ exports.create = async (request, reply) => {
       phone,
       email,
       address,
+      state,
+      gstin,
       is_active = true,
 
       // ✅ NEW from frontend
@@ -168,6 +174,8 @@ exports.create = async (request, reply) => {
         phone: cleanNullable(phone),
         email: cleanNullable(email),
         address: cleanNullable(address),
+        state: cleanNullable(state),
+        gstin: cleanNullable(gstin) ? cleanNullable(gstin).toUpperCase() : null,
         is_active: toBool(is_active, true),
 
         // ✅ link (needs suppliers.publisher_id column in DB)
@@ -297,6 +305,8 @@ exports.update = async (request, reply) => {
       phone,
       email,
       address,
+      state,
+      gstin,
       is_active,
 
       // ✅ NEW
@@ -323,6 +333,13 @@ exports.update = async (request, reply) => {
         phone: phone !== undefined ? cleanNullable(phone) : supplier.phone,
         email: email !== undefined ? cleanNullable(email) : supplier.email,
         address: address !== undefined ? cleanNullable(address) : supplier.address,
+        state: state !== undefined ? cleanNullable(state) : supplier.state,
+        gstin:
+          gstin !== undefined
+            ? cleanNullable(gstin)
+              ? cleanNullable(gstin).toUpperCase()
+              : null
+            : supplier.gstin,
         is_active:
           is_active !== undefined
             ? toBool(is_active, supplier.is_active)
@@ -388,7 +405,9 @@ exports.remove = async (request, reply) => {
 /* =========================================
  * ✅ Supplier Invoices List
  * GET /api/suppliers/:id/invoices
+ * Query: only_unpaid?=true
  * ✅ returns school_name also
+ * ✅ returned / paid / discount / outstanding per invoice + ageing buckets
  * ========================================= */
 exports.listInvoices = async (request, reply) => {
   try {
@@ -451,8 +470,14 @@ exports.listInvoices = async (request, reply) => {
       include: includes,
     });
 
+    const settlement = await withSettlement(receipts || []);
+    const settleById = new Map(settlement.map((x) => [x.receipt.id, x]));
+
+    const onlyUnpaid = toBool(request.query?.only_unpaid, false);
+
     const invoices = (receipts || []).map((r) => {
       const itemsArr = itemsAlias ? r[itemsAlias] : [];
+      const st = settleById.get(r.id);
       const { school_id, school_name } = extractSchoolMeta({
         receipt: r,
         schoolAlias,
@@ -480,13 +505,23 @@ exports.listInvoices = async (request, reply) => {
         round_off: r.round_off ?? null,
         grand_total: r.grand_total ?? r.total ?? r.net_total ?? null,
 
+        // ✅ settlement
+        returned_amount: st.returned_amount,
+        paid_amount: st.paid_amount,
+        discount_amount: st.discount_amount,
+        settled_amount: st.settled_amount,
+        outstanding_amount: st.outstanding_amount,
+        age_days: st.age_days,
+        age_bucket: st.age_bucket,
+
         items_count: Array.isArray(itemsArr) ? itemsArr.length : 0,
       };
     });
 
     return reply.send({
       supplier: { id: supplier.id, name: supplier.name },
-      invoices,
+      invoices: onlyUnpaid ? invoices.filter((x) => x.outstanding_amount > 0) : invoices,
+      ageing: ageingSummary(settlement),
     });
   } catch (err) {
     request.log?.error({ err }, "listInvoices Error");
@@ -494,6 +529,51 @@ exports.listInvoices = async (request, reply) => {
   }
 };
 
+/* =========================================
+ * ✅ Payables Ageing (all suppliers)
+ * GET /api/suppliers/payables/ageing
+ * Outstanding of received invoices by age: 0-30 / 31-60 / 61-90 / 90+ days
+ * ========================================= */
+exports.payablesAgeing = async (request, reply) => {
+  try {
+    const receipts = await SupplierReceipt.findAll({
+      where: { status: "received", grand_total: { [Op.gt]: 0 } },
+      order: [["id", "ASC"]],
+    });
+
+    const rows = (await withSettlement(receipts)).filter(
+      (x) => x.outstanding_amount > 0
+    );
+
+    const bySupplier = new Map();
+    for (const x of rows) {
+      const sid = Number(x.receipt.supplier_id);
+      if (!bySupplier.has(sid)) bySupplier.set(sid, []);
+      bySupplier.get(sid).push(x);
+    }
+
+    const suppliers = await Supplier.findAll({
+      where: { id: [...bySupplier.keys()] },
+      attributes: ["id", "name"],
+    });
+    const nameById = new Map(suppliers.map((s) => [s.id, s.name]));
+
+    const list = [...bySupplier.entries()]
+      .map(([sid, arr]) => ({
+        supplier_id: sid,
+        supplier_name: nameById.get(sid) || null,
+        invoices_count: arr.length,
+        ...ageingSummary(arr),
+      }))
+      .sort((a, b) => b.total - a.total);
+
+    return reply.send({ suppliers: list, totals: ageingSummary(rows) });
+  } catch (err) {
+    request.log?.error({ err }, "payablesAgeing Error");
+    return reply.code(500).send({ error: "Failed to fetch payables ageing." });
+  }
+};
+
 /* =========================================
  * ✅ Supplier Invoice Detail
  * GET /api/suppliers/:id/invoices/:invoiceId
@@ -0,0 +1,885 @@
+// src/controllers/supplierDebitNoteController.js
+"use strict";
+
+const { Op } = require("sequelize");
+const PDFDocument = require("pdfkit");
+const {
+  sequelize,
+  Supplier,
+  Book,
+  InventoryBatch,
+  InventoryTxn,
+  SupplierReceipt,
+  SupplierReceiptItem,
+  SupplierLedgerTxn,
+  SupplierDebitNote,
+  SupplierDebitNoteItem,
+  CompanyProfile,
+} = require("../models");
+const { returnPlan } = require("../services/purchaseReturnService");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+const cleanStr = (v, max = 255) => {
+  const s = String(v || "").trim();
+  if (!s) return null;
+  return s.length > max ? s.slice(0, max) : s;
+};
+
+const asBool = (v) => {
+  if (v === true || v === 1 || v === "1") return true;
+  const s = String(v ?? "").trim().toLowerCase();
+  return s === "true" || s === "yes";
+};
+
+// InventoryTxn.ref_type for stock sent back to the supplier
+const DEBIT_NOTE_REF = "SUPPLIER_DEBIT_NOTE";
+
+const TAX_KEYS = ["taxable_value", "cgst_amount", "sgst_amount", "igst_amount"];
+
+function formatDateIN(d) {
+  if (!d) return "-";
+  const dt = d instanceof Date ? d : new Date(d);
+  if (isNaN(dt.getTime())) return String(d);
+  const dd = String(dt.getDate()).padStart(2, "0");
+  const mm = String(dt.getMonth() + 1).padStart(2, "0");
+  return `${dd}-${mm}-${dt.getFullYear()}`;
+}
+
+function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+async function makeDebitNoteNo(t) {
+  const d = new Date();
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+
+  const last = await SupplierDebitNote.findOne({
+    order: [["id", "DESC"]],
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+
+  const lastSeq = last && last.debit_note_no ? String(last.debit_note_no).split("-").pop() : "0";
+  const seq = String(num(lastSeq) + 1).padStart(6, "0");
+  return `DN-${yyyy}-${mm}-${seq}`;
+}
+
+/**
+ * Receipt lines with already-returned qty (issued + draft notes, except `excludeNoteId`)
+ * and stock still on hand in the receipt's batches
+ */
+async function loadReturnableLines(receipt, t, lock = false, excludeNoteId = null) {
+  const items = await SupplierReceiptItem.findAll({
+    where: { supplier_receipt_id: receipt.id },
+    include: [{ model: Book, as: "book", attributes: ["id", "title", "class_name", "subject", "code"], required: false }],
+    order: [["id", "ASC"]],
+    transaction: t,
+  });
+
+  const notes = await SupplierDebitNote.findAll({
+    where: {
+      supplier_receipt_id: receipt.id,
+      ...(excludeNoteId ? { id: { [Op.ne]: excludeNoteId } } : {}),
+    },
+    attributes: ["id"],
+    transaction: t,
+  });
+  const prevItems = notes.length
+    ? await SupplierDebitNoteItem.findAll({
+        where: { supplier_debit_note_id: notes.map((n) => n.id) },
+        transaction: t,
+      })
+    : [];
+
+  const prevByLine = new Map();
+  for (const p of prevItems) {
+    const key = num(p.supplier_receipt_item_id);
+    const acc = prevByLine.get(key) || { qty: 0, taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+    acc.qty += num(p.qty);
+    for (const k of TAX_KEYS) acc[k] = round2(acc[k] + num(p[k]));
+    prevByLine.set(key, acc);
+  }
+
+  const batches = await InventoryBatch.findAll({
+    where: { supplier_receipt_id: receipt.id, available_qty: { [Op.gt]: 0 } },
+    order: [["id", "ASC"]],
+    transaction: t,
+    ...(lock && t ? { lock: t.LOCK.UPDATE } : {}),
+  });
+  const batchesByBook = new Map();
+  for (const b of batches) {
+    const key = num(b.book_id);
+    if (!batchesByBook.has(key)) batchesByBook.set(key, []);
+    batchesByBook.get(key).push(b);
+  }
+
+  const lines = items.map((it) => {
+    const prev = prevByLine.get(num(it.id)) || { qty: 0 };
+    const bookId = num(it.book_id);
+    return {
+      supplier_receipt_item_id: num(it.id),
+      book_id: bookId,
+      title: it.book?.title || null,
+      class_name: it.book?.class_name || null,
+      is_specimen: asBool(it.is_specimen),
+      received_qty: num(it.qty),
+      returned_qty: prev.qty,
+      returnable_qty: Math.max(0, num(it.qty) - prev.qty),
+      in_stock_qty: (batchesByBook.get(bookId) || []).reduce((s, b) => s + num(b.available_qty), 0),
+      rate: round2(it.rate),
+      net_amount: round2(it.net_amount),
+      hsn_code: it.hsn_code || null,
+      gst_rate: round2(it.gst_rate),
+      taxable_value: round2(it.taxable_value),
+      cgst_amount: round2(it.cgst_amount),
+      sgst_amount: round2(it.sgst_amount),
+      igst_amount: round2(it.igst_amount),
+      _prev: prev,
+    };
+  });
+
+  return { lines, batchesByBook };
+}
+
+/**
+ * Value of `qty` copies of a receipt line: pro-rata share of its taxable value + GST.
+ * Last return of a line takes the exact remainder.
+ * Old receipts without a GST split: net amount less the bill-discount share.
+ */
+function lineDebit(line, qty, receipt) {
+  if (line.is_specimen) return { taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, amount: 0 };
+
+  let base = line;
+  if (base.taxable_value <= 0 && base.net_amount > 0) {
+    const subTotal = num(receipt.sub_total);
+    const share = subTotal > 0 ? Math.max(0, 1 - num(receipt.bill_discount_amount) / subTotal) : 1;
+    base = { ...base, taxable_value: round2(base.net_amount * share), cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+  }
+
+  const out = {};
+  const isLast = line._prev.qty + qty >= line.received_qty;
+  for (const k of TAX_KEYS) {
+    out[k] = isLast
+      ? round2(Math.max(0, base[k] - num(line._prev[k])))
+      : round2(line.received_qty > 0 ? (base[k] * qty) / line.received_qty : 0);
+  }
+  out.amount = round2(out.taxable_value + out.cgst_amount + out.sgst_amount + out.igst_amount);
+  return out;
+}
+
+const publicLine = ({ _prev, ...rest }) => rest;
+
+const parseWant = (items) =>
+  (Array.isArray(items) ? items : [])
+    .map((x) => ({ supplier_receipt_item_id: num(x?.supplier_receipt_item_id), qty: Math.floor(num(x?.qty)) }))
+    .filter((x) => x.supplier_receipt_item_id && x.qty > 0);
+
+/**
+ * Check requested lines against the receipt (and its stock when the note will be issued).
+ * Returns an error message or null.
+ */
+function validateWant({ want, lines, batchesByBook, checkStock }) {
+  const byId = new Map(lines.map((l) => [l.supplier_receipt_item_id, l]));
+  const needByBook = new Map();
+  const seen = new Set();
+
+  for (const w of want) {
+    const line = byId.get(w.supplier_receipt_item_id);
+    if (!line) return `Line ${w.supplier_receipt_item_id} does not belong to this receipt`;
+    if (seen.has(w.supplier_receipt_item_id)) return `Line ${w.supplier_receipt_item_id} repeated`;
+    seen.add(w.supplier_receipt_item_id);
+
+    if (w.qty > line.returnable_qty) {
+      return `Return qty ${w.qty} exceeds returnable ${line.returnable_qty} for "${line.title || line.book_id}"`;
+    }
+    needByBook.set(line.book_id, (needByBook.get(line.book_id) || 0) + w.qty);
+  }
+
+  if (!checkStock) return null;
+
+  for (const [bookId, need] of needByBook.entries()) {
+    const have = (batchesByBook.get(bookId) || []).reduce((s, b) => s + num(b.available_qty), 0);
+    if (need > have) {
+      const line = lines.find((l) => l.book_id === bookId);
+      return `Only ${have} of "${line?.title || bookId}" left in this receipt's stock (need ${need}). Transfer copies back to the godown first.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Priced debit note lines + header totals
+ */
+function priceWant({ want, lines, receipt, noteId }) {
+  const byId = new Map(lines.map((l) => [l.supplier_receipt_item_id, l]));
+  const totals = { taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, amount: 0 };
+
+  const items = want.map((w) => {
+    const line = byId.get(w.supplier_receipt_item_id);
+    const value = lineDebit(line, w.qty, receipt);
+    for (const k of Object.keys(totals)) totals[k] = round2(totals[k] + value[k]);
+    return {
+      supplier_debit_note_id: noteId,
+      supplier_receipt_item_id: line.supplier_receipt_item_id,
+      book_id: line.book_id,
+      is_specimen: line.is_specimen,
+      qty: w.qty,
+      rate: line.rate,
+      hsn_code: line.hsn_code,
+      gst_rate: line.gst_rate,
+      ...value,
+    };
+  });
+
+  return {
+    items,
+    header: {
+      taxable_value: totals.taxable_value,
+      cgst_amount: totals.cgst_amount,
+      sgst_amount: totals.sgst_amount,
+      igst_amount: totals.igst_amount,
+      tax: round2(totals.cgst_amount + totals.sgst_amount + totals.igst_amount),
+      total_amount: totals.amount,
+    },
+  };
+}
+
+/**
+ * Issue a debit note: OUT from the receipt's batches + DEBIT_NOTE credit in supplier ledger.
+ * Stock must already be validated. Returns the OUT rows.
+ */
+async function postDebitNote({ note, items, receipt, batchesByBook, t }) {
+  const outTxns = [];
+
+  for (const it of items) {
+    let left = num(it.qty);
+    for (const b of batchesByBook.get(num(it.book_id)) || []) {
+      if (left <= 0) break;
+      const q = Math.min(left, num(b.available_qty));
+      if (q <= 0) continue;
+
+      await InventoryBatch.update(
+        { available_qty: sequelize.literal(`available_qty - ${q}`) },
+        { where: { id: b.id }, transaction: t }
+      );
+      b.available_qty = num(b.available_qty) - q;
+
+      outTxns.push({
+        txn_type: "OUT",
+        book_id: num(it.book_id),
+        batch_id: b.id,
+        qty: q,
+        ref_type: DEBIT_NOTE_REF,
+        ref_id: note.id,
+        notes: cleanStr(`Debit note ${note.debit_note_no} -> return to supplier (${receipt.receipt_no})`, 255),
+      });
+      left -= q;
+    }
+  }
+
+  if (outTxns.length) await InventoryTxn.bulkCreate(outTxns, { transaction: t });
+
+  // ✅ payable decreases (specimen-only returns carry no value)
+  if (num(note.total_amount) > 0) {
+    await SupplierLedgerTxn.create(
+      {
+        supplier_id: receipt.supplier_id,
+        txn_date: new Date(`${note.debit_note_date}T00:00:00`),
+        txn_type: "DEBIT_NOTE",
+        ref_table: "supplier_debit_notes",
+        ref_id: note.id,
+        ref_no: note.debit_note_no,
+        debit: 0,
+        credit: round2(note.total_amount),
+        narration: cleanStr(`Purchase return against ${receipt.receipt_no}${note.reason ? ` - ${note.reason}` : ""}`, 255),
+      },
+      { transaction: t }
+    );
+  }
+
+  return outTxns;
+}
+
+/**
+ * Save a debit note against a receipt (draft or issued). Throws statusCode 400/404 errors.
+ */
+async function saveDebitNote({ receiptId, want, status, body, userId, t }) {
+  const fail = (code, msg) => {
+    const err = new Error(msg);
+    err.statusCode = code;
+    return err;
+  };
+
+  const receipt = await SupplierReceipt.findByPk(receiptId, { transaction: t, lock: t.LOCK.UPDATE });
+  if (!receipt) throw fail(404, "Receipt not found");
+  if (String(receipt.status).toLowerCase() !== "received") {
+    throw fail(400, `Debit note can be made only against a RECEIVED receipt (${receipt.receipt_no}).`);
+  }
+
+  const issue = status === "issued";
+  const { lines, batchesByBook } = await loadReturnableLines(receipt, t, issue);
+
+  const errMsg = validateWant({ want, lines, batchesByBook, checkStock: issue });
+  if (errMsg) throw fail(400, errMsg);
+
+  const note = await SupplierDebitNote.create(
+    {
+      debit_note_no: await makeDebitNoteNo(t),
+      debit_note_date: safeText(body.debit_note_date).slice(0, 10) || todayISO(),
+      status,
+      supplier_id: receipt.supplier_id,
+      supplier_receipt_id: receipt.id,
+      receipt_no: receipt.receipt_no,
+      invoice_no: receipt.invoice_no || receipt.doc_no || null,
+      is_inter_state: Boolean(receipt.is_inter_state),
+      reason: cleanStr(body.reason, 255),
+      dispatch_ref: cleanStr(body.dispatch_ref, 120),
+      created_by: userId || null,
+    },
+    { transaction: t }
+  );
+
+  const { items, header } = priceWant({ want, lines, receipt, noteId: note.id });
+  await SupplierDebitNoteItem.bulkCreate(items, { transaction: t });
+  await note.update(header, { transaction: t });
+
+  const outTxns = issue ? await postDebitNote({ note, items, receipt, batchesByBook, t }) : [];
+  return { note, outTxns };
+}
+
+/* ============================
+   GET /api/supplier-debit-notes/returnable?supplier_receipt_id=
+   → receipt lines with qty still returnable + stock on hand
+   ============================ */
+exports.returnable = async (request, reply) => {
+  try {
+    const receiptId = num(request.query?.supplier_receipt_id);
+    if (!receiptId) return reply.code(400).send({ error: "supplier_receipt_id is required" });
+
+    const receipt = await SupplierReceipt.findByPk(receiptId);
+    if (!receipt) return reply.code(404).send({ error: "Receipt not found" });
+
+    const { lines } = await loadReturnableLines(receipt);
+
+    return reply.send({ receipt, lines: lines.map(publicLine) });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ debit note returnable error:", err);
+    return reply.code(500).send({ error: "Failed to load returnable lines" });
+  }
+};
+
+/* ============================
+   POST /api/supplier-debit-notes
+   Body:
+   {
+     supplier_receipt_id: number,
+     items: [{ supplier_receipt_item_id, qty }],
+     status?: "issued" | "draft",   // default issued
+     debit_note_date?: "YYYY-MM-DD",
+     reason?: string,          // damaged / excess / end-of-season return
+     dispatch_ref?: string     // transporter, LR no
+   }
+   issued → OUT InventoryTxn from the receipt's batches
+          → DEBIT_NOTE credit in supplier ledger (payable decreases)
+   draft  → only saved, issue later via POST /:id/issue
+   ============================ */
+exports.create = async (request, reply) => {
+  const body = request.body || {};
+  const receiptId = num(body.supplier_receipt_id);
+  if (!receiptId) return reply.code(400).send({ error: "supplier_receipt_id is required" });
+
+  const want = parseWant(body.items);
+  if (!want.length) {
+    return reply.code(400).send({ error: "items is required: [{ supplier_receipt_item_id, qty }]" });
+  }
+
+  const status = String(body.status || "issued").toLowerCase() === "draft" ? "draft" : "issued";
+
+  const t = await sequelize.transaction();
+  try {
+    const { note, outTxns } = await saveDebitNote({
+      receiptId,
+      want,
+      status,
+      body,
+      userId: request.user?.id,
+      t,
+    });
+
+    await t.commit();
+
+    const full = await SupplierDebitNote.findByPk(note.id, {
+      include: [{ model: SupplierDebitNoteItem, as: "items" }],
+    });
+
+    return reply.send({
+      message:
+        status === "draft"
+          ? "Draft debit note saved. Stock and ledger will move when it is issued."
+          : "Debit note saved, stock removed and supplier ledger credited.",
+      debit_note: full,
+      stock_out: outTxns.map((x) => ({ batch_id: x.batch_id, book_id: x.book_id, qty: x.qty })),
+    });
+  } catch (err) {
+    await t.rollback();
+    if (err.statusCode) return reply.code(err.statusCode).send({ error: err.message });
+    request.log?.error?.(err);
+    console.error("❌ debit note create error:", err);
+    return reply.code(500).send({ error: "Failed to create debit note" });
+  }
+};
+
+/* ============================
+   POST /api/supplier-debit-notes/:id/issue
+   Body: { debit_note_date?, dispatch_ref? }
+   → draft becomes issued: stock OUT + ledger credit
+   ============================ */
+exports.issue = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ error: "Invalid id" });
+  const body = request.body || {};
+
+  const t = await sequelize.transaction();
+  try {
+    const note = await SupplierDebitNote.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!note) {
+      await t.rollback();
+      return reply.code(404).send({ error: "Debit note not found" });
+    }
+    if (note.status !== "draft") {
+      await t.rollback();
+      return reply.code(400).send({ error: "Debit note is already issued." });
+    }
+
+    const receipt = await SupplierReceipt.findByPk(note.supplier_receipt_id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!receipt || String(receipt.status).toLowerCase() !== "received") {
+      await t.rollback();
+      return reply.code(400).send({ error: "Receipt is no longer RECEIVED; delete this draft." });
+    }
+
+    const items = await SupplierDebitNoteItem.findAll({
+      where: { supplier_debit_note_id: note.id },
+      order: [["id", "ASC"]],
+      transaction: t,
+    });
+
+    // re-check against everything except this draft, with live stock
+    const { lines, batchesByBook } = await loadReturnableLines(receipt, t, true, note.id);
+    const errMsg = validateWant({
+      want: items.map((it) => ({ supplier_receipt_item_id: num(it.supplier_receipt_item_id), qty: num(it.qty) })),
+      lines,
+      batchesByBook,
+      checkStock: true,
+    });
+    if (errMsg) {
+      await t.rollback();
+      return reply.code(400).send({ error: errMsg });
+    }
+
+    await note.update(
+      {
+        status: "issued",
+        debit_note_date: safeText(body.debit_note_date).slice(0, 10) || todayISO(),
+        dispatch_ref: cleanStr(body.dispatch_ref, 120) || note.dispatch_ref,
+      },
+      { transaction: t }
+    );
+
+    const outTxns = await postDebitNote({ note, items, receipt, batchesByBook, t });
+
+    await t.commit();
+    return reply.send({
+      message: "Debit note issued, stock removed and supplier ledger credited.",
+      debit_note: note,
+      stock_out: outTxns.map((x) => ({ batch_id: x.batch_id, book_id: x.book_id, qty: x.qty })),
+    });
+  } catch (err) {
+    await t.rollback();
+    request.log?.error?.(err);
+    console.error("❌ debit note issue error:", err);
+    return reply.code(500).send({ error: "Failed to issue debit note" });
+  }
+};
+
+/* ============================
+   DELETE /api/supplier-debit-notes/:id
+   → drafts only (issued notes have moved stock and ledger)
+   ============================ */
+exports.remove = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+  const t = await sequelize.transaction();
+  try {
+    const note = await SupplierDebitNote.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!note) {
+      await t.rollback();
+      return reply.code(404).send({ error: "Debit note not found" });
+    }
+    if (note.status !== "draft") {
+      await t.rollback();
+      return reply.code(400).send({ error: "Only draft debit notes can be deleted." });
+    }
+
+    await SupplierDebitNoteItem.destroy({ where: { supplier_debit_note_id: note.id }, transaction: t });
+    await note.destroy({ transaction: t });
+
+    await t.commit();
+    return reply.send({ message: "Draft debit note deleted." });
+  } catch (err) {
+    await t.rollback();
+    request.log?.error?.(err);
+    console.error("❌ debit note delete error:", err);
+    return reply.code(500).send({ error: "Failed to delete debit note" });
+  }
+};
+
+/* ============================
+   GET /api/supplier-debit-notes/return-plan?academic_session=2025-26&supplier_id=
+   → per supplier: surplus stock by receipt line (receipt ref + purchase rate)
+   ============================ */
+exports.returnPlan = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const academic_session = safeText(q.academic_session);
+    if (!academic_session) return reply.code(400).send({ error: "academic_session is required" });
+
+    const plan = await returnPlan({ academic_session, supplier_id: num(q.supplier_id) || null });
+    return reply.send(plan);
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ return plan error:", err);
+    return reply.code(500).send({ error: "Failed to build return plan" });
+  }
+};
+
+/* ============================
+   POST /api/supplier-debit-notes/return-plan/drafts
+   Body:
+   {
+     academic_session: "2025-26",
+     supplier_id?: number,
+     supplier_receipt_ids?: number[],
+     reason?: string
+   }
+   → one draft debit note per receipt from the current plan
+   ============================ */
+exports.createDrafts = async (request, reply) => {
+  const body = request.body || {};
+  const academic_session = safeText(body.academic_session);
+  if (!academic_session) return reply.code(400).send({ error: "academic_session is required" });
+
+  const t = await sequelize.transaction();
+  try {
+    const plan = await returnPlan({
+      academic_session,
+      supplier_id: num(body.supplier_id) || null,
+      supplier_receipt_ids: Array.isArray(body.supplier_receipt_ids) ? body.supplier_receipt_ids : null,
+      t,
+    });
+
+    const byReceipt = new Map();
+    for (const s of plan.suppliers) {
+      for (const l of s.lines) {
+        if (!byReceipt.has(l.supplier_receipt_id)) byReceipt.set(l.supplier_receipt_id, []);
+        byReceipt.get(l.supplier_receipt_id).push({ supplier_receipt_item_id: l.supplier_receipt_item_id, qty: l.return_qty });
+      }
+    }
+
+    if (!byReceipt.size) {
+      await t.rollback();
+      return reply.code(400).send({ error: "Nothing to return for this selection." });
+    }
+
+    const reason = cleanStr(body.reason, 255) || `End of session ${academic_session} return`;
+    const drafts = [];
+    for (const [receiptId, want] of byReceipt.entries()) {
+      const { note } = await saveDebitNote({
+        receiptId,
+        want,
+        status: "draft",
+        body: { reason },
+        userId: request.user?.id,
+        t,
+      });
+      drafts.push(note);
+    }
+
+    await t.commit();
+    return reply.send({
+      message: `${drafts.length} draft debit note(s) created. Issue each one when the consignment leaves.`,
+      debit_notes: drafts,
+      totals: plan.totals,
+    });
+  } catch (err) {
+    await t.rollback();
+    if (err.statusCode) return reply.code(err.statusCode).send({ error: err.message });
+    request.log?.error?.(err);
+    console.error("❌ return drafts error:", err);
+    return reply.code(500).send({ error: "Failed to create draft debit notes" });
+  }
+};
+
+/* ============================
+   GET /api/supplier-debit-notes
+   Query: supplier_id?, supplier_receipt_id?, status?, from?, to?, limit?
+   ============================ */
+exports.list = async (request, reply) => {
+  try {
+    const q = request.query || {};
+    const where = {};
+
+    if (num(q.supplier_id)) where.supplier_id = num(q.supplier_id);
+    if (num(q.supplier_receipt_id)) where.supplier_receipt_id = num(q.supplier_receipt_id);
+    if (["draft", "issued"].includes(safeText(q.status).toLowerCase())) where.status = safeText(q.status).toLowerCase();
+
+    const from = safeText(q.from).slice(0, 10);
+    const to = safeText(q.to).slice(0, 10);
+    if (from || to) {
+      where.debit_note_date = {};
+      if (from) where.debit_note_date[Op.gte] = from;
+      if (to) where.debit_note_date[Op.lte] = to;
+    }
+
+    const rows = await SupplierDebitNote.findAll({
+      where,
+      include: [{ model: Supplier, as: "supplier", attributes: ["id", "name"] }],
+      order: [
+        ["debit_note_date", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit: Math.min(500, Math.max(1, num(q.limit) || 200)),
+    });
+
+    return reply.send({ debit_notes: rows });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ debit note list error:", err);
+    return reply.code(500).send({ error: "Failed to fetch debit notes" });
+  }
+};
+
+async function findDebitNote(id) {
+  return SupplierDebitNote.findByPk(id, {
+    include: [
+      {
+        model: SupplierDebitNoteItem,
+        as: "items",
+        separate: true,
+        order: [["id", "ASC"]],
+        include: [{ model: Book, as: "book", attributes: ["id", "title", "class_name", "subject", "code"], required: false }],
+      },
+      { model: Supplier, as: "supplier" },
+    ],
+  });
+}
+
+/* ============================
+   GET /api/supplier-debit-notes/:id
+   ============================ */
+exports.getOne = async (request, reply) => {
+  try {
+    const id = num(request.params?.id);
+    if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+    const note = await findDebitNote(id);
+    if (!note) return reply.code(404).send({ error: "Debit note not found" });
+
+    return reply.send({ debit_note: note });
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ debit note get error:", err);
+    return reply.code(500).send({ error: "Failed to fetch debit note" });
+  }
+};
+
+/* ---------------- PDF ---------------- */
+
+function buildDebitNotePdf({ note, company }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 36 });
+    const chunks = [];
+    doc.on("data", (d) => chunks.push(d));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (v) => round2(v).toFixed(2);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const width = right - left;
+
+    const hr = () => {
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.6).strokeColor("#999").stroke();
+      doc.strokeColor("#000");
+    };
+
+    // Company header
+    const addr = [company?.address_line1, company?.address_line2, company?.city, company?.state, company?.pincode]
+      .filter(Boolean)
+      .join(", ");
+
+    doc.font("Helvetica-Bold").fontSize(14).text(safeText(company?.name) || "Company", { align: "center" });
+    doc.font("Helvetica").fontSize(9);
+    if (addr) doc.text(addr, { align: "center" });
+    if (safeText(company?.gstin)) doc.text(`GSTIN: ${safeText(company.gstin)}`, { align: "center" });
+    if (safeText(company?.phone_primary)) doc.text(`Ph: ${safeText(company.phone_primary)}`, { align: "center" });
+
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(13)
+      .text(note.status === "draft" ? "DRAFT DEBIT NOTE (PURCHASE RETURN)" : "DEBIT NOTE (PURCHASE RETURN)", {
+        align: "center",
+      });
+    doc.moveDown(0.5);
+    hr();
+    doc.moveDown(0.4);
+
+    doc.font("Helvetica").fontSize(10);
+    const y0 = doc.y;
+    doc.text(`Debit Note No: ${note.debit_note_no}`, left, y0, { width: width / 2 });
+    doc.text(`Date: ${formatDateIN(note.debit_note_date)}`, left + width / 2, y0, { width: width / 2, align: "right" });
+    doc.x = left;
+    doc.moveDown(0.3);
+
+    const y1 = doc.y;
+    doc.text(`Against Receipt: ${safeText(note.receipt_no) || `#${note.supplier_receipt_id}`}`, left, y1, { width: width / 2 });
+    if (safeText(note.invoice_no)) {
+      doc.text(`Supplier Invoice: ${safeText(note.invoice_no)}`, left + width / 2, y1, { width: width / 2, align: "right" });
+    }
+    doc.x = left;
+    doc.moveDown(0.3);
+
+    const supplier = note.supplier || {};
+    doc.font("Helvetica-Bold").text(`To: ${safeText(supplier.name) || "-"}`);
+    doc.font("Helvetica");
+    if (safeText(supplier.address)) doc.text(safeText(supplier.address));
+    if (safeText(supplier.gstin)) doc.text(`GSTIN: ${safeText(supplier.gstin)}`);
+    if (safeText(note.reason)) doc.text(`Reason: ${safeText(note.reason)}`);
+    if (safeText(note.dispatch_ref)) doc.text(`Dispatch: ${safeText(note.dispatch_ref)}`);
+
+    doc.moveDown(0.5);
+
+    // Items table
+    const cols = [
+      { label: "#", w: 22, align: "left" },
+      { label: "Book", w: 180, align: "left" },
+      { label: "HSN", w: 45, align: "left" },
+      { label: "Qty", w: 35, align: "right" },
+      { label: "Rate", w: 50, align: "right" },
+      { label: "Taxable", w: 60, align: "right" },
+      { label: "GST%", w: 35, align: "right" },
+      { label: "GST", w: 45, align: "right" },
+      { label: "Amount", w: width - 472, align: "right" },
+    ];
+
+    const row = (vals, bold = false) => {
+      const y = doc.y;
+      let x = left;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+      let h = 0;
+      cols.forEach((c, i) => {
+        doc.text(String(vals[i] ?? ""), x + 2, y, { width: c.w - 4, align: c.align });
+        h = Math.max(h, doc.y - y);
+        x += c.w;
+      });
+      doc.x = left;
+      doc.y = y + h + 3;
+      if (doc.y > doc.page.height - 120) {
+        doc.addPage();
+      }
+    };
+
+    hr();
+    doc.moveDown(0.2);
+    row(cols.map((c) => c.label), true);
+    hr();
+    doc.moveDown(0.2);
+
+    let qtyTotal = 0;
+    (note.items || []).forEach((it, i) => {
+      const tax = round2(num(it.cgst_amount) + num(it.sgst_amount) + num(it.igst_amount));
+      const title =
+        [safeText(it.book?.title) || `Book #${it.book_id}`, safeText(it.book?.class_name)].filter(Boolean).join(" - ") +
+        (it.is_specimen ? " (specimen)" : "");
+      qtyTotal += num(it.qty);
+      row([
+        i + 1,
+        title,
+        safeText(it.hsn_code),
+        num(it.qty),
+        money(it.rate),
+        money(it.taxable_value),
+        round2(it.gst_rate),
+        money(tax),
+        money(it.amount),
+      ]);
+    });
+
+    hr();
+    doc.moveDown(0.4);
+
+    const line = (label, value, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 10.5 : 9.5);
+      doc.text(label, left + width / 2, y, { width: width / 4 });
+      doc.text(value, left, y, { width, align: "right" });
+      doc.x = left;
+      doc.moveDown(0.3);
+    };
+
+    line("Total copies", String(qtyTotal));
+    line("Taxable value", money(note.taxable_value));
+    if (note.is_inter_state) {
+      line("IGST", money(note.igst_amount));
+    } else {
+      line("CGST", money(note.cgst_amount));
+      line("SGST", money(note.sgst_amount));
+    }
+    line("Debit total", `Rs. ${money(note.total_amount)}`, true);
+
+    doc.moveDown(2);
+    doc.font("Helvetica").fontSize(9).text("Authorised Signatory", left, doc.y, { width, align: "right" });
+
+    doc.end();
+  });
+}
+
+/* ============================
+   GET /api/supplier-debit-notes/:id/pdf
+   ============================ */
+exports.printPdf = async (request, reply) => {
+  try {
+    const id = num(request.params?.id);
+    if (!id) return reply.code(400).send({ error: "Invalid id" });
+
+    const note = await findDebitNote(id);
+    if (!note) return reply.code(404).send({ error: "Debit note not found" });
+
+    const company = await CompanyProfile.findOne({ order: [["id", "DESC"]] }).catch(() => null);
+
+    const pdf = await buildDebitNotePdf({ note, company });
+
+    return reply
+      .header("Content-Type", "application/pdf")
+      .header("Content-Disposition", `inline; filename="${note.debit_note_no}.pdf"`)
+      .send(pdf);
+  } catch (err) {
+    request.log?.error?.(err);
+    console.error("❌ debit note pdf error:", err);
+    return reply.code(500).send({ error: "Failed to generate debit note PDF" });
+  }
+};
@@ -7,7 +7,11 @@ const {
   Supplier,
   SupplierPayment,
   SupplierLedgerTxn,
+  SupplierPaymentAllocation,
+  SupplierReceipt,
 } = require("../models");
+const { allocatePayment } = require("../services/supplierSettlementService");
+const { MATCH_TYPES, unmatchPayment } = require("../services/bankReconciliationService");
 
 /* ---------------- Helpers ---------------- */
 
@@ -60,7 +64,9 @@ const buildPaymentRefNo = (payment) => {
      mode?: "CASH"|"UPI"|"BANK"|"CHEQUE"|"OTHER",
      ref_no?: string,
      narration?: string,
-     created_by?: string
+     created_by?: string,
+     allocations?: [{ supplier_receipt_id, amount }], // manual invoice-wise settlement
+     auto_allocate?: boolean         // default true: oldest invoice first (FIFO)
    }
    ============================ */
 exports.createPayment = async (request, reply) => {
@@ -203,6 +209,17 @@ exports.createPayment = async (request, reply) => {
       transaction: t,
     });
 
+    // ✅ invoice-wise settlement (manual list, else FIFO unless auto_allocate === false)
+    const manual = Array.isArray(body.allocations) && body.allocations.length > 0;
+    const settlement =
+      manual || body.auto_allocate !== false
+        ? await allocatePayment({
+            payment: { ...payment.toJSON(), discount_amount, total_settled },
+            allocations: manual ? body.allocations : null,
+            t,
+          })
+        : { allocations: [], allocated_amount: 0, unallocated_amount: total_settled };
+
     await t.commit();
 
     return reply.send({
@@ -218,9 +235,13 @@ exports.createPayment = async (request, reply) => {
         discount_percent,
         total_settled,
       },
+      allocations: settlement.allocations,
+      allocated_amount: settlement.allocated_amount,
+      unallocated_amount: settlement.unallocated_amount,
     });
   } catch (err) {
     await t.rollback();
+    if (err.statusCode === 400) return reply.code(400).send({ error: err.message });
     request.log?.error?.(err);
     console.error("❌ supplier payment create error:", err);
     return reply.code(500).send({ error: "Failed to create payment" });
@@ -256,6 +277,7 @@ exports.listPayments = async (request, reply) => {
 
     const rows = await SupplierPayment.findAll({
       where,
+      include: [{ model: SupplierPaymentAllocation, as: "allocations" }],
       order: [
         ["payment_date", "DESC"],
         ["id", "DESC"],
@@ -289,6 +311,19 @@ exports.getPaymentById = async (request, reply) => {
 
     const payment = await SupplierPayment.findOne({
       where: { id: paymentId, supplier_id: supplierId },
+      include: [
+        {
+          model: SupplierPaymentAllocation,
+          as: "allocations",
+          include: [
+            {
+              model: SupplierReceipt,
+              as: "receipt",
+              attributes: ["id", "receipt_no", "invoice_no", "invoice_date", "grand_total"],
+            },
+          ],
+        },
+      ],
     });
 
     if (!payment) return reply.code(404).send({ error: "Payment not found" });
@@ -341,6 +376,13 @@ exports.deletePayment = async (request, reply) => {
       transaction: t,
     });
 
+    await SupplierPaymentAllocation.destroy({
+      where: { supplier_payment_id: paymentId },
+      transaction: t,
+    });
+
+    await unmatchPayment({ match_type: MATCH_TYPES.SUPPLIER_PAYMENT, match_id: paymentId, t });
+
     await payment.destroy({ transaction: t });
 
     await t.commit();
@@ -352,3 +394,56 @@ exports.deletePayment = async (request, reply) => {
     return reply.code(500).send({ error: "Failed to delete payment" });
   }
 };
+
+/* ============================
+   POST /api/suppliers/:supplierId/payments/:paymentId/allocate
+   Body:
+   {
+     allocations?: [{ supplier_receipt_id, amount }] // omit => FIFO
+   }
+   Replaces this payment's existing invoice allocations
+   (use for old payments saved before invoice-wise settlement).
+   ============================ */
+exports.allocate = async (request, reply) => {
+  const t = await sequelize.transaction();
+  try {
+    const supplierId = num(request.params?.supplierId);
+    const paymentId = num(request.params?.paymentId);
+
+    if (!supplierId || !paymentId) {
+      await t.rollback();
+      return reply.code(400).send({ error: "Invalid supplierId/paymentId" });
+    }
+
+    const payment = await SupplierPayment.findOne({
+      where: { id: paymentId, supplier_id: supplierId },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!payment) {
+      await t.rollback();
+      return reply.code(404).send({ error: "Payment not found" });
+    }
+
+    const body = request.body || {};
+    const settlement = await allocatePayment({
+      payment: payment.toJSON(),
+      allocations: Array.isArray(body.allocations) ? body.allocations : null,
+      t,
+    });
+
+    await t.commit();
+
+    return reply.send({
+      message: "Payment allocated to invoices.",
+      payment,
+      ...settlement,
+    });
+  } catch (err) {
+    await t.rollback();
+    if (err.statusCode === 400) return reply.code(400).send({ error: err.message });
+    request.log?.error?.(err);
+    console.error("❌ supplier payment allocate error:", err);
+    return reply.code(500).send({ error: "Failed to allocate payment" });
+  }
+};
@@ -16,7 +16,10 @@ const {
   SupplierReceipt,
   SupplierReceiptItem,
   SupplierLedgerTxn,
+  SupplierDebitNote,
+  SupplierPaymentAllocation,
   CompanyProfile,
+  Warehouse,
 
   // Optional (if exists)
   SchoolOrderItem,
@@ -25,6 +28,8 @@ const {
   School,
   SchoolOrder,
 } = require("../models");
+const { resolveScannedCodes } = require("../services/barcodeService");
+const { resolveSupply, taxProfile, applyGst, hsnSummary } = require("../services/gstService");
 
 /* ============================================================
  * Helpers
@@ -289,7 +294,15 @@ function calcItemLine({ qty, rate, discType, discVal, isSpecimen = false }) {
 }
 
 
-function calcHeaderTotals({ itemsNetSum, billDiscountType, billDiscountValue, shipping_charge, other_charge, round_off }) {
+function calcHeaderTotals({
+  itemsNetSum,
+  billDiscountType,
+  billDiscountValue,
+  shipping_charge,
+  other_charge,
+  round_off,
+  tax_amount = 0,
+}) {
   const sub_total = round2(itemsNetSum);
 
   const t = String(billDiscountType || "NONE").toUpperCase();
@@ -308,8 +321,40 @@ function calcHeaderTotals({ itemsNetSum, billDiscountType, billDiscountValue, sh
   const other = round2(Math.max(0, num(other_charge)));
   const ro = round2(num(round_off)); // can be negative/positive
 
-  const grand_total = round2(sub_total - bill_discount_amount + ship + other + ro);
-  return { sub_total, bill_discount_amount, grand_total };
+  const tax = round2(Math.max(0, num(tax_amount)));
+
+  const grand_total = round2(sub_total - bill_discount_amount + tax + ship + other + ro);
+  return { sub_total, bill_discount_amount, tax_amount: tax, grand_total };
+}
+
+/**
+ * ✅ GST on receipt lines (mutates lines with hsn/rate/split).
+ * Taxable = net_amount less its share of bill discount; specimen lines stay untaxed.
+ * Supplier state vs company state decides CGST/SGST or IGST.
+ */
+async function applyReceiptGst({ lines, supplier, billDiscountAmount, t }) {
+  const bookIds = [...new Set(lines.map((l) => num(l.book_id)).filter(Boolean))];
+  const books = bookIds.length
+    ? await Book.findAll({ where: { id: bookIds }, attributes: ["id", "hsn_code", "gst_rate"], transaction: t })
+    : [];
+  const bookMap = new Map(books.map((b) => [num(b.id), b]));
+
+  const supply = await resolveSupply({ counterpartyState: supplier?.state, t });
+
+  const gst = applyGst(
+    lines.map((l) => ({
+      amount: asBool(l.is_specimen) ? 0 : num(l.net_amount),
+      gst_rate: taxProfile({ book: bookMap.get(num(l.book_id)), kind: "BOOK" }).gst_rate,
+    })),
+    { discount: billDiscountAmount, is_inter_state: supply.is_inter_state }
+  );
+
+  const split = lines.map((l, i) => ({
+    hsn_code: taxProfile({ book: bookMap.get(num(l.book_id)), kind: "BOOK" }).hsn_code,
+    ...gst.lines[i],
+  }));
+
+  return { split, tax_amount: gst.totals.tax, is_inter_state: supply.is_inter_state };
 }
 
 
@@ -423,12 +468,17 @@ async function ensureInventoryInForReceipt({ receipt, items, t }) {
 
   if (existingCount > 0) return;
 
+  // ✅ receipts are stocked into the default godown (moved to counters via transfers)
+  const mainWarehouse = Warehouse
+    ? await Warehouse.findOne({ where: { is_default: true, is_active: true }, transaction: t })
+    : null;
+
   for (const r of items) {
     const batchPayload = pickAttrs(InventoryBatch, {
       book_id: r.book_id,
       supplier_id: receipt.supplier_id,
       supplier_receipt_id: receipt.id,
-
+      warehouse_id: mainWarehouse?.id || null,
 
       source_type: "SUPPLIER_RECEIPT",
       ref_table: "supplier_receipts",
@@ -822,6 +872,7 @@ function buildSupplierReceiptPdfBuffer({
     const itemCount = (items || []).length;
     const subTotal = round2(receipt.sub_total);
     const billDisc = round2(receipt.bill_discount_amount);
+    const taxAmt = round2(receipt.tax_amount);
     const grand = round2(receipt.grand_total);
 
     const boxY = doc.y;
@@ -836,7 +887,9 @@ function buildSupplierReceiptPdfBuffer({
 
     doc.font("Helvetica").fontSize(9).fillColor("#000");
     doc.text(`Items: ${itemCount}`, pageLeft + 10, boxY + 26, { width: contentWidth / 2 - 10 });
-    doc.text(`Sub Total: ${money(subTotal)}`, pageLeft + 10, boxY + 40, { width: contentWidth / 2 - 10 });
+    doc.text(`Sub Total: ${money(subTotal)}   GST: ${money(taxAmt)}`, pageLeft + 10, boxY + 40, {
+      width: contentWidth / 2 - 10,
+    });
 
     doc.text(`Bill Discount: ${money(billDisc)}`, pageLeft + contentWidth / 2, boxY + 26, {
       width: contentWidth / 2 - 10,
@@ -954,13 +1007,52 @@ function buildSupplierReceiptPdfBuffer({
       doc.moveDown(0.35);
     };
 
+    const hsnRows = hsnSummary(items);
+    const tax = hsnRows.reduce(
+      (s, r) => ({ cgst: s.cgst + r.cgst_amount, sgst: s.sgst + r.sgst_amount, igst: s.igst + r.igst_amount }),
+      { cgst: 0, sgst: 0, igst: 0 }
+    );
+
     line("Sub Total", money(subTotal));
     line("Bill Discount", money(billDisc));
+    if (receipt.is_inter_state) {
+      line("IGST", money(tax.igst));
+    } else {
+      line("CGST", money(tax.cgst));
+      line("SGST", money(tax.sgst));
+    }
     line("Shipping", money(ship));
     line("Other", money(other));
     line("Round Off", money(ro));
     line("Grand Total", money(grand), true);
 
+    /* ---------- HSN Summary ---------- */
+    if (hsnRows.length) {
+      ensureSpace(30 + hsnRows.length * 14);
+      doc.moveDown(0.4);
+
+      const hx = [pageLeft, pageLeft + 90, pageLeft + 150, pageLeft + 250, pageLeft + 350];
+      const hw = [90, 60, 100, 100, 100];
+      const row = (cells, bold = false) => {
+        const y = doc.y;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5).fillColor("#000");
+        cells.forEach((c, i) => doc.text(String(c), hx[i], y, { width: hw[i], align: i < 2 ? "left" : "right" }));
+        doc.y = y + 13;
+      };
+
+      row(["HSN", "GST %", "Taxable", receipt.is_inter_state ? "IGST" : "CGST", receipt.is_inter_state ? "" : "SGST"], true);
+      for (const r of hsnRows) {
+        row([
+          r.hsn_code,
+          r.gst_rate,
+          money(r.taxable_value),
+          money(receipt.is_inter_state ? r.igst_amount : r.cgst_amount),
+          receipt.is_inter_state ? "" : money(r.sgst_amount),
+        ]);
+      }
+      doc.x = pageLeft;
+    }
+
     /* ---------- Remarks ---------- */
     const noteText = safeText(receipt.remarks || "");
     if (noteText) {
@@ -1139,6 +1231,24 @@ const calcLines = items.map((it) => {
     );
 
 
+    const preTotals = calcHeaderTotals({
+      itemsNetSum,
+      billDiscountType: bill_discount_type,
+      billDiscountValue: bill_discount_value,
+      shipping_charge,
+      other_charge,
+      round_off,
+    });
+
+    // ✅ GST split per line (bill discount reduces taxable value)
+    const gst = await applyReceiptGst({
+      lines: calcLines,
+      supplier,
+      billDiscountAmount: preTotals.bill_discount_amount,
+      t,
+    });
+    calcLines.forEach((r, i) => Object.assign(r, gst.split[i]));
+
     const totals = calcHeaderTotals({
       itemsNetSum,
       billDiscountType: bill_discount_type,
@@ -1146,6 +1256,7 @@ const calcLines = items.map((it) => {
       shipping_charge,
       other_charge,
       round_off,
+      tax_amount: gst.tax_amount,
     });
 
     if (totals.grand_total < 0) {
@@ -1194,6 +1305,9 @@ const calcLines = items.map((it) => {
       other_charge: round2(Math.max(0, num(other_charge))),
       round_off: round2(num(round_off)),
 
+      tax_amount: totals.tax_amount,
+      is_inter_state: gst.is_inter_state,
+
       grand_total: totals.grand_total,
 
       // ✅ Optional column (only saved if exists)
@@ -1543,29 +1657,44 @@ exports.update = async (request, reply) => {
         }
 
         if (wantsItemsEdit || wantsHeaderMoneyEdit) {
-          const itemsForTotals =
-            calcLines ||
-            (await SupplierReceiptItem.findAll({
-              where: { supplier_receipt_id: receipt.id },
-              transaction: t,
-              lock: t.LOCK.UPDATE,
-            })).map((x) => x.toJSON());
-
-          const itemsNetSum = (itemsForTotals || []).reduce(
-          (s, r) => s + (asBool(r.is_specimen) ? 0 : num(r.net_amount)),
-          0
-        );
+          // ✅ always re-read rows: GST split is stored per line
+          const itemRows = await SupplierReceiptItem.findAll({
+            where: { supplier_receipt_id: receipt.id },
+            order: [["id", "ASC"]],
+            transaction: t,
+            lock: t.LOCK.UPDATE,
+          });
 
+          const itemsNetSum = itemRows.reduce(
+            (s, r) => s + (asBool(r.is_specimen) ? 0 : num(r.net_amount)),
+            0
+          );
 
-          const totals = calcHeaderTotals({
+          const totalsArgs = {
             itemsNetSum,
             billDiscountType: receipt.bill_discount_type,
             billDiscountValue: receipt.bill_discount_value,
             shipping_charge: receipt.shipping_charge,
             other_charge: receipt.other_charge,
             round_off: receipt.round_off,
+          };
+
+          const preTotals = calcHeaderTotals(totalsArgs);
+
+          const supplier = await Supplier.findByPk(receipt.supplier_id, { transaction: t });
+          const gst = await applyReceiptGst({
+            lines: itemRows.map((x) => x.toJSON()),
+            supplier,
+            billDiscountAmount: preTotals.bill_discount_amount,
+            t,
           });
 
+          for (const [i, row] of itemRows.entries()) {
+            await row.update(pickAttrs(SupplierReceiptItem, gst.split[i]), { transaction: t });
+          }
+
+          const totals = calcHeaderTotals({ ...totalsArgs, tax_amount: gst.tax_amount });
+
           if (totals.grand_total < 0) {
             await t.rollback();
             return reply.code(400).send({ error: "grand_total cannot be negative" });
@@ -1573,6 +1702,8 @@ exports.update = async (request, reply) => {
 
           receipt.sub_total = totals.sub_total;
           receipt.bill_discount_amount = totals.bill_discount_amount;
+          if (attrs.tax_amount) receipt.tax_amount = totals.tax_amount;
+          if (attrs.is_inter_state) receipt.is_inter_state = gst.is_inter_state;
           receipt.grand_total = totals.grand_total;
         }
       }
@@ -1810,6 +1941,27 @@ exports.updateStatus = async (request, reply) => {
       return reply.code(400).send({ error: "Cancelled receipt cannot be changed." });
     }
 
+    // ✅ purchase returns already taken stock out / credited the ledger
+    if (prevStatus === "received" && nextStatus !== "received") {
+      const debitNotes = await SupplierDebitNote.count({ where: { supplier_receipt_id: receipt.id }, transaction: t });
+      if (debitNotes > 0) {
+        await t.rollback();
+        return reply.code(400).send({ error: "Receipt has debit notes (purchase returns) and cannot be reverted." });
+      }
+
+      // ✅ payments settled against this bill must be un-allocated first
+      const allocations = await SupplierPaymentAllocation.count({
+        where: { supplier_receipt_id: receipt.id },
+        transaction: t,
+      });
+      if (allocations > 0) {
+        await t.rollback();
+        return reply.code(400).send({
+          error: "Receipt has supplier payments allocated to it. Remove those allocations before reverting.",
+        });
+      }
+    }
+
     const needItems =
       nextStatus === "received" ||
       (prevStatus === "received" && (nextStatus === "draft" || nextStatus === "cancelled"));
@@ -1956,3 +2108,69 @@ exports.remove = async (request, reply) => {
   }
 };
 
+
+/**
+ * ✅ POST /api/supplier-receipts/:id/scan
+ * body: { codes: ["9788120000000", "ENG-5", ...] }
+ * - DRAFT receipts only; each scan = 1 copy received
+ * - existing (non-specimen) line of that book gets qty += scans
+ * - new books get a new line at Book.rate
+ * - saved through the normal PATCH path (totals / invoice rules apply)
+ */
+exports.scanReceive = async (request, reply) => {
+  const id = num(request.params?.id);
+  const codes = Array.isArray(request.body?.codes) ? request.body.codes : [];
+  if (!codes.length) return reply.code(400).send({ error: "codes is required (array)" });
+
+  try {
+    const receipt = await SupplierReceipt.findByPk(id);
+    if (!receipt) return reply.code(404).send({ error: "Receipt not found" });
+
+    if (String(receipt.status || "").toLowerCase() !== "draft" || hasPostedFlag(receipt)) {
+      return reply.code(400).send({ error: "Scanning is allowed only on DRAFT (not posted) receipt." });
+    }
+
+    const { counts, books, unknown } = await resolveScannedCodes(codes);
+    if (unknown.length) {
+      return reply.code(400).send({ error: "Some scanned codes did not match any book", unknown });
+    }
+
+    const existing = await SupplierReceiptItem.findAll({
+      where: { supplier_receipt_id: receipt.id },
+      order: [["id", "ASC"]],
+    });
+
+    const items = existing.map((it) => ({
+      book_id: num(it.book_id),
+      qty: num(it.qty),
+      rate: num(it.rate),
+      item_discount_type: it.item_discount_type,
+      item_discount_value: it.item_discount_value,
+      is_specimen: asBool(it.is_specimen),
+      specimen_reason: it.specimen_reason,
+    }));
+
+    for (const [book_id, qty] of counts.entries()) {
+      const line = items.find((x) => x.book_id === book_id && !x.is_specimen);
+      if (line) {
+        line.qty += qty;
+      } else {
+        items.push({
+          book_id,
+          qty,
+          rate: num(books.get(book_id)?.rate),
+          item_discount_type: "NONE",
+          item_discount_value: null,
+          is_specimen: false,
+          specimen_reason: null,
+        });
+      }
+    }
+
+    request.body = { items };
+    return exports.update(request, reply);
+  } catch (err) {
+    request.log?.error?.(err);
+    return reply.code(500).send({ error: "Failed to apply scans", details: err?.message || String(err) });
+  }
+};
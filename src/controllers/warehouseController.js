@@ -0,0 +1,252 @@
+"use strict";
+
+const { Op, fn, col, literal } = require("sequelize");
+const { sequelize, Warehouse, School, InventoryBatch, Book, StockTransfer, StockTransferItem } = require("../models");
+
+/* ---------------- Helpers ---------------- */
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+const KINDS = ["GODOWN", "COUNTER"];
+
+function pickWarehouseFields(body, { partial }) {
+  const out = {};
+
+  if (!partial || body.name !== undefined) out.name = safeText(body.name);
+  if (!partial || body.code !== undefined) out.code = safeText(body.code).toUpperCase();
+  if (!partial || body.kind !== undefined) out.kind = safeText(body.kind || "GODOWN").toUpperCase();
+  if (!partial || body.school_id !== undefined) out.school_id = num(body.school_id) || null;
+  if (!partial || body.address !== undefined) out.address = safeText(body.address) || null;
+  if (!partial || body.is_default !== undefined) out.is_default = Boolean(body.is_default);
+  if (!partial || body.is_active !== undefined) out.is_active = body.is_active === undefined ? true : Boolean(body.is_active);
+
+  return out;
+}
+
+function validateWarehouseFields(data) {
+  if (data.name !== undefined && !data.name) return "name is required";
+  if (data.code !== undefined && !data.code) return "code is required";
+  if (data.kind !== undefined && !KINDS.includes(data.kind)) return "kind must be GODOWN or COUNTER";
+  if (data.is_default && data.is_active === false) return "Default warehouse cannot be inactive";
+  return null;
+}
+
+/* =========================================================
+   GET /api/warehouses?q=&kind=&is_active=
+   ========================================================= */
+exports.list = async (request, reply) => {
+  try {
+    const { q, kind, is_active } = request.query || {};
+    const where = {};
+
+    const search = safeText(q);
+    if (search) {
+      where[Op.or] = [{ name: { [Op.like]: `%${search}%` } }, { code: { [Op.like]: `%${search}%` } }];
+    }
+    if (kind) where.kind = safeText(kind).toUpperCase();
+    if (is_active === "true" || is_active === "1") where.is_active = true;
+    if (is_active === "false" || is_active === "0") where.is_active = false;
+
+    const rows = await Warehouse.findAll({
+      where,
+      include: [{ model: School, as: "school", attributes: ["id", "name"], required: false }],
+      order: [
+        ["is_default", "DESC"],
+        ["name", "ASC"],
+      ],
+    });
+
+    return reply.send(rows);
+  } catch (err) {
+    request.log.error({ err }, "warehouse list failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   GET /api/warehouses/:id
+   ========================================================= */
+exports.getOne = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  try {
+    const row = await Warehouse.findByPk(id, {
+      include: [{ model: School, as: "school", attributes: ["id", "name"], required: false }],
+    });
+    if (!row) return reply.code(404).send({ message: "Warehouse not found" });
+
+    return reply.send(row);
+  } catch (err) {
+    request.log.error({ err }, "warehouse getOne failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   POST /api/warehouses
+   body: { name, code, kind?, school_id?, address?, is_default?, is_active? }
+   ========================================================= */
+exports.create = async (request, reply) => {
+  const data = pickWarehouseFields(request.body || {}, { partial: false });
+  const error = validateWarehouseFields(data);
+  if (error) return reply.code(400).send({ message: error });
+
+  const t = await sequelize.transaction();
+  try {
+    const dup = await Warehouse.findOne({ where: { code: data.code }, transaction: t });
+    if (dup) {
+      await t.rollback();
+      return reply.code(409).send({ message: `Warehouse code ${data.code} already exists` });
+    }
+
+    // ✅ only one default warehouse
+    if (data.is_default) {
+      await Warehouse.update({ is_default: false }, { where: { is_default: true }, transaction: t });
+    }
+
+    const row = await Warehouse.create(data, { transaction: t });
+    await t.commit();
+
+    return reply.code(201).send(row);
+  } catch (err) {
+    request.log.error({ err }, "warehouse create failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   PUT /api/warehouses/:id
+   ========================================================= */
+exports.update = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  const data = pickWarehouseFields(request.body || {}, { partial: true });
+  const error = validateWarehouseFields(data);
+  if (error) return reply.code(400).send({ message: error });
+
+  const t = await sequelize.transaction();
+  try {
+    const row = await Warehouse.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!row) {
+      await t.rollback();
+      return reply.code(404).send({ message: "Warehouse not found" });
+    }
+
+    if (data.code && data.code !== row.code) {
+      const dup = await Warehouse.findOne({ where: { code: data.code, id: { [Op.ne]: id } }, transaction: t });
+      if (dup) {
+        await t.rollback();
+        return reply.code(409).send({ message: `Warehouse code ${data.code} already exists` });
+      }
+    }
+
+    if (row.is_default && (data.is_default === false || data.is_active === false)) {
+      await t.rollback();
+      return reply.code(400).send({ message: "Mark another warehouse as default first" });
+    }
+
+    if (data.is_default && !row.is_default) {
+      await Warehouse.update({ is_default: false }, { where: { is_default: true }, transaction: t });
+    }
+
+    await row.update(data, { transaction: t });
+    await t.commit();
+
+    return reply.send(row);
+  } catch (err) {
+    request.log.error({ err }, "warehouse update failed");
+    await t.rollback();
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
+
+/* =========================================================
+   GET /api/warehouses/:id/stock?q=
+   Book-wise on-hand in one warehouse + qty in transit towards it
+   ========================================================= */
+exports.stock = async (request, reply) => {
+  const id = num(request.params?.id);
+  if (!id) return reply.code(400).send({ message: "Invalid id" });
+
+  try {
+    const warehouse = await Warehouse.findByPk(id);
+    if (!warehouse) return reply.code(404).send({ message: "Warehouse not found" });
+
+    const batchRows = await InventoryBatch.findAll({
+      where: { warehouse_id: id },
+      attributes: [
+        "book_id",
+        [fn("SUM", col("available_qty")), "available_qty"],
+        [fn("SUM", literal("available_qty * COALESCE(purchase_price, 0)")), "stock_value"],
+      ],
+      group: ["book_id"],
+      raw: true,
+    });
+
+    const transitRows = await StockTransferItem.findAll({
+      attributes: ["book_id", [fn("SUM", col("StockTransferItem.qty")), "qty"]],
+      include: [
+        {
+          model: StockTransfer,
+          as: "transfer",
+          attributes: [],
+          where: { to_warehouse_id: id, status: "IN_TRANSIT" },
+          required: true,
+        },
+      ],
+      group: ["book_id"],
+      raw: true,
+    });
+
+    const transitMap = new Map(transitRows.map((r) => [num(r.book_id), num(r.qty)]));
+    const batchMap = new Map(batchRows.map((r) => [num(r.book_id), r]));
+    const bookIds = [...new Set([...batchMap.keys(), ...transitMap.keys()])];
+
+    const bookWhere = { id: { [Op.in]: bookIds } };
+    const search = safeText(request.query?.q);
+    if (search) {
+      bookWhere[Op.or] = [
+        { title: { [Op.like]: `%${search}%` } },
+        { code: { [Op.like]: `%${search}%` } },
+        { isbn: { [Op.like]: `%${search}%` } },
+      ];
+    }
+
+    const books = bookIds.length
+      ? await Book.findAll({
+          where: bookWhere,
+          attributes: ["id", "title", "class_name", "code", "isbn"],
+          order: [["title", "ASC"]],
+        })
+      : [];
+
+    const rows = books.map((b) => {
+      const batch = batchMap.get(num(b.id)) || {};
+      return {
+        book_id: num(b.id),
+        title: b.title,
+        class_name: b.class_name,
+        code: b.code,
+        isbn: b.isbn,
+        available_qty: num(batch.available_qty),
+        in_transit_qty: transitMap.get(num(b.id)) || 0,
+        stock_value: round2(batch.stock_value),
+      };
+    });
+
+    return reply.send({ warehouse, rows });
+  } catch (err) {
+    request.log.error({ err }, "warehouse stock failed");
+    return reply.code(500).send({ message: err?.message || "Internal Server Error" });
+  }
+};
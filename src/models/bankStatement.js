@@ -0,0 +1,61 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const BankStatement = sequelize.define(
+    "BankStatement",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      // which bank account the statement belongs to (free text, e.g. "HDFC CA 1234")
+      account_name: {
+        type: DataTypes.STRING(120),
+        allowNull: true,
+      },
+
+      file_name: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      // first / last txn date found in the file
+      from_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+
+      to_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+
+      line_count: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // rows already present in an earlier import (same date/amount/ref/description)
+      duplicate_count: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "bank_statements",
+      timestamps: true,
+      indexes: [{ fields: ["account_name"] }, { fields: ["from_date", "to_date"] }],
+    }
+  );
+
+  return BankStatement;
+};
@@ -0,0 +1,125 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const BankStatementLine = sequelize.define(
+    "BankStatementLine",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      bank_statement_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // row number in the uploaded sheet
+      row_no: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      txn_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      description: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      // UTR / cheque no / UPI ref (from the ref column or picked out of the description)
+      ref_no: {
+        type: DataTypes.STRING(80),
+        allowNull: true,
+      },
+
+      // withdrawal (supplier payments)
+      debit: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // deposit (customer receipts)
+      credit: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      balance: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+      },
+
+      // copied from the statement ("" when not given); duplicates are only looked for within one account
+      account_name: {
+        type: DataTypes.STRING(120),
+        allowNull: false,
+        defaultValue: "",
+      },
+
+      // date|amount|balance-or-position|ref|description, to skip rows re-imported from overlapping statements
+      dedupe_key: {
+        type: DataTypes.STRING(191),
+        allowNull: false,
+      },
+
+      // suggested = auto-matched, waiting for a user to confirm
+      match_status: {
+        type: DataTypes.ENUM("unmatched", "suggested", "confirmed", "ignored"),
+        allowNull: false,
+        defaultValue: "unmatched",
+      },
+
+      // SUPPLIER_PAYMENT => supplier_payments.id, CUSTOMER_PAYMENT => customer_payments.id
+      match_type: {
+        type: DataTypes.ENUM("SUPPLIER_PAYMENT", "CUSTOMER_PAYMENT"),
+        allowNull: true,
+      },
+
+      match_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      // 0-100, how sure the auto-match was
+      match_score: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      matched_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      matched_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      remarks: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "bank_statement_lines",
+      timestamps: true,
+      indexes: [
+        { fields: ["bank_statement_id"] },
+        { fields: ["txn_date"] },
+        { fields: ["match_status"] },
+        { fields: ["match_type", "match_id"] },
+        { unique: true, name: "uniq_bank_line_dedupe", fields: ["account_name", "dedupe_key"] },
+      ],
+    }
+  );
+
+  return BankStatementLine;
+};
@@ -79,6 +79,17 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
       },
 
+      // ✅ GST (null rate = exempt / 0%)
+      hsn_code: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      gst_rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+      },
+
       is_active: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
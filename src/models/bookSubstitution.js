@@ -0,0 +1,82 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const BookSubstitution = sequelize.define(
+    "BookSubstitution",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      old_book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      new_book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // scope of the swap (null = all schools / sessions)
+      school_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      academic_session: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      requirements_changed: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      order_items_changed: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      bundle_items_changed: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      products_changed: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // row-level before/after of everything touched
+      details: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+
+      note: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "book_substitutions",
+      timestamps: true,
+      indexes: [{ fields: ["old_book_id"] }, { fields: ["new_book_id"] }],
+    }
+  );
+
+  return BookSubstitution;
+};
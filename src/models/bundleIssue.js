@@ -34,6 +34,10 @@ module.exports = (sequelize, DataTypes) => {
       },
       cancelled_at: { type: DataTypes.DATE, allowNull: true },
       cancelled_by: { type: DataTypes.INTEGER.UNSIGNED, allowNull: true },
+
+      // ✅ pending-stock reservation: auto-UNRESERVE after this (sweep job)
+      reserved_until: { type: DataTypes.DATE, allowNull: true },
+      reservation_released_at: { type: DataTypes.DATE, allowNull: true },
     },
     {
       tableName: "bundle_issues",
@@ -46,6 +50,7 @@ module.exports = (sequelize, DataTypes) => {
         // ✅ helpful for filtering
         { fields: ["status"], name: "idx_issue_status" },
         { fields: ["issue_date"], name: "idx_issue_date" },
+        { fields: ["reserved_until"], name: "idx_issue_reserved_until" },
       ],
     }
   );
@@ -0,0 +1,131 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const CreditNote = sequelize.define(
+    "CreditNote",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      credit_note_no: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        unique: true,
+      },
+
+      credit_note_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      // SALE => sales.id, SCHOOL_SALE => school_sales.id
+      sale_type: {
+        type: DataTypes.ENUM("SALE", "SCHOOL_SALE"),
+        allowNull: false,
+      },
+
+      sale_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // snapshot of the original bill no
+      sale_no: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+
+      // WALKIN => no receivable account (refund at counter)
+      customer_type: {
+        type: DataTypes.ENUM("SCHOOL", "DISTRIBUTOR", "WALKIN"),
+        allowNull: false,
+      },
+
+      customer_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      // ✅ GST reversal (same rates/split as the original bill)
+      is_inter_state: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      taxable_value: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      cgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      sgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      igst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      tax: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      total_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // part of total_amount that reduced the bill's balance
+      adjusted_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // rest: bill was already paid => refund / advance on account
+      refund_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "credit_notes",
+      timestamps: true,
+      indexes: [
+        { fields: ["sale_type", "sale_id"] },
+        { fields: ["customer_type", "customer_id"] },
+        { fields: ["credit_note_date"] },
+      ],
+    }
+  );
+
+  return CreditNote;
+};
@@ -0,0 +1,120 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const CreditNoteItem = sequelize.define(
+    "CreditNoteItem",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      credit_note_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // sale_items.id or school_sale_items.id (per CreditNote.sale_type)
+      sale_item_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      product_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      kind: {
+        type: DataTypes.ENUM("BOOK", "MATERIAL"),
+        allowNull: false,
+        defaultValue: "BOOK",
+      },
+
+      title_snapshot: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      class_name_snapshot: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+
+      qty: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // billed rate (before bill discount)
+      unit_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // ✅ copies put back into stock (BOOK lines)
+      restocked_qty: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      hsn_code: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      gst_rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      taxable_value: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      cgst_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      sgst_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      igst_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // taxable + tax
+      amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "credit_note_items",
+      timestamps: true,
+      indexes: [{ fields: ["credit_note_id"] }, { fields: ["sale_item_id"] }, { fields: ["book_id"] }],
+    }
+  );
+
+  return CreditNoteItem;
+};
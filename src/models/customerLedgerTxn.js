@@ -0,0 +1,99 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const CustomerLedgerTxn = sequelize.define(
+    "CustomerLedgerTxn",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      // receivable side mirror of SupplierLedgerTxn
+      customer_type: {
+        type: DataTypes.ENUM("SCHOOL", "DISTRIBUTOR"),
+        allowNull: false,
+      },
+
+      customer_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      txn_date: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+
+      txn_type: {
+        type: DataTypes.ENUM(
+          "SALE",         // ✅ auto on credit / part-paid Sale or SchoolSale
+          "SALE_PAYMENT", // ✅ amount paid against that bill (billing time / later edits)
+          "SALE_CANCEL",  // ✅ auto on cancel (reverses the outstanding)
+          "RECEIPT",      // ✅ money collected from the customer
+          "CREDIT_NOTE",
+          "ADJUSTMENT"
+        ),
+        allowNull: false,
+      },
+
+      // polymorphic link (sale/school sale/receipt)
+      ref_table: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      ref_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      ref_no: {
+        type: DataTypes.STRING(80),
+        allowNull: true,
+      },
+
+      debit: {
+        // debit => receivable increases
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      credit: {
+        // credit => receivable decreases
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      narration: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "customer_ledger_txns",
+      timestamps: true,
+      indexes: [
+        { fields: ["customer_type", "customer_id", "txn_date"] },
+        { fields: ["customer_type", "customer_id", "txn_type"] },
+        { fields: ["ref_table", "ref_id"] },
+
+        // ✅ one posting per document (idempotent re-sync)
+        {
+          unique: true,
+          name: "uniq_customer_ledger_ref",
+          fields: ["customer_type", "customer_id", "txn_type", "ref_table", "ref_id"],
+        },
+      ],
+    }
+  );
+
+  return CustomerLedgerTxn;
+};
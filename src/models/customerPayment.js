@@ -0,0 +1,99 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const CustomerPayment = sequelize.define(
+    "CustomerPayment",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      payment_no: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        unique: true,
+      },
+
+      customer_type: {
+        type: DataTypes.ENUM("SCHOOL", "DISTRIBUTOR"),
+        allowNull: false,
+      },
+
+      customer_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      payment_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      // Money actually received
+      amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // ✅ Discount allowed while collecting
+      discount_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // ✅ TDS deducted by the customer (claimable, still settles the invoice)
+      tds_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // ✅ amount + discount + TDS (receivable reduced by this)
+      total_settled: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // part of total_settled not allocated to any invoice (advance / on account)
+      unallocated_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      mode: {
+        type: DataTypes.ENUM("CASH", "UPI", "BANK", "CHEQUE", "OTHER"),
+        allowNull: false,
+        defaultValue: "CASH",
+      },
+
+      // UTR / cheque no / UPI ref
+      ref_no: {
+        type: DataTypes.STRING(80),
+        allowNull: true,
+      },
+
+      narration: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "customer_payments",
+      timestamps: true,
+      indexes: [{ fields: ["customer_type", "customer_id", "payment_date"] }, { fields: ["mode"] }],
+    }
+  );
+
+  return CustomerPayment;
+};
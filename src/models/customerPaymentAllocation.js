@@ -0,0 +1,53 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const CustomerPaymentAllocation = sequelize.define(
+    "CustomerPaymentAllocation",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      customer_payment_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // SALE => sales.id, SCHOOL_SALE => school_sales.id
+      sale_type: {
+        type: DataTypes.ENUM("SALE", "SCHOOL_SALE"),
+        allowNull: false,
+      },
+
+      sale_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // snapshot for receipt / listing
+      sale_no: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+
+      amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "customer_payment_allocations",
+      timestamps: true,
+      indexes: [
+        { fields: ["customer_payment_id"] },
+        { fields: ["sale_type", "sale_id"] },
+        { unique: true, name: "uniq_customer_payment_alloc", fields: ["customer_payment_id", "sale_type", "sale_id"] },
+      ],
+    }
+  );
+
+  return CustomerPaymentAllocation;
+};
@@ -23,10 +23,16 @@ const Product = require("./product")(sequelize, DataTypes);
 // ✅ NEW: Product Categories (POS / Masters)
 const ProductCategory = require("./ProductCategory")(sequelize, DataTypes);
 
+// ✅ Book substitution audit (old edition -> new edition)
+const BookSubstitution = require("./bookSubstitution")(sequelize, DataTypes);
+
 /* ======================
    REQUIREMENTS
    ====================== */
 const SchoolBookRequirement = require("./schoolBookRequirement")(sequelize, DataTypes);
+const RequirementRevision = require("./requirementRevision")(sequelize, DataTypes);
+const RequirementRevisionItem = require("./requirementRevisionItem")(sequelize, DataTypes);
+const SchoolClassEnrolment = require("./schoolClassEnrolment")(sequelize, DataTypes);
 
 /* ======================
    PUBLISHER ORDERS
@@ -53,6 +59,24 @@ const SchoolOrderEmailLog = require("./schoolOrderEmailLog")(sequelize, DataType
 const InventoryBatch = require("./inventoryBatch")(sequelize, DataTypes);
 const InventoryTxn = require("./inventoryTxn")(sequelize, DataTypes);
 
+/* ======================
+   WAREHOUSES / TRANSFERS
+   ====================== */
+const Warehouse = require("./warehouse")(sequelize, DataTypes);
+const StockTransfer = require("./stockTransfer")(sequelize, DataTypes);
+const StockTransferItem = require("./stockTransferItem")(sequelize, DataTypes);
+
+/* ======================
+   STOCK POLICY (REORDER POINTS)
+   ====================== */
+const StockPolicy = require("./stockPolicy")(sequelize, DataTypes);
+
+/* ======================
+   STOCK TAKE (CYCLE COUNT)
+   ====================== */
+const StockTake = require("./stockTake")(sequelize, DataTypes);
+const StockTakeItem = require("./stockTakeItem")(sequelize, DataTypes);
+
 /* ======================
    BUNDLES / DISPATCH
    ====================== */
@@ -67,6 +91,7 @@ const BundleDispatch = require("./bundleDispatch")(sequelize, DataTypes);
    ====================== */
 Distributor.hasMany(User, { foreignKey: "distributor_id", as: "users" });
 User.belongsTo(Distributor, { foreignKey: "distributor_id", as: "distributor" });
+User.belongsTo(School, { foreignKey: "school_id", as: "school" });
 
 /* ======================
    ✅ DISTRIBUTOR ↔ SCHOOL MAPPING
@@ -92,8 +117,26 @@ const SupplierReceipt = require("./supplierReceipt")(sequelize, DataTypes);
 const SupplierReceiptItem = require("./supplierReceiptItem")(sequelize, DataTypes);
 const SupplierReceiptAllocation = require("./supplierReceiptAllocation")(sequelize, DataTypes);
 const SupplierPayment = require("./supplierPayment")(sequelize, DataTypes);
+const SupplierPaymentAllocation = require("./supplierPaymentAllocation")(sequelize, DataTypes);
+const SupplierDebitNote = require("./supplierDebitNote")(sequelize, DataTypes);
+const SupplierDebitNoteItem = require("./supplierDebitNoteItem")(sequelize, DataTypes);
 const SupplierLedgerTxn = require("./supplierLedgerTxn")(sequelize, DataTypes);
 
+/* ======================
+   CUSTOMER RECEIVABLES
+   ====================== */
+const CustomerLedgerTxn = require("./customerLedgerTxn")(sequelize, DataTypes);
+const CustomerPayment = require("./customerPayment")(sequelize, DataTypes);
+const CustomerPaymentAllocation = require("./customerPaymentAllocation")(sequelize, DataTypes);
+const CreditNote = require("./creditNote")(sequelize, DataTypes);
+const CreditNoteItem = require("./creditNoteItem")(sequelize, DataTypes);
+
+/* ======================
+   BANK RECONCILIATION
+   ====================== */
+const BankStatement = require("./bankStatement")(sequelize, DataTypes);
+const BankStatementLine = require("./bankStatementLine")(sequelize, DataTypes);
+
 /* ======================
    ✅ NEW: SupplierReceipt ↔ Multiple SchoolOrders link table
    ====================== */
@@ -119,6 +162,12 @@ Product.belongsTo(Book, { foreignKey: "book_id", as: "book" });
 ProductCategory.hasMany(Product, { foreignKey: "category_id", as: "products" });
 Product.belongsTo(ProductCategory, { foreignKey: "category_id", as: "category" });
 
+/* ---------- Book substitutions ---------- */
+BookSubstitution.belongsTo(Book, { foreignKey: "old_book_id", as: "oldBook" });
+BookSubstitution.belongsTo(Book, { foreignKey: "new_book_id", as: "newBook" });
+BookSubstitution.belongsTo(School, { foreignKey: "school_id", as: "school" });
+BookSubstitution.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+
 /* ---------- School ↔ Book Requirements ---------- */
 School.hasMany(SchoolBookRequirement, { foreignKey: "school_id", as: "requirements" });
 SchoolBookRequirement.belongsTo(School, { foreignKey: "school_id", as: "school" });
@@ -132,6 +181,23 @@ SchoolBookRequirement.belongsTo(Class, { foreignKey: "class_id", as: "class" });
 Supplier.hasMany(SchoolBookRequirement, { foreignKey: "supplier_id", as: "requirements" });
 SchoolBookRequirement.belongsTo(Supplier, { foreignKey: "supplier_id", as: "supplier" });
 
+/* ---------- Requirement revisions (confirmed snapshots) ---------- */
+RequirementRevision.hasMany(RequirementRevisionItem, {
+  foreignKey: "revision_id",
+  as: "items",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+RequirementRevisionItem.belongsTo(RequirementRevision, { foreignKey: "revision_id", as: "revision" });
+RequirementRevision.belongsTo(School, { foreignKey: "school_id", as: "school" });
+RequirementRevision.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+RequirementRevisionItem.belongsTo(Book, { foreignKey: "book_id", as: "book" });
+
+/* ---------- Class enrolment (students per class per session) ---------- */
+School.hasMany(SchoolClassEnrolment, { foreignKey: "school_id", as: "enrolments" });
+SchoolClassEnrolment.belongsTo(School, { foreignKey: "school_id", as: "school" });
+SchoolClassEnrolment.belongsTo(Class, { foreignKey: "class_id", as: "class" });
+
 /* ---------- Publisher Orders ---------- */
 Publisher.hasMany(PublisherOrder, { foreignKey: "publisher_id", as: "orders" });
 PublisherOrder.belongsTo(Publisher, { foreignKey: "publisher_id", as: "publisher" });
@@ -180,6 +246,32 @@ InventoryBatch.belongsTo(SchoolOrder, { foreignKey: "school_order_id", as: "scho
 InventoryBatch.hasMany(InventoryTxn, { foreignKey: "batch_id", as: "txns" });
 InventoryTxn.belongsTo(InventoryBatch, { foreignKey: "batch_id", as: "batch" });
 
+/* ---------- Warehouses ---------- */
+Warehouse.hasMany(InventoryBatch, { foreignKey: "warehouse_id", as: "batches" });
+InventoryBatch.belongsTo(Warehouse, { foreignKey: "warehouse_id", as: "warehouse" });
+InventoryTxn.belongsTo(Warehouse, { foreignKey: "warehouse_id", as: "warehouse" });
+
+Warehouse.belongsTo(School, { foreignKey: "school_id", as: "school" });
+
+StockTransfer.belongsTo(Warehouse, { foreignKey: "from_warehouse_id", as: "fromWarehouse" });
+StockTransfer.belongsTo(Warehouse, { foreignKey: "to_warehouse_id", as: "toWarehouse" });
+
+StockTransfer.hasMany(StockTransferItem, { foreignKey: "stock_transfer_id", as: "items", onDelete: "CASCADE", hooks: true });
+StockTransferItem.belongsTo(StockTransfer, { foreignKey: "stock_transfer_id", as: "transfer" });
+StockTransferItem.belongsTo(Book, { foreignKey: "book_id", as: "book" });
+
+/* ---------- Stock Policy ---------- */
+Book.hasOne(StockPolicy, { foreignKey: "book_id", as: "stockPolicy" });
+StockPolicy.belongsTo(Book, { foreignKey: "book_id", as: "book" });
+
+/* ---------- Stock Take ---------- */
+StockTake.hasMany(StockTakeItem, { foreignKey: "stock_take_id", as: "items", onDelete: "CASCADE", hooks: true });
+StockTakeItem.belongsTo(StockTake, { foreignKey: "stock_take_id", as: "stockTake" });
+StockTake.belongsTo(Warehouse, { foreignKey: "warehouse_id", as: "warehouse" });
+
+Book.hasMany(StockTakeItem, { foreignKey: "book_id", as: "stock_take_items" });
+StockTakeItem.belongsTo(Book, { foreignKey: "book_id", as: "book" });
+
 /* ---------- Bundles ---------- */
 Bundle.hasMany(BundleItem, { foreignKey: "bundle_id", as: "items" });
 BundleItem.belongsTo(Bundle, { foreignKey: "bundle_id", as: "bundle" });
@@ -382,6 +474,32 @@ SupplierReceiptAllocation.belongsTo(Book, { foreignKey: "book_id", as: "book" })
 Supplier.hasMany(SupplierPayment, { foreignKey: "supplier_id", as: "payments" });
 SupplierPayment.belongsTo(Supplier, { foreignKey: "supplier_id", as: "supplier" });
 
+/* ---------- Supplier Payment ↔ Receipt (invoice-wise settlement) ---------- */
+SupplierPayment.hasMany(SupplierPaymentAllocation, {
+  foreignKey: "supplier_payment_id",
+  as: "allocations",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+SupplierPaymentAllocation.belongsTo(SupplierPayment, { foreignKey: "supplier_payment_id", as: "payment" });
+
+SupplierReceipt.hasMany(SupplierPaymentAllocation, { foreignKey: "supplier_receipt_id", as: "paymentAllocations" });
+SupplierPaymentAllocation.belongsTo(SupplierReceipt, { foreignKey: "supplier_receipt_id", as: "receipt" });
+
+/* ---------- Supplier Debit Notes (purchase returns) ---------- */
+SupplierDebitNote.hasMany(SupplierDebitNoteItem, {
+  foreignKey: "supplier_debit_note_id",
+  as: "items",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+SupplierDebitNoteItem.belongsTo(SupplierDebitNote, { foreignKey: "supplier_debit_note_id", as: "debitNote" });
+SupplierDebitNoteItem.belongsTo(Book, { foreignKey: "book_id", as: "book" });
+
+SupplierDebitNote.belongsTo(Supplier, { foreignKey: "supplier_id", as: "supplier" });
+SupplierDebitNote.belongsTo(SupplierReceipt, { foreignKey: "supplier_receipt_id", as: "receipt" });
+SupplierReceipt.hasMany(SupplierDebitNote, { foreignKey: "supplier_receipt_id", as: "debitNotes" });
+
 /* ---------- Supplier Ledger ---------- */
 Supplier.hasMany(SupplierLedgerTxn, { foreignKey: "supplier_id", as: "ledgerTxns" });
 SupplierLedgerTxn.belongsTo(Supplier, { foreignKey: "supplier_id", as: "supplier" });
@@ -402,6 +520,71 @@ SupplierPayment.hasMany(SupplierLedgerTxn, {
   scope: { ref_table: "supplier_payments" },
 });
 
+/* ---------- Customer Ledger (School / Distributor, polymorphic) ---------- */
+School.hasMany(CustomerLedgerTxn, {
+  foreignKey: "customer_id",
+  as: "ledgerTxns",
+  constraints: false,
+  scope: { customer_type: "SCHOOL" },
+});
+CustomerLedgerTxn.belongsTo(School, { foreignKey: "customer_id", constraints: false, as: "school" });
+
+Distributor.hasMany(CustomerLedgerTxn, {
+  foreignKey: "customer_id",
+  as: "ledgerTxns",
+  constraints: false,
+  scope: { customer_type: "DISTRIBUTOR" },
+});
+CustomerLedgerTxn.belongsTo(Distributor, { foreignKey: "customer_id", constraints: false, as: "distributor" });
+
+/* ---------- Customer Payments ---------- */
+CustomerPayment.belongsTo(School, { foreignKey: "customer_id", constraints: false, as: "school" });
+CustomerPayment.belongsTo(Distributor, { foreignKey: "customer_id", constraints: false, as: "distributor" });
+
+CustomerPayment.hasMany(CustomerPaymentAllocation, {
+  foreignKey: "customer_payment_id",
+  as: "allocations",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+CustomerPaymentAllocation.belongsTo(CustomerPayment, { foreignKey: "customer_payment_id", as: "payment" });
+
+CustomerPayment.hasMany(CustomerLedgerTxn, {
+  foreignKey: "ref_id",
+  sourceKey: "id",
+  as: "ledgerTxns",
+  constraints: false,
+  scope: { ref_table: "customer_payments" },
+});
+
+/* ---------- Credit Notes (sales returns) ---------- */
+CreditNote.hasMany(CreditNoteItem, {
+  foreignKey: "credit_note_id",
+  as: "items",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+CreditNoteItem.belongsTo(CreditNote, { foreignKey: "credit_note_id", as: "creditNote" });
+
+CreditNote.belongsTo(School, { foreignKey: "customer_id", constraints: false, as: "school" });
+CreditNote.belongsTo(Distributor, { foreignKey: "customer_id", constraints: false, as: "distributor" });
+CreditNote.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+
+CreditNoteItem.belongsTo(Book, { foreignKey: "book_id", as: "book" });
+
+/* ---------- Bank Reconciliation ---------- */
+BankStatement.hasMany(BankStatementLine, {
+  foreignKey: "bank_statement_id",
+  as: "lines",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+BankStatementLine.belongsTo(BankStatement, { foreignKey: "bank_statement_id", as: "statement" });
+BankStatement.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+
+BankStatementLine.belongsTo(SupplierPayment, { foreignKey: "match_id", constraints: false, as: "supplierPayment" });
+BankStatementLine.belongsTo(CustomerPayment, { foreignKey: "match_id", constraints: false, as: "customerPayment" });
+
 /* =====================================================
    EXPORTS
    ===================================================== */
@@ -419,8 +602,12 @@ const db = {
 
   Product,
   ProductCategory,
+  BookSubstitution,
 
   SchoolBookRequirement,
+  RequirementRevision,
+  RequirementRevisionItem,
+  SchoolClassEnrolment,
 
   PublisherOrder,
   PublisherOrderItem,
@@ -435,6 +622,15 @@ const db = {
   InventoryBatch,
   InventoryTxn,
 
+  Warehouse,
+  StockTransfer,
+  StockTransferItem,
+
+  StockPolicy,
+
+  StockTake,
+  StockTakeItem,
+
   Bundle,
   BundleItem,
   Distributor,
@@ -455,8 +651,20 @@ const db = {
   SupplierReceiptItem,
   SupplierReceiptAllocation,
   SupplierPayment,
+  SupplierPaymentAllocation,
+  SupplierDebitNote,
+  SupplierDebitNoteItem,
   SupplierLedgerTxn,
 
+  CustomerLedgerTxn,
+  CustomerPayment,
+  CustomerPaymentAllocation,
+  CreditNote,
+  CreditNoteItem,
+
+  BankStatement,
+  BankStatementLine,
+
   SupplierReceiptOrderLink,
 };
 
@@ -27,6 +27,12 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
       },
 
+      // ✅ where this stock physically sits (godown / counter)
+      warehouse_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
       school_order_id: {
         type: DataTypes.INTEGER.UNSIGNED,
         allowNull: true,
@@ -102,6 +108,13 @@ module.exports = (sequelize, DataTypes) => {
       });
     }
 
+    if (models.Warehouse) {
+      InventoryBatch.belongsTo(models.Warehouse, {
+        foreignKey: "warehouse_id",
+        as: "warehouse",
+      });
+    }
+
     if (models.InventoryTxn) {
       InventoryBatch.hasMany(models.InventoryTxn, {
         foreignKey: "batch_id",
@@ -11,8 +11,9 @@ module.exports = (sequelize, DataTypes) => {
         primaryKey: true,
       },
 
+      // ADJUST = stock-take correction; qty is signed (+ found / - damaged, lost)
       txn_type: {
-        type: DataTypes.ENUM("IN", "RESERVE", "UNRESERVE", "OUT"),
+        type: DataTypes.ENUM("IN", "RESERVE", "UNRESERVE", "OUT", "ADJUST"),
         allowNull: false,
       },
 
@@ -26,6 +27,12 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
       },
 
+      // copied from the batch when not given (see hook below)
+      warehouse_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
       qty: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -52,6 +59,29 @@ module.exports = (sequelize, DataTypes) => {
     }
   );
 
+  // ✅ every txn carries the warehouse of its batch, so callers posting
+  // OUT/IN against a batch don't have to pass warehouse_id themselves
+  async function fillWarehouseFromBatch(rows, options) {
+    const InventoryBatch = sequelize.models.InventoryBatch;
+    if (!InventoryBatch) return;
+
+    const pending = rows.filter((r) => r.batch_id && r.warehouse_id == null);
+    if (!pending.length) return;
+
+    const batches = await InventoryBatch.findAll({
+      where: { id: [...new Set(pending.map((r) => Number(r.batch_id)))] },
+      attributes: ["id", "warehouse_id"],
+      raw: true,
+      transaction: options?.transaction,
+    });
+    const whMap = new Map(batches.map((b) => [Number(b.id), b.warehouse_id]));
+
+    for (const r of pending) r.warehouse_id = whMap.get(Number(r.batch_id)) ?? null;
+  }
+
+  InventoryTxn.addHook("beforeCreate", (row, options) => fillWarehouseFromBatch([row], options));
+  InventoryTxn.addHook("beforeBulkCreate", (rows, options) => fillWarehouseFromBatch(rows, options));
+
   InventoryTxn.associate = (models) => {
     InventoryTxn.belongsTo(models.Book, {
       foreignKey: "book_id",
@@ -62,6 +92,13 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "batch_id",
       as: "batch",
     });
+
+    if (models.Warehouse) {
+      InventoryTxn.belongsTo(models.Warehouse, {
+        foreignKey: "warehouse_id",
+        as: "warehouse",
+      });
+    }
   };
 
   return InventoryTxn;
@@ -60,6 +60,21 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: "PCS",
       },
 
+      /**
+       * GST
+       * - MATERIAL: set here (stationery is taxable)
+       * - BOOK: null = take from Book.hsn_code / Book.gst_rate
+       */
+      hsn_code: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      gst_rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+      },
+
       /**
        * Soft enable/disable product
        */
@@ -0,0 +1,73 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const RequirementRevision = sequelize.define(
+    "RequirementRevision",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      school_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      academic_session: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      // 1, 2, 3 ... per school + session
+      revision_no: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // what confirmed the set: create / update / import / set-status / delete / rollback
+      source: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: "update",
+      },
+
+      note: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      item_count: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      total_copies: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "requirement_revisions",
+      timestamps: true,
+      indexes: [
+        {
+          name: "uniq_requirement_revision",
+          unique: true,
+          fields: ["school_id", "academic_session", "revision_no"],
+        },
+        { fields: ["academic_session"] },
+      ],
+    }
+  );
+
+  return RequirementRevision;
+};
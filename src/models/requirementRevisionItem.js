@@ -0,0 +1,69 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const RequirementRevisionItem = sequelize.define(
+    "RequirementRevisionItem",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      revision_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // school_book_requirements.id at snapshot time (row may be gone later)
+      requirement_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      class_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      supplier_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      required_copies: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      remarks: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      // snapshots so the revision still reads right if the book master changes
+      title_snapshot: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      class_name_snapshot: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "requirement_revision_items",
+      timestamps: false,
+      indexes: [{ fields: ["revision_id"] }, { fields: ["book_id"] }],
+    }
+  );
+
+  return RequirementRevisionItem;
+};
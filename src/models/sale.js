@@ -32,6 +32,11 @@ module.exports = (sequelize, DataTypes) => {
       subtotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
       discount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
       tax: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+
+      // ✅ GST: tax = sum of item CGST/SGST/IGST
+      place_of_supply: { type: DataTypes.STRING(100), allowNull: true },
+      is_inter_state: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+
       total_amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
 
       payment_mode: {
@@ -42,6 +47,8 @@ module.exports = (sequelize, DataTypes) => {
 
       paid_amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
       balance_amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      // ✅ sum of credit notes (returns); balance = total - returned - paid
+      returned_amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
 
       notes: { type: DataTypes.TEXT, allowNull: true },
 
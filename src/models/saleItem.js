@@ -53,6 +53,14 @@ module.exports = (sequelize, DataTypes) => {
       // inventory side (partial stock support)
       issued_qty: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
       short_qty: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+
+      // ✅ GST split (taxable_value is after bill discount share)
+      hsn_code: { type: DataTypes.STRING(20), allowNull: true },
+      gst_rate: { type: DataTypes.DECIMAL(5, 2), allowNull: false, defaultValue: 0 },
+      taxable_value: { type: DataTypes.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      cgst_amount: { type: DataTypes.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      sgst_amount: { type: DataTypes.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      igst_amount: { type: DataTypes.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
     },
     {
       tableName: "sale_items",
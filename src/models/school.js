@@ -49,11 +49,23 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
       },
 
+      // ✅ buyer GSTIN (B2B invoices)
+      gstin: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
       pincode: {
         type: DataTypes.STRING(10),
         allowNull: true,
       },
 
+      // ✅ credit period (days after bill date) when a bill has no due_date
+      credit_days: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
       sort_order: {
         type: DataTypes.INTEGER.UNSIGNED,
         allowNull: true,
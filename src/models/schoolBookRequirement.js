@@ -42,6 +42,19 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: 0,
       },
 
+      // ✅ Per-student requirement: copies = students x per_student_qty (+ buffer), from SchoolClassEnrolment
+      // null => required_copies is entered directly
+      per_student_qty: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: true,
+      },
+
+      // overrides the enrolment's buffer_percent for this book (null => use enrolment buffer)
+      buffer_percent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+      },
+
       // Status: draft while Excel is being filled, confirmed when final
       status: {
         type: DataTypes.ENUM("draft", "confirmed"),
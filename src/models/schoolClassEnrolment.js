@@ -0,0 +1,68 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const SchoolClassEnrolment = sequelize.define(
+    "SchoolClassEnrolment",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      school_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      class_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // e.g. "2026-27"
+      academic_session: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+
+      // 👩‍🎓 student count given by the school
+      students: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // extra copies on top of students x per_student_qty (new admissions, damage)
+      buffer_percent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      remarks: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      updated_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "school_class_enrolments",
+      timestamps: true,
+      indexes: [
+        {
+          name: "uniq_school_class_session",
+          unique: true,
+          fields: ["school_id", "class_id", "academic_session"],
+        },
+        { fields: ["academic_session"] },
+      ],
+    }
+  );
+
+  return SchoolClassEnrolment;
+};
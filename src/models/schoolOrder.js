@@ -11,9 +11,10 @@ module.exports = (sequelize, DataTypes) => {
         primaryKey: true,
       },
 
+      // NULL = stock order (not tied to a school)
       school_id: {
         type: DataTypes.INTEGER.UNSIGNED,
-        allowNull: false,
+        allowNull: true,
       },
 
       // ✅ Match DB (your desc shows supplier_id is nullable)
@@ -0,0 +1,41 @@
+// src/models/stockPolicy.js
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const StockPolicy = sequelize.define(
+    "StockPolicy",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        unique: true,
+      },
+
+      // alert when free stock + open order pending falls below this
+      min_qty: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // usual qty to order when the alert fires
+      reorder_qty: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "stock_policies",
+      timestamps: true,
+    }
+  );
+
+  return StockPolicy;
+};
@@ -0,0 +1,72 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const StockTake = sequelize.define(
+    "StockTake",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      stock_take_no: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+      },
+
+      count_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      // godown / counter being counted (null = legacy session over all warehouses)
+      warehouse_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      // OPEN -> counting in progress, APPROVED -> ADJUST txns posted
+      status: {
+        type: DataTypes.ENUM("OPEN", "APPROVED", "CANCELLED"),
+        allowNull: false,
+        defaultValue: "OPEN",
+      },
+
+      notes: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      approved_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      approved_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "stock_takes",
+      timestamps: true,
+      indexes: [{ fields: ["status"] }, { fields: ["count_date"] }, { fields: ["warehouse_id"] }],
+    }
+  );
+
+  StockTake.associate = (models) => {
+    StockTake.hasMany(models.StockTakeItem, {
+      foreignKey: "stock_take_id",
+      as: "items",
+    });
+  };
+
+  return StockTake;
+};
@@ -0,0 +1,73 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const StockTakeItem = sequelize.define(
+    "StockTakeItem",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      stock_take_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // SUM(inventory_batches.available_qty) when the session was opened
+      system_qty: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // null = not counted yet
+      counted_qty: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+
+      // counted - available at approval time (what was actually posted)
+      posted_variance: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+
+      // DAMAGED | LOST | FOUND | COUNT_ERROR | OTHER
+      reason: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+
+      remarks: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "stock_take_items",
+      timestamps: true,
+      indexes: [{ unique: true, fields: ["stock_take_id", "book_id"] }],
+    }
+  );
+
+  StockTakeItem.associate = (models) => {
+    StockTakeItem.belongsTo(models.StockTake, {
+      foreignKey: "stock_take_id",
+      as: "stockTake",
+    });
+
+    StockTakeItem.belongsTo(models.Book, {
+      foreignKey: "book_id",
+      as: "book",
+    });
+  };
+
+  return StockTakeItem;
+};
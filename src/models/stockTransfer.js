@@ -0,0 +1,70 @@
+// src/models/stockTransfer.js
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const StockTransfer = sequelize.define(
+    "StockTransfer",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      transfer_no: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+      },
+
+      from_warehouse_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      to_warehouse_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      transfer_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      // IN_TRANSIT -> stock left source, not yet at destination
+      status: {
+        type: DataTypes.ENUM("IN_TRANSIT", "RECEIVED", "CANCELLED"),
+        allowNull: false,
+        defaultValue: "IN_TRANSIT",
+      },
+
+      notes: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      received_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      received_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "stock_transfers",
+      timestamps: true,
+      indexes: [{ fields: ["status"] }, { fields: ["from_warehouse_id"] }, { fields: ["to_warehouse_id"] }],
+    }
+  );
+
+  return StockTransfer;
+};
@@ -0,0 +1,49 @@
+// src/models/stockTransferItem.js
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const StockTransferItem = sequelize.define(
+    "StockTransferItem",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      stock_transfer_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // one row per source batch drawn (FIFO), so cost moves with the stock
+      source_batch_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // batch created at destination on receive
+      dest_batch_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      qty: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "stock_transfer_items",
+      timestamps: true,
+      indexes: [{ fields: ["stock_transfer_id"] }, { fields: ["book_id"] }],
+    }
+  );
+
+  return StockTransferItem;
+};
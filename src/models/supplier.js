@@ -35,6 +35,17 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
       },
 
+      // ✅ GST: supplier state decides CGST/SGST vs IGST on receipts
+      state: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+
+      gstin: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
       // ✅ Supplier → Publisher
       publisher_id: {
         type: DataTypes.INTEGER.UNSIGNED,
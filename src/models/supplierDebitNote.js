@@ -0,0 +1,124 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const SupplierDebitNote = sequelize.define(
+    "SupplierDebitNote",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      debit_note_no: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        unique: true,
+      },
+
+      debit_note_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      supplier_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      supplier_receipt_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // snapshots of the original receipt / supplier invoice
+      receipt_no: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+
+      invoice_no: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+
+      // ✅ GST reversal (same rates/split as the receipt)
+      is_inter_state: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      taxable_value: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      cgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      sgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      igst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      tax: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // payable reduced by this (ledger credit)
+      total_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // draft: planned return, no stock/ledger effect yet; issued: stock OUT + ledger credit posted
+      status: {
+        type: DataTypes.ENUM("draft", "issued"),
+        allowNull: false,
+        defaultValue: "issued",
+      },
+
+      reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      // transporter / LR no etc. for the return consignment
+      dispatch_ref: {
+        type: DataTypes.STRING(120),
+        allowNull: true,
+      },
+
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "supplier_debit_notes",
+      timestamps: true,
+      indexes: [
+        { fields: ["supplier_id", "debit_note_date"] },
+        { fields: ["supplier_receipt_id"] },
+        { fields: ["status"] },
+      ],
+    }
+  );
+
+  return SupplierDebitNote;
+};
@@ -0,0 +1,101 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const SupplierDebitNoteItem = sequelize.define(
+    "SupplierDebitNoteItem",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      supplier_debit_note_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      supplier_receipt_item_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      book_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      is_specimen: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      qty: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // receipt rate (before discounts)
+      rate: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      hsn_code: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      gst_rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      taxable_value: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      cgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      sgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      igst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // taxable + tax
+      amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "supplier_debit_note_items",
+      timestamps: true,
+      indexes: [
+        { fields: ["supplier_debit_note_id"] },
+        { fields: ["supplier_receipt_item_id"] },
+        { fields: ["book_id"] },
+      ],
+    }
+  );
+
+  return SupplierDebitNoteItem;
+};
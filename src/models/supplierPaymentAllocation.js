@@ -0,0 +1,60 @@
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const SupplierPaymentAllocation = sequelize.define(
+    "SupplierPaymentAllocation",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      supplier_payment_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      supplier_receipt_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+
+      // ✅ cash part of the payment settled on this invoice
+      paid_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // ✅ discount part (payment discount shared pro-rata)
+      discount_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // paid + discount (invoice outstanding reduced by this)
+      settled_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "supplier_payment_allocations",
+      timestamps: true,
+      indexes: [
+        { fields: ["supplier_payment_id"] },
+        { fields: ["supplier_receipt_id"] },
+        {
+          unique: true,
+          name: "uniq_supplier_payment_alloc",
+          fields: ["supplier_payment_id", "supplier_receipt_id"],
+        },
+      ],
+    }
+  );
+
+  return SupplierPaymentAllocation;
+};
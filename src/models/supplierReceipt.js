@@ -108,6 +108,19 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: 0,
       },
 
+      // ✅ GST total of items (CGST + SGST + IGST)
+      tax_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      is_inter_state: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
       shipping_charge: {
         type: DataTypes.DECIMAL(12, 2),
         allowNull: false,
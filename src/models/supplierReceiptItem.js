@@ -124,6 +124,45 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: 0,
       },
+
+      /* =========================================================
+       * ✅ GST split (taxable_value = net_amount less bill discount share)
+       * ========================================================= */
+
+      hsn_code: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      gst_rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      taxable_value: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      cgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      sgst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      igst_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
     },
     {
       tableName: "supplier_receipt_items",
@@ -0,0 +1,64 @@
+// src/models/warehouse.js
+"use strict";
+
+module.exports = (sequelize, DataTypes) => {
+  const Warehouse = sequelize.define(
+    "Warehouse",
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+      },
+
+      // short code printed on transfer challans, e.g. MAIN / DPS-CTR
+      code: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+      },
+
+      // GODOWN = permanent store, COUNTER = seasonal counter (usually at a school)
+      kind: {
+        type: DataTypes.ENUM("GODOWN", "COUNTER"),
+        allowNull: false,
+        defaultValue: "GODOWN",
+      },
+
+      // counter located at this school (optional)
+      school_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+
+      address: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      // supplier receipts are stocked here
+      is_default: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+    },
+    {
+      tableName: "warehouses",
+      timestamps: true,
+    }
+  );
+
+  return Warehouse;
+};
@@ -12,7 +12,7 @@ module.exports = async function (fastify, opts) {
   // REGISTER (for development)
   fastify.post("/register", async (request, reply) => {
     try {
-      const { name, email, phone, password, role, distributor_id } = request.body || {};
+      const { name, email, phone, password, role, distributor_id, school_id } = request.body || {};
 
       if (!name || !email || !password) {
         return reply.code(400).send({ error: "name, email and password are required" });
@@ -32,6 +32,7 @@ module.exports = async function (fastify, opts) {
         password_hash,
         role: role || "distributor",
         distributor_id: distributor_id || null,
+        school_id: school_id || null,
         is_active: true,
       });
 
@@ -41,6 +42,7 @@ module.exports = async function (fastify, opts) {
           email: user.email,
           role: user.role,
           distributor_id: user.distributor_id || null,
+          school_id: user.school_id || null,
         },
         { expiresIn: process.env.JWT_EXPIRES_IN || "1d" }
       );
@@ -53,6 +55,7 @@ module.exports = async function (fastify, opts) {
           email: user.email,
           role: user.role,
           distributor_id: user.distributor_id || null,
+          school_id: user.school_id || null,
         },
       });
     } catch (err) {
@@ -88,6 +91,7 @@ module.exports = async function (fastify, opts) {
           email: user.email,
           role: user.role,
           distributor_id: user.distributor_id || null,
+          school_id: user.school_id || null,
         },
         { expiresIn: process.env.JWT_EXPIRES_IN || "1d" }
       );
@@ -103,6 +107,7 @@ module.exports = async function (fastify, opts) {
           email: user.email,
           role: user.role,
           distributor_id: user.distributor_id || null,
+          school_id: user.school_id || null,
         },
       });
     } catch (err) {
@@ -114,7 +119,7 @@ module.exports = async function (fastify, opts) {
   // PROTECTED: GET CURRENT USER
   fastify.get("/me", { preHandler: auth }, async (request, reply) => {
     const user = await User.findByPk(request.user.id, {
-      attributes: ["id", "name", "email", "role", "distributor_id", "createdAt", "is_active"],
+      attributes: ["id", "name", "email", "role", "distributor_id", "school_id", "createdAt", "is_active"],
     });
     if (!user) return reply.code(404).send({ error: "User not found" });
     return reply.send(user);
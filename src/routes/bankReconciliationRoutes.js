@@ -0,0 +1,40 @@
+// src/routes/bankReconciliationRoutes.js
+"use strict";
+
+const bankReconciliationController = require("../controllers/bankReconciliationController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+module.exports = async function bankReconciliationRoutes(fastify, opts) {
+  // 🔐 JWT auth for all bank reconciliation routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  /**
+   * ============================
+   * Bank statements
+   * ============================
+   */
+
+  // ✅ multipart CSV/XLSX upload
+  fastify.post("/statements/import", bankReconciliationController.importStatement);
+
+  fastify.get("/statements", bankReconciliationController.listStatements);
+  fastify.get("/statements/:id", bankReconciliationController.getStatement);
+  fastify.post("/statements/:id/auto-match", bankReconciliationController.rerunAutoMatch);
+  fastify.post("/statements/:id/confirm-all", bankReconciliationController.confirmAll);
+  fastify.delete("/statements/:id", bankReconciliationController.deleteStatement);
+
+  /**
+   * ============================
+   * Statement lines (confirm / fix matches)
+   * ============================
+   */
+  fastify.get("/lines/:lineId/candidates", bankReconciliationController.candidates);
+  fastify.post("/lines/:lineId/match", bankReconciliationController.matchLine);
+  fastify.post("/lines/:lineId/confirm", bankReconciliationController.confirmLine);
+  fastify.post("/lines/:lineId/unmatch", bankReconciliationController.unmatchLine);
+  fastify.post("/lines/:lineId/ignore", bankReconciliationController.ignoreLine);
+};
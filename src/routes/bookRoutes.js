@@ -14,6 +14,10 @@ module.exports = async function (fastify, opts) {
   // EXPORT (Excel)
   fastify.get("/export", superadminOnly, bookController.exportBooks);
 
+  // BARCODE LABELS (PDF) + scan lookup
+  fastify.post("/labels", superadminOnly, bookController.labelsPdf);
+  fastify.post("/resolve-codes", superadminOnly, bookController.resolveCodes);
+
   // CREATE
   fastify.post("/", superadminOnly, bookController.createBook);
 
@@ -0,0 +1,26 @@
+// src/routes/bookSubstitutionRoutes.js
+"use strict";
+
+const substitutionController = require("../controllers/bookSubstitutionController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+module.exports = async function (fastify, opts) {
+  // 🔐 JWT auth for all substitution routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  // GET /api/book-substitutions?book_id=  (audit trail)
+  fastify.get("/", substitutionController.listSubstitutions);
+
+  // POST /api/book-substitutions/preview
+  fastify.post("/preview", substitutionController.previewSubstitution);
+
+  // POST /api/book-substitutions/apply
+  fastify.post("/apply", substitutionController.applySubstitution);
+
+  // GET /api/book-substitutions/:id
+  fastify.get("/:id", substitutionController.getSubstitution);
+};
@@ -50,6 +50,26 @@ module.exports = async function (fastify) {
     bundleIssueController.issueBundle
   );
 
+  // ======================================================
+  // Reservations about to expire (pending stock)
+  // GET /api/bundle-issues/reservations?within_days=3
+  // ======================================================
+  fastify.get(
+    "/reservations",
+    superadminOnly,
+    bundleIssueController.listReservations
+  );
+
+  // ======================================================
+  // Run expiry sweep now
+  // POST /api/bundle-issues/reservations/sweep
+  // ======================================================
+  fastify.post(
+    "/reservations/sweep",
+    superadminOnly,
+    bundleIssueController.sweepReservations
+  );
+
   // ======================================================
   // List issues for ONE bundle
   // GET /api/bundle-issues/bundles/:id/issues
@@ -70,6 +90,16 @@ module.exports = async function (fastify) {
     bundleIssueController.invoicePdf
   );
 
+  // ======================================================
+  // Barcode pick check (scans vs issued books)
+  // POST /api/bundle-issues/:id/scan
+  // ======================================================
+  fastify.post(
+    "/:id/scan",
+    adminOrDistributor,
+    bundleIssueController.scanVerify
+  );
+
   // ======================================================
   // List recent issues
   // GET /api/bundle-issues
@@ -90,6 +120,23 @@ module.exports = async function (fastify) {
     bundleIssueController.cancel
   );
 
+  // ======================================================
+  // Extend reservation / release it now
+  // PATCH /api/bundle-issues/:id/reservation
+  // POST  /api/bundle-issues/:id/reservation/release
+  // ======================================================
+  fastify.patch(
+    "/:id/reservation",
+    superadminOnly,
+    bundleIssueController.updateReservation
+  );
+
+  fastify.post(
+    "/:id/reservation/release",
+    superadminOnly,
+    bundleIssueController.releaseReservation
+  );
+
   // ======================================================
   // Return issue (stock return)
   // POST /api/bundle-issues/:id/return
@@ -0,0 +1,29 @@
+// src/routes/creditNoteRoutes.js
+"use strict";
+
+const creditNoteController = require("../controllers/creditNoteController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+module.exports = async function creditNoteRoutes(fastify, opts) {
+  // 🔐 JWT auth for all credit-note routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  /**
+   * ============================
+   * Credit Notes (sales returns)
+   * ============================
+   */
+
+  // ✅ static before :id
+  fastify.get("/returnable", creditNoteController.returnable);
+
+  fastify.post("/", creditNoteController.create);
+  fastify.get("/", creditNoteController.list);
+
+  fastify.get("/:id/pdf", creditNoteController.printPdf);
+  fastify.get("/:id", creditNoteController.getOne);
+};
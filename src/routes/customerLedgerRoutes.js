@@ -0,0 +1,32 @@
+// src/routes/customerLedgerRoutes.js
+"use strict";
+
+const customerLedgerController = require("../controllers/customerLedgerController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+module.exports = async function customerLedgerRoutes(fastify, opts) {
+  // 🔐 JWT auth for all customer-ledger routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  /**
+   * ============================
+   * School receivables
+   * ============================
+   */
+  fastify.get("/schools/:schoolId/balance", customerLedgerController.balance);
+  fastify.get("/schools/:schoolId/ledger", customerLedgerController.ledger);
+  fastify.get("/schools/:schoolId/statement", customerLedgerController.statement);
+
+  /**
+   * ============================
+   * Distributor receivables
+   * ============================
+   */
+  fastify.get("/distributors/:distributorId/balance", customerLedgerController.balance);
+  fastify.get("/distributors/:distributorId/ledger", customerLedgerController.ledger);
+  fastify.get("/distributors/:distributorId/statement", customerLedgerController.statement);
+};
@@ -0,0 +1,40 @@
+// src/routes/customerPaymentRoutes.js
+"use strict";
+
+const customerPaymentController = require("../controllers/customerPaymentController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+module.exports = async function customerPaymentRoutes(fastify, opts) {
+  // 🔐 JWT auth for all customer-payment routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  /**
+   * ============================
+   * Customer Payments (money IN)
+   * ============================
+   * POST   → create receipt, allocate to bills, credit customer ledger
+   * GET    → list / single
+   * PDF    → printable receipt
+   * DELETE → reopen bills + remove ledger credit
+   */
+
+  // Schools
+  fastify.get("/schools/:schoolId/open-invoices", customerPaymentController.openInvoices);
+  fastify.post("/schools/:schoolId/payments", customerPaymentController.createPayment);
+  fastify.get("/schools/:schoolId/payments", customerPaymentController.listPayments);
+  fastify.get("/schools/:schoolId/payments/:paymentId/pdf", customerPaymentController.printPaymentPdf);
+  fastify.get("/schools/:schoolId/payments/:paymentId", customerPaymentController.getPaymentById);
+  fastify.delete("/schools/:schoolId/payments/:paymentId", customerPaymentController.deletePayment);
+
+  // Distributors
+  fastify.get("/distributors/:distributorId/open-invoices", customerPaymentController.openInvoices);
+  fastify.post("/distributors/:distributorId/payments", customerPaymentController.createPayment);
+  fastify.get("/distributors/:distributorId/payments", customerPaymentController.listPayments);
+  fastify.get("/distributors/:distributorId/payments/:paymentId/pdf", customerPaymentController.printPaymentPdf);
+  fastify.get("/distributors/:distributorId/payments/:paymentId", customerPaymentController.getPaymentById);
+  fastify.delete("/distributors/:distributorId/payments/:paymentId", customerPaymentController.deletePayment);
+};
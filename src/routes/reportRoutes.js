@@ -1,6 +1,8 @@
 "use strict";
 
 const reportController = require("../controllers/reportController");
+const gstReturnController = require("../controllers/gstReturnController");
+const receivableAgeingController = require("../controllers/receivableAgeingController");
 const requireRoles = require("../middlewares/requireRoles");
 const { SUPERADMIN_ONLY } = require("../constants/roles");
 
@@ -21,6 +23,26 @@ module.exports = async function reportRoutes(fastify) {
     reportController.schoolSupplierBilling
   );
 
+  /**
+   * ===============================
+   * GST RETURNS (month=YYYY-MM, format=json|xlsx|portal)
+   * ===============================
+   */
+  fastify.get("/gst/gstr1", gstReturnController.gstr1);
+  fastify.get("/gst/gstr3b", gstReturnController.gstr3b);
+
+  /**
+   * ===============================
+   * RECEIVABLES AGEING / OVERDUE (schools + distributors)
+   * ===============================
+   */
+  fastify.get("/receivables/ageing", receivableAgeingController.ageing);
+  fastify.get(
+    "/receivables/ageing/:customerType/:customerId",
+    receivableAgeingController.customerBills
+  );
+  fastify.get("/receivables/overdue", receivableAgeingController.overdueDashboard);
+
   /**
    * ===============================
    * (FUTURE-READY) RECEIPT / GRN REPORTS
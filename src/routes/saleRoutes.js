@@ -1,6 +1,8 @@
 "use strict";
 
 const saleController = require("../controllers/saleController");
+const requireRoles = require("../middlewares/requireRoles");
+const { DISTRIBUTOR_OR_SUPERADMIN } = require("../constants/roles");
 
 /**
  * Sales Routes
@@ -8,6 +10,7 @@ const saleController = require("../controllers/saleController");
  *
  * Endpoints:
  *  POST   /api/sales                   -> create sale
+ *  POST   /api/sales/scan              -> create sale from barcode scans
  *  GET    /api/sales                   -> list sales
  *
  *  ✅ NEW (static, must be before :id)
@@ -18,7 +21,11 @@ const saleController = require("../controllers/saleController");
  *  POST   /api/sales/:id/cancel        -> cancel sale (revert stock)
  */
 module.exports = async function saleRoutes(fastify) {
-  const auth = fastify.authenticate ? [fastify.authenticate] : [];
+  // 🔐 school portal users must not reach counter / school billing
+  const auth = [
+    ...(fastify.authenticate ? [fastify.authenticate] : []),
+    requireRoles(...DISTRIBUTOR_OR_SUPERADMIN),
+  ];
 
   /**
    * ⚠️ ORDER MATTERS:
@@ -28,6 +35,9 @@ module.exports = async function saleRoutes(fastify) {
   // ✅ Create
   fastify.post("/", { preHandler: auth }, saleController.create);
 
+  // ✅ Create from barcode scans (counter)
+  fastify.post("/scan", { preHandler: auth }, saleController.scanCreate);
+
   // ✅ List
   fastify.get("/", { preHandler: auth }, saleController.list);
 
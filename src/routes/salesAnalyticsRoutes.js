@@ -42,4 +42,10 @@ module.exports = async function (fastify, opts) {
     "/credit-outstanding",
     salesAnalyticsController.creditOutstanding
   );
+
+  // MARGINS (revenue vs batch cost; group_by=sale|book|publisher|school|distributor)
+  fastify.get(
+    "/margins",
+    salesAnalyticsController.margins
+  );
 };
@@ -2,6 +2,7 @@
 "use strict";
 
 const requirementController = require("../controllers/schoolBookRequirementController");
+const revisionController = require("../controllers/requirementRevisionController");
 const requireRoles = require("../middlewares/requireRoles");
 const { SUPERADMIN_ONLY } = require("../constants/roles");
 
@@ -29,6 +30,19 @@ module.exports = async function (fastify, opts) {
   // POST /api/requirements/set-status
   fastify.post("/set-status", requirementController.setStatusForSchoolFiltered);
 
+  // ✅ ROLLOVER: copy lists from one session to the next as draft
+  // POST /api/requirements/rollover
+  fastify.post("/rollover", requirementController.rolloverRequirements);
+
+  // ✅ REVISIONS: snapshot of the confirmed list per school + session
+  // GET  /api/requirements/revisions?school_id=&academic_session=
+  // GET  /api/requirements/revisions/diff?school_id=&academic_session=&from=&to=
+  // POST /api/requirements/revisions/:revisionId/rollback
+  fastify.get("/revisions", revisionController.listRevisions);
+  fastify.get("/revisions/diff", revisionController.diffRevisions);
+  fastify.get("/revisions/:revisionId", revisionController.getRevision);
+  fastify.post("/revisions/:revisionId/rollback", revisionController.rollbackRevision);
+
   // ======================================================
   // CRUD
   // ======================================================
@@ -0,0 +1,26 @@
+// src/routes/schoolEnrolmentRoutes.js
+"use strict";
+
+const enrolmentController = require("../controllers/schoolEnrolmentController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+module.exports = async function (fastify, opts) {
+  // 🔐 JWT auth for all enrolment routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  // GET /api/school-enrolments?school_id=&academic_session=
+  fastify.get("/", enrolmentController.listEnrolments);
+
+  // PUT /api/school-enrolments  (bulk upsert per school + session, recalculates requirements)
+  fastify.put("/", enrolmentController.saveEnrolments);
+
+  // POST /api/school-enrolments/recalculate
+  fastify.post("/recalculate", enrolmentController.recalculate);
+
+  // DELETE /api/school-enrolments/:id
+  fastify.delete("/:id", enrolmentController.deleteEnrolment);
+};
@@ -27,9 +27,15 @@ module.exports = async function (fastify, opts) {
   fastify.get("/pdf/supplier-order-index", READ, schoolOrderController.printSupplierOrderIndexPdf);
   fastify.get("/email-logs", READ, schoolOrderController.getAllOrderEmailLogs);
 
+  // requirement - delivered - stock - open orders, per supplier
+  fastify.get("/shortfall", READ, schoolOrderController.getShortfall);
+
   // WRITE
   fastify.post("/generate", WRITE, schoolOrderController.generateOrdersForSession);
 
+  // ✅ draft orders for shortfall only (stock-aware alternative to /generate)
+  fastify.post("/shortfall/generate", WRITE, schoolOrderController.generateShortfallOrders);
+
   // ✅ NEW: delta-based adjustment (creates reorder only for INCREASED requirements)
   // MUST stay in STATIC section (before "/:orderId")
   fastify.post(
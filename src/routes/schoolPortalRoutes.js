@@ -0,0 +1,29 @@
+// src/routes/schoolPortalRoutes.js
+"use strict";
+
+const portalController = require("../controllers/schoolPortalController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SCHOOL_ONLY } = require("../constants/roles");
+
+module.exports = async function (fastify, opts) {
+  // 🔐 JWT auth for all portal routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🏫 school users only (scoped to their own school in controller)
+  fastify.addHook("preHandler", requireRoles(...SCHOOL_ONLY));
+
+  // GET /api/school-portal/catalogue?academic_session=&class_id=
+  fastify.get("/catalogue", portalController.getCatalogue);
+
+  // GET /api/school-portal/requirements?academic_session=
+  fastify.get("/requirements", portalController.getMyRequirements);
+
+  // PUT /api/school-portal/requirements  (save as draft)
+  fastify.put("/requirements", portalController.saveMyRequirements);
+
+  // POST /api/school-portal/requirements/confirm  (confirm + lock)
+  fastify.post("/requirements/confirm", portalController.confirmMyRequirements);
+
+  // DELETE /api/school-portal/requirements/:id
+  fastify.delete("/requirements/:id", portalController.deleteMyRequirement);
+};
@@ -57,6 +57,13 @@ module.exports = async function (fastify) {
   // DELETE /api/schools/:id
   fastify.delete("/:id", WRITE, schoolController.deleteSchool);
 
+  // SCHOOL PORTAL LOGIN (role = school)
+  // GET /api/schools/:id/user
+  fastify.get("/:id/user", WRITE, schoolController.getSchoolUser);
+
+  // PUT /api/schools/:id/user
+  fastify.put("/:id/user", WRITE, schoolController.saveSchoolUser);
+
   // ===============================
   // READ SINGLE (STATIC ROUTES ABOVE THIS)
   // ===============================
@@ -1,6 +1,8 @@
 "use strict";
 
 const schoolSalesController = require("../controllers/schoolSalesController");
+const requireRoles = require("../middlewares/requireRoles");
+const { DISTRIBUTOR_OR_SUPERADMIN } = require("../constants/roles");
 
 /**
  * School Sales Routes
@@ -10,7 +12,11 @@ const schoolSalesController = require("../controllers/schoolSalesController");
  * Static routes BEFORE param routes (/:id)
  */
 module.exports = async function schoolSalesRoutes(fastify) {
-  const auth = fastify.authenticate ? [fastify.authenticate] : [];
+  // 🔐 school portal users must not reach counter / school billing
+  const auth = [
+    ...(fastify.authenticate ? [fastify.authenticate] : []),
+    requireRoles(...DISTRIBUTOR_OR_SUPERADMIN),
+  ];
 
   // ---------- Safe handler picker (never crash) ----------
   const pick = (...fns) =>
@@ -14,6 +14,19 @@ async function stockRoutes(fastify, opts) {
 
   // Final URL = /api/stock/summary
   fastify.get("/summary", stockController.getStockSummary);
+
+  // Final URL = /api/stock/books/:bookId/ledger?from=&to=&format=json|xlsx|pdf
+  fastify.get("/books/:bookId/ledger", stockController.getBookLedger);
+
+  // Final URL = /api/stock/valuation?as_of=&from=&to=&format=json|xlsx
+  fastify.get("/valuation", stockController.getStockValuation);
+
+  // Final URL = /api/stock/policies (min / reorder qty per book)
+  fastify.get("/policies", stockController.getStockPolicies);
+  fastify.put("/policies", stockController.saveStockPolicies);
+
+  // Final URL = /api/stock/alerts?publisher_id=&supplier_id=&severity=STOCKOUT|LOW
+  fastify.get("/alerts", stockController.getStockAlerts);
 }
 
 module.exports = stockRoutes;
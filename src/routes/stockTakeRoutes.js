@@ -0,0 +1,34 @@
+// src/routes/stockTakeRoutes.js
+"use strict";
+
+const stockTakeController = require("../controllers/stockTakeController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+async function stockTakeRoutes(fastify, opts) {
+  // 🔐 JWT auth for all stock-take routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  // Final URL = /api/stock-takes
+  fastify.get("/", stockTakeController.list);
+  fastify.post("/", stockTakeController.create);
+
+  // Final URL = /api/stock-takes/:id
+  fastify.get("/:id", stockTakeController.getOne);
+
+  // counts (manual grid / Excel upload)
+  fastify.put("/:id/counts", stockTakeController.saveCounts);
+  fastify.post("/:id/import", stockTakeController.importCounts);
+
+  // Final URL = /api/stock-takes/:id/variance?format=json|xlsx
+  fastify.get("/:id/variance", stockTakeController.varianceReport);
+
+  // posting
+  fastify.post("/:id/approve", stockTakeController.approve);
+  fastify.post("/:id/cancel", stockTakeController.cancel);
+}
+
+module.exports = stockTakeRoutes;
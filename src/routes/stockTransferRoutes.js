@@ -0,0 +1,28 @@
+// src/routes/stockTransferRoutes.js
+"use strict";
+
+const stockTransferController = require("../controllers/stockTransferController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+async function stockTransferRoutes(fastify, opts) {
+  // 🔐 JWT auth for all stock-transfer routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  // Final URL = /api/stock-transfers?status=&warehouse_id=
+  fastify.get("/", stockTransferController.list);
+
+  // dispatch (stock goes IN_TRANSIT)
+  fastify.post("/", stockTransferController.create);
+
+  // Final URL = /api/stock-transfers/:id
+  fastify.get("/:id", stockTransferController.getOne);
+
+  fastify.post("/:id/receive", stockTransferController.receive);
+  fastify.post("/:id/cancel", stockTransferController.cancel);
+}
+
+module.exports = stockTransferRoutes;
@@ -0,0 +1,35 @@
+// src/routes/supplierDebitNoteRoutes.js
+"use strict";
+
+const supplierDebitNoteController = require("../controllers/supplierDebitNoteController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+module.exports = async function supplierDebitNoteRoutes(fastify, opts) {
+  // 🔐 JWT auth for all debit-note routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  /**
+   * ==========================================
+   * Supplier Debit Notes (purchase returns)
+   * ==========================================
+   */
+
+  // ✅ static before :id
+  fastify.get("/returnable", supplierDebitNoteController.returnable);
+
+  // ✅ end-of-session returns: surplus stock per supplier → draft debit notes
+  fastify.get("/return-plan", supplierDebitNoteController.returnPlan);
+  fastify.post("/return-plan/drafts", supplierDebitNoteController.createDrafts);
+
+  fastify.post("/", supplierDebitNoteController.create);
+  fastify.get("/", supplierDebitNoteController.list);
+
+  fastify.get("/:id/pdf", supplierDebitNoteController.printPdf);
+  fastify.post("/:id/issue", supplierDebitNoteController.issue);
+  fastify.get("/:id", supplierDebitNoteController.getOne);
+  fastify.delete("/:id", supplierDebitNoteController.remove);
+};
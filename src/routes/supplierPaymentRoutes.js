@@ -21,6 +21,7 @@ module.exports = async function supplierPaymentRoutes(fastify, opts) {
    * POST /api/suppliers/:supplierId/payments
    * → Create supplier payment
    * → Auto posts CREDIT entry into supplier_ledger_txns
+   * → Settles invoices (manual allocations or FIFO)
    */
   fastify.post(
     "/:supplierId/payments",
@@ -45,6 +46,15 @@ module.exports = async function supplierPaymentRoutes(fastify, opts) {
     supplierPaymentController.getPaymentById
   );
 
+  /**
+   * POST /api/suppliers/:supplierId/payments/:paymentId/allocate
+   * → (Re)allocate payment to invoices
+   */
+  fastify.post(
+    "/:supplierId/payments/:paymentId/allocate",
+    supplierPaymentController.allocate
+  );
+
   /**
    * DELETE /api/suppliers/:supplierId/payments/:paymentId
    * → Delete payment
@@ -28,6 +28,11 @@ module.exports = async function supplierReceiptsRoutes(fastify) {
    * =============================== */
   fastify.patch("/:id/status", supplierReceiptController.updateStatus);
 
+  /* ===============================
+   * ✅ BARCODE SCAN (DRAFT only, keep before :id)
+   * =============================== */
+  fastify.post("/:id/scan", supplierReceiptController.scanReceive);
+
   /* ===============================
    * UPDATE RECEIPT FIELDS (doc_no/doc_date etc.)
    * =============================== */
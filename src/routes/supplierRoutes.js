@@ -15,6 +15,9 @@ async function supplierRoutes(fastify) {
   // LIST
   fastify.get("/", supplierController.list);
 
+  // payables ageing (all suppliers)
+  fastify.get("/payables/ageing", supplierController.payablesAgeing);
+
   // invoices
   fastify.get("/:id/invoices", supplierController.listInvoices);
   fastify.get("/:id/invoices/:invoiceId", supplierController.getInvoiceDetail);
@@ -0,0 +1,27 @@
+// src/routes/warehouseRoutes.js
+"use strict";
+
+const warehouseController = require("../controllers/warehouseController");
+const requireRoles = require("../middlewares/requireRoles");
+const { SUPERADMIN_ONLY } = require("../constants/roles");
+
+async function warehouseRoutes(fastify, opts) {
+  // 🔐 JWT auth for all warehouse routes
+  fastify.addHook("onRequest", fastify.authenticate);
+
+  // 🔒 SUPERADMIN only
+  fastify.addHook("preHandler", requireRoles(...SUPERADMIN_ONLY));
+
+  // Final URL = /api/warehouses
+  fastify.get("/", warehouseController.list);
+  fastify.post("/", warehouseController.create);
+
+  // Final URL = /api/warehouses/:id
+  fastify.get("/:id", warehouseController.getOne);
+  fastify.put("/:id", warehouseController.update);
+
+  // Final URL = /api/warehouses/:id/stock?q=
+  fastify.get("/:id/stock", warehouseController.stock);
+}
+
+module.exports = warehouseRoutes;
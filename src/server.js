@@ -12,6 +12,7 @@ const path = require("path");
 
 const config = require("./config");
 const { sequelize } = require("./models");
+const { sweepExpiredReservations } = require("./services/reservationService");
 
 // ✅ FIX: define isProd once, then use everywhere safely
 const NODE_ENV = process.env.NODE_ENV || "development";
@@ -112,6 +113,7 @@ const buildServer = () => {
   /* ---------------- AUTH & MASTERS ---------------- */
   fastify.register(require("./routes/authRoutes"), { prefix: "/api/auth" });
   fastify.register(require("./routes/bookRoutes"), { prefix: "/api/books" });
+  fastify.register(require("./routes/bookSubstitutionRoutes"), { prefix: "/api/book-substitutions" });
   fastify.register(require("./routes/publisherRoutes"), { prefix: "/api/publishers" });
 
   /* =========================================================
@@ -120,6 +122,7 @@ const buildServer = () => {
 
   fastify.register(require("./routes/supplierLedgerRoutes"), { prefix: "/api/suppliers" });
   fastify.register(require("./routes/supplierPaymentRoutes"), { prefix: "/api/suppliers" });
+  fastify.register(require("./routes/supplierDebitNoteRoutes"), { prefix: "/api/supplier-debit-notes" });
   fastify.register(require("./routes/supplierReceiptsRoutes"), { prefix: "/api/supplier-receipts" });
   fastify.register(require("./routes/supplierReceiptAllocations.routes"), { prefix: "/api" });
   fastify.register(require("./routes/supplierRoutes"), { prefix: "/api/suppliers" });
@@ -129,6 +132,8 @@ const buildServer = () => {
   fastify.register(require("./routes/classRoutes"), { prefix: "/api/classes" });
   fastify.register(require("./routes/schoolRoutes"), { prefix: "/api/schools" });
   fastify.register(require("./routes/schoolBookRequirementRoutes"), { prefix: "/api/requirements" });
+  fastify.register(require("./routes/schoolEnrolmentRoutes"), { prefix: "/api/school-enrolments" });
+  fastify.register(require("./routes/schoolPortalRoutes"), { prefix: "/api/school-portal" });
 
   /* =========================================================
      ✅ PRODUCT CATEGORIES (NEW – MUST COME BEFORE PRODUCTS)
@@ -172,8 +177,23 @@ const buildServer = () => {
     prefix: "/api/sales-analytics",
   });
 
+  /* ======================
+     ✅ CUSTOMER RECEIVABLES (schools / distributors)
+     ====================== */
+  fastify.register(require("./routes/customerLedgerRoutes"), { prefix: "/api" });
+  fastify.register(require("./routes/customerPaymentRoutes"), { prefix: "/api" });
+  fastify.register(require("./routes/creditNoteRoutes"), { prefix: "/api/credit-notes" });
+
+  /* ======================
+     ✅ BANK RECONCILIATION
+     ====================== */
+  fastify.register(require("./routes/bankReconciliationRoutes"), { prefix: "/api/bank-reconciliation" });
+
   /* ---------------- STOCK & PROFILE ---------------- */
   fastify.register(require("./routes/stockRoutes"), { prefix: "/api/stock" });
+  fastify.register(require("./routes/stockTakeRoutes"), { prefix: "/api/stock-takes" });
+  fastify.register(require("./routes/warehouseRoutes"), { prefix: "/api/warehouses" });
+  fastify.register(require("./routes/stockTransferRoutes"), { prefix: "/api/stock-transfers" });
   fastify.register(require("./routes/companyProfileRoutes"), { prefix: "/api" });
 
   /* ---------------- ERROR HANDLERS ---------------- */
@@ -209,6 +229,15 @@ const start = async () => {
 
     await fastify.listen({ port: config.port, host: "127.0.0.1" });
     fastify.log.info(`🚀 Server running on port ${config.port}`);
+
+    // ⏱️ release expired bundle-issue reservations
+    const sweep = () =>
+      sweepExpiredReservations({ logger: fastify.log }).catch((err) =>
+        fastify.log.error({ err }, "Reservation sweep failed")
+      );
+    const sweepTimer = setInterval(sweep, config.reservations.sweepMinutes * 60 * 1000);
+    sweepTimer.unref();
+    sweep();
   } catch (err) {
     console.error("Startup Error:", err);
     process.exit(1);
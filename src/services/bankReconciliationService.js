@@ -0,0 +1,372 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const XLSX = require("xlsx");
+const config = require("../config");
+const {
+  BankStatementLine,
+  SupplierPayment,
+  CustomerPayment,
+  Supplier,
+  School,
+  Distributor,
+} = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const safeText = (v) => String(v ?? "").trim();
+
+// header cell -> comparable key ("Withdrawal Amt (INR)" -> "withdrawalamtinr")
+const headerKey = (v) => safeText(v).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ref / narration -> comparable token ("UPI/4021-77AB" -> "402177AB")
+const refKey = (v) => safeText(v).toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const MATCH_TYPES = {
+  SUPPLIER_PAYMENT: "SUPPLIER_PAYMENT",
+  CUSTOMER_PAYMENT: "CUSTOMER_PAYMENT",
+};
+
+// first header that matches wins, so more specific names go first
+const COLUMN_ALIASES = {
+  txn_date: ["txndate", "transactiondate", "trandate", "date", "valuedate", "postingdate"],
+  description: ["description", "narration", "particulars", "transactionremarks", "remarks", "details"],
+  ref_no: ["chqrefno", "refnochequeno", "chequeno", "chqno", "refno", "reference", "referenceno", "utr", "utrno"],
+  debit: ["withdrawalamt", "withdrawalamount", "withdrawal", "withdrawals", "debitamount", "debit", "dr"],
+  credit: ["depositamt", "depositamount", "deposit", "deposits", "creditamount", "credit", "cr"],
+  amount: ["amount", "txnamount", "transactionamount"],
+  drcr: ["drcr", "crdr", "type", "txntype"],
+  balance: ["closingbalance", "balance", "runningbalance"],
+};
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * Bank dates: Date cells, Excel serials, dd/mm/yyyy, dd-MMM-yy, yyyy-mm-dd.
+ * Returns "YYYY-MM-DD" or null.
+ */
+function parseBankDate(v) {
+  if (v instanceof Date && !isNaN(v.getTime())) {
+    return `${v.getFullYear()}-${pad2(v.getMonth() + 1)}-${pad2(v.getDate())}`;
+  }
+  if (typeof v === "number" && v > 20000 && v < 80000) {
+    const d = XLSX.SSF.parse_date_code(v);
+    return d ? `${d.y}-${pad2(d.m)}-${pad2(d.d)}` : null;
+  }
+
+  const s = safeText(v);
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) return `${m[1]}-${pad2(m[2])}-${pad2(m[3])}`;
+
+  m = s.match(/^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/. ](\d{2,4})/);
+  if (m && MONTHS[m[2].toLowerCase()]) {
+    const y = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${y}-${pad2(MONTHS[m[2].toLowerCase()])}-${pad2(m[1])}`;
+  }
+
+  // Indian statements: day first
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (m) {
+    const y = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${y}-${pad2(m[2])}-${pad2(m[1])}`;
+  }
+  return null;
+}
+
+// "1,250.00 Dr" / "(500)" / "" -> number
+function parseAmount(v) {
+  if (typeof v === "number") return v;
+  const s = safeText(v).replace(/,/g, "").replace(/(dr|cr|inr|rs\.?)/gi, "").trim();
+  if (!s) return 0;
+  const neg = /^\(.*\)$/.test(s);
+  const n = num(s.replace(/[()]/g, ""));
+  return neg ? -n : n;
+}
+
+// UPI refs are 12 digits; NEFT/IMPS/RTGS carry an alphanumeric UTR after the channel name
+function refFromDescription(desc) {
+  const s = safeText(desc).toUpperCase();
+  let m = s.match(/(?:NEFT|RTGS|IMPS)[\s/:-]*([A-Z0-9]{10,22})/);
+  if (m) return m[1];
+  m = s.match(/\b(\d{12})\b/);
+  if (m) return m[1];
+  return null;
+}
+
+function findHeaderRow(grid) {
+  const has = (keys, field) => keys.some((k) => COLUMN_ALIASES[field].includes(k));
+  for (let i = 0; i < Math.min(grid.length, 40); i++) {
+    const keys = (grid[i] || []).map(headerKey);
+    if (has(keys, "txn_date") && (has(keys, "debit") || has(keys, "credit") || has(keys, "amount"))) return i;
+  }
+  return -1;
+}
+
+function columnMap(headerRow) {
+  const keys = headerRow.map(headerKey);
+  const out = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    for (const a of aliases) {
+      const idx = keys.indexOf(a);
+      if (idx >= 0 && !Object.values(out).includes(idx)) {
+        out[field] = idx;
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse a bank statement CSV/XLSX buffer.
+ * Preamble rows (account details) above the header are skipped; so are opening/closing balance rows.
+ * Returns { lines: [{ row_no, txn_date, description, ref_no, debit, credit, balance, dedupe_key }], errors }
+ */
+function parseStatement(buffer) {
+  // CSV: keep cells as text, xlsx would read 02/10/26 month-first
+  const isText = !(buffer[0] === 0x50 && buffer[1] === 0x4b) && !(buffer[0] === 0xd0 && buffer[1] === 0xcf);
+  const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true, raw: isText });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "", raw: true });
+
+  const headerIdx = findHeaderRow(grid);
+  if (headerIdx < 0) {
+    const err = new Error("Could not find the header row (need a Date column and Debit/Credit or Amount columns)");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const col = columnMap(grid[headerIdx]);
+  const cell = (row, field) => (col[field] === undefined ? "" : row[col[field]]);
+
+  const lines = [];
+  const errors = [];
+  const occurrences = new Map(); // same-day identical rows -> running count
+
+  for (let i = headerIdx + 1; i < grid.length; i++) {
+    const row = grid[i] || [];
+    const rowNo = i + 1;
+    if (!row.some((c) => safeText(c) !== "")) continue;
+
+    const txn_date = parseBankDate(cell(row, "txn_date"));
+    if (!txn_date) {
+      // footer / "Opening Balance" rows have no usable date
+      if (safeText(cell(row, "txn_date"))) errors.push({ row: rowNo, error: "Unreadable date" });
+      continue;
+    }
+
+    let debit = Math.abs(parseAmount(cell(row, "debit")));
+    let credit = Math.abs(parseAmount(cell(row, "credit")));
+
+    if (!debit && !credit && col.amount !== undefined) {
+      const amt = parseAmount(cell(row, "amount"));
+      const side = safeText(cell(row, "drcr")).toUpperCase() || safeText(cell(row, "amount")).toUpperCase();
+      if (/\bDR?\b|DEBIT/.test(side) || amt < 0) debit = Math.abs(amt);
+      else credit = Math.abs(amt);
+    }
+
+    debit = round2(debit);
+    credit = round2(credit);
+    if (!debit && !credit) continue;
+
+    const description = safeText(cell(row, "description")).slice(0, 255) || null;
+    const ref_no = (safeText(cell(row, "ref_no")) || refFromDescription(description) || "").slice(0, 80) || null;
+    const balanceRaw = cell(row, "balance");
+    const balance = safeText(balanceRaw) === "" ? null : round2(parseAmount(balanceRaw));
+
+    // two genuine same-day rows (e.g. two equal UPI receipts) differ by running balance,
+    // or failing that by their position among identical rows of that date
+    const base = [txn_date, debit.toFixed(2), credit.toFixed(2), refKey(ref_no), refKey(description).slice(0, 80)];
+    const seq = (occurrences.get(base.join("|")) || 0) + 1;
+    occurrences.set(base.join("|"), seq);
+    const position = balance === null ? `#${seq}` : `B${balance.toFixed(2)}`;
+
+    lines.push({
+      row_no: rowNo,
+      txn_date,
+      description,
+      ref_no,
+      debit,
+      credit,
+      balance,
+      dedupe_key: [...base.slice(0, 3), position, ...base.slice(3)].join("|").slice(0, 191),
+    });
+  }
+
+  return { lines, errors };
+}
+
+const addDays = (iso, days) => {
+  const d = new Date(`${iso}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+
+const dayDiff = (a, b) =>
+  Math.round(Math.abs(new Date(`${a}T00:00:00`).getTime() - new Date(`${String(b).slice(0, 10)}T00:00:00`).getTime()) / 86400000);
+
+/**
+ * Payments already tied to a statement line (suggested or confirmed): Set("TYPE:id")
+ */
+async function takenPayments({ exceptLineIds = [], t } = {}) {
+  const rows = await BankStatementLine.findAll({
+    where: {
+      match_status: { [Op.in]: ["suggested", "confirmed"] },
+      ...(exceptLineIds.length ? { id: { [Op.notIn]: exceptLineIds } } : {}),
+    },
+    attributes: ["match_type", "match_id"],
+    raw: true,
+    transaction: t,
+  });
+  return new Set(rows.map((r) => `${r.match_type}:${num(r.match_id)}`));
+}
+
+/**
+ * A payment is being deleted: statement lines tied to it go back to unmatched.
+ */
+async function unmatchPayment({ match_type, match_id, t }) {
+  const [count] = await BankStatementLine.update(
+    {
+      match_status: "unmatched",
+      match_type: null,
+      match_id: null,
+      match_score: null,
+      matched_by: null,
+      matched_at: null,
+    },
+    { where: { match_type, match_id }, transaction: t }
+  );
+  return count;
+}
+
+/**
+ * 0-100: amount must agree; ref found in the bank line = 60, date closeness up to 30.
+ */
+function scoreCandidate(line, payment, windowDays) {
+  const lineRefs = `${refKey(line.ref_no)}|${refKey(line.description)}`;
+  const payRef = refKey(payment.ref_no);
+  const refHit = payRef.length >= 4 && lineRefs.includes(payRef);
+
+  const days = dayDiff(line.txn_date, payment.payment_date);
+  const dateScore = Math.max(0, Math.round(30 * (1 - days / (windowDays + 1))));
+
+  return { score: 10 + (refHit ? 60 : 0) + dateScore, ref_match: refHit, day_gap: days };
+}
+
+/**
+ * Candidate payments for one bank line.
+ * Withdrawals look at supplier payments, deposits at customer receipts (non-cash, same amount).
+ * A ref hit outside the date window still counts (cheques clear late).
+ */
+async function findCandidates(line, { windowDays = config.bankReconciliation.matchWindowDays, taken = null, t } = {}) {
+  const isDebit = num(line.debit) > 0;
+  const amount = round2(isDebit ? line.debit : line.credit);
+  if (amount <= 0) return [];
+
+  const Model = isDebit ? SupplierPayment : CustomerPayment;
+  const type = isDebit ? MATCH_TYPES.SUPPLIER_PAYMENT : MATCH_TYPES.CUSTOMER_PAYMENT;
+
+  const refs = [refKey(line.ref_no), refFromDescription(line.description)].filter((r) => r && r.length >= 4);
+
+  const payments = await Model.findAll({
+    where: {
+      amount,
+      mode: { [Op.ne]: "CASH" },
+      [Op.or]: [
+        { payment_date: { [Op.between]: [addDays(line.txn_date, -windowDays), addDays(line.txn_date, windowDays)] } },
+        ...(refs.length ? [{ ref_no: { [Op.in]: refs } }] : []),
+      ],
+    },
+    include: isDebit
+      ? [{ model: Supplier, as: "supplier", attributes: ["id", "name"], required: false }]
+      : [
+          { model: School, as: "school", attributes: ["id", "name"], required: false },
+          { model: Distributor, as: "distributor", attributes: ["id", "name"], required: false },
+        ],
+    order: [["payment_date", "ASC"], ["id", "ASC"]],
+    limit: 50,
+    transaction: t,
+  });
+
+  return payments
+    .filter((p) => !taken || !taken.has(`${type}:${num(p.id)}`))
+    .map((p) => {
+      const s = scoreCandidate(line, p, windowDays);
+      const party = isDebit
+        ? p.supplier?.name
+        : p.customer_type === "DISTRIBUTOR"
+          ? p.distributor?.name
+          : p.school?.name;
+      return {
+        match_type: type,
+        match_id: num(p.id),
+        payment_no: p.payment_no || null,
+        payment_date: p.payment_date,
+        amount: round2(p.amount),
+        mode: p.mode,
+        ref_no: p.ref_no || null,
+        party: party || null,
+        ...s,
+      };
+    })
+    .filter((c) => c.ref_match || c.day_gap <= windowDays)
+    .sort((a, z) => z.score - a.score || a.day_gap - z.day_gap);
+}
+
+/**
+ * Auto-match unmatched lines. A line gets a suggestion when the best candidate has a ref hit,
+ * or is the only payment of that amount in the window; otherwise it stays flagged unmatched.
+ * Each payment is suggested to one line at most.
+ * Returns { suggested, unmatched }
+ */
+async function autoMatch(lines, { windowDays = config.bankReconciliation.matchWindowDays, t } = {}) {
+  const taken = await takenPayments({ exceptLineIds: lines.map((l) => num(l.id)), t });
+  let suggested = 0;
+
+  // ref hits first so an amount-only guess can't steal their payment
+  const scored = [];
+  for (const line of lines) {
+    const candidates = await findCandidates(line, { windowDays, taken, t });
+    scored.push({ line, candidates });
+  }
+  scored.sort((a, z) => (z.candidates[0]?.score || 0) - (a.candidates[0]?.score || 0));
+
+  for (const { line, candidates } of scored) {
+    const open = candidates.filter((c) => !taken.has(`${c.match_type}:${c.match_id}`));
+    const best = open[0];
+    const sure = best && (best.ref_match || open.length === 1);
+
+    if (!sure) {
+      if (line.match_status !== "unmatched") {
+        await line.update({ match_status: "unmatched", match_type: null, match_id: null, match_score: null }, { transaction: t });
+      }
+      continue;
+    }
+
+    taken.add(`${best.match_type}:${best.match_id}`);
+    await line.update(
+      { match_status: "suggested", match_type: best.match_type, match_id: best.match_id, match_score: best.score },
+      { transaction: t }
+    );
+    suggested += 1;
+  }
+
+  return { suggested, unmatched: lines.length - suggested };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  parseStatement,
+  parseBankDate,
+  takenPayments,
+  unmatchPayment,
+  findCandidates,
+  autoMatch,
+};
@@ -0,0 +1,224 @@
+"use strict";
+
+const { Op, fn, col, where: sqlWhere } = require("sequelize");
+const { Book } = require("../models");
+
+/* ============================================================
+ * Encoders (no external dependency; drawn with pdfkit rects)
+ * ============================================================ */
+
+// Code 128 symbol widths (bar, space, bar, space, bar, space), values 0..106
+const CODE128_PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232", "2331112",
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+/**
+ * Code 128 (subset C for even-length digits, else subset B).
+ * Returns module widths alternating bar/space, starting with a bar.
+ */
+function encodeCode128(text) {
+  const s = String(text ?? "");
+  if (!s) throw new Error("Nothing to encode");
+
+  const values = [];
+  if (/^\d+$/.test(s) && s.length % 2 === 0) {
+    values.push(CODE128_START_C);
+    for (let i = 0; i < s.length; i += 2) values.push(Number(s.slice(i, i + 2)));
+  } else {
+    values.push(CODE128_START_B);
+    for (const ch of s) {
+      const code = ch.charCodeAt(0);
+      if (code < 32 || code > 127) throw new Error(`Character not supported in Code128-B: ${ch}`);
+      values.push(code - 32);
+    }
+  }
+
+  const checksum = values.reduce((sum, v, i) => sum + v * (i === 0 ? 1 : i), 0) % 103;
+  values.push(checksum, CODE128_STOP);
+
+  const widths = [];
+  for (const v of values) for (const w of CODE128_PATTERNS[v]) widths.push(Number(w));
+  return widths;
+}
+
+const EAN_L = ["0001101", "0011001", "0010011", "0111101", "0100011", "0110001", "0101111", "0111011", "0110111", "0001011"];
+const EAN_G = ["0100111", "0110011", "0011011", "0100001", "0011101", "0111001", "0000101", "0010001", "0001001", "0010111"];
+const EAN_R = ["1110010", "1100110", "1101100", "1000010", "1011100", "1001110", "1010000", "1000100", "1001000", "1110100"];
+const EAN_PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL"];
+
+function ean13CheckDigit(first12) {
+  const sum = String(first12)
+    .split("")
+    .reduce((s, d, i) => s + Number(d) * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+function isValidEan13(v) {
+  const s = String(v ?? "");
+  return /^\d{13}$/.test(s) && ean13CheckDigit(s.slice(0, 12)) === Number(s[12]);
+}
+
+/**
+ * ISBN-10 / ISBN-13 (with or without hyphens) -> EAN-13 digits, or null
+ */
+function isbnToEan13(isbn) {
+  const s = String(isbn ?? "").replace(/[\s-]/g, "").toUpperCase();
+  if (isValidEan13(s)) return s;
+  if (/^\d{9}[\dX]$/.test(s)) {
+    const first12 = "978" + s.slice(0, 9);
+    return first12 + ean13CheckDigit(first12);
+  }
+  return null;
+}
+
+/**
+ * EAN-13 as a 95-module bit string (1 = bar)
+ */
+function encodeEan13(digits) {
+  const s = String(digits);
+  if (!isValidEan13(s)) throw new Error(`Invalid EAN-13: ${s}`);
+
+  const parity = EAN_PARITY[Number(s[0])];
+  let bits = "101";
+  for (let i = 1; i <= 6; i++) bits += (parity[i - 1] === "L" ? EAN_L : EAN_G)[Number(s[i])];
+  bits += "01010";
+  for (let i = 7; i <= 12; i++) bits += EAN_R[Number(s[i])];
+  bits += "101";
+  return bits;
+}
+
+/* ============================================================
+ * Label value per book
+ * ============================================================ */
+
+/**
+ * What we print for a book:
+ * - EAN-13 from ISBN when it is a valid ISBN
+ * - else Code128 of Book.code
+ * - else Code128 "BK<id>" (internal fallback, still scannable)
+ */
+function barcodeForBook(book) {
+  const ean = isbnToEan13(book?.isbn);
+  if (ean) return { symbology: "EAN13", value: ean };
+
+  const code = String(book?.code ?? "").trim();
+  if (code) return { symbology: "CODE128", value: code };
+
+  return { symbology: "CODE128", value: `BK${book.id}` };
+}
+
+/**
+ * Draw a barcode into a pdfkit doc inside the given box (bars only).
+ */
+function drawBarcode(doc, { symbology, value }, { x, y, width, height }) {
+  if (symbology === "EAN13") {
+    const bits = encodeEan13(value);
+    const module = width / bits.length;
+    for (let i = 0; i < bits.length; i++) {
+      if (bits[i] === "1") doc.rect(x + i * module, y, module, height).fill("#000");
+    }
+    return;
+  }
+
+  // 10-module quiet zone on both sides
+  const widths = encodeCode128(value);
+  const total = widths.reduce((s, w) => s + w, 0) + 20;
+  const module = width / total;
+
+  let cx = x + 10 * module;
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) doc.rect(cx, y, w * module, height).fill("#000");
+    cx += w * module;
+  });
+}
+
+/* ============================================================
+ * Scan resolution
+ * ============================================================ */
+
+function normalizeScanCode(v) {
+  return String(v ?? "").trim().replace(/\s+/g, "").toUpperCase();
+}
+
+/**
+ * Resolve scanned codes (ISBN / EAN / Book.code / BK<id>) to books.
+ * Returns { counts: Map(book_id => qty), books: Map(book_id => Book), unknown: [{ code, qty }] }
+ */
+async function resolveScannedCodes(codes, t) {
+  const scanCounts = new Map();
+  for (const raw of codes || []) {
+    const code = normalizeScanCode(raw);
+    if (code) scanCounts.set(code, (scanCounts.get(code) || 0) + 1);
+  }
+
+  const distinct = Array.from(scanCounts.keys());
+  const counts = new Map();
+  const unknown = [];
+  if (!distinct.length) return { counts, books: new Map(), unknown };
+
+  const ids = distinct.map((c) => (/^BK\d+$/.test(c) ? Number(c.slice(2)) : null)).filter(Boolean);
+  const digits = distinct.map((c) => c.replace(/-/g, "")).filter((c) => /^\d{10,13}$|^\d{9}X$/.test(c));
+  const isbnVariants = new Set(digits);
+  for (const d of digits) {
+    const ean = isbnToEan13(d);
+    if (ean) isbnVariants.add(ean);
+  }
+
+  const orParts = [{ code: { [Op.in]: distinct } }];
+  if (ids.length) orParts.push({ id: { [Op.in]: ids } });
+  if (isbnVariants.size) {
+    orParts.push(sqlWhere(fn("REPLACE", col("isbn"), "-", ""), { [Op.in]: Array.from(isbnVariants) }));
+  }
+
+  const books = await Book.findAll({
+    where: { [Op.or]: orParts },
+    attributes: ["id", "title", "class_name", "code", "isbn", "mrp", "rate", "selling_price"],
+    transaction: t,
+  });
+
+  const byKey = new Map();
+  for (const b of books) {
+    byKey.set(`BK${b.id}`, b);
+    if (b.code) byKey.set(normalizeScanCode(b.code), b);
+    const ean = isbnToEan13(b.isbn);
+    if (ean) byKey.set(ean, b);
+  }
+
+  const bookMap = new Map();
+  for (const [code, qty] of scanCounts.entries()) {
+    const b = byKey.get(code) || byKey.get(isbnToEan13(code) || "");
+    if (!b) {
+      unknown.push({ code, qty });
+      continue;
+    }
+    bookMap.set(Number(b.id), b);
+    counts.set(Number(b.id), (counts.get(Number(b.id)) || 0) + qty);
+  }
+
+  return { counts, books: bookMap, unknown };
+}
+
+module.exports = {
+  encodeCode128,
+  encodeEan13,
+  isValidEan13,
+  isbnToEan13,
+  barcodeForBook,
+  drawBarcode,
+  normalizeScanCode,
+  resolveScannedCodes,
+};
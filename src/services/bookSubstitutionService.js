@@ -0,0 +1,524 @@
+"use strict";
+
+const {
+  SchoolBookRequirement,
+  SchoolOrder,
+  SchoolOrderItem,
+  SchoolRequirementOrderLink,
+  Bundle,
+  BundleItem,
+  Product,
+  BookSubstitution,
+} = require("../models");
+const { linkedRequirementIds } = require("./requirementRevisionService");
+const { loadRequirementsByBook, rebuildItemLinks } = require("./orderLinkService");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const keyOf = (school_id, session) => `${num(school_id)}|${session || ""}`;
+
+// same pick as bundle pricing: rate -> selling_price -> mrp
+const pickSalePrice = (book) => {
+  const r = num(book.rate);
+  if (r > 0) return r;
+  const sp = num(book.selling_price);
+  if (sp > 0) return sp;
+  const mrp = num(book.mrp);
+  return mrp > 0 ? mrp : 0;
+};
+
+/* ---------- Requirements (draft only) ---------- */
+
+async function planRequirements({ oldBook, newBook, school_id, academic_session, t, lock }) {
+  const where = { book_id: oldBook.id };
+  if (school_id) where.school_id = school_id;
+  if (academic_session) where.academic_session = academic_session;
+
+  const rows = await SchoolBookRequirement.findAll({ where, transaction: t, ...lock });
+  const drafts = rows.filter((r) => r.status === "draft");
+
+  const targets = drafts.length
+    ? await SchoolBookRequirement.findAll({
+        where: {
+          book_id: newBook.id,
+          school_id: [...new Set(drafts.map((r) => num(r.school_id)))],
+        },
+        transaction: t,
+        ...lock,
+      })
+    : [];
+  const targetByKey = new Map(targets.map((r) => [keyOf(r.school_id, r.academic_session), r]));
+
+  const lines = [];
+  const skipped = [];
+
+  for (const r of drafts) {
+    const base = {
+      requirement_id: num(r.id),
+      school_id: num(r.school_id),
+      academic_session: r.academic_session || null,
+      required_copies: num(r.required_copies),
+    };
+
+    if (r.is_locked) {
+      skipped.push({ ...base, reason: "Requirement is locked" });
+      continue;
+    }
+
+    const target = targetByKey.get(keyOf(r.school_id, r.academic_session));
+    if (!target) {
+      lines.push({ ...base, action: "swap", row: r });
+      continue;
+    }
+    if (target.status !== "draft" || target.is_locked) {
+      skipped.push({
+        ...base,
+        reason: `New edition already on this list (${target.status}${target.is_locked ? ", locked" : ""})`,
+      });
+      continue;
+    }
+    lines.push({
+      ...base,
+      action: "merge",
+      into_requirement_id: num(target.id),
+      into_copies: num(target.required_copies) + num(r.required_copies),
+      row: r,
+      target,
+    });
+  }
+
+  const not_draft = rows
+    .filter((r) => r.status !== "draft")
+    .map((r) => ({ requirement_id: num(r.id), school_id: num(r.school_id), status: r.status }));
+
+  return { lines, skipped, not_draft };
+}
+
+async function applyRequirements({ lines, oldBook, newBook, t }) {
+  const mergedIds = lines.filter((l) => l.action === "merge").map((l) => l.requirement_id);
+  const linked = await linkedRequirementIds(mergedIds, t);
+
+  for (const l of lines) {
+    if (l.action === "swap") {
+      const values = { book_id: newBook.id };
+      // requirement followed the old book's supplier -> follow the new one
+      if (newBook.supplier_id && num(l.row.supplier_id) === num(oldBook.supplier_id)) {
+        values.supplier_id = newBook.supplier_id;
+      }
+      await l.row.update(values, { transaction: t });
+      continue;
+    }
+
+    await l.target.update({ required_copies: l.into_copies }, { transaction: t });
+    if (linked.has(l.requirement_id)) {
+      await l.row.update({ required_copies: 0 }, { transaction: t });
+      l.old_row = "zeroed";
+    } else {
+      await l.row.destroy({ transaction: t });
+      l.old_row = "deleted";
+    }
+  }
+}
+
+/* ---------- Order items (draft orders only) ---------- */
+
+async function planOrderItems({ oldBook, newBook, school_id, academic_session, movingRequirementIds = [], t, lock }) {
+  const orderWhere = {};
+  if (school_id) orderWhere.school_id = school_id;
+  if (academic_session) orderWhere.academic_session = academic_session;
+
+  const items = await SchoolOrderItem.findAll({
+    where: { book_id: oldBook.id },
+    include: [{ model: SchoolOrder, as: "order", where: orderWhere, required: true }],
+    transaction: t,
+    ...lock,
+  });
+
+  const draftItems = items.filter((it) => it.order?.status === "draft");
+
+  // ✅ a line moves only together with every requirement linked to it; a line fed by
+  // the school's confirmed list for that session stays until that list is back in draft
+  const links = draftItems.length
+    ? await SchoolRequirementOrderLink.findAll({
+        where: { school_order_item_id: draftItems.map((it) => num(it.id)) },
+        attributes: ["school_order_item_id", "requirement_id"],
+        raw: true,
+        transaction: t,
+      })
+    : [];
+  const linksByItem = new Map();
+  for (const l of links) {
+    const itemId = num(l.school_order_item_id);
+    if (!linksByItem.has(itemId)) linksByItem.set(itemId, new Set());
+    linksByItem.get(itemId).add(num(l.requirement_id));
+  }
+
+  const schoolIds = [...new Set(draftItems.map((it) => num(it.order.school_id)).filter(Boolean))];
+  const confirmed = schoolIds.length
+    ? await SchoolBookRequirement.findAll({
+        where: { book_id: oldBook.id, status: "confirmed", school_id: schoolIds },
+        attributes: ["school_id", "academic_session"],
+        raw: true,
+        transaction: t,
+      })
+    : [];
+  const confirmedKeys = new Set(confirmed.map((r) => keyOf(r.school_id, r.academic_session)));
+
+  const targets = draftItems.length
+    ? await SchoolOrderItem.findAll({
+        where: { book_id: newBook.id, school_order_id: draftItems.map((it) => num(it.school_order_id)) },
+        transaction: t,
+        ...lock,
+      })
+    : [];
+  const targetByOrder = new Map(targets.map((it) => [num(it.school_order_id), it]));
+
+  const moving = new Set(movingRequirementIds.map(num));
+
+  const blockReason = (it) => {
+    if (it.order.supplier_id && newBook.supplier_id && num(it.order.supplier_id) !== num(newBook.supplier_id)) {
+      return "Order is for another supplier than the new edition";
+    }
+    if (confirmedKeys.has(keyOf(it.order.school_id, it.order.academic_session))) {
+      return "Fed by a confirmed requirement of the old edition; return it to draft and substitute both";
+    }
+    if ([...(linksByItem.get(num(it.id)) || [])].some((id) => !moving.has(id))) {
+      return "Linked to a requirement that is not substituted in this run";
+    }
+    return null;
+  };
+
+  // a line that stays holds its linked requirements back too, which can block other lines
+  const blocked = new Map(); // order item id -> reason
+  const held = new Set(); // requirement ids that must stay on the old edition
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (const it of draftItems) {
+      if (blocked.has(num(it.id))) continue;
+      const reason = blockReason(it);
+      if (!reason) continue;
+
+      blocked.set(num(it.id), reason);
+      for (const id of linksByItem.get(num(it.id)) || []) {
+        if (moving.delete(id)) {
+          held.add(id);
+          changed = true;
+        }
+      }
+    }
+  }
+
+  const lines = [];
+  const skipped = [];
+
+  for (const it of draftItems) {
+    const base = {
+      order_item_id: num(it.id),
+      order_id: num(it.school_order_id),
+      order_no: it.order.order_no,
+      school_id: it.order.school_id ? num(it.order.school_id) : null,
+      total_order_qty: num(it.total_order_qty),
+    };
+
+    if (blocked.has(num(it.id))) {
+      skipped.push({ ...base, reason: blocked.get(num(it.id)) });
+      continue;
+    }
+
+    const linked = [...(linksByItem.get(num(it.id)) || [])];
+    const target = targetByOrder.get(num(it.school_order_id));
+    if (!target) {
+      lines.push({ ...base, action: "swap", linked_requirement_ids: linked, item: it });
+    } else {
+      lines.push({
+        ...base,
+        action: "merge",
+        linked_requirement_ids: linked,
+        into_order_item_id: num(target.id),
+        into_qty: num(target.total_order_qty) + num(it.total_order_qty),
+        item: it,
+        target,
+      });
+    }
+  }
+
+  const not_draft = items
+    .filter((it) => it.order?.status !== "draft")
+    .map((it) => ({ order_id: num(it.school_order_id), order_no: it.order.order_no, status: it.order.status }));
+
+  return { lines, skipped, not_draft, held: [...held] };
+}
+
+/**
+ * Re-point a line's links at the requirements after they moved to the new edition
+ * (a merged requirement now lives on its target row).
+ */
+async function relinkOrderItem({ item, requirementIds, requirementLines, t }) {
+  const movedTo = new Map(
+    requirementLines.map((l) => [l.requirement_id, l.action === "merge" ? l.into_requirement_id : l.requirement_id])
+  );
+  const current = await SchoolRequirementOrderLink.findAll({
+    where: { school_order_item_id: item.id },
+    attributes: ["requirement_id"],
+    raw: true,
+    transaction: t,
+  });
+  const ids = [
+    ...new Set([...requirementIds.map((id) => movedTo.get(id) || id), ...current.map((r) => num(r.requirement_id))]),
+  ];
+
+  const reqByBook = await loadRequirementsByBook({ requirement_ids: ids, status: null, t });
+  await rebuildItemLinks({ items: [item], reqByBook, t });
+}
+
+async function applyOrderItems({ lines, newBook, requirementLines, t }) {
+  for (const l of lines) {
+    const relink = l.linked_requirement_ids.length > 0;
+
+    if (l.action === "swap") {
+      // commercial fields belonged to the old edition
+      await l.item.update(
+        {
+          book_id: newBook.id,
+          unit_price: null,
+          discount_pct: null,
+          discount_amt: null,
+          net_unit_price: null,
+          line_amount: null,
+        },
+        { transaction: t }
+      );
+      if (relink) await relinkOrderItem({ item: l.item, requirementIds: l.linked_requirement_ids, requirementLines, t });
+      continue;
+    }
+
+    await l.target.update({ total_order_qty: l.into_qty }, { transaction: t });
+    await SchoolRequirementOrderLink.destroy({
+      where: { school_order_item_id: l.order_item_id },
+      transaction: t,
+    });
+    await l.item.destroy({ transaction: t });
+    if (relink) await relinkOrderItem({ item: l.target, requirementIds: l.linked_requirement_ids, requirementLines, t });
+  }
+}
+
+/* ---------- Bundle items + products ---------- */
+
+async function planBundleItems({ oldBook, newBook, school_id, academic_session, t, lock }) {
+  const oldProduct = await Product.findOne({ where: { type: "BOOK", book_id: oldBook.id }, transaction: t, ...lock });
+  const newProduct = await Product.findOne({ where: { type: "BOOK", book_id: newBook.id }, transaction: t, ...lock });
+
+  const lines = [];
+  if (!oldProduct) return { oldProduct, newProduct, lines };
+
+  const bundleWhere = { is_active: true };
+  if (school_id) bundleWhere.school_id = school_id;
+  if (academic_session) bundleWhere.academic_session = academic_session;
+
+  const items = await BundleItem.findAll({
+    where: { product_id: oldProduct.id },
+    include: [{ model: Bundle, as: "bundle", where: bundleWhere, required: true, attributes: ["id", "name", "school_id"] }],
+    transaction: t,
+    ...lock,
+  });
+
+  const targets =
+    newProduct && items.length
+      ? await BundleItem.findAll({
+          where: { product_id: newProduct.id, bundle_id: items.map((it) => num(it.bundle_id)) },
+          transaction: t,
+          ...lock,
+        })
+      : [];
+  const targetByBundle = new Set(targets.map((it) => num(it.bundle_id)));
+
+  for (const it of items) {
+    lines.push({
+      bundle_item_id: num(it.id),
+      bundle_id: num(it.bundle_id),
+      bundle_name: it.bundle?.name || null,
+      qty: num(it.qty),
+      // new edition already in the bundle -> keep that line, drop the old one
+      action: targetByBundle.has(num(it.bundle_id)) ? "drop" : "swap",
+      item: it,
+    });
+  }
+
+  return { oldProduct, newProduct, lines };
+}
+
+async function applyBundleItems({ lines, oldProduct, newProduct, newBook, reprice, t }) {
+  let product = newProduct;
+  let created = false;
+
+  if (!product && lines.some((l) => l.action === "swap")) {
+    product = await Product.create(
+      {
+        type: "BOOK",
+        book_id: newBook.id,
+        category_id: oldProduct.category_id || null,
+        uom: oldProduct.uom || "PCS",
+        is_active: true,
+      },
+      { transaction: t }
+    );
+    created = true;
+  }
+
+  for (const l of lines) {
+    if (l.action === "drop") {
+      await l.item.destroy({ transaction: t });
+      continue;
+    }
+    const values = { product_id: product.id };
+    if (reprice) {
+      values.mrp = num(newBook.mrp);
+      values.sale_price = pickSalePrice(newBook);
+    }
+    await l.item.update(values, { transaction: t });
+  }
+
+  return { product, created };
+}
+
+const view = (lines, drop) => lines.map((l) => Object.fromEntries(Object.entries(l).filter(([k]) => !drop.includes(k))));
+
+/**
+ * Preview (apply = false) or apply the swap old book -> new book across
+ * draft requirements, draft school order items, active bundle items and the BOOK products.
+ * Order lines and their linked requirements move together or not at all, never half-swapped.
+ * Applying writes a BookSubstitution audit row.
+ */
+async function substituteBook({
+  oldBook,
+  newBook,
+  school_id = null,
+  academic_session = null,
+  reprice = true,
+  deactivate_old_product = true,
+  deactivate_old_book = false,
+  note = null,
+  apply = false,
+  userId = null,
+  t,
+}) {
+  const lock = apply && t ? { lock: t.LOCK.UPDATE } : {};
+  const scope = { oldBook, newBook, school_id, academic_session, t, lock };
+
+  const requirements = await planRequirements(scope);
+  const orders = await planOrderItems({
+    ...scope,
+    movingRequirementIds: requirements.lines.map((l) => l.requirement_id),
+  });
+  const bundles = await planBundleItems(scope);
+
+  // requirements linked to an order line that stays keep the old edition as well
+  const held = new Set(orders.held);
+  requirements.lines = requirements.lines.filter((l) => {
+    if (!held.has(l.requirement_id)) return true;
+    const { requirement_id, school_id: sid, academic_session: session, required_copies } = l;
+    requirements.skipped.push({
+      requirement_id,
+      school_id: sid,
+      academic_session: session,
+      required_copies,
+      reason: "Linked to a draft order line that stays on the old edition",
+    });
+    return false;
+  });
+
+  const products = {
+    old_product_id: bundles.oldProduct ? num(bundles.oldProduct.id) : null,
+    new_product_id: bundles.newProduct ? num(bundles.newProduct.id) : null,
+    create_new_product: !bundles.newProduct && bundles.lines.some((l) => l.action === "swap"),
+    deactivate_old_product: Boolean(deactivate_old_product && bundles.oldProduct?.is_active),
+    deactivate_old_book: Boolean(deactivate_old_book && oldBook.is_active),
+  };
+
+  let audit = null;
+
+  if (apply) {
+    await applyRequirements({ lines: requirements.lines, oldBook, newBook, t });
+    await applyOrderItems({ lines: orders.lines, newBook, requirementLines: requirements.lines, t });
+
+    if (bundles.oldProduct) {
+      const { product, created } = await applyBundleItems({
+        lines: bundles.lines,
+        oldProduct: bundles.oldProduct,
+        newProduct: bundles.newProduct,
+        newBook,
+        reprice,
+        t,
+      });
+      if (product) products.new_product_id = num(product.id);
+      products.create_new_product = created;
+
+      // only retire the old product when nothing outside the scope still uses it
+      if (products.deactivate_old_product) {
+        const stillUsed = await BundleItem.count({ where: { product_id: bundles.oldProduct.id }, transaction: t });
+        if (stillUsed) products.deactivate_old_product = false;
+        else await bundles.oldProduct.update({ is_active: false }, { transaction: t });
+      }
+    }
+
+    if (products.deactivate_old_book) await oldBook.update({ is_active: false }, { transaction: t });
+  }
+
+  const result = {
+    old_book: { id: num(oldBook.id), title: oldBook.title, edition: oldBook.edition || null, isbn: oldBook.isbn || null },
+    new_book: { id: num(newBook.id), title: newBook.title, edition: newBook.edition || null, isbn: newBook.isbn || null },
+    scope: { school_id: school_id || null, academic_session: academic_session || null },
+    requirements: {
+      lines: view(requirements.lines, ["row", "target"]),
+      skipped: requirements.skipped,
+      not_draft: requirements.not_draft,
+    },
+    order_items: {
+      lines: view(orders.lines, ["item", "target"]),
+      skipped: orders.skipped,
+      not_draft: orders.not_draft,
+    },
+    bundle_items: { lines: view(bundles.lines, ["item"]) },
+    products,
+    summary: {
+      requirements: requirements.lines.length,
+      order_items: orders.lines.length,
+      bundle_items: bundles.lines.length,
+      skipped: requirements.skipped.length + orders.skipped.length,
+      not_draft: requirements.not_draft.length + orders.not_draft.length,
+    },
+  };
+
+  if (apply) {
+    audit = await BookSubstitution.create(
+      {
+        old_book_id: oldBook.id,
+        new_book_id: newBook.id,
+        school_id: school_id || null,
+        academic_session: academic_session || null,
+        requirements_changed: requirements.lines.length,
+        order_items_changed: orders.lines.length,
+        bundle_items_changed: bundles.lines.length,
+        products_changed: Number(products.create_new_product) + Number(products.deactivate_old_product),
+        details: {
+          requirements: result.requirements.lines,
+          order_items: result.order_items.lines,
+          bundle_items: result.bundle_items.lines,
+          products,
+        },
+        note: note ? String(note).slice(0, 255) : null,
+        created_by: num(userId) || null,
+      },
+      { transaction: t }
+    );
+  }
+
+  return { ...result, substitution_id: audit ? audit.id : null };
+}
+
+module.exports = {
+  substituteBook,
+};
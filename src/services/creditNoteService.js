@@ -0,0 +1,109 @@
+"use strict";
+
+const { CreditNote, CreditNoteItem, InventoryTxn } = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+// InventoryTxn.ref_type of the original bill / of a return against it
+const SALE_STOCK_REF = {
+  SALE: "SALE",
+  SCHOOL_SALE: "SCHOOL_SALE",
+};
+const CREDIT_NOTE_REF = "CREDIT_NOTE";
+
+async function creditNoteIdsOf(sale_type, sale_id, t) {
+  const rows = await CreditNote.findAll({
+    where: { sale_type, sale_id },
+    attributes: ["id"],
+    transaction: t,
+  });
+  return rows.map((r) => num(r.id));
+}
+
+/**
+ * Copies already put back into stock by credit notes of a bill: Map(batch_id -> qty)
+ */
+async function returnedByBatch({ sale_type, sale_id, t }) {
+  const out = new Map();
+  const ids = await creditNoteIdsOf(sale_type, sale_id, t);
+  if (!ids.length) return out;
+
+  const txns = await InventoryTxn.findAll({
+    where: { ref_type: CREDIT_NOTE_REF, ref_id: ids, txn_type: "IN" },
+    transaction: t,
+  });
+  for (const tx of txns) {
+    const batchId = num(tx.batch_id);
+    if (batchId) out.set(batchId, (out.get(batchId) || 0) + num(tx.qty));
+  }
+  return out;
+}
+
+/**
+ * What earlier credit notes already took off each bill line:
+ * Map(sale_item_id -> { qty, restocked_qty, taxable_value, cgst_amount, sgst_amount, igst_amount, amount })
+ */
+async function creditedByLine({ sale_type, sale_id, t }) {
+  const out = new Map();
+  const ids = await creditNoteIdsOf(sale_type, sale_id, t);
+  if (!ids.length) return out;
+
+  const items = await CreditNoteItem.findAll({ where: { credit_note_id: ids }, transaction: t });
+  for (const it of items) {
+    const key = num(it.sale_item_id);
+    const acc = out.get(key) || {
+      qty: 0,
+      restocked_qty: 0,
+      taxable_value: 0,
+      cgst_amount: 0,
+      sgst_amount: 0,
+      igst_amount: 0,
+      amount: 0,
+    };
+    for (const k of Object.keys(acc)) acc[k] = round2(acc[k] + num(it[k]));
+    out.set(key, acc);
+  }
+  return out;
+}
+
+/**
+ * Stock still out for a bill (OUT less earlier returns), per batch of a book.
+ * Latest batch first so returns go back where the copies last came from.
+ * Returns [{ batch_id, book_id, qty }]
+ */
+async function returnableBatches({ sale_type, sale_id, book_id, t }) {
+  const outTxns = await InventoryTxn.findAll({
+    where: { ref_type: SALE_STOCK_REF[sale_type], ref_id: sale_id, txn_type: "OUT", book_id },
+    order: [["id", "DESC"]],
+    transaction: t,
+  });
+
+  const returned = await returnedByBatch({ sale_type, sale_id, t });
+
+  const byBatch = new Map();
+  for (const tx of outTxns) {
+    const batchId = num(tx.batch_id);
+    if (!batchId) continue;
+    byBatch.set(batchId, (byBatch.get(batchId) || 0) + num(tx.qty));
+  }
+
+  const rows = [];
+  for (const [batch_id, qty] of byBatch.entries()) {
+    const left = qty - (returned.get(batch_id) || 0);
+    if (left > 0) rows.push({ batch_id, book_id: num(book_id), qty: left });
+  }
+  return rows;
+}
+
+module.exports = {
+  SALE_STOCK_REF,
+  CREDIT_NOTE_REF,
+  returnedByBatch,
+  creditedByLine,
+  returnableBatches,
+};
@@ -0,0 +1,263 @@
+"use strict";
+
+const { CustomerLedgerTxn, CustomerPaymentAllocation } = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const CUSTOMER_TYPES = ["SCHOOL", "DISTRIBUTOR"];
+
+// Sale kind -> ledger ref_table
+const SALE_REF = {
+  SALE: "sales",
+  SCHOOL_SALE: "school_sales",
+};
+
+/**
+ * Who owes us for this bill (null for walk-in / unknown)
+ */
+function customerOfSale(kind, sale) {
+  if (kind === "SCHOOL_SALE") {
+    return num(sale?.school_id) ? { customer_type: "SCHOOL", customer_id: num(sale.school_id) } : null;
+  }
+
+  const type = String(sale?.sold_to_type || "").toUpperCase();
+  if (!CUSTOMER_TYPES.includes(type) || !num(sale?.sold_to_id)) return null;
+  return { customer_type: type, customer_id: num(sale.sold_to_id) };
+}
+
+/**
+ * Part of sale.paid_amount that came from CustomerPayment allocations
+ * (already in the ledger as RECEIPT, so never counted again as SALE_PAYMENT)
+ */
+async function allocatedToSale(kind, saleId, t) {
+  const total = await CustomerPaymentAllocation.sum("amount", {
+    where: { sale_type: kind, sale_id: saleId },
+    transaction: t,
+  });
+  return round2(total);
+}
+
+function refWhere(cust, kind, sale, txn_type) {
+  return {
+    ...cust,
+    txn_type,
+    ref_table: SALE_REF[kind],
+    ref_id: sale.id,
+  };
+}
+
+/**
+ * ✅ Idempotent: (re)post SALE debit + SALE_PAYMENT credit for a bill.
+ * Only bills with an outstanding balance enter the ledger; once posted
+ * they stay (so later edits to paid_amount still show in the statement).
+ * SALE_PAYMENT = paid_amount less customer-payment allocations.
+ */
+async function syncSaleLedger({ kind, sale, t }) {
+  const cust = customerOfSale(kind, sale);
+  if (!cust || !SALE_REF[kind]) return null;
+  if (String(sale.status).toUpperCase() === "CANCELLED") return null;
+
+  const existing = await CustomerLedgerTxn.findOne({
+    where: refWhere(cust, kind, sale, "SALE"),
+    transaction: t,
+  });
+
+  const total = round2(sale.total_amount);
+  const allocated = await allocatedToSale(kind, sale.id, t);
+  const paid = round2(Math.max(0, Math.min(total, num(sale.paid_amount)) - allocated));
+
+  if (!existing && round2(total - paid) <= 0) return null;
+
+  await CustomerLedgerTxn.destroy({
+    where: refWhere(cust, kind, sale, ["SALE", "SALE_PAYMENT"]),
+    transaction: t,
+  });
+
+  const base = {
+    ...cust,
+    txn_date: sale.sale_date || new Date(),
+    ref_table: SALE_REF[kind],
+    ref_id: sale.id,
+    ref_no: sale.sale_no,
+    created_by: sale.created_by || null,
+  };
+
+  const rows = [{ ...base, txn_type: "SALE", debit: total, credit: 0, narration: `Bill ${sale.sale_no}` }];
+  if (paid > 0) {
+    rows.push({
+      ...base,
+      txn_type: "SALE_PAYMENT",
+      debit: 0,
+      credit: paid,
+      narration: `Paid against bill ${sale.sale_no}`,
+    });
+  }
+
+  return CustomerLedgerTxn.bulkCreate(rows, { transaction: t });
+}
+
+/**
+ * ✅ On cancel: credit back whatever was still outstanding on the bill.
+ * Collections already booked (incl. allocated receipts) stay on the account as an advance;
+ * credit notes already posted their own credit.
+ */
+async function postSaleCancel({ kind, sale, cancelled_by = null, t }) {
+  const cust = customerOfSale(kind, sale);
+  if (!cust || !SALE_REF[kind]) return null;
+
+  const saleRow = await CustomerLedgerTxn.findOne({ where: refWhere(cust, kind, sale, "SALE"), transaction: t });
+  if (!saleRow) return null;
+
+  const paidRow = await CustomerLedgerTxn.findOne({
+    where: refWhere(cust, kind, sale, "SALE_PAYMENT"),
+    transaction: t,
+  });
+
+  await CustomerLedgerTxn.destroy({ where: refWhere(cust, kind, sale, "SALE_CANCEL"), transaction: t });
+
+  const allocated = await allocatedToSale(kind, sale.id, t);
+  const outstanding = round2(
+    num(saleRow.debit) - num(paidRow?.credit) - allocated - num(sale.returned_amount)
+  );
+  if (outstanding <= 0) return null;
+
+  return CustomerLedgerTxn.create(
+    {
+      ...cust,
+      txn_date: new Date(),
+      txn_type: "SALE_CANCEL",
+      ref_table: SALE_REF[kind],
+      ref_id: sale.id,
+      ref_no: sale.sale_no,
+      debit: 0,
+      credit: outstanding,
+      narration: `Bill ${sale.sale_no} cancelled`,
+      created_by: cancelled_by,
+    },
+    { transaction: t }
+  );
+}
+
+/**
+ * Money received from a customer (credit)
+ */
+async function postReceipt({
+  customer_type,
+  customer_id,
+  amount,
+  txn_date = null,
+  ref_table = null,
+  ref_id = null,
+  ref_no = null,
+  narration = null,
+  created_by = null,
+  t,
+}) {
+  return CustomerLedgerTxn.create(
+    {
+      customer_type,
+      customer_id,
+      txn_date: txn_date || new Date(),
+      txn_type: "RECEIPT",
+      ref_table,
+      ref_id,
+      ref_no,
+      debit: 0,
+      credit: round2(amount),
+      narration,
+      created_by,
+    },
+    { transaction: t }
+  );
+}
+
+/**
+ * Sales return (credit note) against a bill (credit)
+ */
+async function postCreditNote({ creditNote, t }) {
+  if (!CUSTOMER_TYPES.includes(creditNote.customer_type) || !num(creditNote.customer_id)) return null;
+
+  return CustomerLedgerTxn.create(
+    {
+      customer_type: creditNote.customer_type,
+      customer_id: creditNote.customer_id,
+      txn_date: creditNote.credit_note_date || new Date(),
+      txn_type: "CREDIT_NOTE",
+      ref_table: "credit_notes",
+      ref_id: creditNote.id,
+      ref_no: creditNote.credit_note_no,
+      debit: 0,
+      credit: round2(creditNote.total_amount),
+      narration: `Return against bill ${creditNote.sale_no || creditNote.sale_id}`,
+      created_by: creditNote.created_by || null,
+    },
+    { transaction: t }
+  );
+}
+
+/**
+ * SQL SUM of debit/credit for a where clause
+ * Returns { debit_total, credit_total, balance } (balance = receivable)
+ */
+async function sumLedger(where, t) {
+  const fn = CustomerLedgerTxn.sequelize.fn;
+  const col = CustomerLedgerTxn.sequelize.col;
+
+  const agg = await CustomerLedgerTxn.findAll({
+    where,
+    attributes: [
+      [fn("COALESCE", fn("SUM", col("debit")), 0), "debit_total"],
+      [fn("COALESCE", fn("SUM", col("credit")), 0), "credit_total"],
+    ],
+    raw: true,
+    transaction: t,
+  });
+
+  const debit_total = round2(agg?.[0]?.debit_total);
+  const credit_total = round2(agg?.[0]?.credit_total);
+  return { debit_total, credit_total, balance: round2(debit_total - credit_total) };
+}
+
+/**
+ * Balances for many customers of one type: Map(customer_id -> balance)
+ */
+async function balancesFor(customer_type, customerIds, t) {
+  const out = new Map();
+  const ids = [...new Set((customerIds || []).map(num).filter(Boolean))];
+  if (!ids.length) return out;
+
+  const fn = CustomerLedgerTxn.sequelize.fn;
+  const col = CustomerLedgerTxn.sequelize.col;
+
+  const rows = await CustomerLedgerTxn.findAll({
+    where: { customer_type, customer_id: ids },
+    attributes: [
+      "customer_id",
+      [fn("COALESCE", fn("SUM", col("debit")), 0), "debit_total"],
+      [fn("COALESCE", fn("SUM", col("credit")), 0), "credit_total"],
+    ],
+    group: ["customer_id"],
+    raw: true,
+    transaction: t,
+  });
+
+  for (const r of rows) out.set(num(r.customer_id), round2(num(r.debit_total) - num(r.credit_total)));
+  return out;
+}
+
+module.exports = {
+  CUSTOMER_TYPES,
+  SALE_REF,
+  customerOfSale,
+  syncSaleLedger,
+  postSaleCancel,
+  postReceipt,
+  postCreditNote,
+  sumLedger,
+  balancesFor,
+};
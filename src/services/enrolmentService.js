@@ -0,0 +1,207 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+  SchoolBookRequirement,
+  SchoolClassEnrolment,
+  SchoolOrder,
+  SchoolOrderItem,
+} = require("../models");
+const { snapshotMany } = require("./requirementRevisionService");
+const { loadRequirementsByBook, clearItemLinks, rebuildItemLinks } = require("./orderLinkService");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * students x per_student_qty, plus buffer %, rounded up to whole copies
+ */
+function expandCopies({ students, per_student_qty, buffer_percent }) {
+  const base = num(students) * num(per_student_qty);
+  if (base <= 0) return 0;
+  // strip float noise (40 x 1.1 = 44.000000000000004) before rounding up
+  return Math.ceil(Math.round(base * (1 + num(buffer_percent) / 100) * 1e6) / 1e6);
+}
+
+/**
+ * Copies for a per-student requirement row, or null when it has no per-student qty / no enrolment.
+ * Row buffer_percent wins over the enrolment's.
+ */
+function copiesFor(requirement, enrolment) {
+  if (requirement.per_student_qty === null || typeof requirement.per_student_qty === "undefined") return null;
+  if (!enrolment) return null;
+
+  const buffer =
+    requirement.buffer_percent === null || typeof requirement.buffer_percent === "undefined"
+      ? enrolment.buffer_percent
+      : requirement.buffer_percent;
+
+  return expandCopies({ students: enrolment.students, per_student_qty: requirement.per_student_qty, buffer_percent: buffer });
+}
+
+async function findEnrolment({ school_id, class_id, academic_session, t }) {
+  if (!num(school_id) || !num(class_id) || !academic_session) return null;
+  return SchoolClassEnrolment.findOne({
+    where: { school_id, class_id, academic_session },
+    transaction: t,
+  });
+}
+
+/**
+ * Push copy changes of confirmed requirements into the matching draft original orders
+ * (school + supplier + session), one delta per book, and rebuild the requirement links of the
+ * lines touched. Orders with any receipt/re-order movement are left alone and reported so they
+ * can be re-ordered instead.
+ */
+async function applyToDraftOrders({ changes, academic_session, t }) {
+  const bySupplier = new Map(); // `${school_id}:${supplier_id}` -> Map(book_id -> delta)
+  for (const c of changes) {
+    if (c.status !== "confirmed" || !num(c.supplier_id)) continue;
+    const key = `${c.school_id}:${c.supplier_id}`;
+    if (!bySupplier.has(key)) bySupplier.set(key, new Map());
+    const books = bySupplier.get(key);
+    books.set(c.book_id, (books.get(c.book_id) || 0) + (c.to_copies - c.from_copies));
+  }
+
+  const orders_updated = [];
+  const orders_need_sync = [];
+
+  for (const [key, books] of bySupplier.entries()) {
+    const [school_id, supplier_id] = key.split(":").map(Number);
+
+    const order = await SchoolOrder.findOne({
+      where: {
+        school_id,
+        supplier_id,
+        academic_session,
+        order_type: "original",
+        status: { [Op.ne]: "cancelled" },
+      },
+      include: [{ model: SchoolOrderItem, as: "items" }],
+      order: [["createdAt", "DESC"]],
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!order) continue;
+
+    const moved = (order.items || []).some((it) => num(it.received_qty) > 0 || num(it.reordered_qty) > 0);
+    if (order.status !== "draft" || moved) {
+      orders_need_sync.push({ order_id: order.id, order_no: order.order_no, status: order.status, supplier_id });
+      continue;
+    }
+
+    const itemsByBook = new Map((order.items || []).map((it) => [num(it.book_id), it]));
+    let touched = 0;
+    const relink = [];
+
+    for (const [bookId, delta] of books.entries()) {
+      if (!delta) continue;
+      const item = itemsByBook.get(bookId);
+
+      if (item) {
+        const qty = Math.max(0, num(item.total_order_qty) + delta);
+        if (qty > 0) {
+          await item.update({ total_order_qty: qty }, { transaction: t });
+          relink.push(item);
+        } else {
+          await clearItemLinks([item.id], t);
+          await item.destroy({ transaction: t });
+        }
+        touched++;
+      } else if (delta > 0) {
+        const created = await SchoolOrderItem.create(
+          { school_order_id: order.id, book_id: bookId, total_order_qty: delta, received_qty: 0, reordered_qty: 0 },
+          { transaction: t }
+        );
+        relink.push(created);
+        touched++;
+      }
+    }
+
+    if (relink.length) {
+      const reqByBook = await loadRequirementsByBook({
+        school_id,
+        academic_session,
+        supplier_id,
+        book_ids: relink.map((it) => num(it.book_id)),
+        t,
+      });
+      await rebuildItemLinks({ items: relink, reqByBook, t });
+    }
+
+    if (touched) orders_updated.push({ order_id: order.id, order_no: order.order_no, supplier_id, lines: touched });
+  }
+
+  return { orders_updated, orders_need_sync };
+}
+
+/**
+ * Re-expand per-student requirements of a school + session (optionally one class)
+ * from current enrolment, then update draft orders and snapshot changed confirmed lists.
+ */
+async function recalcRequirements({ school_id, academic_session, class_id = null, userId = null, t }) {
+  const where = {
+    school_id,
+    academic_session,
+    per_student_qty: { [Op.ne]: null },
+  };
+  if (num(class_id)) where.class_id = class_id;
+
+  const rows = await SchoolBookRequirement.findAll({ where, transaction: t, lock: t.LOCK.UPDATE });
+
+  const enrolments = await SchoolClassEnrolment.findAll({
+    where: { school_id, academic_session },
+    transaction: t,
+  });
+  const enrolmentByClass = new Map(enrolments.map((e) => [num(e.class_id), e]));
+
+  const changes = [];
+  const skipped_locked = [];
+  const missing_enrolment = [];
+
+  for (const r of rows) {
+    const enrolment = enrolmentByClass.get(num(r.class_id));
+    const copies = copiesFor(r, enrolment);
+
+    if (copies === null) {
+      missing_enrolment.push({ requirement_id: r.id, book_id: r.book_id, class_id: r.class_id || null });
+      continue;
+    }
+    if (copies === num(r.required_copies)) continue;
+
+    if (r.is_locked) {
+      skipped_locked.push({ requirement_id: r.id, book_id: r.book_id, current: num(r.required_copies), expected: copies });
+      continue;
+    }
+
+    changes.push({
+      requirement_id: r.id,
+      school_id: num(r.school_id),
+      supplier_id: r.supplier_id ? num(r.supplier_id) : null,
+      book_id: num(r.book_id),
+      class_id: r.class_id ? num(r.class_id) : null,
+      status: r.status,
+      from_copies: num(r.required_copies),
+      to_copies: copies,
+    });
+    await r.update({ required_copies: copies }, { transaction: t });
+  }
+
+  const orders = await applyToDraftOrders({ changes, academic_session, t });
+
+  const revisions = changes.some((c) => c.status === "confirmed")
+    ? await snapshotMany({ keys: [{ school_id, academic_session }], source: "enrolment", userId, t })
+    : [];
+
+  return { changes, skipped_locked, missing_enrolment, ...orders, revisions };
+}
+
+module.exports = {
+  expandCopies,
+  copiesFor,
+  findEnrolment,
+  applyToDraftOrders,
+  recalcRequirements,
+};
@@ -0,0 +1,218 @@
+"use strict";
+
+const { CompanyProfile } = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+// Printed books (Chapter 49) — exempt unless the master says otherwise
+const DEFAULT_BOOK_HSN = "4901";
+
+const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+
+function normalizeState(v) {
+  return String(v ?? "").toLowerCase().replace(/[^a-z]/g, "");
+}
+
+// GST state codes (place of supply / first two digits of GSTIN)
+const STATE_CODES = {
+  jammuandkashmir: "01",
+  himachalpradesh: "02",
+  punjab: "03",
+  chandigarh: "04",
+  uttarakhand: "05",
+  haryana: "06",
+  delhi: "07",
+  rajasthan: "08",
+  uttarpradesh: "09",
+  bihar: "10",
+  sikkim: "11",
+  arunachalpradesh: "12",
+  nagaland: "13",
+  manipur: "14",
+  mizoram: "15",
+  tripura: "16",
+  meghalaya: "17",
+  assam: "18",
+  westbengal: "19",
+  jharkhand: "20",
+  odisha: "21",
+  chhattisgarh: "22",
+  madhyapradesh: "23",
+  gujarat: "24",
+  dadraandnagarhavelianddamananddiu: "26",
+  maharashtra: "27",
+  karnataka: "29",
+  goa: "30",
+  lakshadweep: "31",
+  kerala: "32",
+  tamilnadu: "33",
+  puducherry: "34",
+  andamanandnicobarislands: "35",
+  telangana: "36",
+  andhrapradesh: "37",
+  ladakh: "38",
+};
+
+/**
+ * "Punjab" / "03" / "03ABCDE1234F1Z5" -> "03" (null when unknown)
+ */
+function stateCode(v) {
+  const s = String(v ?? "").trim();
+  if (/^\d{2}/.test(s)) return s.slice(0, 2);
+  const key = normalizeState(s);
+  if (key === "newdelhi" || key === "nctofdelhi") return STATE_CODES.delhi;
+  if (key === "orissa") return STATE_CODES.odisha;
+  if (key === "pondicherry") return STATE_CODES.puducherry;
+  return STATE_CODES[key] || null;
+}
+
+function isValidGstRate(v) {
+  return GST_RATES.includes(num(v));
+}
+
+/**
+ * Seller state from the latest company profile (null when not filled)
+ */
+async function loadCompanyState(t) {
+  if (!CompanyProfile) return null;
+  const row = await CompanyProfile.findOne({
+    order: [["id", "DESC"]],
+    attributes: ["id", "state"],
+    transaction: t,
+  }).catch(() => null);
+  return String(row?.state || "").trim() || null;
+}
+
+/**
+ * Place of supply + inter-state flag.
+ * Missing state on either side => treated as intra-state (CGST/SGST).
+ */
+async function resolveSupply({ counterpartyState, t }) {
+  const company_state = await loadCompanyState(t);
+  const other = String(counterpartyState || "").trim() || null;
+
+  const a = normalizeState(company_state);
+  const b = normalizeState(other);
+
+  return {
+    company_state,
+    place_of_supply: other || company_state,
+    is_inter_state: Boolean(a && b && a !== b),
+  };
+}
+
+/**
+ * HSN + GST rate for a line. Product overrides Book; books default to 4901 @ 0%.
+ */
+function taxProfile({ book = null, product = null, kind = "BOOK" }) {
+  const hsn_code =
+    String(product?.hsn_code || "").trim() ||
+    String(book?.hsn_code || "").trim() ||
+    (kind === "BOOK" ? DEFAULT_BOOK_HSN : null);
+
+  let gst_rate = 0;
+  if (product?.gst_rate !== null && product?.gst_rate !== undefined) gst_rate = num(product.gst_rate);
+  else if (book?.gst_rate !== null && book?.gst_rate !== undefined) gst_rate = num(book.gst_rate);
+
+  return { hsn_code, gst_rate };
+}
+
+/**
+ * Split one taxable value into CGST/SGST or IGST.
+ */
+function splitTax(taxable_value, gst_rate, is_inter_state) {
+  const taxable = round2(taxable_value);
+  const rate = num(gst_rate);
+
+  if (is_inter_state) {
+    const igst_amount = round2((taxable * rate) / 100);
+    return { taxable_value: taxable, gst_rate: rate, cgst_amount: 0, sgst_amount: 0, igst_amount };
+  }
+
+  const half = round2((taxable * rate) / 200);
+  return { taxable_value: taxable, gst_rate: rate, cgst_amount: half, sgst_amount: half, igst_amount: 0 };
+}
+
+/**
+ * Tax per line after spreading the bill-level discount pro-rata on line amounts.
+ * lines: [{ amount, gst_rate }] -> same order: [{ taxable_value, gst_rate, cgst_amount, sgst_amount, igst_amount }]
+ * Prices are tax-exclusive (total = subtotal - discount + tax).
+ */
+function applyGst(lines, { discount = 0, is_inter_state = false } = {}) {
+  const base = round2(lines.reduce((s, l) => s + num(l.amount), 0));
+  const disc = Math.min(base, Math.max(0, round2(discount)));
+
+  let discLeft = disc;
+  let lastIdx = -1;
+  lines.forEach((l, i) => {
+    if (num(l.amount) > 0) lastIdx = i;
+  });
+
+  const out = lines.map((l, i) => {
+    const amount = round2(l.amount);
+    let share = 0;
+    if (amount > 0 && base > 0) {
+      share = i === lastIdx ? discLeft : round2((disc * amount) / base);
+      share = Math.min(share, discLeft);
+      discLeft = round2(discLeft - share);
+    }
+    return splitTax(Math.max(0, amount - share), l.gst_rate, is_inter_state);
+  });
+
+  return { lines: out, totals: sumTax(out) };
+}
+
+function sumTax(lines) {
+  const t = { taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+  for (const l of lines || []) {
+    t.taxable_value += num(l.taxable_value);
+    t.cgst_amount += num(l.cgst_amount);
+    t.sgst_amount += num(l.sgst_amount);
+    t.igst_amount += num(l.igst_amount);
+  }
+  t.taxable_value = round2(t.taxable_value);
+  t.cgst_amount = round2(t.cgst_amount);
+  t.sgst_amount = round2(t.sgst_amount);
+  t.igst_amount = round2(t.igst_amount);
+  t.tax = round2(t.cgst_amount + t.sgst_amount + t.igst_amount);
+  return t;
+}
+
+/**
+ * HSN + rate wise summary of stored item rows (for invoice PDFs / returns)
+ */
+function hsnSummary(items) {
+  const map = new Map();
+  for (const raw of items || []) {
+    const it = raw?.toJSON ? raw.toJSON() : raw;
+    const hsn = String(it?.hsn_code || "").trim() || "-";
+    const rate = num(it?.gst_rate);
+    const key = `${hsn}|${rate}`;
+    if (!map.has(key)) map.set(key, { hsn_code: hsn, gst_rate: rate, lines: [] });
+    map.get(key).lines.push(it);
+  }
+
+  return Array.from(map.values())
+    .map((g) => ({ hsn_code: g.hsn_code, gst_rate: g.gst_rate, ...sumTax(g.lines) }))
+    .sort((a, b) => a.hsn_code.localeCompare(b.hsn_code) || a.gst_rate - b.gst_rate);
+}
+
+module.exports = {
+  DEFAULT_BOOK_HSN,
+  GST_RATES,
+  normalizeState,
+  stateCode,
+  isValidGstRate,
+  loadCompanyState,
+  resolveSupply,
+  taxProfile,
+  splitTax,
+  applyGst,
+  sumTax,
+  hsnSummary,
+};
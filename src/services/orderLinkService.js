@@ -0,0 +1,92 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { SchoolBookRequirement, SchoolRequirementOrderLink } = require("../models");
+
+/**
+ * Confirmed requirement rows of an order context, grouped by book_id.
+ * Same context as the order-items edit: school + session (+ supplier when given).
+ * status: null takes the rows whatever their status (explicit requirement_ids).
+ * Returns Map(book_id => [requirement rows]).
+ */
+async function loadRequirementsByBook({
+  school_id,
+  academic_session,
+  supplier_id,
+  book_ids,
+  requirement_ids,
+  status = "confirmed",
+  t,
+}) {
+  const where = status ? { status } : {};
+  if (requirement_ids) {
+    if (!requirement_ids.length) return new Map();
+    where.id = { [Op.in]: requirement_ids };
+  } else {
+    where.school_id = school_id;
+    where.academic_session = academic_session || null;
+    if (supplier_id) where.supplier_id = supplier_id;
+  }
+  if (book_ids?.length) where.book_id = { [Op.in]: book_ids };
+
+  const rows = await SchoolBookRequirement.findAll({
+    where,
+    attributes: ["id", "book_id", "required_copies"],
+    order: [["id", "ASC"]],
+    transaction: t,
+  });
+
+  const map = new Map();
+  for (const rr of rows) {
+    const bookId = Number(rr.book_id || 0);
+    if (!bookId) continue;
+    if (!map.has(bookId)) map.set(bookId, []);
+    map.get(bookId).push(rr);
+  }
+  return map;
+}
+
+async function clearItemLinks(itemIds, t) {
+  const ids = (itemIds || []).filter(Boolean);
+  if (!ids.length) return;
+  await SchoolRequirementOrderLink.destroy({
+    where: { school_order_item_id: { [Op.in]: ids } },
+    transaction: t,
+  });
+}
+
+/**
+ * Rebuild requirement links for order items.
+ * Old links are cleared, then requirement rows of the item's book are allocated
+ * sequentially until total_order_qty is filled (extra requirement stays unlinked).
+ */
+async function rebuildItemLinks({ items, reqByBook, t }) {
+  await clearItemLinks(
+    items.map((it) => it.id),
+    t
+  );
+
+  const rowsToCreate = [];
+  for (const it of items) {
+    let remaining = Number(it.total_order_qty || 0);
+    if (remaining <= 0) continue;
+
+    for (const rr of reqByBook.get(Number(it.book_id)) || []) {
+      if (remaining <= 0) break;
+      const alloc = Math.min(Number(rr.required_copies || 0), remaining);
+      if (alloc <= 0) continue;
+
+      rowsToCreate.push({ requirement_id: rr.id, school_order_item_id: it.id, allocated_qty: alloc });
+      remaining -= alloc;
+    }
+  }
+
+  if (rowsToCreate.length) await SchoolRequirementOrderLink.bulkCreate(rowsToCreate, { transaction: t });
+  return rowsToCreate.length;
+}
+
+module.exports = {
+  loadRequirementsByBook,
+  clearItemLinks,
+  rebuildItemLinks,
+};
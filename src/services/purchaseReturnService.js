@@ -0,0 +1,332 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+  sequelize,
+  Supplier,
+  Book,
+  InventoryBatch,
+  InventoryTxn,
+  SchoolBookRequirement,
+  SchoolSale,
+  SchoolSaleItem,
+  SupplierReceipt,
+  SupplierReceiptItem,
+  SupplierDebitNote,
+  SupplierDebitNoteItem,
+} = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const asBool = (v) => {
+  if (v === true || v === 1 || v === "1") return true;
+  const s = String(v ?? "").trim().toLowerCase();
+  return s === "true" || s === "yes";
+};
+
+/**
+ * Copies still owed to schools for a session: confirmed requirement less what school bills issued,
+ * per school+book so one school's surplus doesn't cover another's shortfall.
+ * Returns Map(book_id -> qty)
+ */
+async function pendingRequirementByBook({ academic_session, t }) {
+  const reqs = await SchoolBookRequirement.findAll({
+    where: { academic_session, status: "confirmed", required_copies: { [Op.gt]: 0 } },
+    attributes: ["school_id", "book_id", "required_copies"],
+    raw: true,
+    transaction: t,
+  });
+  if (!reqs.length) return new Map();
+
+  const issued = await SchoolSaleItem.findAll({
+    attributes: [
+      [sequelize.col("sale.school_id"), "school_id"],
+      "book_id",
+      [sequelize.fn("SUM", sequelize.col("issued_qty")), "qty"],
+    ],
+    include: [
+      {
+        model: SchoolSale,
+        as: "sale",
+        attributes: [],
+        where: { academic_session, status: "COMPLETED" },
+        required: true,
+      },
+    ],
+    where: { book_id: { [Op.ne]: null } },
+    group: ["sale.school_id", "book_id"],
+    raw: true,
+    transaction: t,
+  });
+
+  const issuedMap = new Map(issued.map((r) => [`${num(r.school_id)}:${num(r.book_id)}`, num(r.qty)]));
+
+  const out = new Map();
+  for (const r of reqs) {
+    const left = num(r.required_copies) - (issuedMap.get(`${num(r.school_id)}:${num(r.book_id)}`) || 0);
+    if (left > 0) out.set(num(r.book_id), (out.get(num(r.book_id)) || 0) + left);
+  }
+  return out;
+}
+
+/**
+ * Open reservations (bundle issues not yet dispatched): Map(book_id -> qty)
+ */
+async function reservedByBook({ bookIds, t }) {
+  const out = new Map();
+  if (!bookIds.length) return out;
+
+  const rows = await InventoryTxn.findAll({
+    where: { book_id: bookIds, txn_type: { [Op.in]: ["RESERVE", "UNRESERVE"] } },
+    attributes: [
+      "book_id",
+      [
+        sequelize.literal(
+          "SUM(CASE WHEN txn_type='RESERVE' THEN qty ELSE 0 END) - SUM(CASE WHEN txn_type='UNRESERVE' THEN qty ELSE 0 END)"
+        ),
+        "qty",
+      ],
+    ],
+    group: ["book_id"],
+    raw: true,
+    transaction: t,
+  });
+  for (const r of rows) if (num(r.qty) > 0) out.set(num(r.book_id), num(r.qty));
+  return out;
+}
+
+/**
+ * Qty already on debit notes per receipt line, split by status:
+ * Map(supplier_receipt_item_id -> { issued, draft })
+ */
+async function debitedByLine({ receiptIds, t }) {
+  const out = new Map();
+  if (!receiptIds.length) return out;
+
+  const notes = await SupplierDebitNote.findAll({
+    where: { supplier_receipt_id: receiptIds },
+    attributes: ["id", "status"],
+    transaction: t,
+  });
+  if (!notes.length) return out;
+
+  const statusById = new Map(notes.map((n) => [num(n.id), n.status]));
+  const items = await SupplierDebitNoteItem.findAll({
+    where: { supplier_debit_note_id: [...statusById.keys()] },
+    attributes: ["supplier_debit_note_id", "supplier_receipt_item_id", "qty"],
+    transaction: t,
+  });
+
+  for (const it of items) {
+    const key = num(it.supplier_receipt_item_id);
+    const acc = out.get(key) || { issued: 0, draft: 0 };
+    if (statusById.get(num(it.supplier_debit_note_id)) === "draft") acc.draft += num(it.qty);
+    else acc.issued += num(it.qty);
+    out.set(key, acc);
+  }
+  return out;
+}
+
+/**
+ * End-of-session return plan.
+ *
+ * Stock on hand from supplier receipts, less what is still needed for the session
+ * (pending confirmed requirements + open reservations, kept from the newest batches),
+ * less qty already on draft debit notes. What is left is returnable, oldest receipt first.
+ *
+ * Returns { academic_session, suppliers: [{ supplier, lines, total_qty, est_value }], books }
+ */
+async function returnPlan({ academic_session, supplier_id = null, supplier_receipt_ids = null, t } = {}) {
+  const batchWhere = {
+    available_qty: { [Op.gt]: 0 },
+    supplier_receipt_id: { [Op.ne]: null },
+  };
+
+  // all suppliers' stock of a book counts towards the session need, filter suppliers afterwards
+  const batches = await InventoryBatch.findAll({
+    where: batchWhere,
+    attributes: ["id", "book_id", "supplier_id", "supplier_receipt_id", "available_qty", "purchase_price"],
+    order: [["id", "ASC"]],
+    transaction: t,
+  });
+
+  const receiptIds = [...new Set(batches.map((b) => num(b.supplier_receipt_id)))];
+  const receipts = receiptIds.length
+    ? await SupplierReceipt.findAll({
+        where: { id: receiptIds, status: "received" },
+        attributes: ["id", "supplier_id", "receipt_no", "invoice_no", "invoice_date", "received_date", "academic_session"],
+        transaction: t,
+      })
+    : [];
+  const receiptById = new Map(receipts.map((r) => [num(r.id), r]));
+
+  const stock = batches.filter((b) => receiptById.has(num(b.supplier_receipt_id)));
+  const bookIds = [...new Set(stock.map((b) => num(b.book_id)))];
+
+  const pending = await pendingRequirementByBook({ academic_session, t });
+  const reserved = await reservedByBook({ bookIds, t });
+
+  // keep the session need out of the newest batches, the rest is free to go back
+  const freeByReceiptBook = new Map();
+  const bookSummary = new Map();
+  const byBook = new Map();
+  for (const b of stock) {
+    const key = num(b.book_id);
+    if (!byBook.has(key)) byBook.set(key, []);
+    byBook.get(key).push(b);
+  }
+
+  for (const [bookId, rows] of byBook.entries()) {
+    const onHand = rows.reduce((s, b) => s + num(b.available_qty), 0);
+    const keep = (pending.get(bookId) || 0) + (reserved.get(bookId) || 0);
+    bookSummary.set(bookId, {
+      book_id: bookId,
+      on_hand_qty: onHand,
+      pending_requirement_qty: pending.get(bookId) || 0,
+      reserved_qty: reserved.get(bookId) || 0,
+      surplus_qty: Math.max(0, onHand - keep),
+    });
+
+    let keepLeft = keep;
+    for (const b of [...rows].sort((a, z) => num(z.id) - num(a.id))) {
+      const kept = Math.min(keepLeft, num(b.available_qty));
+      keepLeft -= kept;
+      const free = num(b.available_qty) - kept;
+      if (free <= 0) continue;
+      const k = `${num(b.supplier_receipt_id)}:${bookId}`;
+      const acc = freeByReceiptBook.get(k) || { qty: 0, purchase_price: round2(b.purchase_price) };
+      acc.qty += free;
+      freeByReceiptBook.set(k, acc);
+    }
+  }
+
+  const wantSupplier = num(supplier_id);
+  const wantReceipts = Array.isArray(supplier_receipt_ids) ? new Set(supplier_receipt_ids.map(num).filter(Boolean)) : null;
+
+  const planReceiptIds = [...new Set([...freeByReceiptBook.keys()].map((k) => num(k.split(":")[0])))].filter((id) => {
+    const r = receiptById.get(id);
+    if (wantSupplier && num(r.supplier_id) !== wantSupplier) return false;
+    if (wantReceipts && !wantReceipts.has(id)) return false;
+    return true;
+  });
+
+  const items = planReceiptIds.length
+    ? await SupplierReceiptItem.findAll({
+        where: { supplier_receipt_id: planReceiptIds, book_id: bookIds },
+        include: [{ model: Book, as: "book", attributes: ["id", "title", "class_name", "subject", "code"], required: false }],
+        order: [["id", "ASC"]],
+        transaction: t,
+      })
+    : [];
+  const debited = await debitedByLine({ receiptIds: planReceiptIds, t });
+
+  // chargeable lines before specimen lines so the return actually reduces the payable
+  const linesByReceiptBook = new Map();
+  for (const it of items) {
+    const k = `${num(it.supplier_receipt_id)}:${num(it.book_id)}`;
+    if (!linesByReceiptBook.has(k)) linesByReceiptBook.set(k, []);
+    linesByReceiptBook.get(k).push(it);
+  }
+
+  const plan = [];
+  for (const [k, free] of freeByReceiptBook.entries()) {
+    const receiptId = num(k.split(":")[0]);
+    if (!planReceiptIds.includes(receiptId)) continue;
+    const receipt = receiptById.get(receiptId);
+
+    const lines = (linesByReceiptBook.get(k) || []).sort(
+      (a, z) => Number(asBool(a.is_specimen)) - Number(asBool(z.is_specimen)) || num(a.id) - num(z.id)
+    );
+
+    // drafts already planned for this receipt+book come off the free qty first
+    let left = free.qty - lines.reduce((s, it) => s + (debited.get(num(it.id))?.draft || 0), 0);
+
+    for (const it of lines) {
+      if (left <= 0) break;
+      const d = debited.get(num(it.id)) || { issued: 0, draft: 0 };
+      const lineLeft = num(it.qty) - d.issued - d.draft;
+      const qty = Math.min(left, lineLeft);
+      if (qty <= 0) continue;
+      left -= qty;
+
+      const lineValue = asBool(it.is_specimen)
+        ? 0
+        : num(it.taxable_value) > 0
+          ? num(it.taxable_value) + num(it.cgst_amount) + num(it.sgst_amount) + num(it.igst_amount)
+          : num(it.net_amount);
+
+      plan.push({
+        supplier_id: num(receipt.supplier_id),
+        supplier_receipt_id: receiptId,
+        receipt_no: receipt.receipt_no,
+        invoice_no: receipt.invoice_no || null,
+        invoice_date: receipt.invoice_date || null,
+        received_date: receipt.received_date || null,
+        receipt_session: receipt.academic_session || null,
+        supplier_receipt_item_id: num(it.id),
+        book_id: num(it.book_id),
+        title: it.book?.title || null,
+        class_name: it.book?.class_name || null,
+        subject: it.book?.subject || null,
+        is_specimen: asBool(it.is_specimen),
+        received_qty: num(it.qty),
+        already_returned_qty: d.issued,
+        in_draft_qty: d.draft,
+        return_qty: qty,
+        rate: round2(it.rate),
+        purchase_price: free.purchase_price,
+        est_value: num(it.qty) > 0 ? round2((lineValue * qty) / num(it.qty)) : 0,
+      });
+    }
+  }
+
+  const supplierIds = [...new Set(plan.map((l) => l.supplier_id))];
+  const suppliers = supplierIds.length
+    ? await Supplier.findAll({ where: { id: supplierIds }, attributes: ["id", "name", "phone", "gstin"], transaction: t })
+    : [];
+  const supplierById = new Map(suppliers.map((s) => [num(s.id), s]));
+
+  const grouped = supplierIds
+    .map((sid) => {
+      const lines = plan
+        .filter((l) => l.supplier_id === sid)
+        .sort(
+          (a, z) =>
+            String(a.received_date || "").localeCompare(String(z.received_date || "")) ||
+            a.supplier_receipt_id - z.supplier_receipt_id ||
+            a.supplier_receipt_item_id - z.supplier_receipt_item_id
+        );
+      return {
+        supplier: supplierById.get(sid) || { id: sid },
+        receipts: new Set(lines.map((l) => l.supplier_receipt_id)).size,
+        total_qty: lines.reduce((s, l) => s + l.return_qty, 0),
+        est_value: round2(lines.reduce((s, l) => s + l.est_value, 0)),
+        lines,
+      };
+    })
+    .sort((a, z) => z.est_value - a.est_value);
+
+  const planBooks = new Set(plan.map((l) => l.book_id));
+
+  return {
+    academic_session,
+    suppliers: grouped,
+    books: [...bookSummary.values()].filter((b) => planBooks.has(b.book_id)),
+    totals: {
+      suppliers: grouped.length,
+      qty: grouped.reduce((s, g) => s + g.total_qty, 0),
+      est_value: round2(grouped.reduce((s, g) => s + g.est_value, 0)),
+    },
+  };
+}
+
+module.exports = {
+  pendingRequirementByBook,
+  reservedByBook,
+  returnPlan,
+};
@@ -0,0 +1,200 @@
+"use strict";
+
+const {
+  SchoolBookRequirement,
+  RequirementRevision,
+  RequirementRevisionItem,
+  RequirementOrderLink,
+  SchoolRequirementOrderLink,
+  SchoolSaleItem,
+  Book,
+  Class,
+} = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const sessionOf = (v) => {
+  const s = String(v ?? "").trim();
+  return s || null;
+};
+
+/**
+ * Confirmed requirement rows of a school + session, in snapshot shape (sorted by book)
+ */
+async function confirmedItems({ school_id, academic_session, t }) {
+  const rows = await SchoolBookRequirement.findAll({
+    where: { school_id, academic_session: sessionOf(academic_session), status: "confirmed" },
+    include: [
+      { model: Book, as: "book", attributes: ["id", "title"], required: false },
+      { model: Class, as: "class", attributes: ["id", "class_name"], required: false },
+    ],
+    order: [["book_id", "ASC"]],
+    transaction: t,
+  });
+
+  return rows.map((r) => ({
+    requirement_id: num(r.id),
+    book_id: num(r.book_id),
+    class_id: r.class_id ? num(r.class_id) : null,
+    supplier_id: r.supplier_id ? num(r.supplier_id) : null,
+    required_copies: num(r.required_copies),
+    remarks: r.remarks || null,
+    title_snapshot: r.book?.title || null,
+    class_name_snapshot: r.class?.class_name || null,
+  }));
+}
+
+// what a school can dispute: which books, how many, for which class / from which supplier
+const signature = (items) =>
+  items
+    .map((i) => [i.book_id, i.required_copies, i.class_id || 0, i.supplier_id || 0].join(":"))
+    .sort()
+    .join("|");
+
+async function latestRevision({ school_id, academic_session, t, lock = false }) {
+  return RequirementRevision.findOne({
+    where: { school_id, academic_session: sessionOf(academic_session) },
+    order: [["revision_no", "DESC"]],
+    transaction: t,
+    ...(lock && t ? { lock: t.LOCK.UPDATE } : {}),
+  });
+}
+
+/**
+ * Snapshot the confirmed set of a school + session as a new revision.
+ * Nothing is written when it is the same as the latest revision (or empty with no history).
+ * Returns the new revision or null.
+ */
+async function snapshotRequirementSet({ school_id, academic_session, source, note = null, userId = null, t }) {
+  school_id = num(school_id);
+  if (!school_id) return null;
+  const session = sessionOf(academic_session);
+
+  const items = await confirmedItems({ school_id, academic_session: session, t });
+  const last = await latestRevision({ school_id, academic_session: session, t, lock: true });
+
+  if (!last && !items.length) return null;
+  if (last) {
+    const lastItems = await RequirementRevisionItem.findAll({ where: { revision_id: last.id }, transaction: t });
+    if (signature(lastItems) === signature(items)) return null;
+  }
+
+  const revision = await RequirementRevision.create(
+    {
+      school_id,
+      academic_session: session,
+      revision_no: last ? num(last.revision_no) + 1 : 1,
+      source: String(source || "update").slice(0, 30),
+      note: note ? String(note).slice(0, 255) : null,
+      item_count: items.length,
+      total_copies: items.reduce((s, i) => s + i.required_copies, 0),
+      created_by: num(userId) || null,
+    },
+    { transaction: t }
+  );
+
+  if (items.length) {
+    await RequirementRevisionItem.bulkCreate(
+      items.map((i) => ({ ...i, revision_id: revision.id })),
+      { transaction: t }
+    );
+  }
+
+  return revision;
+}
+
+/**
+ * Snapshot every school + session in `keys` ([{ school_id, academic_session }]), de-duplicated
+ */
+async function snapshotMany({ keys, source, note, userId, t }) {
+  const seen = new Set();
+  const out = [];
+  for (const k of keys || []) {
+    const key = `${num(k.school_id)}|${sessionOf(k.academic_session) || ""}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const rev = await snapshotRequirementSet({ ...k, source, note, userId, t });
+    if (rev) out.push(rev);
+  }
+  return out;
+}
+
+/**
+ * Title-level diff between two item lists (by book):
+ * { added, removed, qty_changed, unchanged_count }
+ */
+function diffItems(fromItems, toItems) {
+  const fromMap = new Map(fromItems.map((i) => [num(i.book_id), i]));
+  const toMap = new Map(toItems.map((i) => [num(i.book_id), i]));
+
+  const view = (i) => ({
+    book_id: num(i.book_id),
+    title: i.title_snapshot || null,
+    class_name: i.class_name_snapshot || null,
+    required_copies: num(i.required_copies),
+  });
+
+  const added = [];
+  const removed = [];
+  const qty_changed = [];
+  let unchanged_count = 0;
+
+  for (const [bookId, to] of toMap.entries()) {
+    const from = fromMap.get(bookId);
+    if (!from) {
+      added.push(view(to));
+    } else if (num(from.required_copies) !== num(to.required_copies)) {
+      qty_changed.push({
+        ...view(to),
+        from_copies: num(from.required_copies),
+        to_copies: num(to.required_copies),
+        delta: num(to.required_copies) - num(from.required_copies),
+      });
+    } else {
+      unchanged_count += 1;
+    }
+  }
+  for (const [bookId, from] of fromMap.entries()) {
+    if (!toMap.has(bookId)) removed.push(view(from));
+  }
+
+  const byTitle = (a, z) => String(a.title || "").localeCompare(String(z.title || "")) || a.book_id - z.book_id;
+  return {
+    added: added.sort(byTitle),
+    removed: removed.sort(byTitle),
+    qty_changed: qty_changed.sort(byTitle),
+    unchanged_count,
+  };
+}
+
+/**
+ * Requirement rows that orders or bills point at (can't be deleted): Set(requirement_id)
+ */
+async function linkedRequirementIds(ids, t) {
+  const out = new Set();
+  if (!ids.length) return out;
+
+  const sources = [
+    [RequirementOrderLink, "requirement_id"],
+    [SchoolRequirementOrderLink, "requirement_id"],
+    [SchoolSaleItem, "requirement_item_id"],
+  ];
+  for (const [Model, field] of sources) {
+    if (!Model) continue;
+    const rows = await Model.findAll({ where: { [field]: ids }, attributes: [field], raw: true, transaction: t });
+    for (const r of rows) out.add(num(r[field]));
+  }
+  return out;
+}
+
+module.exports = {
+  confirmedItems,
+  latestRevision,
+  snapshotRequirementSet,
+  snapshotMany,
+  diffItems,
+  linkedRequirementIds,
+};
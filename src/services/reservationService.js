@@ -0,0 +1,133 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const config = require("../config");
+const { sequelize, BundleIssue, InventoryTxn } = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Reservation lifetime for a new bundle issue.
+ * reserve_days from the request wins, else BUNDLE_RESERVATION_DAYS (config).
+ */
+function reservationExpiry(fromDate, reserveDays) {
+  const days = num(reserveDays) > 0 ? num(reserveDays) : config.reservations.defaultDays;
+  const d = new Date(fromDate || Date.now());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * Net open reservation (RESERVE - UNRESERVE) per issue and book.
+ * Returns Map(issue_id => [{ book_id, qty }]) — only qty > 0 rows.
+ */
+async function loadOpenReservations(issueIds, t) {
+  if (!issueIds.length) return new Map();
+
+  const rows = await InventoryTxn.findAll({
+    where: {
+      ref_type: "BUNDLE_ISSUE",
+      ref_id: { [Op.in]: issueIds },
+      txn_type: { [Op.in]: ["RESERVE", "UNRESERVE"] },
+    },
+    attributes: [
+      "ref_id",
+      "book_id",
+      [
+        sequelize.literal(
+          "SUM(CASE WHEN txn_type='RESERVE' THEN qty ELSE 0 END) - SUM(CASE WHEN txn_type='UNRESERVE' THEN qty ELSE 0 END)"
+        ),
+        "qty",
+      ],
+    ],
+    group: ["ref_id", "book_id"],
+    raw: true,
+    transaction: t,
+  });
+
+  const out = new Map();
+  for (const r of rows) {
+    const qty = num(r.qty);
+    if (qty <= 0) continue;
+    const key = num(r.ref_id);
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push({ book_id: num(r.book_id), qty });
+  }
+  return out;
+}
+
+/**
+ * Post UNRESERVE for whatever is still reserved on this issue.
+ * Caller owns the transaction. Returns released lines.
+ */
+async function releaseIssueReservation({ issue, reason, t }) {
+  const open = (await loadOpenReservations([num(issue.id)], t)).get(num(issue.id)) || [];
+
+  if (open.length) {
+    await InventoryTxn.bulkCreate(
+      open.map((r) => ({
+        txn_type: "UNRESERVE",
+        book_id: r.book_id,
+        batch_id: null,
+        qty: r.qty,
+        ref_type: "BUNDLE_ISSUE",
+        ref_id: issue.id,
+        notes: `Unreserve issue #${issue.issue_no || issue.id}: ${reason}`.slice(0, 255),
+      })),
+      { transaction: t }
+    );
+  }
+
+  await issue.update({ reservation_released_at: new Date() }, { transaction: t });
+  return open;
+}
+
+/**
+ * Sweep: release every reservation whose reserved_until has passed.
+ * One transaction per issue so a bad row doesn't block the rest.
+ */
+async function sweepExpiredReservations({ now = new Date(), logger } = {}) {
+  const due = await BundleIssue.findAll({
+    where: {
+      status: { [Op.ne]: "CANCELLED" },
+      reserved_until: { [Op.lte]: now },
+      reservation_released_at: null,
+    },
+    attributes: ["id"],
+    order: [["reserved_until", "ASC"]],
+    raw: true,
+  });
+
+  const released = [];
+  for (const { id } of due) {
+    const t = await sequelize.transaction();
+    try {
+      const issue = await BundleIssue.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!issue || issue.reservation_released_at) {
+        await t.rollback();
+        continue;
+      }
+
+      const lines = await releaseIssueReservation({ issue, reason: "reservation expired (not collected)", t });
+      await t.commit();
+
+      released.push({ issue_id: issue.id, issue_no: issue.issue_no, lines });
+    } catch (err) {
+      await t.rollback();
+      logger?.error?.({ err, issue_id: id }, "reservation sweep failed for issue");
+    }
+  }
+
+  if (released.length) logger?.info?.({ count: released.length }, "Expired bundle reservations released");
+  return released;
+}
+
+module.exports = {
+  reservationExpiry,
+  loadOpenReservations,
+  releaseIssueReservation,
+  sweepExpiredReservations,
+};
@@ -0,0 +1,274 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { SupplierReceipt, SupplierPaymentAllocation, SupplierDebitNote } = require("../models");
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(num(n) * 100) / 100;
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const AGE_BUCKETS = [
+  { key: "0_30", label: "0-30", max: 30 },
+  { key: "31_60", label: "31-60", max: 60 },
+  { key: "61_90", label: "61-90", max: 90 },
+  { key: "90_plus", label: "90+", max: Infinity },
+];
+
+function ageBucket(days) {
+  return AGE_BUCKETS.find((b) => days <= b.max).key;
+}
+
+// invoice date drives ageing/FIFO; fall back to challan date, then receive date
+function invoiceDate(receipt) {
+  return receipt.invoice_date || receipt.doc_date || receipt.received_date || null;
+}
+
+function ageDays(date, asOf = new Date()) {
+  if (!date) return 0;
+  const d = new Date(`${String(date).slice(0, 10)}T00:00:00`);
+  if (isNaN(d.getTime())) return 0;
+  const ref = new Date(asOf);
+  ref.setHours(0, 0, 0, 0);
+  return Math.max(0, Math.floor((ref - d) / 86400000));
+}
+
+/**
+ * Map(receipt_id -> { paid, discount, settled })
+ */
+async function settledByReceipt(receiptIds, t) {
+  const out = new Map();
+  const ids = [...new Set((receiptIds || []).map(num).filter(Boolean))];
+  if (!ids.length) return out;
+
+  const fn = SupplierPaymentAllocation.sequelize.fn;
+  const col = SupplierPaymentAllocation.sequelize.col;
+
+  const rows = await SupplierPaymentAllocation.findAll({
+    where: { supplier_receipt_id: ids },
+    attributes: [
+      "supplier_receipt_id",
+      [fn("SUM", col("paid_amount")), "paid"],
+      [fn("SUM", col("discount_amount")), "discount"],
+      [fn("SUM", col("settled_amount")), "settled"],
+    ],
+    group: ["supplier_receipt_id"],
+    raw: true,
+    transaction: t,
+  });
+
+  for (const r of rows) {
+    out.set(num(r.supplier_receipt_id), {
+      paid: round2(r.paid),
+      discount: round2(r.discount),
+      settled: round2(r.settled),
+    });
+  }
+  return out;
+}
+
+/**
+ * Issued debit notes (purchase returns) per receipt: Map(receipt_id -> amount)
+ */
+async function returnedByReceipt(receiptIds, t) {
+  const out = new Map();
+  const ids = [...new Set((receiptIds || []).map(num).filter(Boolean))];
+  if (!ids.length) return out;
+
+  const fn = SupplierDebitNote.sequelize.fn;
+  const col = SupplierDebitNote.sequelize.col;
+
+  const rows = await SupplierDebitNote.findAll({
+    where: { supplier_receipt_id: ids, status: "issued" },
+    attributes: ["supplier_receipt_id", [fn("SUM", col("total_amount")), "amount"]],
+    group: ["supplier_receipt_id"],
+    raw: true,
+    transaction: t,
+  });
+
+  for (const r of rows) out.set(num(r.supplier_receipt_id), round2(r.amount));
+  return out;
+}
+
+/**
+ * Settlement view of receipts: grand_total, returned, paid, discount, outstanding, age
+ */
+async function withSettlement(receipts, { asOf = new Date(), t } = {}) {
+  const ids = receipts.map((r) => r.id);
+  const settled = await settledByReceipt(ids, t);
+  const returned = await returnedByReceipt(ids, t);
+
+  return receipts.map((r) => {
+    const s = settled.get(num(r.id)) || { paid: 0, discount: 0, settled: 0 };
+    const ret = returned.get(num(r.id)) || 0;
+    const total = round2(r.grand_total);
+    const posted = String(r.status).toLowerCase() === "received";
+    const outstanding = posted ? round2(Math.max(0, total - ret - s.settled)) : 0;
+    const days = ageDays(invoiceDate(r), asOf);
+
+    return {
+      receipt: r,
+      grand_total: total,
+      returned_amount: ret,
+      paid_amount: s.paid,
+      discount_amount: s.discount,
+      settled_amount: s.settled,
+      outstanding_amount: outstanding,
+      age_days: days,
+      age_bucket: outstanding > 0 ? ageBucket(days) : null,
+    };
+  });
+}
+
+/**
+ * Posted receipts of a supplier that still have something to pay, oldest first
+ */
+async function openReceipts(supplierId, { t, lock = false } = {}) {
+  const receipts = await SupplierReceipt.findAll({
+    where: { supplier_id: supplierId, status: "received", grand_total: { [Op.gt]: 0 } },
+    order: [["id", "ASC"]],
+    transaction: t,
+    ...(lock && t ? { lock: t.LOCK.UPDATE } : {}),
+  });
+
+  const rows = await withSettlement(receipts, { t });
+  return rows
+    .filter((x) => x.outstanding_amount > 0)
+    .sort((a, b) => {
+      const da = String(invoiceDate(a.receipt) || "");
+      const db = String(invoiceDate(b.receipt) || "");
+      if (da !== db) return da < db ? -1 : 1;
+      return num(a.receipt.id) - num(b.receipt.id);
+    });
+}
+
+/**
+ * Totals per ageing bucket for settlement rows
+ */
+function ageingSummary(rows) {
+  const buckets = Object.fromEntries(AGE_BUCKETS.map((b) => [b.key, 0]));
+  let total = 0;
+  for (const r of rows) {
+    if (!r.age_bucket) continue;
+    buckets[r.age_bucket] = round2(buckets[r.age_bucket] + r.outstanding_amount);
+    total = round2(total + r.outstanding_amount);
+  }
+  return { ...buckets, total };
+}
+
+/**
+ * Split a settled amount into cash/discount in the payment's ratio
+ */
+function splitSettled(settled, payment) {
+  const total = num(payment.amount) + num(payment.discount_amount);
+  if (total <= 0) return { paid_amount: round2(settled), discount_amount: 0 };
+  const discount_amount = round2((settled * num(payment.discount_amount)) / total);
+  return { paid_amount: round2(settled - discount_amount), discount_amount };
+}
+
+/**
+ * ✅ (Re)allocate a payment's total_settled to supplier invoices.
+ * - allocations: [{ supplier_receipt_id, amount }] (settled amounts) => manual
+ * - otherwise oldest open invoice first (FIFO)
+ * Existing allocations of this payment are replaced.
+ * Throws { statusCode: 400 } on invalid allocation.
+ * Returns { allocations, allocated_amount, unallocated_amount }
+ */
+async function allocatePayment({ payment, allocations = null, t }) {
+  await SupplierPaymentAllocation.destroy({
+    where: { supplier_payment_id: payment.id },
+    transaction: t,
+  });
+
+  const totalSettled = round2(
+    num(payment.total_settled) || num(payment.amount) + num(payment.discount_amount)
+  );
+
+  const open = await openReceipts(payment.supplier_id, { t, lock: true });
+  const openById = new Map(open.map((x) => [num(x.receipt.id), x]));
+
+  let plan = [];
+
+  if (Array.isArray(allocations) && allocations.length) {
+    const seen = new Set();
+    for (const a of allocations) {
+      const receiptId = num(a?.supplier_receipt_id);
+      const amount = round2(a?.amount);
+      if (!receiptId || amount <= 0) {
+        throw badRequest("Each allocation needs supplier_receipt_id and amount > 0");
+      }
+      if (seen.has(receiptId)) {
+        throw badRequest(`Invoice ${receiptId} allocated twice`);
+      }
+      seen.add(receiptId);
+
+      const row = openById.get(receiptId);
+      if (!row) {
+        throw badRequest(`Invoice ${receiptId} is not an open invoice of this supplier`);
+      }
+      if (amount > row.outstanding_amount) {
+        throw badRequest(`Allocation ${amount} exceeds outstanding ${row.outstanding_amount} on invoice ${receiptId}`);
+      }
+      plan.push({ row, amount });
+    }
+
+    const sum = round2(plan.reduce((s, p) => s + p.amount, 0));
+    if (sum > totalSettled) {
+      throw badRequest(`Allocated ${sum} exceeds payment total_settled ${totalSettled}`);
+    }
+  } else {
+    let left = totalSettled;
+    for (const row of open) {
+      if (left <= 0) break;
+      const amount = round2(Math.min(left, row.outstanding_amount));
+      plan.push({ row, amount });
+      left = round2(left - amount);
+    }
+  }
+
+  const created = [];
+  for (const p of plan) {
+    const split = splitSettled(p.amount, payment);
+    created.push(
+      await SupplierPaymentAllocation.create(
+        {
+          supplier_payment_id: payment.id,
+          supplier_receipt_id: p.row.receipt.id,
+          paid_amount: split.paid_amount,
+          discount_amount: split.discount_amount,
+          settled_amount: p.amount,
+        },
+        { transaction: t }
+      )
+    );
+  }
+
+  const allocated_amount = round2(plan.reduce((s, p) => s + p.amount, 0));
+  return {
+    allocations: created,
+    allocated_amount,
+    unallocated_amount: round2(totalSettled - allocated_amount),
+  };
+}
+
+module.exports = {
+  AGE_BUCKETS,
+  ageBucket,
+  ageDays,
+  invoiceDate,
+  settledByReceipt,
+  returnedByReceipt,
+  withSettlement,
+  openReceipts,
+  ageingSummary,
+  splitSettled,
+  allocatePayment,
+};
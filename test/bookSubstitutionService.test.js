@@ -0,0 +1,129 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Op } = require("sequelize");
+
+const models = require("../src/models");
+const { substituteBook } = require("../src/services/bookSubstitutionService");
+const { loadRequirementsByBook, rebuildItemLinks } = require("../src/services/orderLinkService");
+
+/* ---------- in-memory tables behind the models used by the substitution ---------- */
+
+const matches = (row, where = {}) =>
+  Object.entries(where).every(([k, v]) => {
+    if (Array.isArray(v)) return v.map(Number).includes(Number(row[k]));
+    if (v && typeof v === "object" && v[Op.in]) return v[Op.in].map(Number).includes(Number(row[k]));
+    if (v === null) return row[k] == null;
+    return String(row[k]) === String(v);
+  });
+
+function fakeTable(Model, db, name) {
+  const rows = (db[name] = []);
+  let nextId = 1;
+
+  const make = (values) => {
+    const row = { id: nextId++, ...values };
+    row.update = async (patch) => Object.assign(row, patch);
+    row.destroy = async () => rows.splice(rows.indexOf(row), 1);
+    row.get = () => ({ ...row });
+    rows.push(row);
+    return row;
+  };
+
+  Model.findAll = async ({ where, include, raw } = {}) => {
+    let out = rows.filter((r) => matches(r, where));
+    if (include?.[0]?.as === "order") {
+      out = out
+        .map((r) => Object.assign(r, { order: db.orders.find((o) => o.id === r.school_order_id) }))
+        .filter((r) => r.order && matches(r.order, include[0].where));
+    }
+    return raw ? out.map((r) => ({ ...r })) : out;
+  };
+  Model.findOne = async (opts) => (await Model.findAll(opts))[0] || null;
+  Model.count = async (opts) => (await Model.findAll(opts)).length;
+  Model.create = async (values) => make(values);
+  Model.bulkCreate = async (list) => list.map(make);
+  Model.destroy = async ({ where }) => {
+    const gone = rows.filter((r) => matches(r, where));
+    for (const r of gone) rows.splice(rows.indexOf(r), 1);
+    return gone.length;
+  };
+
+  return make;
+}
+
+function setup() {
+  const db = {};
+  const t = { LOCK: { UPDATE: "UPDATE" } };
+  const add = {
+    requirement: fakeTable(models.SchoolBookRequirement, db, "requirements"),
+    order: fakeTable(models.SchoolOrder, db, "orders"),
+    item: fakeTable(models.SchoolOrderItem, db, "items"),
+    link: fakeTable(models.SchoolRequirementOrderLink, db, "links"),
+  };
+  fakeTable(models.RequirementOrderLink, db, "publisherLinks");
+  fakeTable(models.SchoolSaleItem, db, "saleItems");
+  fakeTable(models.Product, db, "products");
+  fakeTable(models.BundleItem, db, "bundleItems");
+  fakeTable(models.BookSubstitution, db, "substitutions");
+  return { db, add, t };
+}
+
+const oldBook = { id: 10, title: "Maths 6", supplier_id: 3, update: async () => {} };
+const newBook = { id: 11, title: "Maths 6 (2nd ed.)", supplier_id: 3 };
+
+// confirm -> generate order (links built like the shortfall generator) -> list back to draft
+async function orderedThenReopened({ add, t }, requirements) {
+  const rows = requirements.map((r) =>
+    add.requirement({ school_id: 1, academic_session: "2026-27", status: "confirmed", supplier_id: 3, ...r })
+  );
+
+  const order = add.order({ school_id: 1, academic_session: "2026-27", supplier_id: 3, status: "draft", order_no: "SO-1" });
+  const item = add.item({
+    school_order_id: order.id,
+    book_id: oldBook.id,
+    total_order_qty: rows.reduce((s, r) => s + r.required_copies, 0),
+  });
+  const reqByBook = await loadRequirementsByBook({ school_id: 1, academic_session: "2026-27", supplier_id: 3, t });
+  await rebuildItemLinks({ items: [item], reqByBook, t });
+
+  for (const r of rows) await r.update({ status: "draft" });
+  return { rows, item };
+}
+
+test("reopened requirement and its draft order line are substituted together and relinked", async () => {
+  const ctx = setup();
+  const { rows, item } = await orderedThenReopened(ctx, [{ book_id: oldBook.id, required_copies: 40 }]);
+
+  const res = await substituteBook({ oldBook, newBook, apply: true, t: ctx.t });
+
+  assert.equal(res.requirements.lines.length, 1);
+  assert.equal(res.order_items.lines.length, 1);
+  assert.equal(rows[0].book_id, newBook.id);
+  assert.equal(item.book_id, newBook.id);
+  assert.deepEqual(
+    ctx.db.links.map((l) => [l.requirement_id, l.school_order_item_id, l.allocated_qty]),
+    [[rows[0].id, item.id, 40]]
+  );
+});
+
+test("a line also fed by a locked requirement keeps every linked requirement on the old edition", async () => {
+  const ctx = setup();
+  const { rows, item } = await orderedThenReopened(ctx, [
+    { book_id: oldBook.id, required_copies: 40 },
+    { book_id: oldBook.id, required_copies: 10, is_locked: true },
+  ]);
+
+  const res = await substituteBook({ oldBook, newBook, apply: true, t: ctx.t });
+
+  assert.equal(res.requirements.lines.length, 0);
+  assert.equal(res.order_items.lines.length, 0);
+  assert.deepEqual(
+    res.requirements.skipped.map((s) => s.requirement_id).sort(),
+    rows.map((r) => r.id).sort()
+  );
+  assert.equal(rows[0].book_id, oldBook.id);
+  assert.equal(item.book_id, oldBook.id);
+  assert.equal(ctx.db.links.length, 2);
+});